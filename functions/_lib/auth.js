@@ -0,0 +1,39 @@
+/* ==========================================
+   ADMIN AUTHENTICATION
+   Bearer-token check for /api/admin/* endpoints
+   Set the token with: wrangler secret put ADMIN_API_TOKEN
+   ========================================== */
+
+import { createJsonResponse } from './http.js';
+import { timingSafeEqual } from './crypto.js';
+import { log } from './logger.js';
+
+/**
+ * Verify the Authorization: Bearer <token> header
+ * Returns null when authorized, otherwise a 401 response to send back
+ */
+export function requireAdmin(request, env) {
+    if (!env.ADMIN_API_TOKEN) {
+        log.error('ADMIN_API_TOKEN environment variable is not set');
+    }
+
+    if (!isAdminRequest(request, env)) {
+        return createJsonResponse({
+            success: false,
+            message: 'Unauthorized.'
+        }, 401, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    return null;
+}
+
+/**
+ * True when the request carries the admin token
+ * For endpoints that are public but show more to the admin
+ */
+export function isAdminRequest(request, env) {
+    const header = request.headers.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    return Boolean(env.ADMIN_API_TOKEN && token && timingSafeEqual(token, env.ADMIN_API_TOKEN));
+}
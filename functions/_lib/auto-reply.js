@@ -0,0 +1,133 @@
+/* ==========================================
+   CONTACT AUTO-REPLY
+   Acknowledgement email sent to the person who
+   submitted the contact form, worded by subject
+   ========================================== */
+
+import { sendEmail } from './email.js';
+import { countAutoRepliesSince, markAutoReplySent } from './submissions.js';
+import { enqueueEmail } from './outbox.js';
+import { html, url } from './template.js';
+import { translate } from './i18n.js';
+import { log } from './logger.js';
+
+const DEFAULT_HOURLY_LIMIT = 30;
+const PER_ADDRESS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Contact subjects with their own wording (autoReply.<subject>.* in
+ * public/i18n.js) - any other subject gets autoReply.default.*
+ * Never include visitor-supplied text: the address is unverified,
+ * so anything echoed back could be used to send spam through us
+ */
+const WORDED_SUBJECTS = ['consultation', 'training', 'nutrition', 'plans'];
+
+/**
+ * Send (or queue) the auto-reply for a stored submission
+ * Returns a short reason string for logging
+ */
+export async function sendAutoReply(env, { submissionId, email, subject, locale, siteUrl }) {
+    if (env.AUTO_REPLY_ENABLED === 'false') return 'disabled';
+
+    // Without a stored submission we can't enforce the throttles below
+    if (!submissionId) return 'skipped: submission not stored';
+
+    const now = Date.now();
+
+    // At most one auto-reply per address per day
+    const recentForAddress = await countAutoRepliesSince(
+        env.DB,
+        new Date(now - PER_ADDRESS_WINDOW_MS).toISOString(),
+        email
+    );
+    if (recentForAddress > 0) return 'skipped: address throttled';
+
+    // Global cap so a scripted flood can't burn the sending quota
+    const hourlyLimit = parseInt(env.AUTO_REPLY_HOURLY_LIMIT, 10) || DEFAULT_HOURLY_LIMIT;
+    const sentThisHour = await countAutoRepliesSince(env.DB, new Date(now - 60 * 60 * 1000).toISOString());
+    if (sentThisHour >= hourlyLimit) return 'skipped: hourly limit reached';
+
+    const message = buildAutoReplyEmail(subject, {
+        to: email,
+        siteUrl: siteUrl,
+        locale: locale,
+        bookingUrl: env.BOOKING_URL || `${siteUrl}/contact.html#book-consultation`
+    });
+
+    // Mark first so a concurrent submission from the same address is throttled
+    await markAutoReplySent(env.DB, submissionId);
+
+    try {
+        await sendEmail(message, env);
+        return 'sent';
+    } catch (error) {
+        log.error('Failed to send auto-reply', { error });
+        await enqueueEmail(env, 'contact_auto_reply', message, { lastError: String(error.message).substring(0, 1000) });
+        return 'queued';
+    }
+}
+
+/**
+ * Build the acknowledgement email for a contact subject
+ * locale picks the language, English when there's no copy for it
+ */
+export function buildAutoReplyEmail(subject, { to, siteUrl, bookingUrl, locale }) {
+    const wording = WORDED_SUBJECTS.includes(subject) ? subject : 'default';
+    const t = key => translate(locale, key);
+    const template = {
+        subject: t(`autoReply.${wording}.subject`),
+        intro: t(`autoReply.${wording}.intro`),
+        body: t(`autoReply.${wording}.body`),
+        // Only the consultation reply words its button differently
+        cta: wording === 'consultation' ? t('autoReply.consultation.cta') : t('email.bookConsultation')
+    };
+    const footer = {
+        signoff: t('email.signoff'),
+        signature: t('email.signature'),
+        reason: t('autoReply.reason'),
+        ignore: t('autoReply.ignore')
+    };
+
+    return {
+        to: [to],
+        subject: template.subject,
+        headers: {
+            // Tell mail servers this is automated so they don't auto-reply back
+            'Auto-Submitted': 'auto-replied'
+        },
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${template.intro}</h2>
+
+                <p>${template.body}</p>
+
+                <p style="text-align: center; margin: 30px 0;">
+                    <a href="${url(bookingUrl)}" style="background-color: #FF6B35; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">${template.cta}</a>
+                </p>
+
+                <p>${footer.signoff}<br>${footer.signature}</p>
+
+                <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+                <p style="color: #666; font-size: 12px;">
+                    ${footer.reason}
+                    <a href="${url(siteUrl)}" style="color: #666;">${siteUrl}</a>.
+                    ${footer.ignore}
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            template.intro,
+            '',
+            template.body,
+            '',
+            `${template.cta}: ${bookingUrl}`,
+            '',
+            footer.signoff,
+            footer.signature,
+            '',
+            `${footer.reason} ${siteUrl}.`,
+            footer.ignore
+        ].join('\n')
+    };
+}
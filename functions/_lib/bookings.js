@@ -0,0 +1,225 @@
+/* ==========================================
+   CONSULTATION BOOKINGS
+   Weekly availability schedule, slot generation and
+   D1 persistence for free consultation bookings
+   Schema: migrations/0005_create_bookings.sql
+   ========================================== */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_DAYS_AHEAD = 14;
+const DEFAULT_MIN_NOTICE_HOURS = 12;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Consultation hours in the business time zone
+ * Override with BOOKING_SCHEDULE, e.g. {"mon": ["09:00-12:00"], "sat": []}
+ */
+const DEFAULT_SCHEDULE = {
+    mon: ['09:00-12:00', '13:00-17:00'],
+    tue: ['09:00-12:00', '13:00-17:00'],
+    wed: ['09:00-12:00', '13:00-17:00'],
+    thu: ['09:00-12:00', '13:00-17:00'],
+    fri: ['09:00-12:00', '13:00-17:00'],
+    sat: ['09:00-12:00'],
+    sun: []
+};
+
+/**
+ * Thrown when a slot was taken between listing and booking
+ */
+export class SlotUnavailableError extends Error {
+    constructor(message = 'That time slot is no longer available') {
+        super(message);
+        this.name = 'SlotUnavailableError';
+    }
+}
+
+/**
+ * Booking settings from the environment, with defaults
+ */
+export function getBookingSettings(env) {
+    return {
+        timezone: env.BOOKING_TIMEZONE || DEFAULT_TIMEZONE,
+        slotMinutes: parseInt(env.BOOKING_SLOT_MINUTES, 10) || DEFAULT_SLOT_MINUTES,
+        daysAhead: parseInt(env.BOOKING_DAYS_AHEAD, 10) || DEFAULT_DAYS_AHEAD,
+        minNoticeHours: parseInt(env.BOOKING_MIN_NOTICE_HOURS, 10) >= 0
+            ? parseInt(env.BOOKING_MIN_NOTICE_HOURS, 10)
+            : DEFAULT_MIN_NOTICE_HOURS,
+        schedule: env.BOOKING_SCHEDULE ? parseSchedule(env.BOOKING_SCHEDULE) : DEFAULT_SCHEDULE
+    };
+}
+
+/**
+ * Every slot the schedule offers between now (plus notice) and daysAhead
+ * Returns [{ start, end }] as ISO strings in UTC, ascending
+ */
+export function generateSlots(settings, now = new Date()) {
+    const slots = [];
+    const earliest = now.getTime() + settings.minNoticeHours * 60 * 60 * 1000;
+    const slotMs = settings.slotMinutes * 60 * 1000;
+
+    // Walk calendar days in the business time zone, not the server's
+    const today = getZonedParts(now, settings.timezone);
+
+    for (let offset = 0; offset <= settings.daysAhead; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const windows = settings.schedule[WEEKDAYS[day.getUTCDay()]] || [];
+
+        for (const window of windows) {
+            const [openMinutes, closeMinutes] = parseWindow(window);
+
+            for (let minutes = openMinutes; minutes + settings.slotMinutes <= closeMinutes; minutes += settings.slotMinutes) {
+                const start = zonedTimeToUtc(day, minutes, settings.timezone);
+                if (start.getTime() < earliest) continue;
+
+                slots.push({
+                    start: start.toISOString(),
+                    end: new Date(start.getTime() + slotMs).toISOString()
+                });
+            }
+        }
+    }
+
+    return slots;
+}
+
+/**
+ * Scheduled slots that don't overlap a confirmed booking
+ */
+export async function listAvailableSlots(db, settings, now = new Date()) {
+    const slots = generateSlots(settings, now);
+    if (slots.length === 0) return [];
+
+    const { results } = await db.prepare(`
+        SELECT slot_start, slot_end FROM bookings
+        WHERE status = 'confirmed' AND slot_end > ? AND slot_start < ?
+    `).bind(slots[0].start, slots[slots.length - 1].end).all();
+
+    const booked = (results || []).map(row => [Date.parse(row.slot_start), Date.parse(row.slot_end)]);
+
+    return slots.filter(slot => {
+        const start = Date.parse(slot.start);
+        const end = Date.parse(slot.end);
+        return !booked.some(([bookedStart, bookedEnd]) => start < bookedEnd && end > bookedStart);
+    });
+}
+
+/**
+ * Find the offered slot that starts at the given time, or null
+ */
+export function findSlot(settings, start, now = new Date()) {
+    const startMs = Date.parse(start);
+    if (Number.isNaN(startMs)) return null;
+
+    return generateSlots(settings, now).find(slot => Date.parse(slot.start) === startMs) || null;
+}
+
+/**
+ * Reserve a slot
+ * The partial unique index on confirmed slot_start makes this atomic;
+ * throws SlotUnavailableError if someone else got there first
+ */
+export async function createBooking(db, data) {
+    const uid = `${crypto.randomUUID()}@philipfitness`;
+    const createdAt = new Date().toISOString();
+
+    try {
+        const result = await db.prepare(`
+            INSERT INTO bookings (uid, slot_start, slot_end, name, email, phone, notes, status, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed', ?)
+        `).bind(
+            uid,
+            data.start,
+            data.end,
+            data.name,
+            data.email,
+            data.phone || null,
+            data.notes || null,
+            createdAt
+        ).run();
+
+        return { id: result.meta.last_row_id, uid, createdAt };
+
+    } catch (error) {
+        if (/UNIQUE constraint failed/i.test(String(error.message))) {
+            throw new SlotUnavailableError();
+        }
+        throw error;
+    }
+}
+
+/* ==========================================
+   TIME ZONE HELPERS
+   Workers run in UTC; Intl supplies the zone rules
+   ========================================== */
+
+function parseSchedule(value) {
+    try {
+        const schedule = JSON.parse(value);
+        for (const windows of Object.values(schedule)) {
+            windows.forEach(parseWindow);
+        }
+        return schedule;
+    } catch (error) {
+        throw new Error(`Invalid BOOKING_SCHEDULE: ${error.message}`);
+    }
+}
+
+/**
+ * "09:00-12:00" -> [540, 720] (minutes after midnight)
+ */
+function parseWindow(window) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(window).trim());
+    if (!match) {
+        throw new Error(`Invalid schedule window "${window}" (expected HH:MM-HH:MM)`);
+    }
+
+    const open = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const close = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    if (close <= open) {
+        throw new Error(`Invalid schedule window "${window}" (closes before it opens)`);
+    }
+    return [open, close];
+}
+
+/**
+ * Calendar fields of an instant as seen in a time zone
+ */
+function getZonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = {};
+    parts.forEach(part => { values[part.type] = parseInt(part.value, 10); });
+    return values;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The UTC instant of a wall-clock time on a calendar day in a time zone
+ * day: a Date whose UTC fields hold the calendar date
+ */
+function zonedTimeToUtc(day, minutesAfterMidnight, timezone) {
+    const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) + minutesAfterMidnight * 60 * 1000;
+
+    // Re-check the offset at the result so slots next to a DST change land correctly
+    const firstGuess = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+    return new Date(wallClock - getTimezoneOffset(new Date(firstGuess), timezone));
+}
@@ -0,0 +1,59 @@
+/* ==========================================
+   CRYPTO HELPERS
+   HMAC signing, hashing, comparison and random tokens
+   via the Web Crypto API
+   ========================================== */
+
+/**
+ * HMAC-SHA256 as lowercase hex using the Web Crypto API
+ */
+export async function hmacSha256Hex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
+    return [...new Uint8Array(signature)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Constant-time string comparison
+ */
+export function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+
+    let mismatch = 0;
+    for (let i = 0; i < a.length; i++) {
+        mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return mismatch === 0;
+}
+
+/**
+ * SHA-256 digest as lowercase hex
+ */
+export async function sha256Hex(message) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message));
+
+    return [...new Uint8Array(digest)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Random URL-safe token (base64url, no padding)
+ */
+export function randomToken(byteLength = 32) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
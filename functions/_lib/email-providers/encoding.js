@@ -0,0 +1,14 @@
+/* ==========================================
+   EMAIL ENCODING HELPERS
+   Shared by the provider adapters
+   ========================================== */
+
+/**
+ * Base64-encode a UTF-8 string (attachment bodies, MIME parts)
+ */
+export function toBase64(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
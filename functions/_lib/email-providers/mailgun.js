@@ -0,0 +1,56 @@
+/* ==========================================
+   EMAIL PROVIDER - MAILGUN
+   Docs: https://documentation.mailgun.com/docs/mailgun/api-reference/openapi-final/tag/Messages/
+   Env: MAILGUN_API_KEY, MAILGUN_DOMAIN,
+        MAILGUN_API_BASE (optional, https://api.eu.mailgun.net for EU domains)
+   ========================================== */
+
+const DEFAULT_MAILGUN_API_BASE = 'https://api.mailgun.net';
+
+/**
+ * Send a normalized message via the Mailgun API
+ */
+export async function sendViaMailgun(message, env) {
+    if (!env.MAILGUN_API_KEY) {
+        throw new Error('MAILGUN_API_KEY environment variable is not set');
+    }
+    if (!env.MAILGUN_DOMAIN) {
+        throw new Error('MAILGUN_DOMAIN environment variable is not set');
+    }
+
+    const baseUrl = (env.MAILGUN_API_BASE || DEFAULT_MAILGUN_API_BASE).replace(/\/+$/, '');
+    const formData = new FormData();
+
+    formData.append('from', message.from);
+    message.to.forEach(address => formData.append('to', address));
+    message.cc.forEach(address => formData.append('cc', address));
+    formData.append('subject', message.subject);
+    formData.append('html', message.html);
+    formData.append('text', message.text);
+
+    if (message.replyTo) {
+        formData.append('h:Reply-To', message.replyTo);
+    }
+    for (const [name, value] of Object.entries(message.headers)) {
+        formData.append(`h:${name}`, value);
+    }
+    for (const attachment of message.attachments) {
+        formData.append('attachment', new Blob([attachment.content], { type: attachment.contentType }), attachment.filename);
+    }
+
+    const response = await fetch(`${baseUrl}/v3/${env.MAILGUN_DOMAIN}/messages`, {
+        method: 'POST',
+        headers: {
+            'Authorization': 'Basic ' + btoa(`api:${env.MAILGUN_API_KEY}`)
+        },
+        body: formData
+    });
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`Mailgun API error (${response.status}): ${errorData}`);
+    }
+
+    const result = await response.json();
+    return { id: result.id };
+}
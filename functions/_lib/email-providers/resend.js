@@ -0,0 +1,53 @@
+/* ==========================================
+   EMAIL PROVIDER - RESEND
+   Docs: https://resend.com/docs/api-reference/emails/send-email
+   Env: RESEND_API_KEY, RESEND_API_BASE (optional, for local stubs)
+   ========================================== */
+
+import { toBase64 } from './encoding.js';
+
+const DEFAULT_RESEND_API_BASE = 'https://api.resend.com';
+
+/**
+ * Send a normalized message via the Resend API
+ */
+export async function sendViaResend(message, env) {
+    if (!env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is not set');
+    }
+
+    const baseUrl = (env.RESEND_API_BASE || DEFAULT_RESEND_API_BASE).replace(/\/+$/, '');
+
+    const response = await fetch(`${baseUrl}/emails`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            from: message.from,
+            to: message.to,
+            cc: message.cc.length > 0 ? message.cc : undefined,
+            reply_to: message.replyTo,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            headers: Object.keys(message.headers).length > 0 ? message.headers : undefined,
+            attachments: message.attachments.length > 0
+                ? message.attachments.map(attachment => ({
+                    filename: attachment.filename,
+                    content: toBase64(attachment.content),
+                    content_type: attachment.contentType
+                }))
+                : undefined
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`Resend API error (${response.status}): ${errorData}`);
+    }
+
+    const result = await response.json();
+    return { id: result.id };
+}
@@ -0,0 +1,71 @@
+/* ==========================================
+   EMAIL PROVIDER - SENDGRID
+   Docs: https://www.twilio.com/docs/sendgrid/api-reference/mail-send/mail-send
+   Env: SENDGRID_API_KEY, SENDGRID_API_BASE (optional, for local stubs)
+   ========================================== */
+
+import { toBase64 } from './encoding.js';
+
+const DEFAULT_SENDGRID_API_BASE = 'https://api.sendgrid.com';
+
+/**
+ * Send a normalized message via the SendGrid v3 API
+ */
+export async function sendViaSendGrid(message, env) {
+    if (!env.SENDGRID_API_KEY) {
+        throw new Error('SENDGRID_API_KEY environment variable is not set');
+    }
+
+    const baseUrl = (env.SENDGRID_API_BASE || DEFAULT_SENDGRID_API_BASE).replace(/\/+$/, '');
+    const personalization = { to: message.to.map(toSendGridAddress) };
+
+    if (message.cc.length > 0) {
+        personalization.cc = message.cc.map(toSendGridAddress);
+    }
+
+    const response = await fetch(`${baseUrl}/v3/mail/send`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${env.SENDGRID_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            personalizations: [personalization],
+            from: toSendGridAddress(message.from),
+            reply_to: message.replyTo ? toSendGridAddress(message.replyTo) : undefined,
+            subject: message.subject,
+            // SendGrid requires text/plain before text/html
+            content: [
+                { type: 'text/plain', value: message.text },
+                { type: 'text/html', value: message.html }
+            ],
+            headers: Object.keys(message.headers).length > 0 ? message.headers : undefined,
+            attachments: message.attachments.length > 0
+                ? message.attachments.map(attachment => ({
+                    content: toBase64(attachment.content),
+                    filename: attachment.filename,
+                    type: attachment.contentType,
+                    disposition: 'attachment'
+                }))
+                : undefined
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`SendGrid API error (${response.status}): ${errorData}`);
+    }
+
+    // 202 Accepted with an empty body - the id comes back as a header
+    return { id: response.headers.get('x-message-id') };
+}
+
+/**
+ * "Name <email@example.com>" -> { name, email }
+ */
+function toSendGridAddress(address) {
+    const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(address);
+    return match
+        ? { name: match[1].replace(/^"|"$/g, '') || undefined, email: match[2] }
+        : { email: address.trim() };
+}
@@ -0,0 +1,217 @@
+/* ==========================================
+   EMAIL PROVIDER - SMTP RELAY
+   Minimal SMTP client over Cloudflare TCP sockets
+   Docs: https://developers.cloudflare.com/workers/runtime-apis/tcp-sockets/
+   Env: SMTP_HOST, SMTP_PORT (465 implicit TLS, 587 STARTTLS),
+        SMTP_USERNAME, SMTP_PASSWORD
+   Note: Cloudflare blocks outbound port 25 - use a relay on 465/587
+   ========================================== */
+
+import { toBase64 } from './encoding.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Send a normalized message through an authenticated SMTP relay
+ */
+export async function sendViaSmtp(message, env) {
+    if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST environment variable is not set');
+    }
+
+    const port = parseInt(env.SMTP_PORT, 10) || 465;
+    const useStartTls = port === 587;
+
+    // Loaded lazily so this module can be imported outside the Workers runtime
+    const { connect } = await import('cloudflare:sockets');
+
+    let socket = connect(
+        { hostname: env.SMTP_HOST, port: port },
+        { secureTransport: useStartTls ? 'starttls' : 'on' }
+    );
+    let session = openSession(socket);
+    const messageId = createMessageId(message.from);
+
+    try {
+        await session.expect(220);
+        await session.command(`EHLO ${getDomain(message.from)}`, 250);
+
+        if (useStartTls) {
+            await session.command('STARTTLS', 220);
+            session.release();
+            socket = socket.startTls();
+            session = openSession(socket);
+            await session.command(`EHLO ${getDomain(message.from)}`, 250);
+        }
+
+        if (env.SMTP_USERNAME) {
+            const credentials = toBase64(`\u0000${env.SMTP_USERNAME}\u0000${env.SMTP_PASSWORD || ''}`);
+            await session.command(`AUTH PLAIN ${credentials}`, 235);
+        }
+
+        await session.command(`MAIL FROM:<${getAddress(message.from)}>`, 250);
+
+        for (const recipient of [...message.to, ...message.cc]) {
+            await session.command(`RCPT TO:<${getAddress(recipient)}>`, [250, 251]);
+        }
+
+        await session.command('DATA', 354);
+        await session.command(`${dotStuff(buildMimeMessage(message, messageId))}\r\n.`, 250);
+        await session.command('QUIT', 221);
+
+        return { id: messageId };
+
+    } finally {
+        session.release();
+        await socket.close().catch(() => {});
+    }
+}
+
+/**
+ * Wrap a socket with line-based SMTP reply handling
+ */
+function openSession(socket) {
+    const reader = socket.readable.getReader();
+    const writer = socket.writable.getWriter();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Read one (possibly multi-line) reply: "250-first\r\n250 last\r\n"
+    async function readReply() {
+        const lines = [];
+
+        while (true) {
+            const newline = buffer.indexOf('\r\n');
+
+            if (newline === -1) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('SMTP connection closed unexpectedly');
+                buffer += decoder.decode(value, { stream: true });
+                continue;
+            }
+
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+            lines.push(line);
+
+            if (line.charAt(3) !== '-') {
+                return { code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') };
+            }
+        }
+    }
+
+    async function expect(expected) {
+        const reply = await readReply();
+        const allowed = Array.isArray(expected) ? expected : [expected];
+
+        if (!allowed.includes(reply.code)) {
+            throw new Error(`SMTP error (${reply.code}): ${reply.text}`);
+        }
+        return reply;
+    }
+
+    return {
+        expect,
+        async command(line, expected) {
+            await writer.write(encoder.encode(`${line}\r\n`));
+            return expect(expected);
+        },
+        release() {
+            reader.releaseLock();
+            writer.releaseLock();
+        }
+    };
+}
+
+/**
+ * Build a multipart/alternative message with text and HTML parts,
+ * wrapped in multipart/mixed when there are attachments
+ */
+function buildMimeMessage(message, messageId) {
+    const boundary = `----=_Part_${crypto.randomUUID()}`;
+    const hasAttachments = message.attachments.length > 0;
+    const mixedBoundary = `----=_Mixed_${crypto.randomUUID()}`;
+    const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to.join(', ')}`,
+        message.cc.length > 0 ? `Cc: ${message.cc.join(', ')}` : null,
+        message.replyTo ? `Reply-To: ${message.replyTo}` : null,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        ...Object.entries(message.headers).map(([name, value]) => `${name}: ${value}`),
+        'MIME-Version: 1.0',
+        hasAttachments
+            ? `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`
+            : `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    const alternative = [
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(toBase64(message.text)),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(toBase64(message.html)),
+        `--${boundary}--`
+    ];
+
+    if (!hasAttachments) {
+        return [...headers, '', ...alternative].join('\r\n');
+    }
+
+    const attachmentParts = message.attachments.flatMap(attachment => [
+        `--${mixedBoundary}`,
+        `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(toBase64(attachment.content))
+    ]);
+
+    return [
+        ...headers,
+        '',
+        `--${mixedBoundary}`,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        ...alternative,
+        ...attachmentParts,
+        `--${mixedBoundary}--`
+    ].join('\r\n');
+}
+
+/**
+ * RFC 2047 encode a header value when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`;
+}
+
+/**
+ * Escape lines starting with "." (RFC 5321 section 4.5.2)
+ */
+function dotStuff(data) {
+    return data.replace(/\r\n\./g, '\r\n..');
+}
+
+function wrapBase64(value) {
+    return value.replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+function getAddress(address) {
+    const match = /<([^>]+)>/.exec(address);
+    return (match ? match[1] : address).trim();
+}
+
+function getDomain(address) {
+    return getAddress(address).split('@')[1] || 'localhost';
+}
+
+function createMessageId(from) {
+    return `<${crypto.randomUUID()}@${getDomain(from)}>`;
+}
@@ -0,0 +1,178 @@
+/* ==========================================
+   EMAIL DELIVERY
+   Provider-agnostic transport used by every Function
+   that sends mail (contact form, Stripe webhook, ...)
+   Select a provider with EMAIL_PROVIDER and an optional
+   failover with EMAIL_FALLBACK_PROVIDER
+   Outside production every message is sandboxed - see
+   isEmailSandboxed()
+   ========================================== */
+
+import { sendViaResend } from './email-providers/resend.js';
+import { sendViaMailgun } from './email-providers/mailgun.js';
+import { sendViaSendGrid } from './email-providers/sendgrid.js';
+import { sendViaSmtp } from './email-providers/smtp.js';
+import { toPlainText } from './template.js';
+import { log } from './logger.js';
+
+const DEFAULT_FROM = 'Philip Fitness <noreply@datumwork.com>';
+const DEFAULT_PROVIDER = 'resend';
+
+/**
+ * Registered transports
+ * Each adapter receives the same normalized message and returns { id }
+ */
+const PROVIDERS = {
+    resend: sendViaResend,
+    mailgun: sendViaMailgun,
+    sendgrid: sendViaSendGrid,
+    smtp: sendViaSmtp
+};
+
+// Settings each provider cannot send without
+const PROVIDER_SECRETS = {
+    resend: ['RESEND_API_KEY'],
+    mailgun: ['MAILGUN_API_KEY', 'MAILGUN_DOMAIN'],
+    sendgrid: ['SENDGRID_API_KEY'],
+    smtp: ['SMTP_HOST', 'SMTP_USERNAME', 'SMTP_PASSWORD']
+};
+
+/**
+ * Send an email through the configured provider
+ * Falls back to EMAIL_FALLBACK_PROVIDER when the primary fails
+ *
+ * message: { to, subject, html, text?, cc?, replyTo?, from?, headers?, attachments? }
+ * attachments: [{ filename, content (string), contentType }]
+ * from defaults to EMAIL_FROM
+ * Returns: { id, provider }
+ */
+export async function sendEmail(message, env) {
+    const normalized = applyEmailSandbox(message, env);
+
+    if (!normalized) {
+        log.info('Email sandbox - message not sent', { to: message.to });
+        return { id: `sandbox-${crypto.randomUUID()}`, provider: 'sandbox' };
+    }
+
+    const primary = getProviderName(env.EMAIL_PROVIDER) || DEFAULT_PROVIDER;
+    const fallback = getProviderName(env.EMAIL_FALLBACK_PROVIDER);
+
+    try {
+        const result = await PROVIDERS[primary](normalized, env);
+        return { id: result.id, provider: primary };
+
+    } catch (primaryError) {
+        if (!fallback || fallback === primary) throw primaryError;
+
+        log.warn('Email provider failed, trying fallback', { provider: primary, fallback: fallback, error: primaryError });
+
+        try {
+            const result = await PROVIDERS[fallback](normalized, env);
+            return { id: result.id, provider: fallback };
+        } catch (fallbackError) {
+            throw new Error(`All email providers failed - ${primary}: ${primaryError.message}; ${fallback}: ${fallbackError.message}`);
+        }
+    }
+}
+
+/**
+ * Sandbox mode keeps non-production deployments from mailing real people
+ * On unless ENVIRONMENT is "production"; EMAIL_SANDBOX = "true" forces it on there too
+ */
+export function isEmailSandboxed(env) {
+    return env.ENVIRONMENT !== 'production' || env.EMAIL_SANDBOX === 'true';
+}
+
+/**
+ * The message as this deployment may send it: normalized, and redirected
+ * to EMAIL_SANDBOX_TO when isEmailSandboxed(env)
+ * Returns null when the sandbox drops it
+ * A message that was already sandboxed is left alone, so the outbox can
+ * store the sandboxed copy and the production sweeper sends it as is
+ */
+export function applyEmailSandbox(message, env) {
+    const normalized = normalizeMessage(message, env);
+    if (normalized.sandboxed || !isEmailSandboxed(env)) return normalized;
+
+    return toSandboxMessage(normalized, env);
+}
+
+/**
+ * Primary and fallback providers with the settings each needs, for /api/health
+ * Returns [{ provider, secrets: [name] }] - throws on an unknown provider name
+ */
+export function getEmailProviderRequirements(env) {
+    const primary = getProviderName(env.EMAIL_PROVIDER) || DEFAULT_PROVIDER;
+    const fallback = getProviderName(env.EMAIL_FALLBACK_PROVIDER);
+    const providers = fallback && fallback !== primary ? [primary, fallback] : [primary];
+
+    return providers.map(provider => ({ provider: provider, secrets: PROVIDER_SECRETS[provider] }));
+}
+
+/**
+ * Redirect a sandboxed message to EMAIL_SANDBOX_TO
+ * Returns null when no sandbox inbox is set - the message is dropped
+ */
+function toSandboxMessage(message, env) {
+    const sandboxTo = String(env.EMAIL_SANDBOX_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+    if (sandboxTo.length === 0) return null;
+
+    return {
+        ...message,
+        to: sandboxTo,
+        cc: [],
+        subject: `[Sandbox] ${message.subject}`,
+        headers: {
+            ...message.headers,
+            'X-Sandbox-Original-To': toHeaderValue([...message.to, ...message.cc].join(', '))
+        },
+        sandboxed: true
+    };
+}
+
+/**
+ * Validate a provider name from the environment
+ * Returns null when unset, throws when unknown
+ */
+function getProviderName(value) {
+    if (!value) return null;
+
+    const name = value.trim().toLowerCase();
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown email provider "${value}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return name;
+}
+
+/**
+ * Fill in defaults so every adapter sees the same shape
+ */
+function normalizeMessage(message, env) {
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(Boolean).map(toHeaderValue);
+    const html = String(message.html ?? '');
+
+    return {
+        from: toHeaderValue(message.from || env.EMAIL_FROM || DEFAULT_FROM),
+        to: toList(message.to),
+        cc: toList(message.cc),
+        replyTo: toHeaderValue(message.replyTo) || null,
+        subject: toHeaderValue(message.subject),
+        html: html,
+        text: message.text || toPlainText(html),
+        headers: Object.fromEntries(Object.entries(message.headers || {}).map(([name, value]) => [toHeaderValue(name), toHeaderValue(value)])),
+        attachments: (message.attachments || []).map(attachment => ({
+            filename: toHeaderValue(attachment.filename),
+            content: attachment.content,
+            contentType: attachment.contentType || 'application/octet-stream'
+        })),
+        sandboxed: message.sandboxed === true
+    };
+}
+
+/**
+ * Collapse line breaks in a header value
+ * A CR/LF in a subject, name or address would otherwise start a new header
+ */
+function toHeaderValue(value) {
+    return value == null ? value : String(value).replace(/[\r\n]+/g, ' ').trim();
+}
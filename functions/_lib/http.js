@@ -0,0 +1,94 @@
+/* ==========================================
+   SHARED HTTP HELPERS
+   JSON responses, CORS headers, cookies, body parsing
+   and form text cleanup used by every Pages Function under /api
+   ========================================== */
+
+import { getRequestId } from './logger.js';
+
+/**
+ * Create a JSON response with CORS headers
+ * Failed responses ({ success: false }) carry the request ID so a visitor's
+ * report can be found in the logs - never internal error text
+ */
+export function createJsonResponse(data, status = 200, headers = {}) {
+    const requestId = data && data.success === false ? getRequestId() : null;
+    const body = requestId ? { ...data, requestId } : data;
+
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...getCorsHeaders(),
+            ...headers
+        }
+    });
+}
+
+/**
+ * Get CORS headers
+ * Access-Control-Allow-Origin is added by functions/_middleware.js,
+ * and only for origins on the allow-list (see _lib/security.js)
+ */
+export function getCorsHeaders(methods = 'POST, OPTIONS') {
+    return {
+        'Access-Control-Allow-Methods': methods,
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '86400'
+    };
+}
+
+/**
+ * Read a request body into a plain object
+ * Accepts both JSON and form-encoded/multipart submissions
+ */
+export async function readRequestData(request) {
+    const contentType = request.headers.get('content-type') || '';
+
+    if (contentType.includes('application/json')) {
+        const body = await request.json();
+        return body && typeof body === 'object' ? body : {};
+    }
+
+    const formData = await request.formData();
+    return Object.fromEntries(formData.entries());
+}
+
+/**
+ * Normalize free text from a form
+ * Drops control characters (keeping line breaks and tabs) and caps the length;
+ * the value is stored as typed and escaped wherever it is rendered
+ */
+export function sanitizeInput(input, maxLength) {
+    if (typeof input !== 'string') return '';
+
+    return input
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .substring(0, maxLength);
+}
+
+/**
+ * Resolve the public base URL of the site
+ * Falls back to the request origin when SITE_URL is not configured
+ */
+export function getSiteUrl(request, env) {
+    const siteUrl = env.SITE_URL || new URL(request.url).origin;
+    return siteUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Read a cookie value from the request, or null
+ */
+export function getCookie(request, name) {
+    const header = request.headers.get('cookie') || '';
+
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+
+        if (part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
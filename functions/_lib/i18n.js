@@ -0,0 +1,67 @@
+/* ==========================================
+   LOCALE NEGOTIATION
+   Picks the visitor's language for API messages and emails
+   Catalogs live in public/i18n.js, shared with the pages
+   ========================================== */
+
+import I18n from '../../public/i18n.js';
+import { getCookie } from './http.js';
+
+export const LOCALES = I18n.LOCALES;
+export const DEFAULT_LOCALE = I18n.DEFAULT_LOCALE;
+
+/**
+ * The locale for a request, first match wins:
+ * an explicit value (a "locale" body field or ?locale=), the
+ * pf_locale cookie set by the language switcher, then Accept-Language
+ */
+export function getRequestLocale(request, explicit) {
+    return I18n.matchLocale(explicit)
+        || I18n.matchLocale(new URL(request.url).searchParams.get('locale'))
+        || I18n.matchLocale(getCookie(request, I18n.LOCALE_COOKIE))
+        || I18n.negotiateLocale(request.headers.get('accept-language'));
+}
+
+/**
+ * Message from the shared catalog, English when the locale has none
+ */
+export function translate(locale, key, params) {
+    return I18n.translate(locale, key, params);
+}
+
+/**
+ * Text whose English lives in a data module (PLANS, nutrition.js):
+ * the locale's catalog entry when it has one, the English otherwise
+ */
+export function translateLabel(locale, key, english) {
+    return I18n.has(locale, key) ? I18n.translate(locale, key) : english;
+}
+
+/**
+ * A locale saved earlier (e.g. in Stripe metadata), or English
+ * For work done outside the visitor's request, like webhooks
+ */
+export function getStoredLocale(value) {
+    return I18n.matchLocale(value) || DEFAULT_LOCALE;
+}
+
+/**
+ * validation.js errors with their messages in the visitor's language
+ */
+export function localizeFieldErrors(locale, errors) {
+    return I18n.localizeFieldErrors(locale, errors);
+}
+
+/**
+ * BCP 47 tag for Intl formatting, e.g. "es" -> "es-US"
+ */
+export function getLocaleTag(locale) {
+    return I18n.getLocaleTag(locale);
+}
+
+/**
+ * "es" -> "Spanish", for notes in team emails
+ */
+export function getLanguageName(locale) {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale);
+}
@@ -0,0 +1,91 @@
+/* ==========================================
+   ICALENDAR (.ics) BUILDER
+   Minimal RFC 5545 event files for booking emails
+   ========================================== */
+
+/**
+ * Build a single-event calendar file
+ * event: { uid, start, end (Date or ISO string), summary, description?, location?, url?,
+ *          organizer?: { name, email } }
+ */
+export function buildIcsEvent(event) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Philip Fitness//Consultation Booking//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(event.start)}`,
+        `DTEND:${formatIcsDate(event.end)}`,
+        `SUMMARY:${escapeIcsText(event.summary)}`,
+        event.description ? `DESCRIPTION:${escapeIcsText(event.description)}` : null,
+        event.location ? `LOCATION:${escapeIcsText(event.location)}` : null,
+        event.url ? `URL:${event.url}` : null,
+        event.organizer
+            ? `ORGANIZER;CN=${escapeIcsParam(event.organizer.name)}:mailto:${event.organizer.email}`
+            : null,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    // Content lines end in CRLF, including the last one
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * UTC date-time form: 20250101T150000Z
+ */
+function formatIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape TEXT values (section 3.3.11)
+ */
+function escapeIcsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Parameter values can't be escaped, only quoted
+ */
+function escapeIcsParam(value) {
+    return `"${String(value ?? '').replace(/["\r\n]/g, '')}"`;
+}
+
+/**
+ * Fold lines longer than 75 octets (section 3.1)
+ * Splits on character boundaries so multi-byte text stays valid UTF-8
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+
+        current += char;
+        currentBytes += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
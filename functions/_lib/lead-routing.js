@@ -0,0 +1,116 @@
+/* ==========================================
+   LEAD ROUTING
+   Who gets the team copy of a contact, booking or
+   intake email, chosen by the contact form subject
+   Configured per environment in wrangler.toml:
+     CONTACT_EMAIL - default recipients (comma-separated)
+     LEAD_ROUTES   - JSON overrides per subject, e.g.
+       {"consultation": {"to": ["coach@x.com"], "cc": ["ops@x.com"], "priority": "high"}}
+   ========================================== */
+
+export const LEAD_PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Headers mail clients use to flag or sort a message
+ */
+const PRIORITY_HEADERS = {
+    high: { 'X-Priority': '1', 'Importance': 'high' },
+    normal: {},
+    low: { 'X-Priority': '5', 'Importance': 'low' }
+};
+
+/**
+ * Resolve the route for a subject
+ * Unknown subjects use the "default" route, which falls back to CONTACT_EMAIL
+ * Returns { subject, to, cc, priority }
+ */
+export function getLeadRoute(env, subject) {
+    const routes = parseRoutes(env.LEAD_ROUTES);
+    const fallback = {
+        to: parseAddressList(env.CONTACT_EMAIL),
+        cc: [],
+        priority: 'normal',
+        ...routes.default
+    };
+    const route = { ...fallback, ...routes[subject] };
+
+    if (route.to.length === 0) {
+        throw new Error('No lead recipients configured - set CONTACT_EMAIL or a "default" route in LEAD_ROUTES');
+    }
+
+    return {
+        subject: routes[subject] ? subject : 'default',
+        to: route.to,
+        cc: route.cc,
+        priority: route.priority
+    };
+}
+
+/**
+ * Address the team copy of an email for a subject
+ * High priority leads get a subject prefix and priority headers
+ */
+export function routeLead(env, subject, message) {
+    const route = getLeadRoute(env, subject);
+
+    return {
+        ...message,
+        to: route.to,
+        cc: route.cc,
+        subject: route.priority === 'high' ? `[Priority] ${message.subject}` : message.subject,
+        headers: {
+            ...(message.headers || {}),
+            ...PRIORITY_HEADERS[route.priority],
+            'X-Lead-Route': route.subject
+        }
+    };
+}
+
+/**
+ * The address visitors reply to (and the calendar organizer) for a subject
+ */
+export function getTeamAddress(env, subject) {
+    return getLeadRoute(env, subject).to[0];
+}
+
+/**
+ * Parse and check LEAD_ROUTES
+ * Each route may set to, cc and priority; to and cc accept a list or a comma-separated string
+ */
+function parseRoutes(value) {
+    if (!value) return {};
+
+    try {
+        const parsed = JSON.parse(value);
+
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('expected an object keyed by subject');
+        }
+
+        return Object.fromEntries(Object.entries(parsed).map(([subject, route]) => {
+            const normalized = {};
+
+            if (route.to !== undefined) normalized.to = parseAddressList(route.to);
+            if (route.cc !== undefined) normalized.cc = parseAddressList(route.cc);
+
+            if (route.priority !== undefined) {
+                if (!LEAD_PRIORITIES.includes(route.priority)) {
+                    throw new Error(`"${subject}" priority must be one of: ${LEAD_PRIORITIES.join(', ')}`);
+                }
+                normalized.priority = route.priority;
+            }
+
+            return [subject, normalized];
+        }));
+    } catch (error) {
+        throw new Error(`Invalid LEAD_ROUTES: ${error.message}`);
+    }
+}
+
+/**
+ * "a@x.com, b@x.com" or ["a@x.com"] -> ["a@x.com", "b@x.com"]
+ */
+function parseAddressList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(address => String(address).trim()).filter(Boolean);
+}
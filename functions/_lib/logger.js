@@ -0,0 +1,114 @@
+/* ==========================================
+   STRUCTURED LOGGING
+   One JSON line per event, tagged with the request ID
+   and route set by functions/_middleware.js
+   Personal data is redacted before anything is written -
+   Workers Logs keeps every line (see [observability] in wrangler.toml)
+   ========================================== */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { sha256Hex } from './crypto.js';
+
+// Request ID, route and method for whatever is running now,
+// including work handed to waitUntil() (needs nodejs_compat)
+const requestScope = new AsyncLocalStorage();
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 5;
+
+// Visitor-supplied text and credentials - never logged
+const REDACTED_KEYS = new Set([
+    'name', 'firstname', 'lastname', 'displayname', 'phone', 'message', 'notes',
+    'quote', 'headline', 'address', 'ip', 'useragent', 'key', 'token',
+    'turnstiletoken', 'cf-turnstile-response', 'secret', 'password',
+    'authorization', 'cookie', 'signature', 'html', 'text', 'body'
+]);
+
+// Addresses are masked ("j***@example.com") so the domain is still useful
+const EMAIL_KEYS = /^(email|customeremail|to|cc|bcc|replyto|from)$/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Run a callback with request fields every log line should carry
+ * fields: { requestId, route, method } (or e.g. { sweepId } in a scheduled Worker)
+ */
+export function withRequestContext(fields, callback) {
+    return requestScope.run(fields, callback);
+}
+
+/**
+ * ID of the request being handled, or null outside one
+ * Sent to the browser so a report can be matched to the logs
+ */
+export function getRequestId() {
+    return requestScope.getStore()?.requestId || null;
+}
+
+/**
+ * Logger shared by every Function
+ * log.info('Consultation booked', { bookingId }) -
+ * error fields may be Error objects; only their name and message are kept
+ */
+export const log = {
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields)
+};
+
+/**
+ * Stable pseudonym for an email or other identifier
+ * Lets the logs show the same person came back without saying who
+ */
+export async function hashPii(value) {
+    const normalized = String(value || '').trim().toLowerCase();
+    return normalized ? (await sha256Hex(normalized)).substring(0, 16) : null;
+}
+
+/**
+ * Copy of a log value with personal data removed
+ */
+export function redact(value, key = '', depth = 0) {
+    if (value === null || value === undefined) return value;
+
+    const normalizedKey = String(key).toLowerCase();
+    if (REDACTED_KEYS.has(normalizedKey)) return REDACTED;
+
+    if (value instanceof Error) {
+        return { name: value.name, message: maskEmails(value.message) };
+    }
+
+    if (typeof value === 'string') {
+        return EMAIL_KEYS.test(normalizedKey) || value.includes('@') ? maskEmails(value) : value;
+    }
+
+    if (typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+function maskEmails(text) {
+    return String(text).replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+function write(level, event, fields) {
+    const entry = {
+        level: level,
+        event: event,
+        ...requestScope.getStore(),
+        ...redact(fields || {})
+    };
+    const line = JSON.stringify(entry);
+
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
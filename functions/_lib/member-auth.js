@@ -0,0 +1,150 @@
+/* ==========================================
+   MEMBER AUTHENTICATION
+   Passwordless magic-link sign-in with HttpOnly
+   session cookies for the /dashboard member area
+   Sign links with: wrangler secret put AUTH_SECRET
+   ========================================== */
+
+import { createJsonResponse, getCookie } from './http.js';
+import { hmacSha256Hex, timingSafeEqual, sha256Hex, randomToken } from './crypto.js';
+import {
+    insertLoginToken,
+    consumeLoginToken,
+    findOrCreateMember,
+    insertSession,
+    getActiveSession
+} from './members.js';
+import { getRequestLocale, translate } from './i18n.js';
+
+export const SESSION_COOKIE = 'pf_session';
+
+const DEFAULT_LOGIN_LINK_TTL_MINUTES = 15;
+const DEFAULT_SESSION_TTL_DAYS = 30;
+
+/**
+ * Create a one-time sign-in link for an email address
+ * The link carries a random token plus an HMAC over it, so forged
+ * links are rejected before the database is touched
+ */
+export async function createLoginLink(env, email, siteUrl) {
+    const secret = getAuthSecret(env);
+    const token = randomToken();
+    const ttlMinutes = parseInt(env.LOGIN_LINK_TTL_MINUTES, 10) || DEFAULT_LOGIN_LINK_TTL_MINUTES;
+
+    await insertLoginToken(env.DB, {
+        tokenHash: await sha256Hex(token),
+        email: email,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+    });
+
+    const signature = await hmacSha256Hex(secret, `login:${token}`);
+    return {
+        url: `${siteUrl}/api/auth/verify?token=${token}.${signature}`,
+        ttlMinutes: ttlMinutes
+    };
+}
+
+/**
+ * Check a link's signature without touching the database
+ * Returns the bare token, or null when the link was forged or mangled
+ */
+export async function verifyLoginLink(env, signedToken) {
+    const [token, signature] = String(signedToken || '').split('.');
+    if (!token || !signature) return null;
+
+    const expected = await hmacSha256Hex(getAuthSecret(env), `login:${token}`);
+    return timingSafeEqual(signature, expected) ? token : null;
+}
+
+/**
+ * Check a link's signature and use up its token
+ * Returns the email it was issued for, or null
+ */
+export async function redeemLoginLink(env, signedToken) {
+    const token = await verifyLoginLink(env, signedToken);
+    if (!token) return null;
+
+    return await consumeLoginToken(env.DB, await sha256Hex(token));
+}
+
+/**
+ * Start a session for an email address
+ * Returns { member, cookie } - send cookie as a Set-Cookie header
+ */
+export async function startSession(request, env, email) {
+    const member = await findOrCreateMember(env.DB, email);
+    const sessionId = randomToken();
+    const ttlDays = parseInt(env.SESSION_TTL_DAYS, 10) || DEFAULT_SESSION_TTL_DAYS;
+
+    await insertSession(env.DB, {
+        idHash: await sha256Hex(sessionId),
+        memberId: member.id,
+        userAgent: (request.headers.get('user-agent') || '').substring(0, 500),
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    return {
+        member: member,
+        cookie: buildSessionCookie(request, sessionId, ttlDays * 24 * 60 * 60)
+    };
+}
+
+/**
+ * Resolve the signed-in member from the session cookie
+ * Returns { member: { id, email }, sessionHash } or null
+ */
+export async function getMemberSession(request, env) {
+    const sessionId = getCookie(request, SESSION_COOKIE);
+    if (!sessionId) return null;
+
+    const sessionHash = await sha256Hex(sessionId);
+    const row = await getActiveSession(env.DB, sessionHash);
+    if (!row) return null;
+
+    return {
+        member: { id: row.member_id, email: row.email },
+        sessionHash: sessionHash
+    };
+}
+
+/**
+ * Require a signed-in member
+ * Returns { session } when signed in, otherwise { response } with a 401 to send back
+ */
+export async function requireMember(request, env) {
+    const session = await getMemberSession(request, env);
+
+    if (!session) {
+        return {
+            response: createJsonResponse({
+                success: false,
+                message: translate(getRequestLocale(request), 'member.signInRequired')
+            }, 401, { 'Set-Cookie': clearSessionCookie(request) })
+        };
+    }
+
+    return { session };
+}
+
+/**
+ * Set-Cookie value that removes the session cookie
+ */
+export function clearSessionCookie(request) {
+    return buildSessionCookie(request, '', 0);
+}
+
+function buildSessionCookie(request, value, maxAge) {
+    // Secure cookies aren't stored over plain http (wrangler pages dev)
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+/**
+ * Secret for signed links (sign-in, newsletter confirm/unsubscribe)
+ */
+export function getAuthSecret(env) {
+    if (!env.AUTH_SECRET) {
+        throw new Error('AUTH_SECRET environment variable is not set');
+    }
+    return env.AUTH_SECRET;
+}
@@ -0,0 +1,116 @@
+/* ==========================================
+   MEMBER STORE
+   D1 persistence for member accounts, magic-link
+   tokens and sessions
+   Schema: migrations/0006_create_members.sql
+   ========================================== */
+
+/**
+ * Store a login token hash
+ */
+export async function insertLoginToken(db, { tokenHash, email, expiresAt }) {
+    await db.prepare(
+        'INSERT INTO login_tokens (token_hash, email, created_at, expires_at) VALUES (?, ?, ?, ?)'
+    ).bind(tokenHash, email, new Date().toISOString(), expiresAt).run();
+}
+
+/**
+ * Mark a login token used and return its email
+ * The conditional update makes this single-use even under concurrent clicks;
+ * returns null for unknown, expired or already-used tokens
+ */
+export async function consumeLoginToken(db, tokenHash) {
+    const now = new Date().toISOString();
+
+    const result = await db.prepare(
+        'UPDATE login_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?'
+    ).bind(now, tokenHash, now).run();
+
+    if (result.meta.changes === 0) return null;
+
+    return await db.prepare('SELECT email FROM login_tokens WHERE token_hash = ?')
+        .bind(tokenHash)
+        .first('email');
+}
+
+/**
+ * Find the member for an email, creating the account on first sign-in
+ */
+export async function findOrCreateMember(db, email) {
+    const now = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO members (email, created_at, last_login_at) VALUES (?1, ?2, ?2)
+        ON CONFLICT (email) DO UPDATE SET last_login_at = ?2
+    `).bind(email, now).run();
+
+    return await db.prepare('SELECT * FROM members WHERE email = ?')
+        .bind(email)
+        .first();
+}
+
+/**
+ * Find the member for an email, creating an account that hasn't signed in yet
+ * Used when a coach sets someone up before their first login
+ */
+export async function ensureMember(db, email) {
+    await db.prepare('INSERT INTO members (email, created_at) VALUES (?, ?) ON CONFLICT (email) DO NOTHING')
+        .bind(email, new Date().toISOString())
+        .run();
+
+    return await db.prepare('SELECT * FROM members WHERE email = ?')
+        .bind(email)
+        .first();
+}
+
+/**
+ * Store a new session
+ */
+export async function insertSession(db, { idHash, memberId, userAgent, expiresAt }) {
+    await db.prepare(
+        'INSERT INTO sessions (id_hash, member_id, user_agent, created_at, expires_at) VALUES (?, ?, ?, ?, ?)'
+    ).bind(idHash, memberId, userAgent || null, new Date().toISOString(), expiresAt).run();
+}
+
+/**
+ * Look up a live (unexpired, unrevoked) session with its member
+ */
+export async function getActiveSession(db, idHash) {
+    return await db.prepare(`
+        SELECT sessions.id_hash, sessions.expires_at, members.id AS member_id, members.email
+        FROM sessions
+        JOIN members ON members.id = sessions.member_id
+        WHERE sessions.id_hash = ? AND sessions.revoked_at IS NULL AND sessions.expires_at > ?
+    `).bind(idHash, new Date().toISOString()).first();
+}
+
+/**
+ * Revoke one session
+ */
+export async function revokeSession(db, idHash) {
+    await db.prepare('UPDATE sessions SET revoked_at = ? WHERE id_hash = ? AND revoked_at IS NULL')
+        .bind(new Date().toISOString(), idHash)
+        .run();
+}
+
+/**
+ * Revoke every session a member has (sign out everywhere)
+ */
+export async function revokeMemberSessions(db, memberId) {
+    await db.prepare('UPDATE sessions SET revoked_at = ? WHERE member_id = ? AND revoked_at IS NULL')
+        .bind(new Date().toISOString(), memberId)
+        .run();
+}
+
+/**
+ * Most relevant subscription for a member's email:
+ * an active one if any, otherwise the most recently updated
+ */
+export async function getMemberSubscription(db, email) {
+    return await db.prepare(`
+        SELECT * FROM subscriptions
+        WHERE email = ? COLLATE NOCASE
+        ORDER BY (status = 'active') DESC, updated_at DESC
+        LIMIT 1
+    `).bind(email).first();
+}
@@ -0,0 +1,141 @@
+/* ==========================================
+   NEWSLETTER
+   Double opt-in subscribers, signed confirm/unsubscribe
+   links and the List-Unsubscribe headers for mailings
+   Schema: migrations/0010_create_newsletter_subscribers.sql
+   ========================================== */
+
+import { hmacSha256Hex, timingSafeEqual } from './crypto.js';
+import { getAuthSecret } from './member-auth.js';
+
+const DEFAULT_CONFIRM_TTL_HOURS = 72;
+
+/**
+ * Record a signup as pending, or refresh a pending/unsubscribed one
+ * Confirmed subscribers are left as they are
+ * Returns the subscriber row
+ */
+export async function savePendingSubscriber(db, { email, source }) {
+    const now = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO newsletter_subscribers (email, status, source, created_at, requested_at)
+        VALUES (?1, 'pending', ?2, ?3, ?3)
+        ON CONFLICT (email) DO UPDATE SET
+            status = CASE WHEN status = 'confirmed' THEN status ELSE 'pending' END,
+            source = CASE WHEN status = 'confirmed' THEN source ELSE ?2 END,
+            requested_at = CASE WHEN status = 'confirmed' THEN requested_at ELSE ?3 END
+    `).bind(email, source || null, now).run();
+
+    return await db.prepare('SELECT * FROM newsletter_subscribers WHERE email = ?')
+        .bind(email)
+        .first();
+}
+
+/**
+ * Confirm a pending subscriber
+ * Returns 'confirmed', 'already_confirmed' or null when there is nothing
+ * to confirm (unknown address, or unsubscribed since the link was sent)
+ */
+export async function confirmSubscriber(db, email) {
+    const result = await db.prepare(`
+        UPDATE newsletter_subscribers SET status = 'confirmed', confirmed_at = ?
+        WHERE email = ? AND status = 'pending'
+    `).bind(new Date().toISOString(), email).run();
+
+    if (result.meta.changes > 0) return 'confirmed';
+
+    const status = await db.prepare('SELECT status FROM newsletter_subscribers WHERE email = ?')
+        .bind(email)
+        .first('status');
+
+    return status === 'confirmed' ? 'already_confirmed' : null;
+}
+
+/**
+ * Unsubscribe an address - safe to repeat
+ * Returns true if the address is on the list
+ */
+export async function unsubscribeSubscriber(db, email) {
+    await db.prepare(`
+        UPDATE newsletter_subscribers SET status = 'unsubscribed', unsubscribed_at = ?
+        WHERE email = ? AND status != 'unsubscribed'
+    `).bind(new Date().toISOString(), email).run();
+
+    const status = await db.prepare('SELECT status FROM newsletter_subscribers WHERE email = ?')
+        .bind(email)
+        .first('status');
+
+    return status === 'unsubscribed';
+}
+
+/**
+ * Signed link to confirm a signup, valid for NEWSLETTER_CONFIRM_TTL_HOURS
+ */
+export async function createConfirmUrl(env, email, siteUrl) {
+    const ttlHours = parseInt(env.NEWSLETTER_CONFIRM_TTL_HOURS, 10) || DEFAULT_CONFIRM_TTL_HOURS;
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlHours * 60 * 60;
+
+    return {
+        url: `${siteUrl}/api/newsletter/confirm?token=${await signToken(env, 'confirm', email, expiresAt)}`,
+        ttlHours: ttlHours
+    };
+}
+
+/**
+ * Signed unsubscribe link - never expires, so old emails keep working
+ */
+export async function createUnsubscribeUrl(env, email, siteUrl) {
+    return `${siteUrl}/api/newsletter/unsubscribe?token=${await signToken(env, 'unsubscribe', email, 0)}`;
+}
+
+/**
+ * Check a confirm or unsubscribe token
+ * Returns the email address it was issued for, or null
+ */
+export async function verifyToken(env, action, token) {
+    const [encodedEmail, expiresAt, signature] = String(token || '').split('.');
+    if (!encodedEmail || !expiresAt || !signature) return null;
+
+    let email;
+    try {
+        email = fromBase64Url(encodedEmail);
+    } catch (error) {
+        return null;
+    }
+
+    const expected = await hmacSha256Hex(getAuthSecret(env), `newsletter:${action}:${email}:${expiresAt}`);
+    if (!timingSafeEqual(signature, expected)) return null;
+
+    const expiry = parseInt(expiresAt, 10);
+    if (expiry !== 0 && expiry < Date.now() / 1000) return null;
+
+    return email;
+}
+
+/**
+ * Headers for every newsletter mailing so mail clients show an
+ * unsubscribe button that POSTs straight to us (RFC 8058)
+ */
+export async function getListUnsubscribeHeaders(env, email, siteUrl) {
+    return {
+        'List-Unsubscribe': `<${await createUnsubscribeUrl(env, email, siteUrl)}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+}
+
+async function signToken(env, action, email, expiresAt) {
+    const signature = await hmacSha256Hex(getAuthSecret(env), `newsletter:${action}:${email}:${expiresAt}`);
+    return `${toBase64Url(email)}.${expiresAt}.${signature}`;
+}
+
+function toBase64Url(value) {
+    let binary = '';
+    new TextEncoder().encode(value).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
@@ -0,0 +1,206 @@
+/* ==========================================
+   NUTRITION TARGETS
+   BMR, TDEE and daily macro targets for the
+   nutrition intake questionnaire (/api/intake)
+   ========================================== */
+
+import { translate } from './i18n.js';
+
+// Option labels are English; other locales are nutrition.* in public/i18n.js
+
+/**
+ * Activity multipliers applied to BMR (standard Harris-Benedict factors)
+ */
+export const ACTIVITY_LEVELS = {
+    sedentary: { label: 'Sedentary (desk job, little exercise)', multiplier: 1.2 },
+    light: { label: 'Lightly active (exercise 1-3 days/week)', multiplier: 1.375 },
+    moderate: { label: 'Moderately active (exercise 3-5 days/week)', multiplier: 1.55 },
+    active: { label: 'Very active (hard exercise 6-7 days/week)', multiplier: 1.725 },
+    athlete: { label: 'Extremely active (physical job or twice-daily training)', multiplier: 1.9 }
+};
+
+/**
+ * Goals: calorie adjustment from TDEE and protein per kg of body weight
+ */
+export const GOALS = {
+    lose: { label: 'Lose fat', calorieAdjustment: -0.2, proteinPerKg: 2.0 },
+    maintain: { label: 'Maintain and recomp', calorieAdjustment: 0, proteinPerKg: 1.6 },
+    gain: { label: 'Build muscle', calorieAdjustment: 0.1, proteinPerKg: 1.8 }
+};
+
+export const SEXES = {
+    male: { label: 'Male', bmrConstant: 5 },
+    female: { label: 'Female', bmrConstant: -161 },
+    // Midpoint of the two constants for people who'd rather not say
+    unspecified: { label: 'Prefer not to say', bmrConstant: -78 }
+};
+
+export const DIETARY_RESTRICTIONS = {
+    vegetarian: 'Vegetarian',
+    vegan: 'Vegan',
+    pescatarian: 'Pescatarian',
+    gluten_free: 'Gluten-free',
+    dairy_free: 'Dairy-free',
+    nut_allergy: 'Nut allergy',
+    halal: 'Halal',
+    kosher: 'Kosher'
+};
+
+const FAT_SHARE = 0.25;
+const MIN_CALORIES = { male: 1500, female: 1200, unspecified: 1200 };
+
+/**
+ * Daily targets from the Mifflin-St Jeor equation
+ *
+ *   BMR  = 10 x weight (kg) + 6.25 x height (cm) - 5 x age + s
+ *          s = +5 (male), -161 (female), -78 (unspecified)
+ *   TDEE = BMR x activity multiplier
+ *   kcal = TDEE x (1 + goal adjustment), never below 1200 (1500 for men)
+ *
+ *   protein = goal g/kg x body weight                  (4 kcal/g)
+ *   fat     = 25% of calories                          (9 kcal/g)
+ *   carbs   = whatever calories remain, at least 0     (4 kcal/g)
+ *
+ * input: { sex, age, heightCm, weightKg, activityLevel, goal }
+ * Returns { bmr, tdee, calories, proteinGrams, fatGrams, carbGrams } rounded to whole numbers
+ */
+export function calculateTargets({ sex, age, heightCm, weightKg, activityLevel, goal }) {
+    const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + SEXES[sex].bmrConstant;
+    const tdee = bmr * ACTIVITY_LEVELS[activityLevel].multiplier;
+    const calories = Math.max(tdee * (1 + GOALS[goal].calorieAdjustment), MIN_CALORIES[sex]);
+
+    const proteinGrams = GOALS[goal].proteinPerKg * weightKg;
+    const fatGrams = calories * FAT_SHARE / 9;
+    const carbGrams = Math.max((calories - proteinGrams * 4 - fatGrams * 9) / 4, 0);
+
+    return {
+        bmr: Math.round(bmr),
+        tdee: Math.round(tdee),
+        calories: Math.round(calories),
+        proteinGrams: Math.round(proteinGrams),
+        fatGrams: Math.round(fatGrams),
+        carbGrams: Math.round(carbGrams)
+    };
+}
+
+/**
+ * Check questionnaire answers and convert them to metric
+ * Height comes as heightCm, or heightFeet + heightInches; weight in weightUnit (lb | kg)
+ * Returns { intake, errors } - errors in the given locale
+ */
+export function validateIntake(data, locale) {
+    const errors = [];
+
+    const sex = String(data.sex || '').trim();
+    if (!Object.prototype.hasOwnProperty.call(SEXES, sex)) {
+        errors.push(translate(locale, 'intake.invalidSex'));
+    }
+
+    const age = Number(data.age);
+    if (!Number.isInteger(age) || age < 18 || age > 100) {
+        errors.push(translate(locale, 'intake.invalidAge'));
+    }
+
+    const heightUnit = String(data.heightUnit || 'in').trim();
+    const heightCm = heightUnit === 'cm'
+        ? Number(data.heightCm)
+        : (Number(data.heightFeet || 0) * 12 + Number(data.heightInches || 0)) * 2.54;
+    if (!['in', 'cm'].includes(heightUnit) || !Number.isFinite(heightCm) || heightCm < 120 || heightCm > 250) {
+        errors.push(translate(locale, 'intake.invalidHeight'));
+    }
+
+    const weightUnit = String(data.weightUnit || 'lb').trim();
+    const weight = Number(data.weight);
+    const weightKg = weightUnit === 'kg' ? weight : weight * 0.45359237;
+    if (!['lb', 'kg'].includes(weightUnit) || !Number.isFinite(weightKg) || weightKg < 30 || weightKg > 300) {
+        errors.push(translate(locale, 'intake.invalidWeight'));
+    }
+
+    const activityLevel = String(data.activityLevel || '').trim();
+    if (!Object.prototype.hasOwnProperty.call(ACTIVITY_LEVELS, activityLevel)) {
+        errors.push(translate(locale, 'intake.invalidActivity'));
+    }
+
+    const goal = String(data.goal || '').trim();
+    if (!Object.prototype.hasOwnProperty.call(GOALS, goal)) {
+        errors.push(translate(locale, 'intake.invalidGoal'));
+    }
+
+    // Checkbox groups arrive as an array (JSON) or a comma-separated string
+    const restrictions = (Array.isArray(data.restrictions) ? data.restrictions : String(data.restrictions || '').split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+    if (restrictions.some(value => !Object.prototype.hasOwnProperty.call(DIETARY_RESTRICTIONS, value))) {
+        errors.push(translate(locale, 'intake.invalidRestriction'));
+    }
+
+    return {
+        intake: {
+            sex: sex,
+            age: age,
+            heightCm: Math.round(heightCm * 10) / 10,
+            weightKg: Math.round(weightKg * 10) / 10,
+            activityLevel: activityLevel,
+            goal: goal,
+            restrictions: [...new Set(restrictions)]
+        },
+        errors: errors
+    };
+}
+
+/**
+ * Store an intake with its computed targets
+ * Schema: migrations/0009_create_nutrition_intakes.sql
+ * Returns the new row id
+ */
+export async function insertIntake(db, data) {
+    const result = await db.prepare(`
+        INSERT INTO nutrition_intakes (
+            name, email, sex, age, height_cm, weight_kg, activity_level, goal,
+            restrictions, notes, bmr, tdee, calories, protein_g, fat_g, carb_g, submitted_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        data.name,
+        data.email,
+        data.intake.sex,
+        data.intake.age,
+        data.intake.heightCm,
+        data.intake.weightKg,
+        data.intake.activityLevel,
+        data.intake.goal,
+        JSON.stringify(data.intake.restrictions),
+        data.notes || null,
+        data.targets.bmr,
+        data.targets.tdee,
+        data.targets.calories,
+        data.targets.proteinGrams,
+        data.targets.fatGrams,
+        data.targets.carbGrams,
+        data.submittedAt
+    ).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * List intakes for the coach, newest first
+ */
+export async function listIntakes(db, { page = 1, pageSize = 25 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+
+    const total = await db.prepare('SELECT COUNT(*) AS count FROM nutrition_intakes').first('count');
+
+    const { results } = await db.prepare(`
+        SELECT * FROM nutrition_intakes
+        ORDER BY submitted_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `).bind(size, (current - 1) * size).all();
+
+    return {
+        intakes: (results || []).map(row => ({ ...row, restrictions: JSON.parse(row.restrictions || '[]') })),
+        total: total || 0,
+        page: current,
+        pageSize: size
+    };
+}
@@ -0,0 +1,144 @@
+/* ==========================================
+   EMAIL OUTBOX
+   Durable retry queue for emails that failed to send
+   Schema: migrations/0003_create_email_outbox.sql
+   Swept on a schedule by workers/email-outbox - one sweeper
+   per environment, each on that environment's database
+   ========================================== */
+
+import { sendEmail, applyEmailSandbox } from './email.js';
+import { updateSubmissionEmailStatus } from './submissions.js';
+import { log } from './logger.js';
+
+export const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60 * 1000;           // 1 minute
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;   // 6 hours
+const CLAIM_LEASE_MS = 5 * 60 * 1000;      // hide a row from other sweeps while sending
+
+/**
+ * Put an email on the outbox with its payload intact
+ * The sandbox is applied before storing, so a retry sends exactly
+ * what the first attempt would have
+ * attempts: how many sends were already tried before enqueueing
+ * Returns the outbox id, or null when the sandbox dropped the message
+ */
+export async function enqueueEmail(env, kind, message, { submissionId = null, attempts = 1, lastError = null } = {}) {
+    const payload = applyEmailSandbox(message, env);
+
+    if (!payload) {
+        log.info('Email sandbox - message not queued', { kind: kind });
+        return null;
+    }
+
+    const now = new Date();
+
+    const result = await env.DB.prepare(`
+        INSERT INTO email_outbox (kind, submission_id, payload, attempts, next_attempt_at, last_error, created_at, updated_at)
+        VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7)
+    `).bind(
+        kind,
+        submissionId,
+        JSON.stringify(payload),
+        attempts,
+        getNextAttemptAt(now, attempts).toISOString(),
+        lastError,
+        now.toISOString()
+    ).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * Retry every due email once
+ * Returns counts of sent, retried and dead-lettered emails
+ */
+export async function deliverOutbox(env, { limit = 25 } = {}) {
+    const db = env.DB;
+    const now = new Date();
+    const summary = { sent: 0, retried: 0, dead: 0 };
+
+    const { results } = await db.prepare(`
+        SELECT * FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+    `).bind(now.toISOString(), limit).all();
+
+    for (const entry of results) {
+        if (!(await claimEntry(db, entry, now))) continue;
+
+        const attempts = entry.attempts + 1;
+
+        try {
+            const result = await sendEmail(JSON.parse(entry.payload), env);
+
+            await db.prepare(`
+                UPDATE email_outbox
+                SET status = 'sent', attempts = ?, sent_at = ?, updated_at = ?, last_error = NULL
+                WHERE id = ?
+            `).bind(attempts, new Date().toISOString(), new Date().toISOString(), entry.id).run();
+
+            if (entry.submission_id) {
+                await updateSubmissionEmailStatus(db, entry.submission_id, 'sent', result.id);
+            }
+
+            summary.sent++;
+
+        } catch (error) {
+            const isDead = attempts >= MAX_ATTEMPTS;
+
+            await db.prepare(`
+                UPDATE email_outbox
+                SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ?
+                WHERE id = ?
+            `).bind(
+                isDead ? 'dead' : 'pending',
+                attempts,
+                getNextAttemptAt(new Date(), attempts).toISOString(),
+                String(error.message).substring(0, 1000),
+                new Date().toISOString(),
+                entry.id
+            ).run();
+
+            if (isDead) {
+                log.error('Outbox email dead-lettered', { id: entry.id, kind: entry.kind, attempts });
+
+                if (entry.submission_id) {
+                    await updateSubmissionEmailStatus(db, entry.submission_id, 'failed');
+                }
+
+                summary.dead++;
+            } else {
+                log.warn('Outbox email retry failed', { id: entry.id, kind: entry.kind, attempts, error: error.message });
+                summary.retried++;
+            }
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Exponential backoff: 1m, 2m, 4m, ... capped at 6h
+ */
+export function getNextAttemptAt(from, attempts) {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+    return new Date(from.getTime() + delay);
+}
+
+/**
+ * Push the row's next_attempt_at forward so overlapping sweeps skip it
+ * Returns false if another sweep claimed it first
+ */
+async function claimEntry(db, entry, now) {
+    const result = await db.prepare(`
+        UPDATE email_outbox SET next_attempt_at = ?
+        WHERE id = ? AND status = 'pending' AND next_attempt_at = ?
+    `).bind(
+        new Date(now.getTime() + CLAIM_LEASE_MS).toISOString(),
+        entry.id,
+        entry.next_attempt_at
+    ).run();
+
+    return result.meta.changes > 0;
+}
@@ -0,0 +1,215 @@
+/* ==========================================
+   PLAN CATALOG
+   Single source of truth for plan pricing and content
+   Served by /api/plans and used by checkout -
+   never trust prices sent by the browser
+   ========================================== */
+
+import { translateLabel } from './i18n.js';
+
+/**
+ * Rows of the "Compare Plans" table, in display order
+ * Each plan provides a value for every key in its `compare` map
+ */
+export const COMPARE_ROWS = [
+    { key: 'workoutProgram', label: 'Custom Workout Program' },
+    { key: 'mealPlans', label: 'Personalized Meal Plans' },
+    { key: 'videoCalls', label: '1-on-1 Video Calls' },
+    { key: 'inPerson', label: 'In-Person Training' },
+    { key: 'supportResponse', label: 'Support Response Time' },
+    { key: 'progressTracking', label: 'Progress Tracking' },
+    { key: 'community', label: 'Private Community' }
+];
+
+/**
+ * Available coaching plans
+ * price is in whole dollars, currency is an ISO 4217 code
+ * checkInDays is how often a coach checks in (member dashboard)
+ */
+export const PLANS = [
+    {
+        id: 'starter',
+        name: 'Starter Plan',
+        title: 'Starter',
+        shortName: 'Starter',
+        description: 'Perfect for beginners looking to build a foundation',
+        price: 97,
+        currency: 'usd',
+        interval: 'month',
+        checkInDays: 30,
+        featured: false,
+        badge: null,
+        cta: { label: 'Get Started', style: 'primary' },
+        note: 'No contracts • Cancel anytime',
+        features: [
+            'Custom workout program',
+            'Basic nutrition guidelines',
+            'Monthly progress check-ins',
+            'Email support (48hr response)',
+            'Exercise video library access',
+            'Mobile app access'
+        ],
+        compare: {
+            workoutProgram: '✓',
+            mealPlans: 'Basic',
+            videoCalls: '—',
+            inPerson: '—',
+            supportResponse: '48hr',
+            progressTracking: 'Monthly',
+            community: '—'
+        }
+    },
+    {
+        id: 'premium',
+        name: 'Premium Plan',
+        title: 'Premium',
+        shortName: 'Premium',
+        description: 'For serious individuals ready for transformation',
+        price: 197,
+        currency: 'usd',
+        interval: 'month',
+        checkInDays: 7,
+        featured: true,
+        badge: { label: 'MOST POPULAR', variant: 'default' },
+        cta: { label: 'Get Started', style: 'primary' },
+        note: 'No contracts • Cancel anytime',
+        features: [
+            'Everything in Starter, plus:',
+            'Personalized meal plans',
+            'Bi-weekly 1-on-1 video calls',
+            'Weekly progress tracking',
+            'Priority email support (24hr)',
+            'Custom supplement recommendations',
+            'Workout adjustments anytime',
+            'Private community access'
+        ],
+        compare: {
+            workoutProgram: '✓',
+            mealPlans: '✓',
+            videoCalls: 'Bi-weekly',
+            inPerson: '—',
+            supportResponse: '24hr',
+            progressTracking: 'Weekly',
+            community: '✓'
+        }
+    },
+    {
+        id: 'elite',
+        name: 'Elite Plan',
+        title: 'Elite',
+        shortName: 'Elite',
+        description: 'Maximum results with full concierge service',
+        price: 397,
+        currency: 'usd',
+        interval: 'month',
+        checkInDays: 1,
+        featured: false,
+        badge: null,
+        cta: { label: 'Get Started', style: 'primary' },
+        note: 'No contracts • Cancel anytime',
+        features: [
+            'Everything in Premium, plus:',
+            'Weekly 1-on-1 video coaching',
+            'Daily check-ins & accountability',
+            'Advanced body composition tracking',
+            'Direct WhatsApp/SMS access',
+            'Competition prep (if desired)',
+            'Lifestyle & mindset coaching',
+            'Priority support 24/7'
+        ],
+        compare: {
+            workoutProgram: '✓',
+            mealPlans: '✓',
+            videoCalls: 'Weekly',
+            inPerson: '—',
+            supportResponse: 'Same day',
+            progressTracking: 'Daily',
+            community: '✓'
+        }
+    },
+    {
+        id: 'vip',
+        name: 'VIP Transformation Plan',
+        title: 'VIP Transformation',
+        shortName: 'VIP',
+        description: 'Ultimate transformation with in-person training',
+        price: 797,
+        currency: 'usd',
+        interval: 'month',
+        checkInDays: 1,
+        featured: false,
+        badge: { label: 'VIP', variant: 'primary' },
+        cta: { label: 'Apply Now', style: 'secondary' },
+        note: 'Limited availability • Application required',
+        features: [
+            'Everything in Elite, plus:',
+            '4x in-person training sessions/month',
+            'Unlimited messaging access',
+            'Custom supplement protocol',
+            'Home workout equipment setup',
+            'Quarterly body assessments',
+            'Photoshoot preparation (optional)',
+            'Lifetime program access'
+        ],
+        compare: {
+            workoutProgram: '✓',
+            mealPlans: '✓',
+            videoCalls: 'Weekly',
+            inPerson: '4x/month',
+            supportResponse: 'Unlimited',
+            progressTracking: 'Daily+',
+            community: '✓'
+        }
+    }
+];
+
+/**
+ * Look up a plan by its id
+ * Returns null for unknown plans
+ */
+export function getPlan(planId) {
+    if (typeof planId !== 'string') return null;
+    return PLANS.find(plan => plan.id === planId.trim().toLowerCase()) || null;
+}
+
+/**
+ * A plan's display name in the given locale, e.g. "Plan Premium"
+ */
+export function getPlanName(plan, locale) {
+    return translateLabel(locale, `planCatalog.${plan.id}.name`, plan.name);
+}
+
+/**
+ * Convert a plan price to the smallest currency unit (cents)
+ */
+export function getPlanAmount(plan) {
+    return Math.round(plan.price * 100);
+}
+
+/**
+ * PLANS and COMPARE_ROWS with their display text in the given locale
+ * Other locales' text is in the shared catalog under planCatalog.* -
+ * ids, prices and check-in cadence always come from PLANS
+ * Falls back to English for locales (or strings) without a translation
+ */
+export function getLocalizedCatalog(locale) {
+    const label = (key, english) => translateLabel(locale, `planCatalog.${key}`, english);
+
+    return {
+        plans: PLANS.map(plan => ({
+            ...plan,
+            name: label(`${plan.id}.name`, plan.name),
+            title: label(`${plan.id}.title`, plan.title),
+            description: label(`${plan.id}.description`, plan.description),
+            badge: plan.badge ? { ...plan.badge, label: label(`${plan.id}.badge`, plan.badge.label) } : plan.badge,
+            cta: { ...plan.cta, label: label(`${plan.id}.cta`, plan.cta.label) },
+            note: label(`${plan.id}.note`, plan.note),
+            features: plan.features.map((feature, index) => label(`${plan.id}.features.${index}`, feature)),
+            compare: Object.fromEntries(Object.entries(plan.compare).map(([key, value]) => [key, label(`${plan.id}.compare.${key}`, value)]))
+        })),
+        compareRows: COMPARE_ROWS.map(row => ({
+            ...row,
+            label: label(`compare.${row.key}`, row.label)
+        }))
+    };
+}
@@ -0,0 +1,326 @@
+/* ==========================================
+   WORKOUT PROGRAM STORE
+   Coach-built programs, member assignments and
+   completed sets for the dashboard
+   Schema: migrations/0008_create_programs.sql
+   ========================================== */
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const LIMITS = {
+    weeks: 52,
+    exercisesPerDay: 30,
+    setsPerExercise: 20,
+    restSeconds: 900
+};
+
+/**
+ * Check a program submitted by a coach
+ * Returns { program: { title, description, weeks }, errors }
+ *
+ * weeks: [{
+ *   notes?,
+ *   days: [{
+ *     weekday: 'monday'..'sunday', title?, notes?,
+ *     exercises: [{ name, sets, reps, load?, restSeconds?, notes? }]
+ *   }]
+ * }]
+ */
+export function validateProgram(data) {
+    const errors = [];
+
+    const title = cleanText(data.title, 120);
+    if (!title) errors.push('Title is required');
+
+    const weeks = Array.isArray(data.weeks) ? data.weeks : [];
+    if (weeks.length === 0) {
+        errors.push('A program needs at least one week');
+    } else if (weeks.length > LIMITS.weeks) {
+        errors.push(`A program can have at most ${LIMITS.weeks} weeks`);
+    }
+
+    const program = {
+        title: title,
+        description: cleanText(data.description, 2000),
+        weeks: weeks.slice(0, LIMITS.weeks).map((week, weekIndex) => {
+            return validateWeek(week, `Week ${weekIndex + 1}`, errors);
+        })
+    };
+
+    return { program, errors };
+}
+
+function validateWeek(week, label, errors) {
+    const days = Array.isArray(week?.days) ? week.days : [];
+    if (days.length === 0) {
+        errors.push(`${label}: add at least one training day`);
+    }
+
+    const seen = new Set();
+    const cleanDays = days.slice(0, WEEKDAYS.length).map((day, dayIndex) => {
+        const dayLabel = `${label}, day ${dayIndex + 1}`;
+        const weekday = String(day?.weekday || '').trim().toLowerCase();
+
+        if (!WEEKDAYS.includes(weekday)) {
+            errors.push(`${dayLabel}: weekday must be one of ${WEEKDAYS.join(', ')}`);
+        } else if (seen.has(weekday)) {
+            errors.push(`${dayLabel}: ${weekday} is already used in this week`);
+        }
+        seen.add(weekday);
+
+        const exercises = Array.isArray(day?.exercises) ? day.exercises : [];
+        if (exercises.length === 0) {
+            errors.push(`${dayLabel}: add at least one exercise`);
+        } else if (exercises.length > LIMITS.exercisesPerDay) {
+            errors.push(`${dayLabel}: at most ${LIMITS.exercisesPerDay} exercises per day`);
+        }
+
+        return {
+            weekday: weekday,
+            title: cleanText(day?.title, 120),
+            notes: cleanText(day?.notes, 1000),
+            exercises: exercises.slice(0, LIMITS.exercisesPerDay).map((exercise, exerciseIndex) => {
+                return validateExercise(exercise, `${dayLabel}, exercise ${exerciseIndex + 1}`, errors);
+            })
+        };
+    });
+
+    // Keep the days in calendar order so "today" lookups and printouts agree
+    cleanDays.sort((a, b) => WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday));
+
+    return {
+        notes: cleanText(week?.notes, 1000),
+        days: cleanDays
+    };
+}
+
+function validateExercise(exercise, label, errors) {
+    const name = cleanText(exercise?.name, 120);
+    if (!name) errors.push(`${label}: name is required`);
+
+    const sets = Number(exercise?.sets);
+    if (!Number.isInteger(sets) || sets < 1 || sets > LIMITS.setsPerExercise) {
+        errors.push(`${label}: sets must be a whole number from 1 to ${LIMITS.setsPerExercise}`);
+    }
+
+    // Reps and load stay free text - coaches write "8-10", "AMRAP", "RPE 8", "bodyweight"
+    const reps = cleanText(exercise?.reps, 30);
+    if (!reps) errors.push(`${label}: reps are required`);
+
+    let restSeconds = null;
+    if (exercise?.restSeconds !== undefined && exercise?.restSeconds !== null && exercise?.restSeconds !== '') {
+        restSeconds = Number(exercise.restSeconds);
+        if (!Number.isInteger(restSeconds) || restSeconds < 0 || restSeconds > LIMITS.restSeconds) {
+            errors.push(`${label}: rest must be 0 to ${LIMITS.restSeconds} seconds`);
+        }
+    }
+
+    return {
+        name: name,
+        sets: sets,
+        reps: reps,
+        load: cleanText(exercise?.load, 60),
+        restSeconds: restSeconds,
+        notes: cleanText(exercise?.notes, 500)
+    };
+}
+
+function cleanText(value, maxLength) {
+    const text = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+    return text ? text.substring(0, maxLength) : null;
+}
+
+/**
+ * Store a new program
+ * Returns the new row id
+ */
+export async function insertProgram(db, program) {
+    const now = new Date().toISOString();
+
+    const result = await db.prepare(
+        'INSERT INTO programs (title, description, weeks, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+    ).bind(program.title, program.description, JSON.stringify(program.weeks), now, now).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * Replace a program's content
+ * Completed sets are stored by position, so coaches should only append to
+ * or tweak a program that's already in use, not reorder it
+ * Returns false when the program doesn't exist
+ */
+export async function updateProgram(db, id, program) {
+    const result = await db.prepare(
+        'UPDATE programs SET title = ?, description = ?, weeks = ?, updated_at = ? WHERE id = ?'
+    ).bind(program.title, program.description, JSON.stringify(program.weeks), new Date().toISOString(), id).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Load a program with its weeks parsed, or null
+ */
+export async function getProgram(db, id) {
+    const row = await db.prepare('SELECT * FROM programs WHERE id = ?').bind(id).first();
+    return row ? parseProgramRow(row) : null;
+}
+
+/**
+ * Program summaries, newest first, with how many members follow each
+ */
+export async function listPrograms(db) {
+    const { results } = await db.prepare(`
+        SELECT programs.id, programs.title, programs.description, programs.weeks,
+            programs.created_at, programs.updated_at,
+            COUNT(program_assignments.id) AS active_assignments
+        FROM programs
+        LEFT JOIN program_assignments
+            ON program_assignments.program_id = programs.id AND program_assignments.ended_at IS NULL
+        GROUP BY programs.id
+        ORDER BY programs.updated_at DESC, programs.id DESC
+    `).all();
+
+    return (results || []).map(row => {
+        const { weeks, ...summary } = parseProgramRow(row);
+        return { ...summary, weekCount: weeks.length };
+    });
+}
+
+/**
+ * Assign a program to a member, ending any program they were on
+ * Returns the new assignment id
+ */
+export async function assignProgram(db, { programId, memberId, startDate }) {
+    const now = new Date().toISOString();
+
+    const [, inserted] = await db.batch([
+        db.prepare('UPDATE program_assignments SET ended_at = ? WHERE member_id = ? AND ended_at IS NULL')
+            .bind(now, memberId),
+        db.prepare(
+            'INSERT INTO program_assignments (program_id, member_id, start_date, assigned_at) VALUES (?, ?, ?, ?)'
+        ).bind(programId, memberId, startDate, now)
+    ]);
+
+    return inserted.meta.last_row_id;
+}
+
+/**
+ * A member's current assignment joined with its program, or null
+ */
+export async function getActiveAssignment(db, memberId) {
+    const row = await db.prepare(`
+        SELECT program_assignments.id AS assignment_id, program_assignments.start_date,
+            programs.*
+        FROM program_assignments
+        JOIN programs ON programs.id = program_assignments.program_id
+        WHERE program_assignments.member_id = ? AND program_assignments.ended_at IS NULL
+        ORDER BY program_assignments.id DESC
+        LIMIT 1
+    `).bind(memberId).first();
+
+    if (!row) return null;
+
+    const { assignment_id: assignmentId, start_date: startDate, ...program } = row;
+    return { id: assignmentId, startDate, program: parseProgramRow(program) };
+}
+
+/**
+ * Work out which session falls on a date (YYYY-MM-DD)
+ * Week 1 starts on the assignment's start date
+ * Returns { status: 'upcoming' | 'training' | 'rest' | 'finished', weekIndex, dayIndex, day }
+ */
+export function getSessionForDate(program, startDate, date) {
+    const daysIn = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+
+    if (daysIn < 0) return { status: 'upcoming', weekIndex: null, dayIndex: null, day: null };
+
+    const weekIndex = Math.floor(daysIn / 7);
+    if (weekIndex >= program.weeks.length) {
+        return { status: 'finished', weekIndex: null, dayIndex: null, day: null };
+    }
+
+    const weekday = WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+    const dayIndex = program.weeks[weekIndex].days.findIndex(day => day.weekday === weekday);
+
+    if (dayIndex === -1) return { status: 'rest', weekIndex, dayIndex: null, day: null };
+
+    return { status: 'training', weekIndex, dayIndex, day: program.weeks[weekIndex].days[dayIndex] };
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a week's training day - the inverse of getSessionForDate
+ */
+export function getSessionDate(startDate, weekIndex, weekday) {
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const startWeekday = (start.getUTCDay() + 6) % 7;
+    const offset = (WEEKDAYS.indexOf(weekday) - startWeekday + 7) % 7;
+
+    return new Date(start.getTime() + (weekIndex * 7 + offset) * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * The first training session after a date, looking up to a week ahead
+ * Returns { date, weekIndex, dayIndex, day } or null
+ */
+export function findNextSession(program, startDate, date) {
+    const from = Date.parse(`${date}T00:00:00Z`);
+
+    for (let offset = 1; offset <= 7; offset++) {
+        const nextDate = new Date(from + offset * 86400000).toISOString().slice(0, 10);
+        const session = getSessionForDate(program, startDate, nextDate);
+
+        if (session.status === 'training') return { date: nextDate, ...session };
+        if (session.status === 'finished') return null;
+    }
+    return null;
+}
+
+/**
+ * Completed sets for one session
+ * Returns { [exerciseIndex]: [setNumber, ...] }
+ */
+export async function listCompletedSets(db, assignmentId, weekIndex, dayIndex) {
+    const { results } = await db.prepare(`
+        SELECT exercise_index, set_number FROM program_set_logs
+        WHERE assignment_id = ? AND week_index = ? AND day_index = ?
+        ORDER BY exercise_index, set_number
+    `).bind(assignmentId, weekIndex, dayIndex).all();
+
+    const completed = {};
+    (results || []).forEach(row => {
+        (completed[row.exercise_index] = completed[row.exercise_index] || []).push(row.set_number);
+    });
+    return completed;
+}
+
+/**
+ * Mark a set done (or undo it)
+ */
+export async function setSetCompleted(db, assignmentId, { weekIndex, dayIndex, exerciseIndex, setNumber }, completed) {
+    if (completed) {
+        await db.prepare(`
+            INSERT INTO program_set_logs (assignment_id, week_index, day_index, exercise_index, set_number, completed_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `).bind(assignmentId, weekIndex, dayIndex, exerciseIndex, setNumber, new Date().toISOString()).run();
+        return;
+    }
+
+    await db.prepare(`
+        DELETE FROM program_set_logs
+        WHERE assignment_id = ? AND week_index = ? AND day_index = ? AND exercise_index = ? AND set_number = ?
+    `).bind(assignmentId, weekIndex, dayIndex, exerciseIndex, setNumber).run();
+}
+
+function parseProgramRow(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        weeks: JSON.parse(row.weeks),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        ...(row.active_assignments !== undefined ? { activeAssignments: row.active_assignments } : {})
+    };
+}
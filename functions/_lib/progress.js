@@ -0,0 +1,314 @@
+/* ==========================================
+   MEMBER PROGRESS STORE
+   Weight, measurements and workouts for /api/progress
+   Schema: migrations/0007_create_progress.sql
+   Every query is scoped by member_id - there is no
+   way to read or change another member's rows here
+   ========================================== */
+
+import { translate, translateLabel } from './i18n.js';
+
+// Charts and the history table show at most this many of the newest entries;
+// the CSV export pages through every row instead
+const MAX_ROWS = 2000;
+const EXPORT_PAGE_SIZE = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Loggable progress kinds
+ * fields: column -> { type: 'number' | 'integer' | 'text', min, max, maxLength, required, label }
+ * Labels are English; messages use progress.fields.* from public/i18n.js,
+ * which the dashboard shares
+ */
+export const PROGRESS_KINDS = {
+    weight: {
+        table: 'weight_entries',
+        dateColumn: 'recorded_on',
+        units: ['lb', 'kg'],
+        fields: {
+            weight: { type: 'number', min: 20, max: 1000, required: true, label: 'Weight' }
+        }
+    },
+    measurements: {
+        table: 'body_measurements',
+        dateColumn: 'recorded_on',
+        units: ['in', 'cm'],
+        fields: {
+            waist: { type: 'number', min: 1, max: 500, label: 'Waist' },
+            chest: { type: 'number', min: 1, max: 500, label: 'Chest' },
+            hips: { type: 'number', min: 1, max: 500, label: 'Hips' },
+            arm: { type: 'number', min: 1, max: 500, label: 'Arm' },
+            thigh: { type: 'number', min: 1, max: 500, label: 'Thigh' },
+            body_fat_pct: { type: 'number', min: 1, max: 75, label: 'Body fat %' }
+        }
+    },
+    workouts: {
+        table: 'workout_logs',
+        dateColumn: 'completed_on',
+        units: null,
+        fields: {
+            workout: { type: 'text', maxLength: 120, required: true, label: 'Workout' },
+            duration_minutes: { type: 'integer', min: 1, max: 600, label: 'Duration' },
+            notes: { type: 'text', maxLength: 1000, label: 'Notes' }
+        }
+    }
+};
+
+/**
+ * Look up a progress kind by name, or null
+ */
+export function getProgressKind(name) {
+    return Object.prototype.hasOwnProperty.call(PROGRESS_KINDS, name) ? PROGRESS_KINDS[name] : null;
+}
+
+/**
+ * Columns returned for a kind, in display/CSV order
+ */
+export function getProgressColumns(kind) {
+    return ['id', kind.dateColumn, ...Object.keys(kind.fields), ...(kind.units ? ['unit'] : []), 'created_at'];
+}
+
+/**
+ * Check a submitted entry against its kind
+ * Returns { values, errors } - values holds every column to insert,
+ * errors are in the given locale
+ */
+export function validateProgressEntry(kind, data, locale) {
+    const errors = [];
+    const values = {};
+
+    const date = String(data.date || '').trim() || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(date)) {
+        errors.push(translate(locale, 'progress.invalidDate'));
+    } else if (date > getLatestAllowedDate()) {
+        errors.push(translate(locale, 'progress.futureDate'));
+    }
+    values[kind.dateColumn] = date;
+
+    for (const [column, field] of Object.entries(kind.fields)) {
+        const raw = data[column];
+        const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+        const label = translateLabel(locale, `progress.fields.${column}`, field.label);
+
+        if (isEmpty) {
+            if (field.required) errors.push(translate(locale, 'validation.required', { label }));
+            values[column] = null;
+            continue;
+        }
+
+        if (field.type === 'text') {
+            const text = String(raw).trim();
+            if (text.length > field.maxLength) {
+                errors.push(translate(locale, 'validation.too_long', { label, max: field.maxLength }));
+            }
+            values[column] = text.substring(0, field.maxLength);
+            continue;
+        }
+
+        const number = Number(raw);
+        if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+            errors.push(translate(locale, field.type === 'integer' ? 'progress.notWholeNumber' : 'progress.notNumber', { label }));
+        } else if (number < field.min || number > field.max) {
+            errors.push(translate(locale, 'progress.outOfRange', { label, min: field.min, max: field.max }));
+        }
+        values[column] = number;
+    }
+
+    // Measurements need at least one value to be worth storing
+    if (!Object.values(kind.fields).some(field => field.required)
+        && Object.keys(kind.fields).every(column => values[column] === null)) {
+        errors.push(translate(locale, 'progress.measurementRequired'));
+    }
+
+    if (kind.units) {
+        const unit = String(data.unit || kind.units[0]).trim().toLowerCase();
+        if (!kind.units.includes(unit)) {
+            errors.push(translate(locale, 'progress.invalidUnit', { units: kind.units.join(', ') }));
+        }
+        values.unit = unit;
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Parse ?from=&to= into a date range
+ * Returns { from, to, errors } - errors in the given locale
+ */
+export function parseDateRange(params, locale) {
+    const errors = [];
+    const from = params.get('from')?.trim() || null;
+    const to = params.get('to')?.trim() || null;
+
+    if (from && !isValidDate(from)) errors.push(translate(locale, 'progress.invalidFrom'));
+    if (to && !isValidDate(to)) errors.push(translate(locale, 'progress.invalidTo'));
+    if (from && to && from > to) errors.push(translate(locale, 'progress.invalidRange'));
+
+    return { from, to, errors };
+}
+
+/**
+ * Store an entry for a member
+ * Returns the new row id
+ */
+export async function insertProgressEntry(db, memberId, kind, values) {
+    const columns = ['member_id', ...Object.keys(values), 'created_at'];
+    const params = [memberId, ...Object.values(values), new Date().toISOString()];
+
+    const result = await db.prepare(
+        `INSERT INTO ${kind.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+    ).bind(...params).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * A member's newest entries in a date range (inclusive), returned oldest first
+ * Past the limit the oldest entries are left out, never the latest
+ */
+export async function listProgressEntries(db, memberId, kind, { from = null, to = null, limit = MAX_ROWS } = {}) {
+    const { conditions, params } = getRangeFilter(memberId, kind, { from, to });
+
+    const { results } = await db.prepare(`
+        SELECT ${getProgressColumns(kind).join(', ')} FROM ${kind.table}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${kind.dateColumn} DESC, id DESC
+        LIMIT ?
+    `).bind(...params, limit).all();
+
+    return (results || []).reverse();
+}
+
+/**
+ * Every one of a member's entries in a date range, oldest first,
+ * as an async iterator of pages - for exports of any size
+ * Pages on (date, id) so rows logged during the export are not repeated
+ */
+export async function* listAllProgressEntries(db, memberId, kind, { from = null, to = null } = {}, pageSize = EXPORT_PAGE_SIZE) {
+    const columns = getProgressColumns(kind);
+    let last = null;
+
+    while (true) {
+        const { conditions, params } = getRangeFilter(memberId, kind, { from, to });
+
+        if (last) {
+            conditions.push(`(${kind.dateColumn} > ? OR (${kind.dateColumn} = ? AND id > ?))`);
+            params.push(last[kind.dateColumn], last[kind.dateColumn], last.id);
+        }
+
+        const { results } = await db.prepare(`
+            SELECT ${columns.join(', ')} FROM ${kind.table}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${kind.dateColumn} ASC, id ASC
+            LIMIT ?
+        `).bind(...params, pageSize).all();
+
+        const rows = results || [];
+        if (rows.length > 0) yield rows;
+        if (rows.length < pageSize) return;
+
+        last = rows[rows.length - 1];
+    }
+}
+
+/**
+ * WHERE conditions for one member's rows in a date range
+ */
+function getRangeFilter(memberId, kind, { from, to }) {
+    const conditions = ['member_id = ?'];
+    const params = [memberId];
+
+    if (from) {
+        conditions.push(`${kind.dateColumn} >= ?`);
+        params.push(from);
+    }
+    if (to) {
+        conditions.push(`${kind.dateColumn} <= ?`);
+        params.push(to);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * Delete one of a member's entries
+ * Returns false when it doesn't exist or belongs to someone else
+ */
+export async function deleteProgressEntry(db, memberId, kind, id) {
+    const result = await db.prepare(`DELETE FROM ${kind.table} WHERE id = ? AND member_id = ?`)
+        .bind(id, memberId)
+        .run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Render entries as CSV (RFC 4180)
+ */
+export function toCsv(rows, columns) {
+    return getCsvHeader(columns) + getCsvLines(rows, columns);
+}
+
+/**
+ * Stream CSV from pages of entries (see listAllProgressEntries)
+ * Each page is fetched only when the client is ready for more
+ */
+export function toCsvStream(pages, columns) {
+    const encoder = new TextEncoder();
+
+    return new ReadableStream({
+        start(controller) {
+            controller.enqueue(encoder.encode(getCsvHeader(columns)));
+        },
+        async pull(controller) {
+            const { value, done } = await pages.next();
+
+            if (done) {
+                controller.close();
+            } else {
+                controller.enqueue(encoder.encode(getCsvLines(value, columns)));
+            }
+        },
+        async cancel() {
+            await pages.return();
+        }
+    });
+}
+
+function getCsvHeader(columns) {
+    return columns.join(',') + '\r\n';
+}
+
+function getCsvLines(rows, columns) {
+    return rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(',') + '\r\n').join('');
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+
+    // Stop spreadsheets from running member-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tomorrow in UTC - members ahead of UTC are already on "tomorrow"
+ */
+function getLatestAllowedDate() {
+    return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ */
+export function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
@@ -0,0 +1,315 @@
+/* ==========================================
+   PROMO CODES
+   Percent or fixed-amount discounts on plan prices,
+   with expiry, redemption caps and plan restrictions
+   Checkout applies them as Stripe coupons for a set
+   number of billing periods, never to the plan price;
+   the coupon carries the cap and expiry, so Stripe
+   enforces both when an open session is paid
+   Schema: migrations/0012_create_promo_codes.sql,
+   migrations/0014_add_promo_duration.sql
+   ========================================== */
+
+import { PLANS, getPlanAmount, getPlanName } from './plans.js';
+import { createCoupon } from './stripe.js';
+import { translate } from './i18n.js';
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const MAX_DURATION_MONTHS = 36;
+
+/**
+ * How long a code keeps discounting a subscription (Stripe coupon durations)
+ * once: the first payment only - the default for seasonal offers
+ * repeating: the first durationInMonths months
+ * forever: every renewal
+ */
+export const PROMO_DURATIONS = ['once', 'repeating', 'forever'];
+
+/**
+ * Uppercase and trim a code as typed by a visitor
+ * Returns null when it can't be a valid code
+ */
+export function normalizePromoCode(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Check a code against a plan
+ * Returns { promo, amount } with the discounted amount in cents,
+ * or { error, code } - error is an English message that is safe to show
+ * the visitor, code ('invalid', 'expired', 'exhausted', 'wrongPlan')
+ * picks the promo.* message in other languages (see _lib/i18n.js)
+ */
+export async function checkPromoCode(db, value, plan, now = new Date()) {
+    const code = normalizePromoCode(value);
+    const row = code
+        ? await db.prepare('SELECT * FROM promo_codes WHERE code = ?').bind(code).first()
+        : null;
+
+    if (!row || !row.active) {
+        return { error: 'That promo code isn\'t valid.', code: 'invalid' };
+    }
+
+    const promo = toPromoCode(row);
+
+    if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+        return { error: 'That promo code has expired.', code: 'expired' };
+    }
+
+    // Counted when checkout completes - sessions open at the same time are held to
+    // the cap by the Stripe coupon's max_redemptions (see getStripeCouponId)
+    if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+        return { error: 'That promo code has already been fully redeemed.', code: 'exhausted' };
+    }
+
+    if (promo.planIds && !promo.planIds.includes(plan.id)) {
+        return { error: `That promo code can't be used with the ${plan.name}.`, code: 'wrongPlan' };
+    }
+
+    return {
+        promo: promo,
+        amount: applyDiscount(promo, getPlanAmount(plan))
+    };
+}
+
+/**
+ * A checkPromoCode() error in the visitor's language
+ */
+export function getPromoErrorMessage(result, plan, locale) {
+    return translate(locale, `promo.${result.code}`, { plan: getPlanName(plan, locale) });
+}
+
+/**
+ * Discounted amount in cents for a discounted period, never below zero
+ * amountOff on a promo is in whole currency units, like plan prices
+ */
+export function applyDiscount(promo, amount) {
+    const discount = promo.percentOff !== null
+        ? Math.round(amount * promo.percentOff / 100)
+        : Math.round(promo.amountOff * 100);
+
+    return Math.max(amount - discount, 0);
+}
+
+/**
+ * Check an admin's new code
+ * Body: { code, percentOff | amountOff (whole currency units), duration?, durationInMonths?,
+ *         planIds?, expiresAt?, maxRedemptions?, description? }
+ * duration defaults to 'once'; durationInMonths is required for 'repeating'
+ * Returns { promo, errors }
+ */
+export function validatePromoInput(data) {
+    const errors = [];
+
+    const code = normalizePromoCode(data.code);
+    if (!code) {
+        errors.push('code must be 3-32 letters, numbers, dashes or underscores');
+    }
+
+    const hasPercent = data.percentOff !== undefined && data.percentOff !== null && data.percentOff !== '';
+    const hasAmount = data.amountOff !== undefined && data.amountOff !== null && data.amountOff !== '';
+    let percentOff = null;
+    let amountOff = null;
+
+    if (hasPercent === hasAmount) {
+        errors.push('Provide either percentOff or amountOff');
+    } else if (hasPercent) {
+        percentOff = Number(data.percentOff);
+        if (!Number.isInteger(percentOff) || percentOff < 1 || percentOff > 100) {
+            errors.push('percentOff must be a whole number from 1 to 100');
+        }
+    } else {
+        amountOff = Math.round(Number(data.amountOff) * 100);
+        if (!Number.isFinite(amountOff) || amountOff < 1) {
+            errors.push('amountOff must be a positive amount');
+        }
+    }
+
+    const duration = String(data.duration || 'once').trim().toLowerCase();
+    let durationInMonths = null;
+
+    if (!PROMO_DURATIONS.includes(duration)) {
+        errors.push(`duration must be one of: ${PROMO_DURATIONS.join(', ')}`);
+    } else if (duration === 'repeating') {
+        durationInMonths = Number(data.durationInMonths);
+        if (!Number.isInteger(durationInMonths) || durationInMonths < 1 || durationInMonths > MAX_DURATION_MONTHS) {
+            errors.push(`durationInMonths must be a whole number from 1 to ${MAX_DURATION_MONTHS} for a repeating code`);
+        }
+    } else if (data.durationInMonths !== undefined && data.durationInMonths !== null && data.durationInMonths !== '') {
+        errors.push('durationInMonths only applies to a repeating code');
+    }
+
+    let planIds = null;
+    if (data.planIds !== undefined && data.planIds !== null && data.planIds !== '') {
+        const requested = Array.isArray(data.planIds) ? data.planIds : String(data.planIds).split(',');
+        planIds = [...new Set(requested.map(id => String(id).trim().toLowerCase()).filter(Boolean))];
+        const unknown = planIds.filter(id => !PLANS.some(plan => plan.id === id));
+
+        if (planIds.length === 0 || unknown.length > 0) {
+            errors.push(`planIds must be a list of: ${PLANS.map(plan => plan.id).join(', ')}`);
+        }
+    }
+
+    let expiresAt = null;
+    if (data.expiresAt) {
+        const date = new Date(data.expiresAt);
+        if (Number.isNaN(date.getTime())) {
+            errors.push('expiresAt must be an ISO 8601 date');
+        } else {
+            expiresAt = date.toISOString();
+        }
+    }
+
+    let maxRedemptions = null;
+    if (data.maxRedemptions !== undefined && data.maxRedemptions !== null && data.maxRedemptions !== '') {
+        maxRedemptions = Number(data.maxRedemptions);
+        if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+            errors.push('maxRedemptions must be a positive whole number');
+        }
+    }
+
+    return {
+        promo: {
+            code,
+            description: String(data.description || '').trim().substring(0, 200) || null,
+            percentOff,
+            amountOff,
+            duration,
+            durationInMonths,
+            planIds,
+            expiresAt,
+            maxRedemptions
+        },
+        errors: errors
+    };
+}
+
+/**
+ * Store a new code
+ * Returns the new row id, or null if the code is already taken
+ */
+export async function insertPromoCode(db, promo) {
+    const result = await db.prepare(`
+        INSERT OR IGNORE INTO promo_codes (
+            code, description, percent_off, amount_off, duration, duration_in_months,
+            plan_ids, expires_at, max_redemptions, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        promo.code,
+        promo.description,
+        promo.percentOff,
+        promo.amountOff,
+        promo.duration,
+        promo.durationInMonths,
+        promo.planIds ? promo.planIds.join(',') : null,
+        promo.expiresAt,
+        promo.maxRedemptions,
+        new Date().toISOString()
+    ).run();
+
+    return result.meta.changes > 0 ? result.meta.last_row_id : null;
+}
+
+/**
+ * A code by its id, or null
+ */
+export async function getPromoCode(db, id) {
+    const row = await db.prepare('SELECT * FROM promo_codes WHERE id = ?').bind(id).first();
+    return row ? toPromoCode(row) : null;
+}
+
+/**
+ * Every code, newest first
+ */
+export async function listPromoCodes(db) {
+    const { results } = await db.prepare('SELECT * FROM promo_codes ORDER BY created_at DESC, id DESC').all();
+    return (results || []).map(toPromoCode);
+}
+
+/**
+ * Stop a code from being accepted
+ * Returns the updated code, or null if it doesn't exist
+ */
+export async function deactivatePromoCode(db, id) {
+    await db.prepare(`
+        UPDATE promo_codes SET active = 0, deactivated_at = ?
+        WHERE id = ? AND active = 1
+    `).bind(new Date().toISOString(), id).run();
+
+    return await getPromoCode(db, id);
+}
+
+/**
+ * The Stripe coupon for a code, created the first time it reaches checkout
+ * Checkout bills the full plan price and the coupon takes the discount
+ * off for the code's duration only
+ * The code's remaining redemptions and expiry go on the coupon, so Stripe
+ * refuses a session paid past either, however long it was open
+ * Every plan is billed in one currency, so one coupon serves them all
+ * Returns the coupon id
+ */
+export async function getStripeCouponId(env, promo, plan) {
+    if (promo.stripeCouponId) return promo.stripeCouponId;
+
+    const coupon = await createCoupon(env, {
+        name: promo.code,
+        ...(promo.percentOff !== null
+            ? { percent_off: promo.percentOff }
+            : { amount_off: Math.round(promo.amountOff * 100), currency: plan.currency }),
+        duration: promo.duration,
+        duration_in_months: promo.duration === 'repeating' ? promo.durationInMonths : null,
+        max_redemptions: promo.maxRedemptions !== null ? promo.maxRedemptions - promo.redemptionCount : null,
+        redeem_by: promo.expiresAt ? Math.floor(new Date(promo.expiresAt).getTime() / 1000) : null,
+        metadata: { promo_code_id: promo.id }
+    });
+
+    // A checkout racing this one may have stored its own coupon first - either works
+    await env.DB.prepare('UPDATE promo_codes SET stripe_coupon_id = ? WHERE id = ? AND stripe_coupon_id IS NULL')
+        .bind(coupon.id, promo.id)
+        .run();
+
+    return coupon.id;
+}
+
+/**
+ * Count a completed checkout against its code
+ * Safe to call again for the same session
+ */
+export async function recordPromoRedemption(db, { code, checkoutSessionId, planId, email }) {
+    const row = await db.prepare('SELECT id FROM promo_codes WHERE code = ?').bind(code).first();
+    if (!row) return false;
+
+    const result = await db.prepare(`
+        INSERT OR IGNORE INTO promo_redemptions (checkout_session_id, promo_code_id, plan_id, email, redeemed_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(checkoutSessionId, row.id, planId || null, email || null, new Date().toISOString()).run();
+
+    if (result.meta.changes === 0) return false;
+
+    await db.prepare('UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = ?')
+        .bind(row.id)
+        .run();
+
+    return true;
+}
+
+function toPromoCode(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        description: row.description,
+        percentOff: row.percent_off,
+        amountOff: row.amount_off !== null ? row.amount_off / 100 : null,
+        duration: row.duration,
+        durationInMonths: row.duration_in_months,
+        planIds: row.plan_ids ? row.plan_ids.split(',') : null,
+        expiresAt: row.expires_at,
+        maxRedemptions: row.max_redemptions,
+        redemptionCount: row.redemption_count,
+        active: Boolean(row.active),
+        createdAt: row.created_at,
+        deactivatedAt: row.deactivated_at,
+        stripeCouponId: row.stripe_coupon_id
+    };
+}
@@ -0,0 +1,82 @@
+/* ==========================================
+   RATE LIMITING
+   Sliding-window limiter backed by Workers KV
+   Each key stores the timestamps of recent hits;
+   keys are hashed so no IPs or emails sit in KV
+   ========================================== */
+
+import { sha256Hex } from './crypto.js';
+import { log } from './logger.js';
+
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Check several limits at once and record a hit only if all pass
+ * rules: [{ name, key, limit, windowSeconds }]
+ * Returns { allowed: true } or { allowed: false, rule, retryAfter }
+ */
+export async function enforceRateLimits(kv, rules) {
+    // Fail open: a missing binding or KV outage must not block real visitors
+    if (!kv) {
+        log.warn('Rate limiting skipped: KV binding is not configured');
+        return { allowed: true };
+    }
+
+    try {
+        const now = Date.now();
+        const checks = await Promise.all(rules.map(async rule => {
+            const storageKey = `rl:${rule.name}:${await sha256Hex(rule.key)}`;
+            const windowStart = now - rule.windowSeconds * 1000;
+            const stored = await kv.get(storageKey, 'json');
+            const hits = (Array.isArray(stored) ? stored : []).filter(time => time > windowStart);
+
+            return { rule, storageKey, hits };
+        }));
+
+        const blocked = checks.find(check => check.hits.length >= check.rule.limit);
+
+        if (blocked) {
+            // The window frees up when the oldest counted hit expires
+            const oldest = Math.min(...blocked.hits);
+            const retryAfter = Math.max(Math.ceil((oldest + blocked.rule.windowSeconds * 1000 - now) / 1000), 1);
+
+            return { allowed: false, rule: blocked.rule.name, retryAfter };
+        }
+
+        await Promise.all(checks.map(check => kv.put(
+            check.storageKey,
+            JSON.stringify([...check.hits, now]),
+            { expirationTtl: Math.max(check.rule.windowSeconds, MIN_KV_TTL_SECONDS) }
+        )));
+
+        return { allowed: true };
+
+    } catch (error) {
+        log.error('Rate limiting failed open', { error });
+        return { allowed: true };
+    }
+}
+
+/**
+ * Normalize an email so aliases share one limit
+ * Lowercases, drops +tags and ignores dots for Gmail addresses
+ */
+export function normalizeEmail(email) {
+    const [localPart = '', domain = ''] = String(email).trim().toLowerCase().split('@');
+    let local = localPart.split('+')[0];
+
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+        local = local.replace(/\./g, '');
+        return `${local}@gmail.com`;
+    }
+
+    return `${local}@${domain}`;
+}
+
+/**
+ * Read a positive integer setting from the environment
+ */
+export function getLimitSetting(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
@@ -0,0 +1,123 @@
+/* ==========================================
+   SECURITY POLICY
+   Origin allow-list and response security headers
+   applied to every request by functions/_middleware.js
+   Each rule can be overridden per [env.*.vars] block
+   ========================================== */
+
+import { log } from './logger.js';
+
+// Third parties the pages load: Turnstile, Google Fonts and Stripe
+const DEFAULT_CSP_DIRECTIVES = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://challenges.cloudflare.com', 'https://js.stripe.com'],
+    // Inline style attributes are used throughout the pages and generated markup
+    'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com'],
+    'img-src': ["'self'", 'data:'],
+    'connect-src': ["'self'", 'https://api.stripe.com'],
+    'frame-src': ['https://challenges.cloudflare.com', 'https://js.stripe.com', 'https://checkout.stripe.com'],
+    'form-action': ["'self'", 'https://checkout.stripe.com'],
+    'frame-ancestors': ["'none'"],
+    'base-uri': ["'self'"],
+    'object-src': ["'none'"]
+};
+
+const DEFAULT_HSTS_MAX_AGE = 31536000;
+
+// Methods that can change state and so need an allowed origin
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Origins allowed to call the API from a browser
+ * Always the request's own origin and SITE_URL, plus ALLOWED_ORIGINS:
+ * a comma-separated list where "https://*.example.pages.dev" matches
+ * any single subdomain (branch preview deployments)
+ */
+export function getAllowedOrigins(request, env) {
+    const origins = [new URL(request.url).origin];
+
+    if (env.SITE_URL) {
+        try {
+            origins.push(new URL(env.SITE_URL).origin);
+        } catch (error) {
+            log.warn('SITE_URL is not a valid URL', { siteUrl: env.SITE_URL });
+        }
+    }
+
+    String(env.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean)
+        .forEach(origin => origins.push(origin));
+
+    return [...new Set(origins)];
+}
+
+/**
+ * Check an Origin header against the allow-list
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin || origin === 'null') return false;
+
+    return allowedOrigins.some(allowed => {
+        if (!allowed.includes('*')) return allowed === origin;
+
+        // "https://*.example.pages.dev" - one label, letters, digits and hyphens only
+        const [prefix, suffix] = allowed.split('*');
+        if (!origin.startsWith(prefix) || !origin.endsWith(suffix)) return false;
+        return /^[a-z0-9-]+$/i.test(origin.slice(prefix.length, origin.length - suffix.length));
+    });
+}
+
+/**
+ * Whether a request must come from an allowed origin
+ * Browsers always send Origin on these, so a missing header means a
+ * server-to-server call (e.g. the Stripe webhook) and is let through
+ */
+export function requiresAllowedOrigin(request) {
+    return UNSAFE_METHODS.includes(request.method) || request.method === 'OPTIONS';
+}
+
+/**
+ * Content-Security-Policy value
+ * CONTENT_SECURITY_POLICY replaces the default policy outright
+ */
+export function getContentSecurityPolicy(request, env) {
+    if (env.CONTENT_SECURITY_POLICY) return env.CONTENT_SECURITY_POLICY;
+
+    const directives = Object.entries(DEFAULT_CSP_DIRECTIVES)
+        .map(([name, sources]) => `${name} ${sources.join(' ')}`);
+
+    if (new URL(request.url).protocol === 'https:') {
+        directives.push('upgrade-insecure-requests');
+    }
+    return directives.join('; ');
+}
+
+/**
+ * Headers added to every static and API response
+ * Env: CSP_REPORT_ONLY = "true" sends the policy as report-only,
+ * HSTS_MAX_AGE = "0" turns Strict-Transport-Security off
+ */
+export function getSecurityHeaders(request, env) {
+    const cspHeader = env.CSP_REPORT_ONLY === 'true'
+        ? 'Content-Security-Policy-Report-Only'
+        : 'Content-Security-Policy';
+
+    const headers = {
+        [cspHeader]: getContentSecurityPolicy(request, env),
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'X-Frame-Options': 'DENY',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(self "https://js.stripe.com")'
+    };
+
+    const maxAge = parseInt(env.HSTS_MAX_AGE ?? DEFAULT_HSTS_MAX_AGE, 10);
+    if (new URL(request.url).protocol === 'https:' && maxAge > 0) {
+        headers['Strict-Transport-Security'] = `max-age=${maxAge}; includeSubDomains`;
+    }
+
+    return headers;
+}
@@ -0,0 +1,159 @@
+/* ==========================================
+   STRIPE API CLIENT
+   Minimal fetch-based client for Cloudflare Workers
+   Set STRIPE_API_BASE to point at a local mock
+   (e.g. stripe-mock on http://localhost:12111)
+   ========================================== */
+
+import { hmacSha256Hex, timingSafeEqual } from './crypto.js';
+
+const DEFAULT_STRIPE_API_BASE = 'https://api.stripe.com';
+
+/**
+ * Send a request to the Stripe API
+ * Docs: https://docs.stripe.com/api
+ */
+export async function stripeRequest(env, method, path, params = null) {
+    if (!env.STRIPE_SECRET_KEY) {
+        throw new Error('STRIPE_SECRET_KEY environment variable is not set');
+    }
+
+    const baseUrl = (env.STRIPE_API_BASE || DEFAULT_STRIPE_API_BASE).replace(/\/+$/, '');
+    let url = `${baseUrl}${path}`;
+    const init = {
+        method: method,
+        headers: {
+            'Authorization': `Bearer ${env.STRIPE_SECRET_KEY}`
+        }
+    };
+
+    if (params) {
+        const body = encodeFormParams(params).toString();
+
+        if (method === 'GET') {
+            url += `?${body}`;
+        } else {
+            init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            init.body = body;
+        }
+    }
+
+    const response = await fetch(url, init);
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`Stripe API error (${response.status}): ${errorData}`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Create a Checkout Session
+ * Docs: https://docs.stripe.com/api/checkout/sessions/create
+ */
+export async function createCheckoutSession(env, params) {
+    return stripeRequest(env, 'POST', '/v1/checkout/sessions', params);
+}
+
+/**
+ * Create a coupon (a discount Checkout applies with discounts[][coupon])
+ * Docs: https://docs.stripe.com/api/coupons/create
+ */
+export async function createCoupon(env, params) {
+    return stripeRequest(env, 'POST', '/v1/coupons', params);
+}
+
+/**
+ * Retrieve a Checkout Session by id
+ * Docs: https://docs.stripe.com/api/checkout/sessions/retrieve
+ */
+export async function retrieveCheckoutSession(env, sessionId) {
+    return stripeRequest(env, 'GET', `/v1/checkout/sessions/${encodeURIComponent(sessionId)}`);
+}
+
+/**
+ * Encode nested objects/arrays using Stripe's bracket notation
+ * { line_items: [{ quantity: 1 }] } -> line_items[0][quantity]=1
+ */
+function encodeFormParams(params, prefix = '', searchParams = new URLSearchParams()) {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+
+        const fieldName = prefix ? `${prefix}[${key}]` : key;
+
+        if (typeof value === 'object') {
+            encodeFormParams(value, fieldName, searchParams);
+        } else {
+            searchParams.append(fieldName, String(value));
+        }
+    }
+
+    return searchParams;
+}
+
+/* ==========================================
+   WEBHOOK SIGNATURE VERIFICATION
+   Docs: https://docs.stripe.com/webhooks#verify-manually
+   ========================================== */
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Verify a Stripe-Signature header against the raw request body
+ * Returns the parsed event, or throws if the signature is invalid
+ */
+export async function constructWebhookEvent(payload, signatureHeader, secret, tolerance = SIGNATURE_TOLERANCE_SECONDS) {
+    if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET environment variable is not set');
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(signatureHeader);
+
+    if (!timestamp || signatures.length === 0) {
+        throw new WebhookSignatureError('Missing or malformed Stripe-Signature header');
+    }
+
+    // Reject old signatures to limit replay of captured requests
+    const age = Math.floor(Date.now() / 1000) - timestamp;
+    if (Math.abs(age) > tolerance) {
+        throw new WebhookSignatureError('Stripe-Signature timestamp is outside the tolerance window');
+    }
+
+    const expected = await hmacSha256Hex(secret, `${timestamp}.${payload}`);
+
+    if (!signatures.some(signature => timingSafeEqual(signature, expected))) {
+        throw new WebhookSignatureError('Stripe-Signature does not match the payload');
+    }
+
+    return JSON.parse(payload);
+}
+
+/**
+ * Raised when a webhook request fails signature verification
+ */
+export class WebhookSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+    }
+}
+
+/**
+ * Split "t=123,v1=abc,v1=def" into its timestamp and v1 signatures
+ */
+function parseSignatureHeader(header) {
+    const result = { timestamp: null, signatures: [] };
+
+    for (const part of (header || '').split(',')) {
+        const [key, value] = part.split('=');
+
+        if (key === 't') {
+            result.timestamp = parseInt(value, 10) || null;
+        } else if (key === 'v1' && value) {
+            result.signatures.push(value);
+        }
+    }
+
+    return result;
+}
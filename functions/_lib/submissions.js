@@ -0,0 +1,118 @@
+/* ==========================================
+   CONTACT SUBMISSION STORE
+   D1 persistence for contact form leads
+   Schema: migrations/0002_create_contact_submissions.sql
+   ========================================== */
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Store a sanitized submission
+ * Returns the new row id
+ */
+export async function insertSubmission(db, data) {
+    const result = await db.prepare(`
+        INSERT INTO contact_submissions (name, email, phone, subject, message, user_agent, submitted_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        data.name,
+        data.email,
+        data.phone || null,
+        data.subject || null,
+        data.message,
+        data.userAgent || null,
+        data.submittedAt
+    ).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * Record the outcome of the notification email
+ */
+export async function updateSubmissionEmailStatus(db, id, status, emailId = null) {
+    await db.prepare(
+        'UPDATE contact_submissions SET email_status = ?, email_id = COALESCE(?, email_id) WHERE id = ?'
+    ).bind(status, emailId, id).run();
+}
+
+/**
+ * List submissions, newest first
+ * filters: { search, subject, status: 'open' | 'handled' | 'all', page, pageSize }
+ */
+export async function listSubmissions(db, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.search) {
+        const pattern = `%${filters.search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+        conditions.push("(name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR message LIKE ? ESCAPE '\\')");
+        params.push(pattern, pattern, pattern);
+    }
+
+    if (filters.subject) {
+        conditions.push('subject = ?');
+        params.push(filters.subject);
+    }
+
+    if (filters.status === 'open') {
+        conditions.push('handled_at IS NULL');
+    } else if (filters.status === 'handled') {
+        conditions.push('handled_at IS NOT NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 25, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+    const total = await db.prepare(`SELECT COUNT(*) AS count FROM contact_submissions ${where}`)
+        .bind(...params)
+        .first('count');
+
+    const { results } = await db.prepare(`
+        SELECT * FROM contact_submissions ${where}
+        ORDER BY submitted_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, (page - 1) * pageSize).all();
+
+    return { submissions: results, total: total || 0, page, pageSize };
+}
+
+/**
+ * Mark a submission handled (or reopen it)
+ * Returns the updated row, or null if it doesn't exist
+ */
+export async function setSubmissionHandled(db, id, handled) {
+    await db.prepare('UPDATE contact_submissions SET handled_at = ? WHERE id = ?')
+        .bind(handled ? new Date().toISOString() : null, id)
+        .run();
+
+    return await db.prepare('SELECT * FROM contact_submissions WHERE id = ?')
+        .bind(id)
+        .first();
+}
+
+/**
+ * Count auto-replies sent since a point in time
+ * Pass an email to count only replies to that address
+ */
+export async function countAutoRepliesSince(db, since, email = null) {
+    const count = email
+        ? await db.prepare(
+            'SELECT COUNT(*) AS count FROM contact_submissions WHERE auto_reply_sent_at > ? AND lower(email) = lower(?)'
+        ).bind(since, email).first('count')
+        : await db.prepare(
+            'SELECT COUNT(*) AS count FROM contact_submissions WHERE auto_reply_sent_at > ?'
+        ).bind(since).first('count');
+
+    return count || 0;
+}
+
+/**
+ * Record that the visitor's auto-reply was sent (or queued)
+ */
+export async function markAutoReplySent(db, id) {
+    await db.prepare('UPDATE contact_submissions SET auto_reply_sent_at = ? WHERE id = ?')
+        .bind(new Date().toISOString(), id)
+        .run();
+}
@@ -0,0 +1,83 @@
+/* ==========================================
+   SUBSCRIPTION STORE
+   D1 persistence for Stripe subscription state
+   Schema: migrations/0001_create_subscriptions.sql
+   ========================================== */
+
+/**
+ * Claim a webhook event for processing
+ * Returns false when the event has already been recorded (a replay)
+ */
+export async function claimStripeEvent(db, event) {
+    const result = await db.prepare(
+        'INSERT OR IGNORE INTO stripe_events (id, type, received_at) VALUES (?, ?, ?)'
+    ).bind(event.id, event.type, new Date().toISOString()).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Release a claimed event so Stripe's retry can process it again
+ */
+export async function releaseStripeEvent(db, eventId) {
+    await db.prepare('DELETE FROM stripe_events WHERE id = ?').bind(eventId).run();
+}
+
+/**
+ * Insert or update a subscription
+ * Fields left undefined keep their stored value; a new row without a status is active
+ * A canceled subscription stays canceled - Stripe never reactivates one, so a
+ * late or retried event must not either
+ */
+export async function upsertSubscription(db, subscription) {
+    const now = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO subscriptions (
+            id, customer_id, email, name, plan_id, status,
+            current_period_end, checkout_session_id, created_at, updated_at
+        ) VALUES (?1, ?2, ?3, ?4, ?5, COALESCE(?6, 'active'), ?7, ?8, ?9, ?9)
+        ON CONFLICT (id) DO UPDATE SET
+            customer_id = COALESCE(?2, customer_id),
+            email = COALESCE(?3, email),
+            name = COALESCE(?4, name),
+            plan_id = COALESCE(?5, plan_id),
+            status = CASE WHEN status = 'canceled' THEN status ELSE COALESCE(?6, status) END,
+            current_period_end = COALESCE(?7, current_period_end),
+            checkout_session_id = COALESCE(?8, checkout_session_id),
+            updated_at = ?9
+    `).bind(
+        subscription.id,
+        subscription.customerId ?? null,
+        subscription.email ?? null,
+        subscription.name ?? null,
+        subscription.planId ?? null,
+        subscription.status ?? null,
+        subscription.currentPeriodEnd ?? null,
+        subscription.checkoutSessionId ?? null,
+        now
+    ).run();
+}
+
+/**
+ * Mark a subscription as canceled
+ * Stores a row even if we never saw the subscription, so an earlier
+ * event delivered after this one cannot create it as active
+ * Returns the stored row
+ */
+export async function cancelSubscription(db, subscriptionId) {
+    const now = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO subscriptions (id, status, created_at, updated_at, canceled_at)
+        VALUES (?1, 'canceled', ?2, ?2, ?2)
+        ON CONFLICT (id) DO UPDATE SET
+            status = 'canceled',
+            canceled_at = ?2,
+            updated_at = ?2
+    `).bind(subscriptionId, now).run();
+
+    return await db.prepare('SELECT * FROM subscriptions WHERE id = ?')
+        .bind(subscriptionId)
+        .first();
+}
@@ -0,0 +1,138 @@
+/* ==========================================
+   HTML TEMPLATING
+   Context-aware escaping for the HTML the Functions build
+   from visitor input (notification emails, printable pages)
+   html`...` escapes every interpolated value unless it is
+   already marked safe; toPlainText() derives the text part
+   ========================================== */
+
+// URL schemes allowed in href/src values built from data
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Markup that has already been escaped or is trusted
+ * Only html`...`, attr(), url(), mailto() and raw() create these
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+
+    // Messages are serialized onto the email outbox
+    toJSON() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape a value for HTML text content or a quoted attribute
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a value for an attribute, quoted or not
+ * Everything but letters, digits and a few safe symbols
+ * becomes a numeric entity, so no quote style or backtick
+ * can end the attribute early
+ */
+export function escapeAttribute(value) {
+    return String(value ?? '').replace(/[^\w.,\-@:/%]/g, char => `&#x${char.codePointAt(0).toString(16).toUpperCase()};`);
+}
+
+/**
+ * Check a URL before it goes in an href
+ * Returns the normalized URL, or '#' for relative URLs and
+ * schemes outside SAFE_URL_SCHEMES (javascript:, data:, ...)
+ */
+export function sanitizeUrl(value, allowedSchemes = SAFE_URL_SCHEMES) {
+    try {
+        // The URL parser drops the same stray whitespace and control characters a browser would
+        const parsed = new URL(String(value ?? ''));
+        return allowedSchemes.includes(parsed.protocol) ? parsed.href : '#';
+    } catch (error) {
+        return '#';
+    }
+}
+
+/**
+ * Tagged template that HTML-escapes each interpolated value
+ * Arrays are joined, null/undefined/false render nothing and
+ * nested html`...` results are inserted as they are
+ *
+ *   html`<p>${name}</p><a href="${url(link)}">${label}</a>`
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((output, string, index) => {
+        return output + string + (index < values.length ? renderValue(values[index]) : '');
+    }, ''));
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Attribute value - html`<td title="${attr(notes)}">`
+ */
+export function attr(value) {
+    return new SafeHtml(escapeAttribute(value));
+}
+
+/**
+ * Link target - html`<a href="${url(link)}">`
+ */
+export function url(value) {
+    return new SafeHtml(escapeAttribute(sanitizeUrl(value)));
+}
+
+/**
+ * mailto: link target for an address
+ * The address is percent-encoded, so ?, & or line breaks
+ * cannot add cc, bcc or body fields to the link
+ */
+export function mailto(email) {
+    return url(`mailto:${encodeURIComponent(String(email ?? '')).replace(/%40/g, '@')}`);
+}
+
+/**
+ * Trusted markup inserted without escaping (entities, static snippets)
+ * Never pass anything that came from a request
+ */
+export function raw(markup) {
+    return new SafeHtml(String(markup ?? ''));
+}
+
+/**
+ * Plain-text version of an HTML body for the text/plain part
+ * Line breaks come out as \n whatever the input used
+ */
+export function toPlainText(markup) {
+    return String(markup ?? '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr|hr)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/^ | $/gm, '')
+        .replace(/\n\s*\n\s*/g, '\n\n')
+        .trim();
+}
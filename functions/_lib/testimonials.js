@@ -0,0 +1,184 @@
+/* ==========================================
+   TESTIMONIALS
+   Member reviews with a moderation queue: submitted
+   as pending, shown publicly only once approved
+   Schema: migrations/0011_create_testimonials.sql
+   ========================================== */
+
+import { translate } from './i18n.js';
+
+export const TESTIMONIAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Check a member's submission
+ * Returns { testimonial, errors } - errors in the given locale
+ */
+export function validateTestimonial(data, locale) {
+    const errors = [];
+
+    const displayName = String(data.displayName || '').trim().replace(/\s+/g, ' ');
+    if (displayName.length < 2 || displayName.length > 60) {
+        errors.push(translate(locale, 'testimonials.invalidName'));
+    }
+
+    const headline = String(data.headline || '').trim().replace(/\s+/g, ' ');
+    if (headline.length > 80) {
+        errors.push(translate(locale, 'testimonials.invalidHeadline'));
+    }
+
+    const quote = String(data.quote || '').trim();
+    if (quote.length < 20 || quote.length > 1000) {
+        errors.push(translate(locale, 'testimonials.invalidQuote'));
+    }
+
+    const rating = Number(data.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        errors.push(translate(locale, 'testimonials.invalidRating'));
+    }
+
+    // Checkbox: true from JSON, "on" from a form post
+    if (data.consent !== true && data.consent !== 'on' && data.consent !== 'true') {
+        errors.push(translate(locale, 'testimonials.consentRequired'));
+    }
+
+    return {
+        testimonial: { displayName, headline, quote, rating },
+        errors: errors
+    };
+}
+
+/**
+ * Store a pending testimonial
+ * Returns the new row id
+ */
+export async function insertTestimonial(db, memberId, testimonial) {
+    const result = await db.prepare(`
+        INSERT INTO testimonials (member_id, display_name, headline, quote, rating, status, submitted_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?)
+    `).bind(
+        memberId,
+        testimonial.displayName,
+        testimonial.headline || null,
+        testimonial.quote,
+        testimonial.rating,
+        new Date().toISOString()
+    ).run();
+
+    return result.meta.last_row_id;
+}
+
+/**
+ * A member's most recent submission, or null
+ */
+export async function getLatestMemberTestimonial(db, memberId) {
+    const row = await db.prepare(`
+        SELECT * FROM testimonials WHERE member_id = ?
+        ORDER BY submitted_at DESC, id DESC
+        LIMIT 1
+    `).bind(memberId).first();
+
+    return row ? toMemberTestimonial(row) : null;
+}
+
+/**
+ * Approved testimonials for the public site, most recently approved first
+ * Only fields meant for publication are returned
+ */
+export async function listApprovedTestimonials(db, { page = 1, pageSize = 6 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 6, 1), MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+
+    const total = await db.prepare("SELECT COUNT(*) AS count FROM testimonials WHERE status = 'approved'")
+        .first('count');
+
+    const { results } = await db.prepare(`
+        SELECT * FROM testimonials WHERE status = 'approved'
+        ORDER BY reviewed_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `).bind(size, (current - 1) * size).all();
+
+    return {
+        testimonials: (results || []).map(toPublicTestimonial),
+        total: total || 0,
+        page: current,
+        pageSize: size
+    };
+}
+
+/**
+ * Moderation queue for the admin, oldest pending first
+ * status: pending | approved | rejected | all
+ */
+export async function listTestimonials(db, { status = 'pending', page = 1, pageSize = 25 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    const filtered = TESTIMONIAL_STATUSES.includes(status);
+    const where = filtered ? 'WHERE t.status = ?' : '';
+    const params = filtered ? [status] : [];
+
+    const total = await db.prepare(`SELECT COUNT(*) AS count FROM testimonials t ${where}`)
+        .bind(...params)
+        .first('count');
+
+    const { results } = await db.prepare(`
+        SELECT t.*, m.email AS member_email
+        FROM testimonials t
+        JOIN members m ON m.id = t.member_id
+        ${where}
+        ORDER BY t.submitted_at ${status === 'pending' ? 'ASC' : 'DESC'}, t.id
+        LIMIT ? OFFSET ?
+    `).bind(...params, size, (current - 1) * size).all();
+
+    return {
+        testimonials: (results || []).map(row => ({
+            ...toMemberTestimonial(row),
+            memberEmail: row.member_email,
+            reviewNote: row.review_note
+        })),
+        total: total || 0,
+        page: current,
+        pageSize: size
+    };
+}
+
+/**
+ * Approve or reject a testimonial
+ * Returns the updated testimonial, or null if it doesn't exist
+ */
+export async function reviewTestimonial(db, id, { status, note }) {
+    const result = await db.prepare(`
+        UPDATE testimonials SET status = ?, review_note = ?, reviewed_at = ?
+        WHERE id = ?
+    `).bind(status, note || null, new Date().toISOString(), id).run();
+
+    if (result.meta.changes === 0) return null;
+
+    const row = await db.prepare('SELECT * FROM testimonials WHERE id = ?').bind(id).first();
+    return { ...toMemberTestimonial(row), reviewNote: row.review_note };
+}
+
+function toPublicTestimonial(row) {
+    return {
+        id: row.id,
+        displayName: row.display_name,
+        headline: row.headline,
+        quote: row.quote,
+        rating: row.rating,
+        approvedAt: row.reviewed_at
+    };
+}
+
+function toMemberTestimonial(row) {
+    return {
+        id: row.id,
+        displayName: row.display_name,
+        headline: row.headline,
+        quote: row.quote,
+        rating: row.rating,
+        status: row.status,
+        submittedAt: row.submitted_at,
+        reviewedAt: row.reviewed_at
+    };
+}
@@ -0,0 +1,50 @@
+/* ==========================================
+   CLOUDFLARE TURNSTILE
+   Server-side token verification
+   Docs: https://developers.cloudflare.com/turnstile/get-started/server-side-validation/
+   Local dev: use the test secret 1x0000000000000000000000000000000AA
+   (always passes) or set TURNSTILE_VERIFY_URL to a local stub
+   ========================================== */
+
+import { log } from './logger.js';
+
+const DEFAULT_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+/**
+ * Verify a Turnstile token
+ * Returns { success, skipped?, errorCodes }
+ */
+export async function verifyTurnstileToken(env, token, remoteIp) {
+    // Not configured (e.g. a fresh local checkout) - don't block the form
+    if (!env.TURNSTILE_SECRET_KEY) {
+        log.warn('Turnstile verification skipped: TURNSTILE_SECRET_KEY is not set');
+        return { success: true, skipped: true, errorCodes: [] };
+    }
+
+    if (!token) {
+        return { success: false, errorCodes: ['missing-input-response'] };
+    }
+
+    const body = new FormData();
+    body.append('secret', env.TURNSTILE_SECRET_KEY);
+    body.append('response', token);
+    if (remoteIp) {
+        body.append('remoteip', remoteIp);
+    }
+
+    const response = await fetch(env.TURNSTILE_VERIFY_URL || DEFAULT_VERIFY_URL, {
+        method: 'POST',
+        body: body
+    });
+
+    if (!response.ok) {
+        throw new Error(`Turnstile siteverify error (${response.status})`);
+    }
+
+    const result = await response.json();
+
+    return {
+        success: result.success === true,
+        errorCodes: result['error-codes'] || []
+    };
+}
@@ -0,0 +1,282 @@
+/* ==========================================
+   OUTGOING WEBHOOKS
+   POSTs signed, versioned JSON events (contact.submitted, ...)
+   to the CRM, the Django backend or any other configured URL
+   Schema: migrations/0013_create_webhook_deliveries.sql
+   Failed deliveries are retried by workers/email-outbox
+   ========================================== */
+
+import { hmacSha256Hex, timingSafeEqual, randomToken } from './crypto.js';
+import { getNextAttemptAt } from './outbox.js';
+import { log } from './logger.js';
+
+export const WEBHOOK_EVENT_VERSION = 1;
+
+/**
+ * Event types and the data each one carries
+ * contact.submitted: { submissionId, name, email, phone, subject, message, submittedAt }
+ */
+export const WEBHOOK_EVENT_TYPES = ['contact.submitted'];
+
+export const MAX_ATTEMPTS = 8;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;      // hide a row from other sweeps while sending
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Endpoints from WEBHOOK_ENDPOINTS, e.g.
+ * [{"id": "crm", "url": "https://crm.example.com/hooks", "events": ["contact.submitted"]}]
+ * events defaults to every type. Each endpoint is signed with
+ * WEBHOOK_SECRET_<ID> (id uppercased, dashes as underscores) or WEBHOOK_SECRET
+ * Returns [{ id, url, events, secret }]
+ */
+export function getWebhookEndpoints(env) {
+    if (!env.WEBHOOK_ENDPOINTS) return [];
+
+    try {
+        const parsed = JSON.parse(env.WEBHOOK_ENDPOINTS);
+        if (!Array.isArray(parsed)) throw new Error('expected an array of endpoints');
+
+        return parsed.map(endpoint => {
+            const id = String(endpoint.id || '');
+            if (!/^[a-z0-9_-]{1,40}$/i.test(id)) {
+                throw new Error(`endpoint id "${id}" must be 1-40 letters, numbers, dashes or underscores`);
+            }
+
+            const url = new URL(endpoint.url);
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(`"${id}" url must be http or https`);
+            }
+
+            const events = endpoint.events === undefined ? WEBHOOK_EVENT_TYPES : endpoint.events;
+            const unknown = events.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new Error(`"${id}" subscribes to unknown events: ${unknown.join(', ')}`);
+            }
+
+            const secretName = `WEBHOOK_SECRET_${id.toUpperCase().replace(/-/g, '_')}`;
+            const secret = env[secretName] || env.WEBHOOK_SECRET;
+            if (!secret) {
+                throw new Error(`no signing secret for "${id}" - set ${secretName} or WEBHOOK_SECRET`);
+            }
+
+            return { id, url: url.toString(), events, secret };
+        });
+    } catch (error) {
+        throw new Error(`Invalid WEBHOOK_ENDPOINTS: ${error.message}`);
+    }
+}
+
+/**
+ * Record an event for every subscribed endpoint and try each once
+ * Returns { eventId, delivered, pending } - failures are left for the sweeper
+ */
+export async function dispatchWebhookEvent(env, type, data) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown webhook event type "${type}"`);
+    }
+
+    const endpoints = getWebhookEndpoints(env).filter(endpoint => endpoint.events.includes(type));
+    const event = {
+        id: `evt_${randomToken(18)}`,
+        type: type,
+        version: WEBHOOK_EVENT_VERSION,
+        createdAt: new Date().toISOString(),
+        data: data
+    };
+    const summary = { eventId: event.id, delivered: 0, pending: 0 };
+
+    if (endpoints.length === 0) return summary;
+
+    const payload = JSON.stringify(event);
+
+    for (const endpoint of endpoints) {
+        const now = new Date();
+
+        // Leased from the start so a sweep can't race the first attempt
+        const result = await env.DB.prepare(`
+            INSERT INTO webhook_deliveries (event_id, event_type, endpoint_id, url, payload, next_attempt_at, created_at, updated_at)
+            VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7)
+        `).bind(
+            event.id,
+            type,
+            endpoint.id,
+            endpoint.url,
+            payload,
+            new Date(now.getTime() + CLAIM_LEASE_MS).toISOString(),
+            now.toISOString()
+        ).run();
+
+        const delivered = await attemptDelivery(env.DB, {
+            id: result.meta.last_row_id,
+            event_id: event.id,
+            event_type: type,
+            endpoint_id: endpoint.id,
+            url: endpoint.url,
+            payload: payload,
+            attempts: 0
+        }, endpoint);
+
+        summary[delivered ? 'delivered' : 'pending']++;
+    }
+
+    return summary;
+}
+
+/**
+ * Retry every due delivery once
+ * Returns counts of delivered, retried and dead-lettered deliveries
+ */
+export async function deliverWebhooks(env, { limit = 25 } = {}) {
+    const db = env.DB;
+    const now = new Date();
+    const summary = { delivered: 0, retried: 0, dead: 0 };
+    const endpoints = getWebhookEndpoints(env);
+
+    const { results } = await db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+    `).bind(now.toISOString(), limit).all();
+
+    for (const entry of results) {
+        if (!(await claimEntry(db, entry, now))) continue;
+
+        const endpoint = endpoints.find(candidate => candidate.id === entry.endpoint_id);
+        const delivered = await attemptDelivery(db, entry, endpoint);
+
+        if (delivered) {
+            summary.delivered++;
+        } else if (entry.attempts + 1 >= MAX_ATTEMPTS || !endpoint) {
+            summary.dead++;
+        } else {
+            summary.retried++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Signature header for a payload: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+ * Same scheme as Stripe-Signature, so receivers can verify it the same way
+ */
+export async function signWebhookPayload(secret, payload, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${await hmacSha256Hex(secret, `${timestamp}.${payload}`)}`;
+}
+
+/**
+ * Check an X-Webhook-Signature header on the receiving side
+ * Returns true when it matches and is recent
+ */
+export async function verifyWebhookSignature(payload, header, secret, tolerance = SIGNATURE_TOLERANCE_SECONDS) {
+    let timestamp = null;
+    const signatures = [];
+
+    for (const part of (header || '').split(',')) {
+        const [key, value] = part.split('=');
+        if (key === 't') timestamp = parseInt(value, 10) || null;
+        if (key === 'v1' && value) signatures.push(value);
+    }
+
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) return false;
+
+    const expected = await hmacSha256Hex(secret, `${timestamp}.${payload}`);
+    return signatures.some(signature => timingSafeEqual(signature, expected));
+}
+
+/**
+ * POST one delivery and record the outcome
+ * The body is re-signed with a fresh timestamp on every attempt
+ * Returns true when the endpoint answered 2xx
+ */
+async function attemptDelivery(db, entry, endpoint) {
+    const attempts = entry.attempts + 1;
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    let responseStatus = null;
+
+    try {
+        // Removed from WEBHOOK_ENDPOINTS since the event was recorded
+        if (!endpoint) {
+            throw new Error(`Endpoint "${entry.endpoint_id}" is no longer configured`);
+        }
+
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `PhilipFitness-Webhooks/${WEBHOOK_EVENT_VERSION}`,
+                'X-Webhook-Id': entry.event_id,
+                'X-Webhook-Event': entry.event_type,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': await signWebhookPayload(endpoint.secret, entry.payload, timestamp)
+            },
+            body: entry.payload,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        responseStatus = response.status;
+        const responseText = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`Endpoint responded ${response.status}: ${responseText.substring(0, 500)}`);
+        }
+
+        await db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = 'delivered', attempts = ?, response_status = ?, duration_ms = ?,
+                last_error = NULL, delivered_at = ?, updated_at = ?
+            WHERE id = ?
+        `).bind(attempts, responseStatus, Date.now() - started, new Date().toISOString(), new Date().toISOString(), entry.id).run();
+
+        log.info('Webhook delivered', { deliveryId: entry.id, endpoint: entry.endpoint_id, event: entry.event_type, attempts });
+        return true;
+
+    } catch (error) {
+        const isDead = attempts >= MAX_ATTEMPTS || !endpoint;
+
+        await db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, duration_ms = ?,
+                last_error = ?, updated_at = ?
+            WHERE id = ?
+        `).bind(
+            isDead ? 'dead' : 'pending',
+            attempts,
+            getNextAttemptAt(new Date(), attempts).toISOString(),
+            responseStatus,
+            Date.now() - started,
+            String(error.message).substring(0, 1000),
+            new Date().toISOString(),
+            entry.id
+        ).run();
+
+        if (isDead) {
+            log.error('Webhook delivery dead-lettered', { deliveryId: entry.id, endpoint: entry.endpoint_id, attempts, error: error.message });
+        } else {
+            log.warn('Webhook delivery failed', { deliveryId: entry.id, endpoint: entry.endpoint_id, attempts, error: error.message });
+        }
+
+        return false;
+    }
+}
+
+/**
+ * Push the row's next_attempt_at forward so overlapping sweeps skip it
+ * Returns false if another sweep claimed it first
+ */
+async function claimEntry(db, entry, now) {
+    const result = await db.prepare(`
+        UPDATE webhook_deliveries SET next_attempt_at = ?
+        WHERE id = ? AND status = 'pending' AND next_attempt_at = ?
+    `).bind(
+        new Date(now.getTime() + CLAIM_LEASE_MS).toISOString(),
+        entry.id,
+        entry.next_attempt_at
+    ).run();
+
+    return result.meta.changes > 0;
+}
@@ -0,0 +1,112 @@
+/* ==========================================
+   CLOUDFLARE PAGES MIDDLEWARE
+   Runs before every Function and static asset:
+   blocks state-changing /api calls from other origins,
+   answers CORS for allow-listed ones and adds the
+   security headers from functions/_lib/security.js
+   /api calls also get a request ID (X-Request-Id) and
+   one structured log line with their status and latency
+   ========================================== */
+
+import { createJsonResponse } from './_lib/http.js';
+import { log, withRequestContext } from './_lib/logger.js';
+import {
+    getAllowedOrigins,
+    isOriginAllowed,
+    requiresAllowedOrigin,
+    getSecurityHeaders
+} from './_lib/security.js';
+
+/**
+ * Middleware for all routes
+ * Env: SITE_URL, ALLOWED_ORIGINS, CONTENT_SECURITY_POLICY, CSP_REPORT_ONLY, HSTS_MAX_AGE
+ */
+export async function onRequest(context) {
+    const url = new URL(context.request.url);
+
+    if (!url.pathname.startsWith('/api/')) {
+        return handleRequest(context, url, false);
+    }
+
+    const requestId = crypto.randomUUID();
+    const startedAt = Date.now();
+    context.data.requestId = requestId;
+
+    return withRequestContext({ requestId, route: url.pathname, method: context.request.method }, async () => {
+        let response;
+        let outcome;
+
+        try {
+            response = await handleRequest(context, url, true);
+            outcome = response.status >= 500 ? 'failed' : response.status >= 400 ? 'rejected' : 'ok';
+        } catch (error) {
+            // A Function threw - log it here so the visitor only sees the request ID
+            log.error('Unhandled error', { error });
+            outcome = 'error';
+            response = withSecurityHeaders(createJsonResponse({
+                success: false,
+                message: 'An unexpected error occurred. Please try again later.'
+            }, 500), context.request, context.env, null);
+        }
+
+        response.headers.set('X-Request-Id', requestId);
+
+        const level = outcome === 'ok' || outcome === 'rejected' ? 'info' : 'error';
+        log[level]('Request completed', {
+            status: response.status,
+            outcome: outcome,
+            latencyMs: Date.now() - startedAt
+        });
+
+        return response;
+    });
+}
+
+/**
+ * Origin check, then the Function or static asset, then security headers
+ */
+async function handleRequest(context, url, isApi) {
+    const { request, env } = context;
+    const origin = request.headers.get('origin');
+
+    const allowedOrigins = getAllowedOrigins(request, env);
+    const originAllowed = isOriginAllowed(origin, allowedOrigins);
+
+    if (isApi && origin && !originAllowed && requiresAllowedOrigin(request)) {
+        log.info('Cross-origin request blocked', { origin });
+
+        return withSecurityHeaders(createJsonResponse({
+            success: false,
+            message: 'Cross-origin requests are not allowed.'
+        }, 403), request, env, null);
+    }
+
+    const response = await context.next();
+
+    return withSecurityHeaders(response, request, env, isApi && originAllowed ? origin : null);
+}
+
+/**
+ * Copy the response with security headers and, for API calls
+ * from an allowed origin, the matching CORS origin
+ * Headers a Function set itself (e.g. its own CSP) are kept
+ */
+function withSecurityHeaders(response, request, env, corsOrigin) {
+    // Static asset and redirect responses have immutable headers
+    const secured = new Response(response.body, response);
+
+    Object.entries(getSecurityHeaders(request, env)).forEach(([name, value]) => {
+        if (!secured.headers.has(name)) {
+            secured.headers.set(name, value);
+        }
+    });
+
+    if (corsOrigin) {
+        secured.headers.set('Access-Control-Allow-Origin', corsOrigin);
+        secured.headers.append('Vary', 'Origin');
+    } else {
+        secured.headers.delete('Access-Control-Allow-Origin');
+    }
+
+    return secured;
+}
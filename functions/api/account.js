@@ -0,0 +1,80 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER ACCOUNT
+   Everything the /dashboard page shows about the
+   signed-in member: plan, billing status, next check-in
+   ========================================== */
+
+import { createJsonResponse } from '../_lib/http.js';
+import { requireMember } from '../_lib/member-auth.js';
+import { getMemberSubscription } from '../_lib/members.js';
+import { getPlan, getLocalizedCatalog } from '../_lib/plans.js';
+import { getRequestLocale, translate } from '../_lib/i18n.js';
+import { log } from '../_lib/logger.js';
+
+/**
+ * Endpoint: /api/account?locale=es
+ * Method: GET (session cookie required)
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const { member } = auth.session;
+        const subscription = await getMemberSubscription(env.DB, member.email);
+        const planId = subscription ? getPlan(subscription.plan_id)?.id : null;
+        // Name and features in the visitor's language, as /api/plans shows them
+        const plan = planId ? getLocalizedCatalog(locale).plans.find(entry => entry.id === planId) : null;
+        const isActive = subscription?.status === 'active';
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                member: {
+                    email: member.email
+                },
+                plan: plan ? {
+                    id: plan.id,
+                    name: plan.name,
+                    price: plan.price,
+                    currency: plan.currency,
+                    interval: plan.interval,
+                    features: plan.features
+                } : null,
+                billing: subscription ? {
+                    status: subscription.status,
+                    currentPeriodEnd: subscription.current_period_end,
+                    canceledAt: subscription.canceled_at
+                } : null,
+                nextCheckIn: isActive && plan
+                    ? getNextCheckIn(subscription.created_at, plan.checkInDays)
+                    : null
+            }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Account error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'member.accountFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Check-ins run on the plan's cadence from the subscription start
+ * Returns the next one after now as an ISO string
+ */
+function getNextCheckIn(startedAt, intervalDays, now = Date.now()) {
+    const start = Date.parse(startedAt);
+    if (Number.isNaN(start) || !intervalDays) return null;
+
+    const intervalMs = intervalDays * 24 * 60 * 60 * 1000;
+    const elapsed = Math.max(now - start, 0);
+
+    return new Date(start + (Math.floor(elapsed / intervalMs) + 1) * intervalMs).toISOString();
+}
@@ -0,0 +1,44 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN NUTRITION INTAKES
+   Lists submitted nutrition questionnaires with
+   their calculated targets
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse } from '../../_lib/http.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { listIntakes } from '../../_lib/nutrition.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/intakes?page=&pageSize=
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const params = new URL(request.url).searchParams;
+
+    try {
+        const result = await listIntakes(env.DB, {
+            page: params.get('page'),
+            pageSize: params.get('pageSize')
+        });
+
+        return createJsonResponse({
+            success: true,
+            data: result
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin intakes error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load intakes.'
+        }, 500);
+    }
+}
@@ -0,0 +1,99 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN PROGRAM
+   Reads and updates a single workout program
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { validateProgram, updateProgram, getProgram } from '../../../_lib/programs.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/programs/:id
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    try {
+        const program = Number.isInteger(id) && id > 0 ? await getProgram(env.DB, id) : null;
+
+        if (!program) {
+            return createNotFoundResponse();
+        }
+
+        return createJsonResponse({
+            success: true,
+            data: program
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin program error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load program.'
+        }, 500);
+    }
+}
+
+/**
+ * Replace a program's content
+ * Endpoint: /api/admin/programs/:id
+ * Method: PUT
+ * Body: same shape as POST /api/admin/programs
+ */
+export async function onRequestPut(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    if (!Number.isInteger(id) || id < 1) {
+        return createNotFoundResponse();
+    }
+
+    try {
+        const { program, errors } = validateProgram(await readRequestData(request));
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: errors
+            }, 400);
+        }
+
+        if (!await updateProgram(env.DB, id, program)) {
+            return createNotFoundResponse();
+        }
+
+        return createJsonResponse({
+            success: true,
+            data: await getProgram(env.DB, id)
+        }, 200);
+
+    } catch (error) {
+        log.error('Admin program update error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not update program.'
+        }, 500);
+    }
+}
+
+function createNotFoundResponse() {
+    return createJsonResponse({
+        success: false,
+        message: 'Program not found.'
+    }, 404);
+}
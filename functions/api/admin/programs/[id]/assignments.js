@@ -0,0 +1,88 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN PROGRAM ASSIGNMENT
+   Puts a member on a program; it shows up on their
+   dashboard from the start date
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../../_lib/http.js';
+import { requireAdmin } from '../../../../_lib/auth.js';
+import { getProgram, assignProgram } from '../../../../_lib/programs.js';
+import { ensureMember } from '../../../../_lib/members.js';
+import { isValidDate } from '../../../../_lib/progress.js';
+import FormValidation from '../../../../../public/validation.js';
+import { log } from '../../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/programs/:id/assignments
+ * Method: POST
+ * Body: { email, startDate?: YYYY-MM-DD (defaults to today, UTC) }
+ * Any program the member was already on is ended
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    try {
+        const program = Number.isInteger(id) && id > 0 ? await getProgram(env.DB, id) : null;
+
+        if (!program) {
+            return createJsonResponse({
+                success: false,
+                message: 'Program not found.'
+            }, 404);
+        }
+
+        const data = await readRequestData(request);
+        const email = String(data.email || '').trim().toLowerCase();
+        const startDate = String(data.startDate || '').trim() || new Date().toISOString().slice(0, 10);
+        const errors = [];
+
+        if (!email || !FormValidation.isValidEmail(email)) {
+            errors.push('Please provide a valid member email address');
+        }
+        if (!isValidDate(startDate)) {
+            errors.push('startDate must be a valid YYYY-MM-DD date');
+        }
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: errors
+            }, 400);
+        }
+
+        // Members who haven't signed in yet get an account now and see the program on first login
+        const member = await ensureMember(env.DB, email);
+        const assignmentId = await assignProgram(env.DB, {
+            programId: program.id,
+            memberId: member.id,
+            startDate: startDate
+        });
+
+        log.info('Program assigned', { programId: program.id, memberId: member.id, assignmentId });
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                id: assignmentId,
+                programId: program.id,
+                email: member.email,
+                startDate: startDate
+            }
+        }, 201);
+
+    } catch (error) {
+        log.error('Admin program assignment error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not assign program.'
+        }, 500);
+    }
+}
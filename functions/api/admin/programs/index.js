@@ -0,0 +1,78 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN PROGRAM LIBRARY
+   Lists and creates coach-built workout programs
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { validateProgram, insertProgram, listPrograms, getProgram } from '../../../_lib/programs.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * List programs, newest first
+ * Endpoint: /api/admin/programs
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    try {
+        return createJsonResponse({
+            success: true,
+            data: { programs: await listPrograms(env.DB) }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin programs error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load programs.'
+        }, 500);
+    }
+}
+
+/**
+ * Create a program
+ * Endpoint: /api/admin/programs
+ * Method: POST
+ * Body: { title, description?, weeks: [{ notes?, days: [{ weekday, title?, notes?, exercises: [...] }] }] }
+ * Exercise: { name, sets, reps, load?, restSeconds?, notes? }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const { program, errors } = validateProgram(await readRequestData(request));
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: errors
+            }, 400);
+        }
+
+        const id = await insertProgram(env.DB, program);
+
+        return createJsonResponse({
+            success: true,
+            data: await getProgram(env.DB, id)
+        }, 201);
+
+    } catch (error) {
+        log.error('Admin program create error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not create program.'
+        }, 500);
+    }
+}
@@ -0,0 +1,68 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN PROMO CODE UPDATE
+   Deactivates a discount code so checkout stops accepting it
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { deactivatePromoCode } from '../../../_lib/promo.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/promo-codes/:id
+ * Method: PATCH
+ * Body: { active: false }
+ * Deactivation is one-way - create a new code to run an offer again
+ */
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    if (!Number.isInteger(id) || id < 1) {
+        return createJsonResponse({
+            success: false,
+            message: 'Invalid promo code id.'
+        }, 400);
+    }
+
+    try {
+        const data = await readRequestData(request);
+
+        if (data.active !== false) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: ['active must be false']
+            }, 400);
+        }
+
+        const promo = await deactivatePromoCode(env.DB, id);
+
+        if (!promo) {
+            return createJsonResponse({
+                success: false,
+                message: 'Promo code not found.'
+            }, 404);
+        }
+
+        log.info('Promo code deactivated', { promoCodeId: id, code: promo.code });
+
+        return createJsonResponse({
+            success: true,
+            data: promo
+        }, 200);
+
+    } catch (error) {
+        log.error('Admin promo code update error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not update promo code.'
+        }, 500);
+    }
+}
@@ -0,0 +1,88 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN PROMO CODES
+   Lists and creates discount codes for checkout
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { validatePromoInput, insertPromoCode, listPromoCodes, getPromoCode } from '../../../_lib/promo.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * List codes with their redemption counts, newest first
+ * Endpoint: /api/admin/promo-codes
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    try {
+        return createJsonResponse({
+            success: true,
+            data: { promoCodes: await listPromoCodes(env.DB) }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin promo codes error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load promo codes.'
+        }, 500);
+    }
+}
+
+/**
+ * Create a code
+ * Endpoint: /api/admin/promo-codes
+ * Method: POST
+ * Body: { code, percentOff | amountOff, duration?, durationInMonths?, planIds?, expiresAt?, maxRedemptions?, description? }
+ * amountOff is in whole currency units (10 = $10 off each discounted month)
+ * duration: 'once' (default, first payment only), 'repeating' (durationInMonths) or 'forever'
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const { promo, errors } = validatePromoInput(await readRequestData(request));
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: errors
+            }, 400);
+        }
+
+        const id = await insertPromoCode(env.DB, promo);
+
+        if (!id) {
+            return createJsonResponse({
+                success: false,
+                message: `The code ${promo.code} already exists.`
+            }, 409);
+        }
+
+        log.info('Promo code created', { promoCodeId: id, code: promo.code });
+
+        return createJsonResponse({
+            success: true,
+            data: await getPromoCode(env.DB, id)
+        }, 201);
+
+    } catch (error) {
+        log.error('Admin promo code create error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not create promo code.'
+        }, 500);
+    }
+}
@@ -0,0 +1,66 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN LEAD UPDATE
+   Marks a contact submission as handled or open
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { setSubmissionHandled } from '../../../_lib/submissions.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Update a submission's handled state
+ * Endpoint: /api/admin/submissions/:id
+ * Method: PATCH
+ * Body: { handled: true | false }
+ */
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    if (!Number.isInteger(id) || id < 1) {
+        return createJsonResponse({
+            success: false,
+            message: 'Invalid submission id.'
+        }, 400);
+    }
+
+    try {
+        const data = await readRequestData(request);
+
+        if (typeof data.handled !== 'boolean') {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: ['handled must be true or false']
+            }, 400);
+        }
+
+        const submission = await setSubmissionHandled(env.DB, id, data.handled);
+
+        if (!submission) {
+            return createJsonResponse({
+                success: false,
+                message: 'Submission not found.'
+            }, 404);
+        }
+
+        return createJsonResponse({
+            success: true,
+            data: submission
+        }, 200);
+
+    } catch (error) {
+        log.error('Admin submission update error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not update submission.'
+        }, 500);
+    }
+}
@@ -0,0 +1,47 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN LEAD INBOX
+   Lists stored contact form submissions
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { listSubmissions } from '../../../_lib/submissions.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * List submissions with optional search and filters
+ * Endpoint: /api/admin/submissions?search=&subject=&status=open|handled|all&page=
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const params = new URL(request.url).searchParams;
+
+    try {
+        const result = await listSubmissions(env.DB, {
+            search: params.get('search')?.trim() || '',
+            subject: params.get('subject')?.trim() || '',
+            status: params.get('status') || 'all',
+            page: params.get('page'),
+            pageSize: params.get('pageSize')
+        });
+
+        return createJsonResponse({
+            success: true,
+            data: result
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin submissions error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load submissions.'
+        }, 500);
+    }
+}
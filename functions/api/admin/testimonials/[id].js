@@ -0,0 +1,68 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN TESTIMONIAL REVIEW
+   Approves a testimonial for the home page or rejects it
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { reviewTestimonial } from '../../../_lib/testimonials.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/testimonials/:id
+ * Method: PATCH
+ * Body: { status: 'approved' | 'rejected', note? }
+ */
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const id = parseInt(params.id, 10);
+
+    if (!Number.isInteger(id) || id < 1) {
+        return createJsonResponse({
+            success: false,
+            message: 'Invalid testimonial id.'
+        }, 400);
+    }
+
+    try {
+        const data = await readRequestData(request);
+        const note = String(data.note || '').trim().substring(0, 500);
+
+        if (!['approved', 'rejected'].includes(data.status)) {
+            return createJsonResponse({
+                success: false,
+                message: 'Validation failed',
+                errors: ['status must be approved or rejected']
+            }, 400);
+        }
+
+        const testimonial = await reviewTestimonial(env.DB, id, { status: data.status, note });
+
+        if (!testimonial) {
+            return createJsonResponse({
+                success: false,
+                message: 'Testimonial not found.'
+            }, 404);
+        }
+
+        log.info('Testimonial reviewed', { testimonialId: id, status: data.status });
+
+        return createJsonResponse({
+            success: true,
+            data: testimonial
+        }, 200);
+
+    } catch (error) {
+        log.error('Admin testimonial review error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not update testimonial.'
+        }, 500);
+    }
+}
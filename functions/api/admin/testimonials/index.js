@@ -0,0 +1,44 @@
+/* ==========================================
+   CLOUDFLARE WORKER - ADMIN TESTIMONIAL QUEUE
+   Lists member testimonials for moderation
+   Requires Authorization: Bearer <ADMIN_API_TOKEN>
+   ========================================== */
+
+import { createJsonResponse } from '../../../_lib/http.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { listTestimonials } from '../../../_lib/testimonials.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/admin/testimonials?status=pending|approved|rejected|all&page=
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const unauthorized = requireAdmin(request, env);
+    if (unauthorized) return unauthorized;
+
+    const params = new URL(request.url).searchParams;
+
+    try {
+        const result = await listTestimonials(env.DB, {
+            status: params.get('status') || 'pending',
+            page: params.get('page'),
+            pageSize: params.get('pageSize')
+        });
+
+        return createJsonResponse({
+            success: true,
+            data: result
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Admin testimonials error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: 'Could not load testimonials.'
+        }, 500);
+    }
+}
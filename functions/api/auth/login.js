@@ -0,0 +1,133 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER SIGN-IN
+   Emails a one-time magic link for passwordless login
+   The link lands on /api/auth/verify
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData, getSiteUrl } from '../../_lib/http.js';
+import { sendEmail } from '../../_lib/email.js';
+import { enforceRateLimits, normalizeEmail, getLimitSetting } from '../../_lib/rate-limit.js';
+import { createLoginLink } from '../../_lib/member-auth.js';
+import { html, url } from '../../_lib/template.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import FormValidation from '../../../public/validation.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Request a sign-in link
+ * Endpoint: /api/auth/login
+ * Method: POST
+ * Body: { email, locale? }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+        const email = String(data.email || '').trim().toLowerCase();
+
+        if (!email || !FormValidation.isValidEmail(email)) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: [translate(locale, 'validation.invalid_email')]
+            }, 400);
+        }
+
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, [
+            {
+                name: 'login-ip',
+                key: request.headers.get('cf-connecting-ip') || 'unknown',
+                limit: getLimitSetting(env.LOGIN_RATE_LIMIT_PER_IP, 10),
+                windowSeconds: 3600
+            },
+            {
+                name: 'login-email',
+                key: normalizeEmail(email),
+                limit: getLimitSetting(env.LOGIN_RATE_LIMIT_PER_EMAIL, 3),
+                windowSeconds: 3600
+            }
+        ]);
+
+        if (!rateLimit.allowed) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'login.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
+        }
+
+        const siteUrl = getSiteUrl(request, env);
+        const link = await createLoginLink(env, email, siteUrl);
+        const result = await sendEmail(buildLoginEmail(email, link, siteUrl, locale), env);
+
+        log.info('Sign-in link sent', { provider: result.provider, emailId: result.id });
+
+        // Same answer whether or not the address has a plan, so it can't be probed
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'login.linkSent', { email: email, minutes: link.ttlMinutes })
+        }, 200);
+
+    } catch (error) {
+        log.error('Sign-in link error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'login.failed')
+        }, 500);
+    }
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders()
+    });
+}
+
+/**
+ * The magic-link email, in the visitor's language (loginEmail.* in public/i18n.js)
+ */
+function buildLoginEmail(email, link, siteUrl, locale) {
+    const t = (key, params) => translate(locale, key, params);
+    const expires = t('loginEmail.expires', { minutes: link.ttlMinutes });
+    const [ignoreBefore, ignoreAfter] = t('loginEmail.ignore').split('{site}');
+
+    return {
+        to: [email],
+        subject: t('loginEmail.subject'),
+        headers: {
+            'Auto-Submitted': 'auto-generated'
+        },
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('loginEmail.heading')}</h2>
+
+                <p>${t('loginEmail.clickBelow')} ${expires}</p>
+
+                <p style="text-align: center; margin: 30px 0;">
+                    <a href="${url(link.url)}" style="background-color: #FF6B35; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">${t('loginEmail.button')}</a>
+                </p>
+
+                <p style="color: #666; font-size: 12px;">
+                    ${ignoreBefore}
+                    <a href="${url(siteUrl)}" style="color: #666;">${siteUrl}</a>${ignoreAfter}
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            t('loginEmail.intro'),
+            '',
+            link.url,
+            '',
+            expires,
+            t('loginEmail.ignore', { site: siteUrl })
+        ].join('\n')
+    };
+}
@@ -0,0 +1,47 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER SIGN-OUT
+   Revokes the current session, or every session
+   the member has with { "all": true }
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../_lib/http.js';
+import { getMemberSession, clearSessionCookie } from '../../_lib/member-auth.js';
+import { revokeSession, revokeMemberSessions } from '../../_lib/members.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/auth/logout
+ * Method: POST
+ * Body: { all?: boolean }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request).catch(() => ({}));
+        const session = await getMemberSession(request, env);
+
+        if (session) {
+            if (data.all === true || data.all === 'true') {
+                await revokeMemberSessions(env.DB, session.member.id);
+            } else {
+                await revokeSession(env.DB, session.sessionHash);
+            }
+        }
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'member.signedOut')
+        }, 200, { 'Set-Cookie': clearSessionCookie(request) });
+
+    } catch (error) {
+        log.error('Sign-out error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'member.signOutFailed')
+        }, 500);
+    }
+}
@@ -0,0 +1,118 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MAGIC LINK LANDING
+   GET only shows a sign-in button, so mail scanners
+   prefetching the link (Safe Links, Gmail) can't use it
+   up; the POST redeems it, sets the HttpOnly session
+   cookie and sends the member to /dashboard
+   ========================================== */
+
+import { getSiteUrl, readRequestData } from '../../_lib/http.js';
+import { verifyLoginLink, redeemLoginLink, startSession } from '../../_lib/member-auth.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { html, attr, url } from '../../_lib/template.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/auth/verify?token=...
+ * Method: GET - confirmation page opened from the email
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const siteUrl = getSiteUrl(request, env);
+    const locale = getRequestLocale(request);
+    const t = key => translate(locale, key);
+    const token = new URL(request.url).searchParams.get('token') || '';
+
+    try {
+        if (!(await verifyLoginLink(env, token))) {
+            return redirect(`${siteUrl}/dashboard?login=expired`);
+        }
+
+        return renderPage(locale, t('verifyPage.title'), html`
+            <p>${t('verifyPage.intro')}</p>
+            <form method="POST" action="/api/auth/verify">
+                <input type="hidden" name="token" value="${attr(token)}">
+                <button type="submit">${t('verifyPage.button')}</button>
+            </form>
+            <p><a href="${url(siteUrl)}">${t('verifyPage.back')}</a></p>
+        `);
+
+    } catch (error) {
+        log.error('Sign-in page error', { error });
+        return redirect(`${siteUrl}/dashboard?login=error`);
+    }
+}
+
+/**
+ * Method: POST (the button on the confirmation page)
+ * Body: { token }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    const siteUrl = getSiteUrl(request, env);
+
+    try {
+        const data = await readRequestData(request);
+        const email = await redeemLoginLink(env, data.token);
+
+        if (!email) {
+            return redirect(`${siteUrl}/dashboard?login=expired`);
+        }
+
+        const { member, cookie } = await startSession(request, env, email);
+
+        log.info('Member signed in', { memberId: member.id });
+
+        return redirect(`${siteUrl}/dashboard`, { 'Set-Cookie': cookie });
+
+    } catch (error) {
+        log.error('Sign-in verification error', { error });
+        return redirect(`${siteUrl}/dashboard?login=error`);
+    }
+}
+
+function redirect(location, headers = {}) {
+    return new Response(null, {
+        // 303 so the browser follows a POST with a GET
+        status: 303,
+        headers: {
+            'Location': location,
+            // Never cache a response that sets a session
+            'Cache-Control': 'no-store',
+            ...headers
+        }
+    });
+}
+
+function renderPage(locale, title, body) {
+    const page = html`<!DOCTYPE html>
+<html lang="${attr(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${title} - Phil's Fitness</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2D3142; max-width: 560px; margin: 0 auto; padding: 48px 24px; line-height: 1.5; }
+        h1 { color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px; }
+        a { color: #004E89; }
+        button { background-color: #FF6B35; color: #ffffff; border: none; padding: 12px 28px; border-radius: 8px; font-weight: bold; font-size: 1rem; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    ${body}
+</body>
+</html>`;
+
+    return new Response(page.toString(), {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex',
+            // The token must not leak to other sites through the Referer header
+            'Referrer-Policy': 'no-referrer'
+        }
+    });
+}
@@ -0,0 +1,56 @@
+/* ==========================================
+   CLOUDFLARE WORKER - CONSULTATION AVAILABILITY
+   Open free consultation slots: the weekly schedule
+   minus slots that are already booked
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders } from '../_lib/http.js';
+import { getBookingSettings, listAvailableSlots } from '../_lib/bookings.js';
+import { getRequestLocale, translate } from '../_lib/i18n.js';
+import { log } from '../_lib/logger.js';
+
+/**
+ * Return the open slots for the next BOOKING_DAYS_AHEAD days
+ * Endpoint: /api/availability
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const settings = getBookingSettings(env);
+        const slots = await listAvailableSlots(env.DB, settings);
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                timezone: settings.timezone,
+                slotMinutes: settings.slotMinutes,
+                slots: slots
+            }
+        }, 200, {
+            ...getCorsHeaders('GET, OPTIONS'),
+            // Slots disappear as soon as they're booked
+            'Cache-Control': 'no-store'
+        });
+
+    } catch (error) {
+        log.error('Availability error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'booking.availabilityFailed')
+        }, 500, getCorsHeaders('GET, OPTIONS'));
+    }
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders('GET, OPTIONS')
+    });
+}
@@ -0,0 +1,387 @@
+/* ==========================================
+   CLOUDFLARE WORKER - CONSULTATION BOOKINGS
+   Reserves a free consultation slot and emails a
+   calendar invite (.ics) to the visitor and the team
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData, getSiteUrl, sanitizeInput } from '../_lib/http.js';
+import { sendEmail } from '../_lib/email.js';
+import { html, url, mailto } from '../_lib/template.js';
+import { enqueueEmail } from '../_lib/outbox.js';
+import { routeLead, getTeamAddress } from '../_lib/lead-routing.js';
+import { enforceRateLimits, normalizeEmail, getLimitSetting } from '../_lib/rate-limit.js';
+import { verifyTurnstileToken } from '../_lib/turnstile.js';
+import { getBookingSettings, findSlot, createBooking, SlotUnavailableError } from '../_lib/bookings.js';
+import { buildIcsEvent } from '../_lib/ics.js';
+import { DEFAULT_LOCALE, getRequestLocale, translate, localizeFieldErrors, getLocaleTag, getLanguageName } from '../_lib/i18n.js';
+import FormValidation from '../../public/validation.js';
+import { log } from '../_lib/logger.js';
+
+const TEAM_NAME = 'Phil\'s Fitness';
+const { BOOKING_SCHEMA } = FormValidation;
+
+/**
+ * Book a free consultation slot
+ * Endpoint: /api/bookings
+ * Method: POST
+ * Body: { start (ISO slot start from /api/availability), name, email, phone?, notes?, locale? }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+
+        const start = String(data.start || '').trim();
+        const name = String(data.name || '').trim();
+        const email = String(data.email || '').trim();
+        const phone = String(data.phone || '').trim();
+        const notes = String(data.notes || '').trim();
+
+        // Same honeypot field as the contact form
+        if (String(data.website || '').trim()) {
+            log.info('Honeypot triggered on booking - likely spam');
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.invalidSubmission')
+            }, 400);
+        }
+
+        // Same schema the browser checks the form with (public/validation.js)
+        const validation = FormValidation.validateForm(BOOKING_SCHEMA, { name, email, phone, notes });
+        const fieldErrors = localizeFieldErrors(locale, validation.errors);
+        const validationErrors = Object.values(fieldErrors).map(error => error.message);
+
+        if (!start) {
+            validationErrors.unshift(translate(locale, 'booking.chooseTime'));
+        }
+
+        if (validationErrors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: validationErrors,
+                fieldErrors: fieldErrors
+            }, 400);
+        }
+
+        const turnstileToken = String(data['cf-turnstile-response'] || '').trim();
+        const turnstile = await verifyTurnstileToken(env, turnstileToken, request.headers.get('cf-connecting-ip'));
+
+        if (!turnstile.success) {
+            log.info('Turnstile verification failed on booking', { errorCodes: turnstile.errorCodes });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                code: turnstileToken ? 'turnstile_invalid' : 'turnstile_missing',
+                errors: [translate(locale, 'api.verificationFailed')]
+            }, 400);
+        }
+
+        // Only times the schedule actually offers can be booked
+        const settings = getBookingSettings(env);
+        const slot = findSlot(settings, start);
+
+        if (!slot) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'booking.slotInvalid'),
+                code: 'slot_invalid'
+            }, 400);
+        }
+
+        // Counted after slot validation so a stale pick doesn't use up the limit
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, getBookingRateLimitRules(request, env, email));
+
+        if (!rateLimit.allowed) {
+            log.info('Booking rate limited', { rule: rateLimit.rule, retryAfter: rateLimit.retryAfter });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'booking.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
+        }
+
+        const booking = {
+            start: slot.start,
+            end: slot.end,
+            name: sanitizeInput(name, BOOKING_SCHEMA.name.maxLength),
+            email: sanitizeInput(email, BOOKING_SCHEMA.email.maxLength),
+            phone: sanitizeInput(phone, BOOKING_SCHEMA.phone.maxLength),
+            notes: sanitizeInput(notes, BOOKING_SCHEMA.notes.maxLength)
+        };
+
+        let stored;
+        try {
+            stored = await createBooking(env.DB, booking);
+        } catch (error) {
+            if (error instanceof SlotUnavailableError) {
+                return createJsonResponse({
+                    success: false,
+                    message: translate(locale, 'booking.slotTaken'),
+                    code: 'slot_taken'
+                }, 409);
+            }
+            throw error;
+        }
+
+        log.info('Consultation booked', { bookingId: stored.id, start: booking.start });
+
+        // The slot is reserved - confirmations go out in the background
+        context.waitUntil(sendConfirmations(env, {
+            ...booking,
+            uid: stored.uid,
+            timezone: settings.timezone,
+            locale: locale,
+            siteUrl: getSiteUrl(request, env)
+        }));
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'booking.success'),
+            data: {
+                start: booking.start,
+                end: booking.end,
+                timezone: settings.timezone
+            }
+        }, 201);
+
+    } catch (error) {
+        log.error('Booking error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'booking.serverError')
+        }, 500);
+    }
+}
+
+/**
+ * Handle GET requests - return method not allowed
+ */
+export async function onRequestGet() {
+    return createJsonResponse({
+        success: false,
+        message: 'Method not allowed. Please use POST. Open slots are at /api/availability.'
+    }, 405);
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders()
+    });
+}
+
+/* ==========================================
+   HELPER FUNCTIONS
+   ========================================== */
+
+/**
+ * Sliding-window limits for bookings - tighter than the contact form
+ * since every booking holds a slot
+ */
+function getBookingRateLimitRules(request, env, email) {
+    const windowSeconds = getLimitSetting(env.BOOKING_RATE_LIMIT_WINDOW_SECONDS, 86400);
+
+    return [
+        {
+            name: 'booking-ip',
+            key: request.headers.get('cf-connecting-ip') || 'unknown',
+            limit: getLimitSetting(env.BOOKING_RATE_LIMIT_PER_IP, 5),
+            windowSeconds: windowSeconds
+        },
+        {
+            name: 'booking-email',
+            key: normalizeEmail(email),
+            limit: getLimitSetting(env.BOOKING_RATE_LIMIT_PER_EMAIL, 3),
+            windowSeconds: windowSeconds
+        }
+    ];
+}
+
+/**
+ * Email both sides; anything that fails goes to the outbox
+ * The visitor's copy is in their language, the team's in English
+ */
+async function sendConfirmations(env, booking) {
+    const teamEmail = getTeamAddress(env, 'consultation');
+    const messages = [
+        buildVisitorEmail(booking, formatSlot(booking.start, booking.timezone, booking.locale), teamEmail),
+        routeLead(env, 'consultation', buildTeamEmail(booking, formatSlot(booking.start, booking.timezone), teamEmail))
+    ];
+
+    await Promise.all(messages.map(async message => {
+        try {
+            const result = await sendEmail(message, env);
+            log.info('Booking email sent', { to: message.to, provider: result.provider, emailId: result.id });
+        } catch (error) {
+            log.error('Failed to send booking email', { error });
+            try {
+                await enqueueEmail(env, 'booking_confirmation', message, {
+                    lastError: String(error.message).substring(0, 1000)
+                });
+            } catch (queueError) {
+                log.error('Failed to queue booking email', { error: queueError });
+            }
+        }
+    }));
+}
+
+/**
+ * "Monday, June 2, 2025 at 10:30 AM EDT" in the business time zone
+ * English unless a locale is given
+ */
+function formatSlot(start, timezone, locale) {
+    return new Date(start).toLocaleString(getLocaleTag(locale), {
+        timeZone: timezone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+/**
+ * How the call happens - depends only on whether a phone number was given
+ */
+function getMeetingDetails(booking, locale = DEFAULT_LOCALE) {
+    return translate(locale, booking.phone ? 'bookingEmail.phoneCall' : 'bookingEmail.videoCall');
+}
+
+/**
+ * Calendar invite attached to both confirmations
+ */
+function buildInvite(booking, summary, description, location, teamEmail) {
+    return {
+        filename: 'consultation.ics',
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+        content: buildIcsEvent({
+            uid: booking.uid,
+            start: booking.start,
+            end: booking.end,
+            summary: summary,
+            description: description,
+            location: location,
+            url: `${booking.siteUrl}/contact.html`,
+            organizer: { name: TEAM_NAME, email: teamEmail }
+        })
+    };
+}
+
+/**
+ * Confirmation for the visitor, in their language (bookingEmail.* in public/i18n.js)
+ * The team notification stays in English
+ * Like the contact auto-reply, it never echoes visitor-supplied text:
+ * the address is unverified
+ */
+function buildVisitorEmail(booking, when, teamEmail) {
+    const t = (key, params) => translate(booking.locale, key, params);
+    const where = getMeetingDetails(booking, booking.locale);
+    const minutes = Math.round((Date.parse(booking.end) - Date.parse(booking.start)) / 60000);
+
+    return {
+        to: [booking.email],
+        replyTo: teamEmail,
+        subject: t('bookingEmail.subject', { when: when }),
+        headers: {
+            'Auto-Submitted': 'auto-generated'
+        },
+        attachments: [
+            buildInvite(booking, t('bookingEmail.summary'), `${t('bookingEmail.description')} ${where}.`, where, teamEmail)
+        ],
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('bookingEmail.heading')}</h2>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <p style="margin: 10px 0;"><strong>${t('bookingEmail.when')}:</strong> ${when}</p>
+                    <p style="margin: 10px 0;"><strong>${t('bookingEmail.length')}:</strong> ${t('bookingEmail.minutes', { count: minutes })}</p>
+                    <p style="margin: 10px 0;"><strong>${t('bookingEmail.where')}:</strong> ${where}</p>
+                </div>
+
+                <p>${t('bookingEmail.invite')}</p>
+
+                <p>${t('email.signoff')}<br>${t('email.signature')}</p>
+
+                <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+                <p style="color: #666; font-size: 12px;">
+                    ${t('bookingEmail.reason')}
+                    <a href="${url(booking.siteUrl)}" style="color: #666;">${booking.siteUrl}</a>.
+                    ${t('bookingEmail.notYou')}
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            t('bookingEmail.heading'),
+            '',
+            `${t('bookingEmail.when')}: ${when}`,
+            `${t('bookingEmail.where')}: ${where}`,
+            '',
+            t('bookingEmail.invite'),
+            '',
+            t('email.signoff'),
+            t('email.signature'),
+            '',
+            `${t('bookingEmail.reason')} ${booking.siteUrl}.`,
+            t('bookingEmail.notYou')
+        ].join('\n')
+    };
+}
+
+/**
+ * Notification for the team, with everything the visitor entered
+ * Recipients are added by routeLead()
+ */
+function buildTeamEmail(booking, when, teamEmail) {
+    const description = [
+        `Name: ${booking.name}`,
+        `Email: ${booking.email}`,
+        `Phone: ${booking.phone || 'Not provided'}`,
+        `Language: ${getLanguageName(booking.locale)}`,
+        booking.notes ? `Notes: ${booking.notes}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+        replyTo: booking.email,
+        subject: `New Consultation Booking: ${booking.name} - ${when}`,
+        attachments: [
+            buildInvite(booking, `Free consultation: ${booking.name}`, description, getMeetingDetails(booking), teamEmail)
+        ],
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">New Consultation Booking</h2>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <p style="margin: 10px 0;"><strong>When:</strong> ${when}</p>
+                    <p style="margin: 10px 0;"><strong>Name:</strong> ${booking.name}</p>
+                    <p style="margin: 10px 0;"><strong>Email:</strong> <a href="${mailto(booking.email)}">${booking.email}</a></p>
+                    <p style="margin: 10px 0;"><strong>Phone:</strong> ${booking.phone || 'Not provided'}</p>
+                    <p style="margin: 10px 0;"><strong>Language:</strong> ${getLanguageName(booking.locale)}</p>
+                </div>
+
+                ${booking.notes ? html`
+                <div style="margin: 20px 0;">
+                    <h3 style="color: #004E89;">Notes:</h3>
+                    <p style="white-space: pre-wrap; background-color: #f9f9f9; padding: 15px; border-left: 4px solid #00C9A7; border-radius: 4px;">${booking.notes}</p>
+                </div>
+                ` : null}
+            </div>
+        `.toString(),
+        text: [
+            'New Consultation Booking',
+            '',
+            `When: ${when}`,
+            description
+        ].join('\n')
+    };
+}
@@ -0,0 +1,161 @@
+/* ==========================================
+   CLOUDFLARE WORKER - STRIPE CHECKOUT
+   Creates Stripe Checkout Sessions for plan purchases
+   Prices always come from the server-side plan catalog,
+   with promo codes re-checked here before Stripe sees them
+   A promo is a Stripe coupon with its own duration - the
+   subscription price itself is always the plan price
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData, getSiteUrl } from '../_lib/http.js';
+import { getPlan, getPlanAmount, getPlanName } from '../_lib/plans.js';
+import { createCheckoutSession, retrieveCheckoutSession } from '../_lib/stripe.js';
+import { checkPromoCode, getPromoErrorMessage, getStripeCouponId } from '../_lib/promo.js';
+import { getRequestLocale, translate } from '../_lib/i18n.js';
+import { log } from '../_lib/logger.js';
+
+/**
+ * Create a Checkout Session for the chosen plan
+ * Endpoint: /api/checkout
+ * Method: POST
+ * Body: { plan: 'starter' | 'premium' | 'elite' | 'vip', promoCode?, locale? }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+
+        // Only the plan id is accepted from the browser - any price it sends is ignored
+        const plan = getPlan(data.plan);
+
+        if (!plan) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'plans.invalidPlan')
+            }, 400);
+        }
+
+        // The preview in the modal is only a preview - the code is checked again here
+        let promoCode = null;
+        let discounts;
+
+        if (String(data.promoCode || '').trim()) {
+            const promo = await checkPromoCode(env.DB, data.promoCode, plan);
+
+            if (promo.error) {
+                return createJsonResponse({
+                    success: false,
+                    message: getPromoErrorMessage(promo, plan, locale)
+                }, 400);
+            }
+
+            promoCode = promo.promo.code;
+            discounts = [{ coupon: await getStripeCouponId(env, promo.promo, plan) }];
+        }
+
+        // The webhook's welcome and receipt emails read the locale back from here
+        const metadata = promoCode
+            ? { plan_id: plan.id, promo_code: promoCode, locale: locale }
+            : { plan_id: plan.id, locale: locale };
+        const siteUrl = getSiteUrl(request, env);
+
+        const session = await createCheckoutSession(env, {
+            mode: 'subscription',
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: plan.currency,
+                    unit_amount: getPlanAmount(plan),
+                    recurring: { interval: plan.interval },
+                    product_data: { name: plan.name }
+                }
+            }],
+            discounts: discounts,
+            metadata: metadata,
+            subscription_data: {
+                metadata: metadata
+            },
+            // Stripe's hosted page in the visitor's language too
+            locale: locale,
+            success_url: `${siteUrl}/plans.html?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${siteUrl}/plans.html?checkout=cancelled`
+        });
+
+        log.info('Checkout session created', {
+            sessionId: session.id,
+            plan: plan.id,
+            promoCode: promoCode
+        });
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                sessionId: session.id,
+                url: session.url
+            }
+        }, 200);
+
+    } catch (error) {
+        log.error('Checkout error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'checkout.startFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Look up a completed Checkout Session for the success page
+ * Endpoint: /api/checkout?session_id=cs_...
+ * Method: GET
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const sessionId = new URL(request.url).searchParams.get('session_id') || '';
+    const locale = getRequestLocale(request);
+
+    if (!/^cs_[A-Za-z0-9_]+$/.test(sessionId)) {
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'checkout.sessionRequired')
+        }, 400, getCorsHeaders('GET, POST, OPTIONS'));
+    }
+
+    try {
+        const session = await retrieveCheckoutSession(env, sessionId);
+        const plan = getPlan(session.metadata?.plan_id);
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                status: session.status,
+                paymentStatus: session.payment_status,
+                planName: plan ? getPlanName(plan, locale) : null,
+                amountTotal: typeof session.amount_total === 'number' ? session.amount_total / 100 : null,
+                customerEmail: session.customer_details?.email || null
+            }
+        }, 200, getCorsHeaders('GET, POST, OPTIONS'));
+
+    } catch (error) {
+        log.error('Checkout session lookup error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'checkout.confirmFailed')
+        }, 500, getCorsHeaders('GET, POST, OPTIONS'));
+    }
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders('GET, POST, OPTIONS')
+    });
+}
@@ -1,9 +1,26 @@
 /* ==========================================
    CLOUDFLARE WORKER - CONTACT FORM HANDLER
-   Handles contact form submissions with validation
-   Future: Will integrate with Resend/Mailgun for emails
+   Handles contact form submissions with validation,
+   emails the team and pushes a contact.submitted webhook
    ========================================== */
 
+import { createJsonResponse, getCorsHeaders, getSiteUrl, sanitizeInput } from '../_lib/http.js';
+import { sendEmail } from '../_lib/email.js';
+import { html, mailto, toPlainText } from '../_lib/template.js';
+import { insertSubmission, updateSubmissionEmailStatus } from '../_lib/submissions.js';
+import { enqueueEmail } from '../_lib/outbox.js';
+import { routeLead } from '../_lib/lead-routing.js';
+import { dispatchWebhookEvent } from '../_lib/webhooks.js';
+import { sendAutoReply } from '../_lib/auto-reply.js';
+import { enforceRateLimits, normalizeEmail, getLimitSetting } from '../_lib/rate-limit.js';
+import { verifyTurnstileToken } from '../_lib/turnstile.js';
+import { getRequestLocale, translate, localizeFieldErrors, getLanguageName } from '../_lib/i18n.js';
+import { log, hashPii } from '../_lib/logger.js';
+import FormValidation from '../../public/validation.js';
+
+// Cap for any stored field - the schema's own limits are checked first
+const MAX_TEXT_LENGTH = 5000;
+
 /**
  * Main request handler for Cloudflare Pages Functions
  * Endpoint: /functions/contact
@@ -11,11 +28,15 @@
  */
 export async function onRequestPost(context) {
     const { request, env } = context;
+    let locale = getRequestLocale(request);
     
     try {
         // Parse form data
         const formData = await request.formData();
         
+        // Replies and the auto-reply use the visitor's language (see _lib/i18n.js)
+        locale = getRequestLocale(request, formData.get('locale'));
+        
         // Extract fields
         const name = formData.get('name')?.trim() || '';
         const email = formData.get('email')?.trim() || '';
@@ -26,105 +47,142 @@ export async function onRequestPost(context) {
         // HONEYPOT FIELD - if filled, it's likely a bot
         const honeypot = formData.get('website')?.trim() || '';
         
+        // Turnstile token added to the form by the widget
+        const turnstileToken = formData.get('cf-turnstile-response')?.trim() || '';
+        
         // Check honeypot - reject if filled
         if (honeypot) {
-            console.log('Honeypot triggered - likely spam');
+            log.info('Honeypot triggered - likely spam');
             return createJsonResponse({
                 success: false,
-                message: 'Invalid submission detected.'
+                message: translate(locale, 'api.invalidSubmission')
             }, 400);
         }
         
-        // Validate required fields
-        const validationErrors = [];
+        // Validate with the same schema the browser uses (public/validation.js)
+        const validation = FormValidation.validateForm(FormValidation.CONTACT_SCHEMA, {
+            name, email, phone, subject, message
+        });
         
-        if (!name || name.length < 2) {
-            validationErrors.push('Name must be at least 2 characters long');
+        // Return validation errors if any - fieldErrors lets the form mark each input
+        if (!validation.valid) {
+            const fieldErrors = localizeFieldErrors(locale, validation.errors);
+            
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: Object.values(fieldErrors).map(error => error.message),
+                fieldErrors: fieldErrors
+            }, 400);
         }
         
-        if (!email || !isValidEmail(email)) {
-            validationErrors.push('Please provide a valid email address');
-        }
+        // Verify Turnstile before anything is stored or emailed
+        const turnstile = await verifyTurnstileToken(env, turnstileToken, request.headers.get('cf-connecting-ip'));
         
-        if (!message || message.length < 10) {
-            validationErrors.push('Message must be at least 10 characters long');
+        if (!turnstile.success) {
+            log.info('Turnstile verification failed', { errorCodes: turnstile.errorCodes });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                code: turnstileToken ? 'turnstile_invalid' : 'turnstile_missing',
+                errors: [translate(locale, 'api.verificationFailed')]
+            }, 400);
         }
         
-        // Return validation errors if any
-        if (validationErrors.length > 0) {
+        // Rate limit per client IP and per normalized email address
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, getContactRateLimitRules(request, env, email));
+        
+        if (!rateLimit.allowed) {
+            log.info('Contact form rate limited', { rule: rateLimit.rule, retryAfter: rateLimit.retryAfter });
             return createJsonResponse({
                 success: false,
-                message: 'Validation failed',
-                errors: validationErrors
-            }, 400);
+                message: translate(locale, 'contact.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
         }
         
-        // Sanitize inputs (basic XSS prevention)
+        // Normalize inputs - escaping happens when they are rendered (see _lib/template.js)
         const sanitizedData = {
-            name: sanitizeInput(name),
-            email: sanitizeInput(email),
-            phone: sanitizeInput(phone),
-            subject: sanitizeInput(subject),
-            message: sanitizeInput(message),
+            name: sanitizeInput(name, MAX_TEXT_LENGTH),
+            email: sanitizeInput(email, MAX_TEXT_LENGTH),
+            phone: sanitizeInput(phone, MAX_TEXT_LENGTH),
+            subject: sanitizeInput(subject, MAX_TEXT_LENGTH),
+            message: sanitizeInput(message, MAX_TEXT_LENGTH),
+            locale: locale,
             submittedAt: new Date().toISOString(),
             userAgent: request.headers.get('user-agent') || 'Unknown'
         };
         
         // ============================================
-        // EMAIL INTEGRATION - RESEND API
+        // PERSIST SUBMISSION - D1
+        // Stored before the email so a Resend failure never loses the lead
         // ============================================
+        const submissionId = await storeSubmission(env.DB, sanitizedData);
+        
+        // Push the lead to the CRM / Django backend in the background (see _lib/webhooks.js)
+        context.waitUntil(publishLead(env, submissionId, sanitizedData));
+        
+        // Acknowledge the visitor in the background (throttled - see _lib/auto-reply.js)
+        context.waitUntil(acknowledgeVisitor(env, {
+            submissionId: submissionId,
+            email: sanitizedData.email,
+            subject: sanitizedData.subject,
+            locale: locale,
+            siteUrl: getSiteUrl(request, env)
+        }));
+        
+        // ============================================
+        // EMAIL INTEGRATION
+        // Provider chosen by EMAIL_PROVIDER (see functions/_lib/email.js),
+        // recipients by subject (see functions/_lib/lead-routing.js)
+        // ============================================
+        const notification = routeLead(env, sanitizedData.subject, buildContactEmail(sanitizedData));
+        
         try {
-            // Send email via Resend API
-            const emailResult = await sendEmailViaResend(sanitizedData, env.RESEND_API_KEY);
+            // Send email via the configured provider
+            const emailResult = await sendEmail(notification, env);
             
-            // Log successful submission
-            console.log('Contact form submitted and email sent:', {
-                name: sanitizedData.name,
-                email: sanitizedData.email,
+            await recordEmailStatus(env.DB, submissionId, 'sent', emailResult.id);
+            
+            // Log successful submission - the address only as a pseudonym (see _lib/logger.js)
+            log.info('Contact form submitted and email sent', {
+                emailHash: await hashPii(sanitizedData.email),
                 subject: sanitizedData.subject,
                 timestamp: sanitizedData.submittedAt,
+                submissionId: submissionId,
+                provider: emailResult.provider,
                 emailId: emailResult.id
             });
             
-            // Return success response
-            return createJsonResponse({
-                success: true,
-                message: 'Thank you for your message! We\'ll get back to you within 24 hours.',
-                data: {
-                    name: sanitizedData.name,
-                    email: sanitizedData.email,
-                    timestamp: sanitizedData.submittedAt
-                }
-            }, 200);
+            return createSuccessResponse(sanitizedData);
             
         } catch (emailError) {
             // Log email sending error
-            console.error('Failed to send email:', emailError);
+            log.error('Failed to send email', { error: emailError });
+            
+            // Hand the email to the outbox - workers/email-outbox retries it with backoff
+            const queued = await queueNotification(env, notification, submissionId, emailError);
+            
+            await recordEmailStatus(env.DB, submissionId, queued ? 'queued' : 'failed');
+            
+            // The submission is durably accepted once it is stored or queued
+            if (submissionId || queued) {
+                return createSuccessResponse(sanitizedData);
+            }
             
             // Return error response
             return createJsonResponse({
                 success: false,
-                message: 'An error occurred while sending your message. Please try again later or contact us directly.',
-                error: emailError.message
+                message: translate(locale, 'contact.sendFailed')
             }, 500);
         }
         
-        // Option 2: Mailgun API (kept for future use)
-        // const emailResult = await sendEmailViaMailgun(sanitizedData, env.MAILGUN_API_KEY);
-        
-        // Option 3: SendGrid API (kept for future use)
-        // const emailResult = await sendEmailViaSendGrid(sanitizedData, env.SENDGRID_API_KEY);
-        
-        // Option 4: Forward to Django backend (kept for future use)
-        // const result = await forwardToDjangoBackend(sanitizedData, env.DJANGO_API_URL, env.API_KEY);
-        
     } catch (error) {
-        console.error('Contact form error:', error);
+        log.error('Contact form error', { error });
         
         return createJsonResponse({
             success: false,
-            message: 'An error occurred while processing your request. Please try again later.',
-            error: error.message
+            message: translate(locale, 'contact.serverError')
         }, 500);
     }
 }
@@ -154,179 +212,164 @@ export async function onRequestOptions() {
    ========================================== */
 
 /**
- * Create a JSON response with CORS headers
+ * Sliding-window limits for the contact form
+ * Configured per environment in wrangler.toml
  */
-function createJsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), {
-        status: status,
-        headers: {
-            'Content-Type': 'application/json',
-            ...getCorsHeaders()
+function getContactRateLimitRules(request, env, email) {
+    const windowSeconds = getLimitSetting(env.CONTACT_RATE_LIMIT_WINDOW_SECONDS, 3600);
+    
+    return [
+        {
+            name: 'contact-ip',
+            key: request.headers.get('cf-connecting-ip') || 'unknown',
+            limit: getLimitSetting(env.CONTACT_RATE_LIMIT_PER_IP, 5),
+            windowSeconds: windowSeconds
+        },
+        {
+            name: 'contact-email',
+            key: normalizeEmail(email),
+            limit: getLimitSetting(env.CONTACT_RATE_LIMIT_PER_EMAIL, 3),
+            windowSeconds: windowSeconds
         }
-    });
+    ];
 }
 
 /**
- * Get CORS headers
- * SECURITY: In production, replace '*' with your actual domain
+ * Store the submission in D1
+ * Returns the row id, or null if storage failed - the email is still attempted
  */
-function getCorsHeaders() {
-    // FUTURE: Update this to your actual domain
-    // const allowedOrigin = 'https://yourdomain.com';
-    
-    return {
-        'Access-Control-Allow-Origin': '*', // CHANGE IN PRODUCTION
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Max-Age': '86400'
-    };
+async function storeSubmission(db, data) {
+    try {
+        return await insertSubmission(db, data);
+    } catch (error) {
+        log.error('Failed to store submission', { error });
+        return null;
+    }
 }
 
 /**
- * Validate email format
+ * Put a failed notification on the email outbox
+ * Returns true if it was queued
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+async function queueNotification(env, notification, submissionId, emailError) {
+    try {
+        await enqueueEmail(env, 'contact_notification', notification, {
+            submissionId: submissionId,
+            lastError: String(emailError.message).substring(0, 1000)
+        });
+        return true;
+    } catch (error) {
+        log.error('Failed to queue notification email', { error });
+        return false;
+    }
 }
 
 /**
- * Basic input sanitization
- * Removes potentially harmful characters
+ * Send the visitor's auto-reply without affecting the response
  */
-function sanitizeInput(input) {
-    if (typeof input !== 'string') return '';
-    
-    return input
-        .replace(/[<>]/g, '') // Remove < and >
-        .replace(/javascript:/gi, '') // Remove javascript: protocol
-        .replace(/on\w+=/gi, '') // Remove event handlers
-        .substring(0, 5000); // Limit length
+async function acknowledgeVisitor(env, details) {
+    try {
+        const outcome = await sendAutoReply(env, details);
+        log.info('Contact auto-reply', { submissionId: details.submissionId, outcome });
+    } catch (error) {
+        log.error('Contact auto-reply error', { error });
+    }
 }
 
-/* ==========================================
-   EMAIL INTEGRATION FUNCTIONS
-   ========================================== */
-
 /**
- * Send email via Resend API
- * Docs: https://resend.com/docs/send-with-nodejs
+ * Send the contact.submitted webhook without affecting the response
+ * Failed deliveries stay in webhook_deliveries for the sweeper
  */
-async function sendEmailViaResend(data, apiKey) {
-    if (!apiKey) {
-        throw new Error('RESEND_API_KEY environment variable is not set');
-    }
-    
-    const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            from: 'Philip Fitness <noreply@datumwork.com>',
-            to: ['jelithompson+testrecieve@gmail.com'],
-            reply_to: data.email,
-            subject: `New Contact Form: ${data.subject}`,
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">New Contact Form Submission</h2>
-                    
-                    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                        <p style="margin: 10px 0;"><strong>Name:</strong> ${data.name}</p>
-                        <p style="margin: 10px 0;"><strong>Email:</strong> <a href="mailto:${data.email}">${data.email}</a></p>
-                        <p style="margin: 10px 0;"><strong>Phone:</strong> ${data.phone || 'Not provided'}</p>
-                        <p style="margin: 10px 0;"><strong>Subject:</strong> ${data.subject}</p>
-                    </div>
-                    
-                    <div style="margin: 20px 0;">
-                        <h3 style="color: #004E89;">Message:</h3>
-                        <p style="white-space: pre-wrap; background-color: #f9f9f9; padding: 15px; border-left: 4px solid #00C9A7; border-radius: 4px;">${data.message}</p>
-                    </div>
-                    
-                    <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
-                    
-                    <p style="color: #666; font-size: 12px;">
-                        <strong>Submitted at:</strong> ${new Date(data.submittedAt).toLocaleString('en-US', { timeZone: 'America/New_York' })}<br>
-                        <strong>User Agent:</strong> ${data.userAgent}
-                    </p>
-                </div>
-            `
-        })
-    });
-    
-    if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Resend API error (${response.status}): ${errorData}`);
+async function publishLead(env, submissionId, data) {
+    try {
+        const result = await dispatchWebhookEvent(env, 'contact.submitted', {
+            submissionId: submissionId,
+            name: data.name,
+            email: data.email,
+            phone: data.phone || null,
+            subject: data.subject,
+            message: data.message,
+            locale: data.locale,
+            submittedAt: data.submittedAt
+        });
+        
+        if (result.delivered || result.pending) {
+            log.info('Contact webhook dispatched', { submissionId, ...result });
+        }
+    } catch (error) {
+        log.error('Contact webhook error', { error });
     }
-    
-    return await response.json();
 }
 
-/* ==========================================
-   ADDITIONAL EMAIL INTEGRATION OPTIONS
-   Uncomment and configure when needed
-   ========================================== */
+/**
+ * Success response shown to the visitor
+ */
+function createSuccessResponse(data) {
+    return createJsonResponse({
+        success: true,
+        message: translate(data.locale, 'contact.success'),
+        data: {
+            name: data.name,
+            email: data.email,
+            timestamp: data.submittedAt
+        }
+    }, 200);
+}
 
 /**
- * Send email via Mailgun API
- * Docs: https://documentation.mailgun.com/en/latest/api-sending.html
+ * Record the notification email outcome on the stored submission
  */
-/*
-async function sendEmailViaMailgun(data, apiKey) {
-    const domain = 'yourdomain.com'; // Your Mailgun domain
-    const formData = new FormData();
+async function recordEmailStatus(db, submissionId, status, emailId = null) {
+    if (!submissionId) return;
     
-    formData.append('from', 'Philip Fitness <noreply@yourdomain.com>');
-    formData.append('to', 'info@philipfitness.com');
-    formData.append('subject', `New Contact Form: ${data.subject}`);
-    formData.append('text', `
-        Name: ${data.name}
-        Email: ${data.email}
-        Phone: ${data.phone || 'Not provided'}
-        Subject: ${data.subject}
-        
-        Message:
-        ${data.message}
-        
-        Submitted at: ${data.submittedAt}
-    `);
-    formData.append('h:Reply-To', data.email);
-    
-    const response = await fetch(`https://api.mailgun.net/v3/${domain}/messages`, {
-        method: 'POST',
-        headers: {
-            'Authorization': 'Basic ' + btoa(`api:${apiKey}`)
-        },
-        body: formData
-    });
-    
-    if (!response.ok) {
-        throw new Error(`Mailgun API error: ${response.statusText}`);
+    try {
+        await updateSubmissionEmailStatus(db, submissionId, status, emailId);
+    } catch (error) {
+        log.error('Failed to update submission email status', { error });
     }
-    
-    return await response.json();
 }
-*/
+
+/* ==========================================
+   EMAIL INTEGRATION FUNCTIONS
+   ========================================== */
 
 /**
- * Forward to Django backend API
+ * Build the notification email for a contact form submission
+ * One template for every provider - HTML plus a plain-text part
+ * Every value is escaped by html`...`; the text part is derived from the same markup
+ * Recipients are added by routeLead()
  */
-/*
-async function forwardToDjangoBackend(data, apiUrl, apiKey) {
-    const response = await fetch(`${apiUrl}/api/contact/`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(data)
-    });
-    
-    if (!response.ok) {
-        throw new Error(`Django API error: ${response.statusText}`);
-    }
+function buildContactEmail(data) {
+    const body = html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">New Contact Form Submission</h2>
+                
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <p style="margin: 10px 0;"><strong>Name:</strong> ${data.name}</p>
+                    <p style="margin: 10px 0;"><strong>Email:</strong> <a href="${mailto(data.email)}">${data.email}</a></p>
+                    <p style="margin: 10px 0;"><strong>Phone:</strong> ${data.phone || 'Not provided'}</p>
+                    <p style="margin: 10px 0;"><strong>Subject:</strong> ${data.subject}</p>
+                    <p style="margin: 10px 0;"><strong>Language:</strong> ${getLanguageName(data.locale)}</p>
+                </div>
+                
+                <div style="margin: 20px 0;">
+                    <h3 style="color: #004E89;">Message:</h3>
+                    <p style="white-space: pre-wrap; background-color: #f9f9f9; padding: 15px; border-left: 4px solid #00C9A7; border-radius: 4px;">${data.message}</p>
+                </div>
+                
+                <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+                
+                <p style="color: #666; font-size: 12px;">
+                    <strong>Submitted at:</strong> ${new Date(data.submittedAt).toLocaleString('en-US', { timeZone: 'America/New_York' })}<br>
+                    <strong>User Agent:</strong> ${data.userAgent}
+                </p>
+            </div>
+        `.toString();
     
-    return await response.json();
+    return {
+        replyTo: data.email,
+        subject: `New Contact Form: ${data.subject}`,
+        html: body,
+        text: toPlainText(body)
+    };
 }
-*/
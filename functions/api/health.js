@@ -0,0 +1,132 @@
+/* ==========================================
+   CLOUDFLARE WORKER - HEALTH CHECK
+   Reports whether the deployment is configured and its
+   bindings respond - secrets are reported as set or
+   missing, never their values
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders } from '../_lib/http.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { getEmailProviderRequirements, isEmailSandboxed } from '../_lib/email.js';
+import { getWebhookEndpoints } from '../_lib/webhooks.js';
+import { log } from '../_lib/logger.js';
+
+// Secrets every deployment needs, whichever email provider is used
+const REQUIRED_SECRETS = [
+    'STRIPE_SECRET_KEY',
+    'STRIPE_WEBHOOK_SECRET',
+    'ADMIN_API_TOKEN',
+    'AUTH_SECRET',
+    'TURNSTILE_SECRET_KEY'
+];
+
+/**
+ * Endpoint: /api/health
+ * Method: GET
+ * Anyone gets { status }: "ok", or "degraded" with a 503 so uptime
+ * monitors alert. With the admin bearer token the response also lists
+ * each check, so a public caller cannot learn which secret is missing
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const checks = {
+        secrets: getSecretChecks(env),
+        email: getEmailCheck(env),
+        webhooks: getWebhookCheck(env),
+        bindings: {
+            DB: await checkDatabase(env.DB),
+            RATE_LIMIT_KV: Boolean(env.RATE_LIMIT_KV)
+        }
+    };
+
+    const failing = [
+        ...Object.keys(checks.secrets).filter(name => !checks.secrets[name]),
+        ...Object.keys(checks.bindings).filter(name => !checks.bindings[name]),
+        ...(checks.email.ok ? [] : ['email']),
+        ...(checks.webhooks.ok ? [] : ['webhooks'])
+    ];
+    const healthy = failing.length === 0;
+    const status = healthy ? 'ok' : 'degraded';
+
+    if (!healthy) {
+        log.warn('Health check degraded', { failing: failing });
+    }
+
+    const data = { status: status };
+    if (isAdminRequest(request, env)) {
+        data.environment = env.ENVIRONMENT || null;
+        data.checks = checks;
+    }
+
+    return createJsonResponse({
+        success: true,
+        data: data
+    }, healthy ? 200 : 503, {
+        ...getCorsHeaders('GET, OPTIONS'),
+        'Cache-Control': 'no-store'
+    });
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders('GET, OPTIONS')
+    });
+}
+
+/**
+ * { NAME: true|false } for each required secret
+ */
+function getSecretChecks(env) {
+    return Object.fromEntries(REQUIRED_SECRETS.map(name => [name, Boolean(env[name])]));
+}
+
+/**
+ * Configured providers and whether each has its settings
+ */
+function getEmailCheck(env) {
+    try {
+        const providers = getEmailProviderRequirements(env).map(({ provider, secrets }) => ({
+            provider: provider,
+            secrets: Object.fromEntries(secrets.map(name => [name, Boolean(env[name])]))
+        }));
+
+        return {
+            ok: providers.every(provider => Object.values(provider.secrets).every(Boolean)),
+            sandboxed: isEmailSandboxed(env),
+            providers: providers
+        };
+    } catch (error) {
+        return { ok: false, sandboxed: isEmailSandboxed(env), error: 'EMAIL_PROVIDER or EMAIL_FALLBACK_PROVIDER is not a known provider' };
+    }
+}
+
+/**
+ * Webhook endpoints parse and each has a signing secret
+ */
+function getWebhookCheck(env) {
+    try {
+        return { ok: true, endpoints: getWebhookEndpoints(env).length };
+    } catch (error) {
+        return { ok: false, endpoints: 0, error: 'WEBHOOK_ENDPOINTS is invalid or an endpoint has no signing secret' };
+    }
+}
+
+/**
+ * True when D1 answers a trivial query
+ */
+async function checkDatabase(db) {
+    if (!db) return false;
+
+    try {
+        await db.prepare('SELECT 1').first();
+        return true;
+    } catch (error) {
+        log.error('Health check database query failed', { error });
+        return false;
+    }
+}
@@ -0,0 +1,357 @@
+/* ==========================================
+   CLOUDFLARE WORKER - NUTRITION INTAKE
+   Scores the nutrition questionnaire, stores it for
+   the coach and emails both sides a macro summary
+   Formula: functions/_lib/nutrition.js
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData, getSiteUrl, sanitizeInput } from '../_lib/http.js';
+import { sendEmail } from '../_lib/email.js';
+import { html, url, mailto } from '../_lib/template.js';
+import { enqueueEmail } from '../_lib/outbox.js';
+import { routeLead, getTeamAddress } from '../_lib/lead-routing.js';
+import { enforceRateLimits, normalizeEmail, getLimitSetting } from '../_lib/rate-limit.js';
+import { verifyTurnstileToken } from '../_lib/turnstile.js';
+import {
+    ACTIVITY_LEVELS,
+    GOALS,
+    SEXES,
+    DIETARY_RESTRICTIONS,
+    validateIntake,
+    calculateTargets,
+    insertIntake
+} from '../_lib/nutrition.js';
+import { DEFAULT_LOCALE, getRequestLocale, translate, translateLabel } from '../_lib/i18n.js';
+import FormValidation from '../../public/validation.js';
+import { log } from '../_lib/logger.js';
+
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Submit the nutrition questionnaire
+ * Endpoint: /api/intake
+ * Method: POST
+ * Body: { name, email, sex, age, heightUnit: in | cm, heightFeet?, heightInches?, heightCm?,
+ *         weight, weightUnit: lb | kg, activityLevel, goal, restrictions?, notes?, locale? }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+
+        const name = String(data.name || '').trim();
+        const email = String(data.email || '').trim();
+        const notes = String(data.notes || '').trim();
+
+        // Same honeypot field as the contact form
+        if (String(data.website || '').trim()) {
+            log.info('Honeypot triggered on intake - likely spam');
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.invalidSubmission')
+            }, 400);
+        }
+
+        const { intake, errors: validationErrors } = validateIntake(data, locale);
+
+        if (!name || name.length < 2) {
+            validationErrors.unshift(translate(locale, 'validation.too_short', { label: translate(locale, 'fields.name'), min: 2 }));
+        }
+
+        if (!email || !FormValidation.isValidEmail(email)) {
+            validationErrors.unshift(translate(locale, 'validation.invalid_email'));
+        }
+
+        if (validationErrors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: validationErrors
+            }, 400);
+        }
+
+        const turnstileToken = String(data['cf-turnstile-response'] || '').trim();
+        const turnstile = await verifyTurnstileToken(env, turnstileToken, request.headers.get('cf-connecting-ip'));
+
+        if (!turnstile.success) {
+            log.info('Turnstile verification failed on intake', { errorCodes: turnstile.errorCodes });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                code: turnstileToken ? 'turnstile_invalid' : 'turnstile_missing',
+                errors: [translate(locale, 'api.verificationFailed')]
+            }, 400);
+        }
+
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, getIntakeRateLimitRules(request, env, email));
+
+        if (!rateLimit.allowed) {
+            log.info('Intake rate limited', { rule: rateLimit.rule, retryAfter: rateLimit.retryAfter });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'intake.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
+        }
+
+        const targets = calculateTargets(intake);
+        const submission = {
+            name: sanitizeInput(name, MAX_TEXT_LENGTH),
+            email: sanitizeInput(email, MAX_TEXT_LENGTH),
+            notes: sanitizeInput(notes, MAX_TEXT_LENGTH),
+            intake: intake,
+            targets: targets,
+            locale: locale,
+            submittedAt: new Date().toISOString()
+        };
+
+        const id = await insertIntake(env.DB, submission);
+
+        log.info('Nutrition intake stored', { intakeId: id, goal: intake.goal });
+
+        context.waitUntil(sendSummaries(env, { ...submission, siteUrl: getSiteUrl(request, env) }));
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'intake.success'),
+            data: {
+                bmr: targets.bmr,
+                tdee: targets.tdee,
+                calories: targets.calories,
+                proteinGrams: targets.proteinGrams,
+                fatGrams: targets.fatGrams,
+                carbGrams: targets.carbGrams
+            }
+        }, 201);
+
+    } catch (error) {
+        log.error('Intake error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'intake.serverError')
+        }, 500);
+    }
+}
+
+/**
+ * Handle GET requests - return method not allowed
+ */
+export async function onRequestGet() {
+    return createJsonResponse({
+        success: false,
+        message: 'Method not allowed. Please use POST.'
+    }, 405);
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders()
+    });
+}
+
+/* ==========================================
+   HELPER FUNCTIONS
+   ========================================== */
+
+/**
+ * Sliding-window limits for the questionnaire, per IP and per email
+ */
+function getIntakeRateLimitRules(request, env, email) {
+    const windowSeconds = getLimitSetting(env.INTAKE_RATE_LIMIT_WINDOW_SECONDS, 86400);
+
+    return [
+        {
+            name: 'intake-ip',
+            key: request.headers.get('cf-connecting-ip') || 'unknown',
+            limit: getLimitSetting(env.INTAKE_RATE_LIMIT_PER_IP, 5),
+            windowSeconds: windowSeconds
+        },
+        {
+            name: 'intake-email',
+            key: normalizeEmail(email),
+            limit: getLimitSetting(env.INTAKE_RATE_LIMIT_PER_EMAIL, 3),
+            windowSeconds: windowSeconds
+        }
+    ];
+}
+
+/**
+ * Email both sides; anything that fails goes to the outbox
+ */
+async function sendSummaries(env, submission) {
+    const messages = [
+        buildMemberEmail(submission, getTeamAddress(env, 'nutrition')),
+        routeLead(env, 'nutrition', buildCoachEmail(submission))
+    ];
+
+    await Promise.all(messages.map(async message => {
+        try {
+            const result = await sendEmail(message, env);
+            log.info('Intake email sent', { to: message.to, provider: result.provider, emailId: result.id });
+        } catch (error) {
+            log.error('Failed to send intake email', { error });
+            try {
+                await enqueueEmail(env, 'nutrition_intake', message, {
+                    lastError: String(error.message).substring(0, 1000)
+                });
+            } catch (queueError) {
+                log.error('Failed to queue intake email', { error: queueError });
+            }
+        }
+    }));
+}
+
+/**
+ * Answer/target rows shared by both emails - only numbers and
+ * labels from nutrition.js, never free text the visitor typed
+ * The member's copy is in their language, the coach's in English
+ */
+function getSummaryRows({ intake, targets }, locale = DEFAULT_LOCALE) {
+    const t = key => translate(locale, `intakeEmail.${key}`);
+    const option = (key, english) => translateLabel(locale, `nutrition.${key}`, english);
+
+    return {
+        answers: [
+            [t('sex'), option(`sex.${intake.sex}`, SEXES[intake.sex].label)],
+            [t('age'), String(intake.age)],
+            [t('height'), `${intake.heightCm} cm (${formatFeetInches(intake.heightCm)})`],
+            [t('weight'), `${intake.weightKg} kg (${Math.round(intake.weightKg / 0.45359237)} lb)`],
+            [t('activity'), option(`activity.${intake.activityLevel}`, ACTIVITY_LEVELS[intake.activityLevel].label)],
+            [t('goal'), option(`goal.${intake.goal}`, GOALS[intake.goal].label)],
+            [t('restrictions'), intake.restrictions.map(key => option(`restriction.${key}`, DIETARY_RESTRICTIONS[key])).join(', ') || t('none')]
+        ],
+        targets: [
+            [t('calories'), `${targets.calories} kcal`],
+            [t('protein'), `${targets.proteinGrams} g`],
+            [t('carbs'), `${targets.carbGrams} g`],
+            [t('fat'), `${targets.fatGrams} g`],
+            [t('bmr'), `${targets.bmr} kcal`],
+            [t('tdee'), `${targets.tdee} kcal`]
+        ]
+    };
+}
+
+function formatFeetInches(heightCm) {
+    const totalInches = Math.round(heightCm / 2.54);
+    return `${Math.floor(totalInches / 12)}'${totalInches % 12}"`;
+}
+
+function renderRowsHtml(rows) {
+    return rows.map(([label, value]) => html`<p style="margin: 10px 0;"><strong>${label}:</strong> ${value}</p>`);
+}
+
+function renderRowsText(rows) {
+    return rows.map(([label, value]) => `${label}: ${value}`);
+}
+
+/**
+ * Summary for the member, in their language (intakeEmail.* in public/i18n.js)
+ * Like the contact auto-reply, it never echoes visitor-supplied text:
+ * the address is unverified
+ */
+function buildMemberEmail(submission, teamEmail) {
+    const t = key => translate(submission.locale, key);
+    const rows = getSummaryRows(submission, submission.locale);
+
+    return {
+        to: [submission.email],
+        replyTo: teamEmail,
+        subject: t('intakeEmail.subject'),
+        headers: {
+            'Auto-Submitted': 'auto-generated'
+        },
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('intakeEmail.heading')}</h2>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    ${renderRowsHtml(rows.targets)}
+                </div>
+
+                <p>${t('intakeEmail.intro')}</p>
+
+                <h3 style="color: #004E89;">${t('intakeEmail.answers')}</h3>
+                ${renderRowsHtml(rows.answers)}
+
+                <p>${t('email.signoff')}<br>${t('email.signature')}</p>
+
+                <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+                <p style="color: #666; font-size: 12px;">
+                    ${t('intakeEmail.reason')}
+                    <a href="${url(submission.siteUrl)}" style="color: #666;">${submission.siteUrl}</a>.
+                    ${t('intakeEmail.ignore')}
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            t('intakeEmail.heading'),
+            '',
+            ...renderRowsText(rows.targets),
+            '',
+            t('intakeEmail.intro'),
+            '',
+            t('intakeEmail.answers'),
+            ...renderRowsText(rows.answers),
+            '',
+            t('email.signoff'),
+            t('email.signature'),
+            '',
+            `${t('intakeEmail.reason')} ${submission.siteUrl}.`,
+            t('intakeEmail.ignore')
+        ].join('\n')
+    };
+}
+
+/**
+ * Summary for the coach, with everything the visitor entered
+ * Recipients are added by routeLead()
+ */
+function buildCoachEmail(submission) {
+    const rows = getSummaryRows(submission);
+
+    return {
+        replyTo: submission.email,
+        subject: `New Nutrition Intake: ${submission.name} - ${GOALS[submission.intake.goal].label}`,
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">New Nutrition Intake</h2>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <p style="margin: 10px 0;"><strong>Name:</strong> ${submission.name}</p>
+                    <p style="margin: 10px 0;"><strong>Email:</strong> <a href="${mailto(submission.email)}">${submission.email}</a></p>
+                    ${renderRowsHtml(rows.answers)}
+                </div>
+
+                <h3 style="color: #004E89;">Calculated targets</h3>
+                ${renderRowsHtml(rows.targets)}
+
+                ${submission.notes ? html`
+                <div style="margin: 20px 0;">
+                    <h3 style="color: #004E89;">Notes:</h3>
+                    <p style="white-space: pre-wrap; background-color: #f9f9f9; padding: 15px; border-left: 4px solid #00C9A7; border-radius: 4px;">${submission.notes}</p>
+                </div>
+                ` : null}
+            </div>
+        `.toString(),
+        text: [
+            'New Nutrition Intake',
+            '',
+            `Name: ${submission.name}`,
+            `Email: ${submission.email}`,
+            ...renderRowsText(rows.answers),
+            '',
+            'Calculated targets',
+            ...renderRowsText(rows.targets),
+            submission.notes ? `\nNotes:\n${submission.notes}` : ''
+        ].join('\n').trim()
+    };
+}
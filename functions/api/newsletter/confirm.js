@@ -0,0 +1,138 @@
+/* ==========================================
+   CLOUDFLARE WORKER - NEWSLETTER CONFIRMATION
+   Landing for the double opt-in link: confirms the
+   subscriber, sends a welcome email and returns the
+   visitor to the site with the outcome
+   ========================================== */
+
+import { getSiteUrl } from '../../_lib/http.js';
+import { sendEmail } from '../../_lib/email.js';
+import { enqueueEmail } from '../../_lib/outbox.js';
+import { verifyToken, confirmSubscriber, createUnsubscribeUrl, getListUnsubscribeHeaders } from '../../_lib/newsletter.js';
+import { html, url } from '../../_lib/template.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/newsletter/confirm?token=...
+ * Method: GET (opened from the email)
+ * Redirects to /?newsletter=confirmed | expired | error
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const siteUrl = getSiteUrl(request, env);
+    const locale = getRequestLocale(request);
+    const token = new URL(request.url).searchParams.get('token');
+
+    try {
+        const email = await verifyToken(env, 'confirm', token);
+        const outcome = email ? await confirmSubscriber(env.DB, email) : null;
+
+        if (!outcome) {
+            return redirect(`${siteUrl}/?newsletter=expired#newsletter`);
+        }
+
+        // Clicking the link twice shouldn't send a second welcome
+        if (outcome === 'confirmed') {
+            log.info('Newsletter subscription confirmed');
+            context.waitUntil(sendWelcome(env, email, siteUrl, locale));
+        }
+
+        return redirect(`${siteUrl}/?newsletter=confirmed#newsletter`);
+
+    } catch (error) {
+        log.error('Newsletter confirmation error', { error });
+        return redirect(`${siteUrl}/?newsletter=error#newsletter`);
+    }
+}
+
+function redirect(location) {
+    return new Response(null, {
+        status: 302,
+        headers: {
+            'Location': location,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+/**
+ * Welcome email - the first mailing, with the list's unsubscribe headers
+ */
+async function sendWelcome(env, email, siteUrl, locale) {
+    let message = null;
+
+    try {
+        message = buildWelcomeEmail(
+            email,
+            siteUrl,
+            await createUnsubscribeUrl(env, email, siteUrl),
+            await getListUnsubscribeHeaders(env, email, siteUrl),
+            locale
+        );
+        const result = await sendEmail(message, env);
+        log.info('Newsletter welcome sent', { provider: result.provider, emailId: result.id });
+    } catch (error) {
+        log.error('Failed to send newsletter welcome', { error });
+        if (!message) return;
+
+        try {
+            await enqueueEmail(env, 'newsletter_welcome', message, {
+                lastError: String(error.message).substring(0, 1000)
+            });
+        } catch (queueError) {
+            log.error('Failed to queue newsletter welcome', { error: queueError });
+        }
+    }
+}
+
+/**
+ * In the language of the browser that opened the link (newsletterEmail.* in public/i18n.js)
+ */
+function buildWelcomeEmail(email, siteUrl, unsubscribeUrl, headers, locale) {
+    const t = key => translate(locale, key);
+    const bookingUrl = `${siteUrl}/contact.html#book-consultation`;
+
+    return {
+        to: [email],
+        subject: t('newsletterEmail.welcomeSubject'),
+        headers: headers,
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('newsletterEmail.welcomeHeading')}</h2>
+
+                <p>${t('newsletterEmail.welcomeIntro')}</p>
+
+                <p>${t('newsletterEmail.welcomeBook')}</p>
+
+                <p style="text-align: center; margin: 30px 0;">
+                    <a href="${url(bookingUrl)}" style="background-color: #FF6B35; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">${t('email.bookConsultation')}</a>
+                </p>
+
+                <p>${t('email.signoff')}<br>${t('email.signature')}</p>
+
+                <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+                <p style="color: #666; font-size: 12px;">
+                    ${t('newsletterEmail.reason')}
+                    <a href="${url(siteUrl)}" style="color: #666;">${siteUrl}</a>.
+                    <a href="${url(unsubscribeUrl)}" style="color: #666;">${t('newsletterEmail.unsubscribe')}</a>.
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            t('newsletterEmail.welcomeHeading'),
+            '',
+            t('newsletterEmail.welcomeIntro'),
+            '',
+            t('newsletterEmail.welcomeBook'),
+            `${t('email.bookConsultation')}: ${bookingUrl}`,
+            '',
+            t('email.signoff'),
+            t('email.signature'),
+            '',
+            `${t('newsletterEmail.reason')} ${siteUrl}.`,
+            `${t('newsletterEmail.unsubscribe')}: ${unsubscribeUrl}`
+        ].join('\n')
+    };
+}
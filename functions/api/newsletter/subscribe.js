@@ -0,0 +1,194 @@
+/* ==========================================
+   CLOUDFLARE WORKER - NEWSLETTER SIGNUP
+   Footer signup form on every page
+   Double opt-in: stores a pending subscriber and emails
+   a signed link to /api/newsletter/confirm
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData, getSiteUrl } from '../../_lib/http.js';
+import { sendEmail } from '../../_lib/email.js';
+import { enqueueEmail } from '../../_lib/outbox.js';
+import { enforceRateLimits, normalizeEmail, getLimitSetting } from '../../_lib/rate-limit.js';
+import { savePendingSubscriber, createConfirmUrl } from '../../_lib/newsletter.js';
+import { html, url } from '../../_lib/template.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import FormValidation from '../../../public/validation.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/newsletter/subscribe
+ * Method: POST
+ * Body: { email, source?, website (honeypot) }
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+        const email = String(data.email || '').trim().toLowerCase();
+        const source = String(data.source || '').trim().substring(0, 200);
+
+        // HONEYPOT FIELD - if filled, it's likely a bot
+        if (String(data.website || '').trim()) {
+            log.info('Newsletter honeypot triggered - likely spam');
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.invalidSubmission')
+            }, 400);
+        }
+
+        if (!email || !FormValidation.isValidEmail(email)) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: [translate(locale, 'validation.invalid_email')]
+            }, 400);
+        }
+
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, getNewsletterRateLimitRules(request, env, email));
+
+        if (!rateLimit.allowed) {
+            log.info('Newsletter signup rate limited', { rule: rateLimit.rule, retryAfter: rateLimit.retryAfter });
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'newsletter.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
+        }
+
+        const subscriber = await savePendingSubscriber(env.DB, { email, source });
+
+        // Already-confirmed addresses get the same answer, so the list can't be probed
+        if (subscriber.status === 'pending') {
+            context.waitUntil(sendConfirmation(env, email, getSiteUrl(request, env), locale));
+        }
+
+        log.info('Newsletter signup', { subscriberId: subscriber.id, status: subscriber.status });
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'newsletter.checkInbox')
+        }, 200);
+
+    } catch (error) {
+        log.error('Newsletter signup error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'newsletter.failed')
+        }, 500);
+    }
+}
+
+/**
+ * Handle GET requests - return method not allowed
+ */
+export async function onRequestGet() {
+    return createJsonResponse({
+        success: false,
+        message: 'Method not allowed. Please use POST.'
+    }, 405);
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders()
+    });
+}
+
+/* ==========================================
+   HELPER FUNCTIONS
+   ========================================== */
+
+/**
+ * Sliding-window limits for signups, per IP and per email
+ */
+function getNewsletterRateLimitRules(request, env, email) {
+    const windowSeconds = getLimitSetting(env.NEWSLETTER_RATE_LIMIT_WINDOW_SECONDS, 86400);
+
+    return [
+        {
+            name: 'newsletter-ip',
+            key: request.headers.get('cf-connecting-ip') || 'unknown',
+            limit: getLimitSetting(env.NEWSLETTER_RATE_LIMIT_PER_IP, 10),
+            windowSeconds: windowSeconds
+        },
+        {
+            name: 'newsletter-email',
+            key: normalizeEmail(email),
+            limit: getLimitSetting(env.NEWSLETTER_RATE_LIMIT_PER_EMAIL, 3),
+            windowSeconds: windowSeconds
+        }
+    ];
+}
+
+/**
+ * Send the confirmation link; a failed send goes to the outbox
+ */
+async function sendConfirmation(env, email, siteUrl, locale) {
+    let message = null;
+
+    try {
+        message = buildConfirmationEmail(await createConfirmUrl(env, email, siteUrl), siteUrl, email, locale);
+        const result = await sendEmail(message, env);
+        log.info('Newsletter confirmation sent', { provider: result.provider, emailId: result.id });
+    } catch (error) {
+        log.error('Failed to send newsletter confirmation', { error });
+        if (!message) return;
+
+        try {
+            await enqueueEmail(env, 'newsletter_confirmation', message, {
+                lastError: String(error.message).substring(0, 1000)
+            });
+        } catch (queueError) {
+            log.error('Failed to queue newsletter confirmation', { error: queueError });
+        }
+    }
+}
+
+/**
+ * The double opt-in email, in the visitor's language (newsletterEmail.* in public/i18n.js)
+ */
+function buildConfirmationEmail(link, siteUrl, email, locale) {
+    const t = (key, params) => translate(locale, key, params);
+    const expires = t('newsletterEmail.expires', { hours: link.ttlHours });
+    const [ignoreBefore, ignoreAfter] = t('newsletterEmail.ignore').split('{site}');
+
+    return {
+        to: [email],
+        subject: t('newsletterEmail.confirmSubject'),
+        headers: {
+            'Auto-Submitted': 'auto-generated'
+        },
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('newsletterEmail.confirmHeading')}</h2>
+
+                <p>${t('newsletterEmail.confirmIntro')}</p>
+
+                <p style="text-align: center; margin: 30px 0;">
+                    <a href="${url(link.url)}" style="background-color: #FF6B35; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">${t('newsletterEmail.confirmButton')}</a>
+                </p>
+
+                <p style="color: #666; font-size: 12px;">
+                    ${expires} ${ignoreBefore}
+                    <a href="${url(siteUrl)}" style="color: #666;">${siteUrl}</a>${ignoreAfter}
+                </p>
+            </div>
+        `.toString(),
+        text: [
+            `${t('newsletterEmail.confirmSubject')}:`,
+            '',
+            link.url,
+            '',
+            expires,
+            t('newsletterEmail.ignore', { site: siteUrl })
+        ].join('\n')
+    };
+}
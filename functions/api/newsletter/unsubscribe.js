@@ -0,0 +1,134 @@
+/* ==========================================
+   CLOUDFLARE WORKER - NEWSLETTER UNSUBSCRIBE
+   Target of the List-Unsubscribe header and the link
+   in every mailing. GET only shows a confirm button, so
+   mail scanners prefetching the link can't unsubscribe
+   anyone; the POST (RFC 8058 one-click) does the work
+   ========================================== */
+
+import { createJsonResponse, getSiteUrl } from '../../_lib/http.js';
+import { verifyToken, unsubscribeSubscriber } from '../../_lib/newsletter.js';
+import { html, attr, url } from '../../_lib/template.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/newsletter/unsubscribe?token=...
+ * Method: GET - confirmation page opened from an email
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const siteUrl = getSiteUrl(request, env);
+    const locale = getRequestLocale(request);
+    const t = key => translate(locale, key);
+    const token = new URL(request.url).searchParams.get('token') || '';
+
+    try {
+        const email = await verifyToken(env, 'unsubscribe', token);
+
+        if (!email) {
+            return renderPage(locale, 400, t('unsubscribe.invalidTitle'), html`
+                <p>${t('unsubscribe.invalidText')}</p>
+                <p><a href="${url(siteUrl)}">${t('unsubscribe.back')}</a></p>
+            `);
+        }
+
+        return renderPage(locale, 200, t('unsubscribe.title'), html`
+            <p>${t('unsubscribe.confirm')}</p>
+            <p><strong>${email}</strong></p>
+            <form method="POST" action="/api/newsletter/unsubscribe?token=${attr(token)}">
+                <input type="hidden" name="List-Unsubscribe" value="One-Click">
+                <button type="submit">${t('unsubscribe.button')}</button>
+            </form>
+            <p><a href="${url(siteUrl)}">${t('unsubscribe.keep')}</a></p>
+        `);
+
+    } catch (error) {
+        log.error('Newsletter unsubscribe page error', { error });
+        return renderPage(locale, 500, t('unsubscribe.errorTitle'), html`
+            <p>${t('unsubscribe.errorText')}</p>
+        `);
+    }
+}
+
+/**
+ * Method: POST
+ * One-click from a mail client (body List-Unsubscribe=One-Click) gets JSON;
+ * the button on the confirmation page is sent back to the site
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    const siteUrl = getSiteUrl(request, env);
+    const locale = getRequestLocale(request);
+    const token = new URL(request.url).searchParams.get('token') || '';
+    const fromBrowser = (request.headers.get('accept') || '').includes('text/html');
+
+    try {
+        const email = await verifyToken(env, 'unsubscribe', token);
+
+        if (!email) {
+            return fromBrowser
+                ? redirect(`${siteUrl}/?newsletter=invalid#newsletter`)
+                : createJsonResponse({ success: false, message: translate(locale, 'unsubscribe.invalidLink') }, 400);
+        }
+
+        await unsubscribeSubscriber(env.DB, email);
+
+        log.info('Newsletter unsubscribe', { oneClick: !fromBrowser });
+
+        return fromBrowser
+            ? redirect(`${siteUrl}/?newsletter=unsubscribed#newsletter`)
+            : createJsonResponse({ success: true, message: translate(locale, 'unsubscribe.done') }, 200);
+
+    } catch (error) {
+        log.error('Newsletter unsubscribe error', { error });
+
+        return fromBrowser
+            ? redirect(`${siteUrl}/?newsletter=error#newsletter`)
+            : createJsonResponse({
+                success: false,
+                message: translate(locale, 'unsubscribe.failed')
+            }, 500);
+    }
+}
+
+function redirect(location) {
+    return new Response(null, {
+        status: 303,
+        headers: {
+            'Location': location,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+function renderPage(locale, status, title, body) {
+    const page = html`<!DOCTYPE html>
+<html lang="${attr(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${title} - Phil's Fitness</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2D3142; max-width: 560px; margin: 0 auto; padding: 48px 24px; line-height: 1.5; }
+        h1 { color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px; }
+        a { color: #004E89; }
+        button { background-color: #FF6B35; color: #ffffff; border: none; padding: 12px 28px; border-radius: 8px; font-weight: bold; font-size: 1rem; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    ${body}
+</body>
+</html>`;
+
+    return new Response(page.toString(), {
+        status: status,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex'
+        }
+    });
+}
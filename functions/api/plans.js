@@ -0,0 +1,44 @@
+/* ==========================================
+   CLOUDFLARE WORKER - PLAN CATALOG
+   Serves the plan catalog that renders the pricing
+   cards and the "Compare Plans" table on plans.html
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders } from '../_lib/http.js';
+import { getLocalizedCatalog } from '../_lib/plans.js';
+import { getRequestLocale } from '../_lib/i18n.js';
+
+/**
+ * Return every plan with its pricing, features and comparison values
+ * Endpoint: /api/plans?locale=es
+ * Method: GET
+ * Display text follows ?locale=, the pf_locale cookie or Accept-Language
+ */
+export async function onRequestGet(context) {
+    const locale = getRequestLocale(context.request);
+    const catalog = getLocalizedCatalog(locale);
+
+    return createJsonResponse({
+        success: true,
+        data: {
+            locale: locale,
+            plans: catalog.plans,
+            compareRows: catalog.compareRows
+        }
+    }, 200, {
+        ...getCorsHeaders('GET, OPTIONS'),
+        'Cache-Control': 'public, max-age=300',
+        'Content-Language': locale,
+        'Vary': 'Accept-Language, Cookie'
+    });
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders('GET, OPTIONS')
+    });
+}
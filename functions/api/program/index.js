@@ -0,0 +1,93 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER PROGRAM
+   The signed-in member's assigned workout program
+   and the session scheduled for a given day
+   ========================================== */
+
+import { createJsonResponse } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import { isValidDate } from '../../_lib/progress.js';
+import {
+    getActiveAssignment,
+    getSessionForDate,
+    findNextSession,
+    listCompletedSets
+} from '../../_lib/programs.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/program?date=YYYY-MM-DD
+ * Method: GET (session cookie required)
+ * date is the member's local date; defaults to today in UTC
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const date = new URL(request.url).searchParams.get('date')?.trim()
+            || new Date().toISOString().slice(0, 10);
+
+        if (!isValidDate(date)) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: [translate(locale, 'program.invalidDate')]
+            }, 400);
+        }
+
+        const assignment = await getActiveAssignment(env.DB, auth.session.member.id);
+
+        if (!assignment) {
+            return createJsonResponse({
+                success: true,
+                data: { program: null }
+            }, 200, { 'Cache-Control': 'no-store' });
+        }
+
+        const { program, startDate } = assignment;
+        const session = getSessionForDate(program, startDate, date);
+        const next = session.status === 'training' ? null : findNextSession(program, startDate, date);
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                program: {
+                    id: program.id,
+                    title: program.title,
+                    description: program.description,
+                    weekCount: program.weeks.length,
+                    startDate: startDate
+                },
+                today: {
+                    date: date,
+                    status: session.status,
+                    weekIndex: session.weekIndex,
+                    dayIndex: session.dayIndex,
+                    weekNotes: session.weekIndex !== null ? program.weeks[session.weekIndex].notes : null,
+                    day: session.day,
+                    completed: session.status === 'training'
+                        ? await listCompletedSets(env.DB, assignment.id, session.weekIndex, session.dayIndex)
+                        : {}
+                },
+                next: next ? {
+                    date: next.date,
+                    weekIndex: next.weekIndex,
+                    title: next.day.title
+                } : null
+            }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Program error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'program.loadFailed')
+        }, 500);
+    }
+}
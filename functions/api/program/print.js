@@ -0,0 +1,165 @@
+/* ==========================================
+   CLOUDFLARE WORKER - PRINTABLE PROGRAM
+   The member's whole program as a standalone page
+   for training offline - print it or save as PDF
+   ========================================== */
+
+import { getMemberSession } from '../../_lib/member-auth.js';
+import { html, attr, raw } from '../../_lib/template.js';
+import { getActiveAssignment, getSessionDate } from '../../_lib/programs.js';
+import { getRequestLocale, translate, getLocaleTag } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/program/print
+ * Method: GET (session cookie required)
+ * Opened as a normal page from the dashboard, so signed-out
+ * visitors are sent back to sign in rather than shown JSON
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+    const t = key => translate(locale, key);
+
+    try {
+        const session = await getMemberSession(request, env);
+        if (!session) {
+            return Response.redirect(new URL('/dashboard', request.url).toString(), 302);
+        }
+
+        const assignment = await getActiveAssignment(env.DB, session.member.id);
+
+        return new Response(
+            assignment
+                ? renderProgramPage(locale, assignment, session.member.email)
+                : renderPage(locale, t('programPrint.noProgramTitle'), html`<p>${t('programPrint.noProgramText')}</p>`),
+            {
+                status: assignment ? 200 : 404,
+                headers: {
+                    'Content-Type': 'text/html; charset=utf-8',
+                    'Cache-Control': 'no-store',
+                    'X-Robots-Tag': 'noindex'
+                }
+            }
+        );
+
+    } catch (error) {
+        log.error('Program print error', { error });
+
+        return new Response(
+            renderPage(locale, t('programPrint.errorTitle'), html`<p>${t('program.loadFailed')}</p>`),
+            { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        );
+    }
+}
+
+function renderProgramPage(locale, assignment, email) {
+    const { program, startDate } = assignment;
+    const weekCount = program.weeks.length;
+
+    const weeks = program.weeks.map((week, weekIndex) => html`
+        <section class="week">
+            <h2>${translate(locale, 'programPrint.week', { number: weekIndex + 1 })}</h2>
+            ${week.notes ? html`<p class="notes">${week.notes}</p>` : null}
+            ${week.days.map(day => renderDay(locale, day, getSessionDate(startDate, weekIndex, day.weekday)))}
+        </section>
+    `);
+
+    return renderPage(locale, program.title, html`
+        <header>
+            <h1>${program.title}</h1>
+            <p class="meta">${email} &middot; ${translate(locale, 'programPrint.starts', { date: formatDate(locale, startDate) })} &middot; ${translate(locale, weekCount === 1 ? 'programPrint.weekOne' : 'programPrint.weekMany', { count: weekCount })}</p>
+            ${program.description ? html`<p>${program.description}</p>` : null}
+        </header>
+        ${weeks}
+    `);
+}
+
+function renderDay(locale, day, date) {
+    const t = key => translate(locale, key);
+
+    const rows = day.exercises.map(exercise => html`
+        <tr>
+            <td>
+                <strong>${exercise.name}</strong>
+                ${exercise.notes ? html`<br><span class="notes">${exercise.notes}</span>` : null}
+            </td>
+            <td>${exercise.sets} &times; ${exercise.reps}</td>
+            <td>${exercise.load || '—'}</td>
+            <td>${exercise.restSeconds !== null ? formatRest(exercise.restSeconds) : '—'}</td>
+            <td class="boxes">${raw('&#9744; '.repeat(exercise.sets).trim())}</td>
+        </tr>
+    `);
+
+    return html`
+        <div class="day">
+            <h3>${formatDate(locale, date)}${day.title ? html` &ndash; ${day.title}` : null}</h3>
+            ${day.notes ? html`<p class="notes">${day.notes}</p>` : null}
+            <table>
+                <thead>
+                    <tr>
+                        <th>${t('programPrint.exercise')}</th>
+                        <th>${t('programPrint.setsReps')}</th>
+                        <th>${t('programPrint.load')}</th>
+                        <th>${t('programPrint.rest')}</th>
+                        <th>${t('programPrint.done')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderPage(locale, title, body) {
+    return html`<!DOCTYPE html>
+<html lang="${attr(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${title} - Phil's Fitness</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2D3142; max-width: 900px; margin: 0 auto; padding: 24px; line-height: 1.4; }
+        h1 { color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px; }
+        h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+        h3 { margin: 20px 0 8px; font-size: 1rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background-color: #f5f5f5; }
+        .meta, .notes { color: #666; }
+        .notes { font-size: 0.85rem; }
+        .boxes { white-space: nowrap; font-size: 1.1rem; }
+        .day { break-inside: avoid; }
+        .hint { background-color: #f5f5f5; padding: 10px 14px; border-radius: 6px; }
+        @media print {
+            body { padding: 0; }
+            .hint { display: none; }
+            .week { break-before: page; }
+            .week:first-of-type { break-before: auto; }
+        }
+    </style>
+</head>
+<body>
+    <p class="hint">${translate(locale, 'programPrint.hint')}</p>
+    ${body}
+</body>
+</html>`.toString();
+}
+
+function formatDate(locale, date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(getLocaleTag(locale), {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function formatRest(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return remainder ? `${minutes}m ${remainder}s` : `${minutes} min`;
+}
@@ -0,0 +1,76 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER SET LOG
+   Ticks off (or un-ticks) a set in the signed-in
+   member's current program
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import { getActiveAssignment, setSetCompleted } from '../../_lib/programs.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/program/sets
+ * Method: POST (session cookie required)
+ * Body: { weekIndex, dayIndex, exerciseIndex, setNumber, completed: true | false, locale? }
+ * Indexes are zero-based positions in the program; setNumber starts at 1
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+
+        const assignment = await getActiveAssignment(env.DB, auth.session.member.id);
+
+        if (!assignment) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'program.notAssigned')
+            }, 404);
+        }
+
+        const position = {
+            weekIndex: Number(data.weekIndex),
+            dayIndex: Number(data.dayIndex),
+            exerciseIndex: Number(data.exerciseIndex),
+            setNumber: Number(data.setNumber)
+        };
+
+        // Only positions that exist in the member's own program can be logged
+        const exercise = assignment.program.weeks[position.weekIndex]
+            ?.days[position.dayIndex]
+            ?.exercises[position.exerciseIndex];
+
+        if (!Object.values(position).every(Number.isInteger) || !exercise
+            || position.setNumber < 1 || position.setNumber > exercise.sets
+            || typeof data.completed !== 'boolean') {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: [translate(locale, 'program.invalidSet')]
+            }, 400);
+        }
+
+        await setSetCompleted(env.DB, assignment.id, position, data.completed);
+
+        return createJsonResponse({
+            success: true,
+            data: { ...position, completed: data.completed }
+        }, 200);
+
+    } catch (error) {
+        log.error('Program set log error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'program.setFailed')
+        }, 500);
+    }
+}
@@ -0,0 +1,138 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER PROGRESS LOG
+   Log and query body weight, measurements and
+   workouts for the signed-in member
+   kind: weight | measurements | workouts
+   ========================================== */
+
+import { createJsonResponse, readRequestData } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import {
+    getProgressKind,
+    getProgressColumns,
+    validateProgressEntry,
+    parseDateRange,
+    insertProgressEntry,
+    listProgressEntries,
+    listAllProgressEntries,
+    toCsvStream
+} from '../../_lib/progress.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * History in a date range, as JSON (newest entries) or CSV (every entry)
+ * Endpoint: /api/progress/:kind?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+ * Method: GET (session cookie required)
+ */
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const kind = getProgressKind(params.kind);
+        if (!kind) return createUnknownKindResponse(locale);
+
+        const searchParams = new URL(request.url).searchParams;
+        const range = parseDateRange(searchParams, locale);
+
+        if (range.errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: range.errors
+            }, 400);
+        }
+
+        if (searchParams.get('format') === 'csv') {
+            const pages = listAllProgressEntries(env.DB, auth.session.member.id, kind, range);
+
+            return new Response(toCsvStream(pages, getProgressColumns(kind)), {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="progress-${params.kind}.csv"`,
+                    'Cache-Control': 'no-store'
+                }
+            });
+        }
+
+        const entries = await listProgressEntries(env.DB, auth.session.member.id, kind, range);
+
+        return createJsonResponse({
+            success: true,
+            data: {
+                kind: params.kind,
+                from: range.from,
+                to: range.to,
+                entries: entries
+            }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Progress history error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'progress.loadFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Log a new entry
+ * Endpoint: /api/progress/:kind
+ * Method: POST (session cookie required)
+ * Body: { date?: YYYY-MM-DD, ...fields, unit?, locale? }
+ */
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const kind = getProgressKind(params.kind);
+        if (!kind) return createUnknownKindResponse(locale);
+
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+
+        const { values, errors } = validateProgressEntry(kind, data, locale);
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: errors
+            }, 400);
+        }
+
+        const id = await insertProgressEntry(env.DB, auth.session.member.id, kind, values);
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'progress.saved'),
+            data: { id, ...values }
+        }, 201);
+
+    } catch (error) {
+        log.error('Progress log error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'progress.saveFailed')
+        }, 500);
+    }
+}
+
+function createUnknownKindResponse(locale) {
+    return createJsonResponse({
+        success: false,
+        message: translate(locale, 'progress.unknownKind')
+    }, 404);
+}
@@ -0,0 +1,49 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER PROGRESS ENTRY
+   Delete a single entry the member logged by mistake
+   ========================================== */
+
+import { createJsonResponse } from '../../../_lib/http.js';
+import { requireMember } from '../../../_lib/member-auth.js';
+import { getProgressKind, deleteProgressEntry } from '../../../_lib/progress.js';
+import { getRequestLocale, translate } from '../../../_lib/i18n.js';
+import { log } from '../../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/progress/:kind/:id
+ * Method: DELETE (session cookie required)
+ */
+export async function onRequestDelete(context) {
+    const { request, env, params } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const kind = getProgressKind(params.kind);
+        const id = parseInt(params.id, 10);
+
+        // Someone else's entry looks exactly like a missing one
+        if (!kind || !Number.isInteger(id) || id < 1
+            || !await deleteProgressEntry(env.DB, auth.session.member.id, kind, id)) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'progress.notFound')
+            }, 404);
+        }
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'progress.deleted')
+        }, 200);
+
+    } catch (error) {
+        log.error('Progress delete error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'progress.deleteFailed')
+        }, 500);
+    }
+}
@@ -0,0 +1,55 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MEMBER PROGRESS OVERVIEW
+   Every progress kind in one request, for the
+   dashboard charts
+   ========================================== */
+
+import { createJsonResponse } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import { PROGRESS_KINDS, parseDateRange, listProgressEntries } from '../../_lib/progress.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/progress?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Method: GET (session cookie required)
+ * Returns: { weight: [...], measurements: [...], workouts: [...] }
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const range = parseDateRange(new URL(request.url).searchParams, locale);
+
+        if (range.errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: range.errors
+            }, 400);
+        }
+
+        const data = { from: range.from, to: range.to };
+
+        for (const [name, kind] of Object.entries(PROGRESS_KINDS)) {
+            data[name] = await listProgressEntries(env.DB, auth.session.member.id, kind, range);
+        }
+
+        return createJsonResponse({
+            success: true,
+            data: data
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Progress overview error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'progress.loadFailed')
+        }, 500);
+    }
+}
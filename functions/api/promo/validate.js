@@ -0,0 +1,112 @@
+/* ==========================================
+   CLOUDFLARE WORKER - PROMO CODE PREVIEW
+   Shows the discounted price in the purchase modal
+   /api/checkout runs the same check before charging
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData } from '../../_lib/http.js';
+import { enforceRateLimits, getLimitSetting } from '../../_lib/rate-limit.js';
+import { getPlan, getPlanAmount } from '../../_lib/plans.js';
+import { checkPromoCode, getPromoErrorMessage } from '../../_lib/promo.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/promo/validate
+ * Method: POST
+ * Body: { code, plan, locale? }
+ * Returns: { code, planId, originalPrice, price, discount, currency, interval,
+ *            percentOff, amountOff, duration, durationInMonths }
+ * Prices are in whole currency units, like /api/plans
+ * price is what each discounted period costs - duration says how many there are
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+        const plan = getPlan(data.plan);
+
+        if (!plan) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'plans.invalidPlan')
+            }, 400);
+        }
+
+        // Slow down anyone guessing codes
+        const rateLimit = await enforceRateLimits(env.RATE_LIMIT_KV, [{
+            name: 'promo-ip',
+            key: request.headers.get('cf-connecting-ip') || 'unknown',
+            limit: getLimitSetting(env.PROMO_RATE_LIMIT_PER_IP, 20),
+            windowSeconds: getLimitSetting(env.PROMO_RATE_LIMIT_WINDOW_SECONDS, 3600)
+        }]);
+
+        if (!rateLimit.allowed) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'promo.rateLimited'),
+                retryAfter: rateLimit.retryAfter
+            }, 429, { 'Retry-After': String(rateLimit.retryAfter) });
+        }
+
+        const result = await checkPromoCode(env.DB, data.code, plan);
+
+        if (result.error) {
+            return createJsonResponse({
+                success: false,
+                message: getPromoErrorMessage(result, plan, locale)
+            }, 400);
+        }
+
+        const originalAmount = getPlanAmount(plan);
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'promo.accepted'),
+            data: {
+                code: result.promo.code,
+                planId: plan.id,
+                originalPrice: originalAmount / 100,
+                price: result.amount / 100,
+                discount: (originalAmount - result.amount) / 100,
+                currency: plan.currency,
+                interval: plan.interval,
+                percentOff: result.promo.percentOff,
+                amountOff: result.promo.amountOff,
+                duration: result.promo.duration,
+                durationInMonths: result.promo.durationInMonths
+            }
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('Promo code check error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'promo.checkFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Handle GET requests - return method not allowed
+ */
+export async function onRequestGet() {
+    return createJsonResponse({
+        success: false,
+        message: 'Method not allowed. Please use POST.'
+    }, 405);
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders()
+    });
+}
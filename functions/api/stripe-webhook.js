@@ -0,0 +1,258 @@
+/* ==========================================
+   CLOUDFLARE WORKER - STRIPE WEBHOOK
+   Records subscription state in D1 and emails the client
+   Configure in Stripe: Developers > Webhooks > /api/stripe-webhook
+   ========================================== */
+
+import { createJsonResponse } from '../_lib/http.js';
+import { sendEmail } from '../_lib/email.js';
+import { getPlan, getPlanName } from '../_lib/plans.js';
+import { getLocaleTag, getStoredLocale, translate } from '../_lib/i18n.js';
+import { constructWebhookEvent, WebhookSignatureError } from '../_lib/stripe.js';
+import {
+    claimStripeEvent,
+    releaseStripeEvent,
+    upsertSubscription,
+    cancelSubscription
+} from '../_lib/subscriptions.js';
+import { recordPromoRedemption } from '../_lib/promo.js';
+import { html, url } from '../_lib/template.js';
+import { log } from '../_lib/logger.js';
+
+/**
+ * Main request handler for Stripe webhook deliveries
+ * Endpoint: /api/stripe-webhook
+ * Method: POST
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    // The signature is computed over the raw body, so read it as text first
+    const payload = await request.text();
+    let event;
+
+    try {
+        event = await constructWebhookEvent(
+            payload,
+            request.headers.get('stripe-signature'),
+            env.STRIPE_WEBHOOK_SECRET
+        );
+    } catch (error) {
+        log.error('Stripe webhook rejected', { error });
+
+        const status = error instanceof WebhookSignatureError ? 400 : 500;
+        return createJsonResponse({
+            success: false,
+            message: 'Invalid webhook signature.'
+        }, status);
+    }
+
+    const handler = EVENT_HANDLERS[event.type];
+
+    // Acknowledge event types we don't care about so Stripe stops retrying
+    if (!handler) {
+        return createJsonResponse({ received: true, ignored: true }, 200);
+    }
+
+    // Idempotency: each event id is processed at most once
+    const claimed = await claimStripeEvent(env.DB, event);
+
+    if (!claimed) {
+        log.info('Duplicate Stripe event ignored', { id: event.id, type: event.type });
+        return createJsonResponse({ received: true, duplicate: true }, 200);
+    }
+
+    try {
+        await handler(event.data.object, env);
+
+        log.info('Stripe event processed', { id: event.id, type: event.type });
+        return createJsonResponse({ received: true }, 200);
+
+    } catch (error) {
+        log.error('Stripe webhook processing error', { id: event.id, type: event.type, error });
+
+        // Let Stripe's automatic retry try again
+        await releaseStripeEvent(env.DB, event.id);
+
+        return createJsonResponse({
+            success: false,
+            message: 'Webhook processing failed.'
+        }, 500);
+    }
+}
+
+/**
+ * Handle GET requests - return method not allowed
+ */
+export async function onRequestGet() {
+    return createJsonResponse({
+        success: false,
+        message: 'Method not allowed. Please use POST.'
+    }, 405);
+}
+
+/* ==========================================
+   EVENT HANDLERS
+   ========================================== */
+
+const EVENT_HANDLERS = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'invoice.paid': handleInvoicePaid,
+    'customer.subscription.deleted': handleSubscriptionDeleted
+};
+
+/**
+ * A client finished Stripe Checkout - store the subscription and welcome them
+ */
+async function handleCheckoutCompleted(session, env) {
+    if (session.mode !== 'subscription' || !session.subscription) return;
+
+    const plan = getPlan(session.metadata?.plan_id);
+    const email = session.customer_details?.email || session.customer_email || null;
+    const name = session.customer_details?.name || null;
+
+    await upsertSubscription(env.DB, {
+        id: session.subscription,
+        customerId: session.customer,
+        email: email,
+        name: name,
+        planId: plan ? plan.id : null,
+        status: 'active',
+        checkoutSessionId: session.id
+    });
+
+    if (session.metadata?.promo_code) {
+        await recordPromoRedemption(env.DB, {
+            code: session.metadata.promo_code,
+            checkoutSessionId: session.id,
+            planId: plan ? plan.id : null,
+            email: email
+        });
+    }
+
+    if (email) {
+        await sendClientEmail(buildWelcomeEmail({ email, name, plan }, getStoredLocale(session.metadata?.locale)), env);
+    }
+}
+
+/**
+ * A recurring (or first) invoice was paid - extend the period and send a receipt
+ * Leaves the status alone: this event can arrive after customer.subscription.deleted
+ */
+async function handleInvoicePaid(invoice, env) {
+    const subscriptionDetails = invoice.parent?.subscription_details || invoice.subscription_details || {};
+    const subscriptionId = subscriptionDetails.subscription || invoice.subscription;
+
+    if (!subscriptionId) return;
+
+    const plan = getPlan(subscriptionDetails.metadata?.plan_id);
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+
+    await upsertSubscription(env.DB, {
+        id: subscriptionId,
+        customerId: invoice.customer,
+        email: invoice.customer_email,
+        name: invoice.customer_name,
+        planId: plan ? plan.id : null,
+        currentPeriodEnd: periodEnd ? new Date(periodEnd * 1000).toISOString() : null
+    });
+
+    if (invoice.customer_email && invoice.amount_paid > 0) {
+        const locale = getStoredLocale(subscriptionDetails.metadata?.locale);
+        await sendClientEmail(buildReceiptEmail(invoice, plan, locale), env);
+    }
+}
+
+/**
+ * The subscription ended (canceled or unpaid) - mark it in D1
+ */
+async function handleSubscriptionDeleted(subscription, env) {
+    await cancelSubscription(env.DB, subscription.id);
+}
+
+/* ==========================================
+   CLIENT EMAILS
+   ========================================== */
+
+/**
+ * Send a client email without failing the webhook
+ * The subscription is already stored; a retry would only duplicate it
+ */
+async function sendClientEmail(message, env) {
+    try {
+        const result = await sendEmail(message, env);
+        log.info('Client email sent', { subject: message.subject, provider: result.provider, emailId: result.id });
+    } catch (error) {
+        log.error('Failed to send client email', { error });
+    }
+}
+
+/**
+ * Welcome email sent after a completed checkout
+ */
+function buildWelcomeEmail({ email, name, plan }, locale) {
+    const t = (key, params) => translate(locale, key, params);
+    const firstName = name ? name.split(' ')[0] : null;
+    const planName = plan ? getPlanName(plan, locale) : null;
+
+    return {
+        to: [email],
+        subject: t('welcomeEmail.subject', { plan: planName || t('welcomeEmail.subscription') }),
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${firstName ? t('welcomeEmail.heading', { name: firstName }) : t('welcomeEmail.headingNoName')}</h2>
+
+                <p>${planName ? t('welcomeEmail.thanks', { plan: planName }) : t('welcomeEmail.thanksNoPlan')}</p>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <h3 style="color: #004E89; margin-top: 0;">${t('welcomeEmail.nextTitle')}</h3>
+                    <p style="margin: 10px 0;">${t('welcomeEmail.step1')}</p>
+                    <p style="margin: 10px 0;">${t('welcomeEmail.step2')}</p>
+                    <p style="margin: 10px 0;">${t('welcomeEmail.step3')}</p>
+                </div>
+
+                <p style="color: #666; font-size: 12px;">
+                    ${t('welcomeEmail.questions')}
+                </p>
+            </div>
+        `.toString()
+    };
+}
+
+/**
+ * Receipt email sent for every paid invoice
+ */
+function buildReceiptEmail(invoice, plan, locale) {
+    const t = (key, params) => translate(locale, key, params);
+    const localeTag = getLocaleTag(locale);
+    const amount = new Intl.NumberFormat(localeTag, {
+        style: 'currency',
+        currency: (invoice.currency || 'usd').toUpperCase()
+    }).format(invoice.amount_paid / 100);
+    const paidAt = new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000)
+        .toLocaleDateString(localeTag, { timeZone: 'America/New_York' });
+    const planName = plan ? getPlanName(plan, locale) : t('receiptEmail.defaultPlan');
+
+    return {
+        to: [invoice.customer_email],
+        subject: invoice.number ? t('receiptEmail.subjectNumbered', { number: invoice.number }) : t('receiptEmail.subject'),
+        html: html`
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #FF6B35; border-bottom: 3px solid #FF6B35; padding-bottom: 10px;">${t('receiptEmail.heading')}</h2>
+
+                <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <p style="margin: 10px 0;"><strong>${t('receiptEmail.plan')}:</strong> ${planName}</p>
+                    <p style="margin: 10px 0;"><strong>${t('receiptEmail.amount')}:</strong> ${amount}</p>
+                    <p style="margin: 10px 0;"><strong>${t('receiptEmail.date')}:</strong> ${paidAt}</p>
+                    ${invoice.number ? html`<p style="margin: 10px 0;"><strong>${t('receiptEmail.invoice')}:</strong> ${invoice.number}</p>` : null}
+                </div>
+
+                ${invoice.hosted_invoice_url ? html`<p><a href="${url(invoice.hosted_invoice_url)}" style="color: #004E89;">${t('receiptEmail.viewInvoice')}</a></p>` : null}
+
+                <p style="color: #666; font-size: 12px;">
+                    ${t('receiptEmail.thanks')}
+                </p>
+            </div>
+        `.toString()
+    };
+}
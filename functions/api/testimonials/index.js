@@ -0,0 +1,116 @@
+/* ==========================================
+   CLOUDFLARE WORKER - TESTIMONIALS
+   Approved reviews for the home page, and member
+   submissions into the moderation queue
+   ========================================== */
+
+import { createJsonResponse, getCorsHeaders, readRequestData } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import {
+    validateTestimonial,
+    insertTestimonial,
+    getLatestMemberTestimonial,
+    listApprovedTestimonials
+} from '../../_lib/testimonials.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/testimonials?page=&pageSize=
+ * Method: GET (public)
+ * Returns: { testimonials: [...], total, page, pageSize }
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const params = new URL(request.url).searchParams;
+    const locale = getRequestLocale(request);
+
+    try {
+        const result = await listApprovedTestimonials(env.DB, {
+            page: params.get('page'),
+            pageSize: params.get('pageSize')
+        });
+
+        return createJsonResponse({
+            success: true,
+            data: result
+        }, 200, {
+            ...getCorsHeaders('GET, POST, OPTIONS'),
+            'Cache-Control': 'public, max-age=300'
+        });
+
+    } catch (error) {
+        log.error('Testimonials error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'testimonials.loadFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Method: POST (session cookie required)
+ * Body: { displayName, headline?, quote, rating, consent, locale? }
+ * One submission can wait for review at a time
+ */
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    let locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        const memberId = auth.session.member.id;
+        const data = await readRequestData(request);
+        locale = getRequestLocale(request, data.locale);
+        const { testimonial, errors } = validateTestimonial(data, locale);
+
+        if (errors.length > 0) {
+            return createJsonResponse({
+                success: false,
+                message: translate(locale, 'api.validationFailed'),
+                errors: errors
+            }, 400);
+        }
+
+        const latest = await getLatestMemberTestimonial(env.DB, memberId);
+
+        if (latest && latest.status === 'pending') {
+            return createJsonResponse({
+                success: false,
+                code: 'testimonial_pending',
+                message: translate(locale, 'testimonials.pending')
+            }, 409);
+        }
+
+        const id = await insertTestimonial(env.DB, memberId, testimonial);
+
+        log.info('Testimonial submitted', { testimonialId: id, memberId: memberId, rating: testimonial.rating });
+
+        return createJsonResponse({
+            success: true,
+            message: translate(locale, 'testimonials.submitted'),
+            data: await getLatestMemberTestimonial(env.DB, memberId)
+        }, 201);
+
+    } catch (error) {
+        log.error('Testimonial submission error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'testimonials.saveFailed')
+        }, 500);
+    }
+}
+
+/**
+ * Handle OPTIONS requests for CORS preflight
+ */
+export async function onRequestOptions() {
+    return new Response(null, {
+        status: 204,
+        headers: getCorsHeaders('GET, POST, OPTIONS')
+    });
+}
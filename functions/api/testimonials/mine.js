@@ -0,0 +1,39 @@
+/* ==========================================
+   CLOUDFLARE WORKER - MY TESTIMONIAL
+   The signed-in member's latest submission and its
+   review status, for the dashboard
+   ========================================== */
+
+import { createJsonResponse } from '../../_lib/http.js';
+import { requireMember } from '../../_lib/member-auth.js';
+import { getLatestMemberTestimonial } from '../../_lib/testimonials.js';
+import { getRequestLocale, translate } from '../../_lib/i18n.js';
+import { log } from '../../_lib/logger.js';
+
+/**
+ * Endpoint: /api/testimonials/mine
+ * Method: GET (session cookie required)
+ * Returns the latest testimonial or null
+ */
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const locale = getRequestLocale(request);
+
+    try {
+        const auth = await requireMember(request, env);
+        if (auth.response) return auth.response;
+
+        return createJsonResponse({
+            success: true,
+            data: await getLatestMemberTestimonial(env.DB, auth.session.member.id)
+        }, 200, { 'Cache-Control': 'no-store' });
+
+    } catch (error) {
+        log.error('My testimonial error', { error });
+
+        return createJsonResponse({
+            success: false,
+            message: translate(locale, 'testimonials.mineFailed')
+        }, 500);
+    }
+}
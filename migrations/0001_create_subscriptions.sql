@@ -0,0 +1,28 @@
+-- ==========================================
+-- SUBSCRIPTIONS
+-- Stripe subscription state, written by /api/stripe-webhook
+-- Apply with: wrangler d1 migrations apply philip-fitness
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id TEXT PRIMARY KEY,              -- Stripe subscription id (sub_...)
+    customer_id TEXT,                 -- Stripe customer id (cus_...)
+    email TEXT,
+    name TEXT,
+    plan_id TEXT,                     -- id from functions/_lib/plans.js
+    status TEXT NOT NULL,             -- active | canceled
+    current_period_end TEXT,          -- ISO 8601
+    checkout_session_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    canceled_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_email ON subscriptions (email);
+
+-- Processed webhook events - makes replayed deliveries a no-op
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id TEXT PRIMARY KEY,              -- Stripe event id (evt_...)
+    type TEXT NOT NULL,
+    received_at TEXT NOT NULL
+);
@@ -0,0 +1,22 @@
+-- ==========================================
+-- CONTACT SUBMISSIONS
+-- Every sanitized contact form submission, stored before
+-- the notification email is attempted so no lead is lost
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS contact_submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    subject TEXT,
+    message TEXT NOT NULL,
+    user_agent TEXT,
+    submitted_at TEXT NOT NULL,       -- ISO 8601
+    email_status TEXT NOT NULL DEFAULT 'pending',  -- pending | sent | queued | failed
+    email_id TEXT,                    -- Resend message id once sent
+    handled_at TEXT                   -- set when the team marks the lead handled
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_submitted_at ON contact_submissions (submitted_at);
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_subject ON contact_submissions (subject);
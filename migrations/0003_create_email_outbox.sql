@@ -0,0 +1,21 @@
+-- ==========================================
+-- EMAIL OUTBOX
+-- Emails that failed to send, retried with exponential
+-- backoff by the email-outbox Worker (workers/email-outbox)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,               -- e.g. contact_notification
+    submission_id INTEGER,            -- contact_submissions.id, when applicable
+    payload TEXT NOT NULL,            -- JSON message passed to the email sender
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | sent | dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,    -- ISO 8601
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    sent_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at);
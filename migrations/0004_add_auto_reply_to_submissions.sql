@@ -0,0 +1,10 @@
+-- ==========================================
+-- AUTO-REPLY TRACKING
+-- When the visitor's acknowledgement email went out
+-- Used to throttle auto-replies per address and globally
+-- ==========================================
+
+ALTER TABLE contact_submissions ADD COLUMN auto_reply_sent_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_auto_reply ON contact_submissions (auto_reply_sent_at);
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_email ON contact_submissions (email);
@@ -0,0 +1,23 @@
+-- ==========================================
+-- CONSULTATION BOOKINGS
+-- Free consultation slots reserved through /api/bookings
+-- The partial unique index is what makes a reservation
+-- atomic: two requests for the same slot can't both insert
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS bookings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uid TEXT NOT NULL UNIQUE,         -- iCalendar UID, stable across updates
+    slot_start TEXT NOT NULL,         -- ISO 8601, UTC
+    slot_end TEXT NOT NULL,           -- ISO 8601, UTC
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    notes TEXT,
+    status TEXT NOT NULL DEFAULT 'confirmed',  -- confirmed | cancelled
+    created_at TEXT NOT NULL,
+    cancelled_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_confirmed_slot ON bookings (slot_start) WHERE status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_bookings_slot_end ON bookings (status, slot_end);
@@ -0,0 +1,33 @@
+-- ==========================================
+-- MEMBER ACCOUNTS
+-- Passwordless sign-in: one-time magic links and
+-- revocable sessions for the /dashboard member area
+-- Only SHA-256 hashes of tokens are stored
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    created_at TEXT NOT NULL,
+    last_login_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS login_tokens (
+    token_hash TEXT PRIMARY KEY,      -- sha256 of the token in the emailed link
+    email TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,         -- ISO 8601
+    used_at TEXT                      -- set once; a link can't be used twice
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id_hash TEXT PRIMARY KEY,         -- sha256 of the session cookie value
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    user_agent TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,         -- ISO 8601
+    revoked_at TEXT                   -- set on sign-out
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_tokens_expires_at ON login_tokens (expires_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_member ON sessions (member_id, revoked_at);
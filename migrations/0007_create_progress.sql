@@ -0,0 +1,43 @@
+-- ==========================================
+-- MEMBER PROGRESS TRACKING
+-- Body weight, measurements and completed workouts
+-- logged from the member dashboard (/api/progress)
+-- Every row belongs to exactly one member
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS weight_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    recorded_on TEXT NOT NULL,        -- YYYY-MM-DD
+    weight REAL NOT NULL,
+    unit TEXT NOT NULL DEFAULT 'lb',  -- lb | kg
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS body_measurements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    recorded_on TEXT NOT NULL,        -- YYYY-MM-DD
+    waist REAL,
+    chest REAL,
+    hips REAL,
+    arm REAL,
+    thigh REAL,
+    body_fat_pct REAL,
+    unit TEXT NOT NULL DEFAULT 'in',  -- in | cm (body fat is always %)
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workout_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    completed_on TEXT NOT NULL,       -- YYYY-MM-DD
+    workout TEXT NOT NULL,
+    duration_minutes INTEGER,
+    notes TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_weight_entries_member ON weight_entries (member_id, recorded_on);
+CREATE INDEX IF NOT EXISTS idx_body_measurements_member ON body_measurements (member_id, recorded_on);
+CREATE INDEX IF NOT EXISTS idx_workout_logs_member ON workout_logs (member_id, completed_on);
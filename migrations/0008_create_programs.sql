@@ -0,0 +1,36 @@
+-- ==========================================
+-- COACH WORKOUT PROGRAMS
+-- Programs built by coaches through /api/admin/programs,
+-- assigned to members and followed from the dashboard
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS programs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    weeks TEXT NOT NULL,              -- JSON: [{ notes, days: [{ weekday, title, notes, exercises: [...] }] }]
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS program_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    program_id INTEGER NOT NULL REFERENCES programs (id),
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    start_date TEXT NOT NULL,         -- YYYY-MM-DD, first day of week 1
+    assigned_at TEXT NOT NULL,
+    ended_at TEXT                     -- set when a newer program replaces this one
+);
+
+-- One row per completed set; the position indexes point into programs.weeks
+CREATE TABLE IF NOT EXISTS program_set_logs (
+    assignment_id INTEGER NOT NULL REFERENCES program_assignments (id),
+    week_index INTEGER NOT NULL,
+    day_index INTEGER NOT NULL,
+    exercise_index INTEGER NOT NULL,
+    set_number INTEGER NOT NULL,
+    completed_at TEXT NOT NULL,
+    PRIMARY KEY (assignment_id, week_index, day_index, exercise_index, set_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_program_assignments_member ON program_assignments (member_id, ended_at);
@@ -0,0 +1,30 @@
+-- ==========================================
+-- NUTRITION INTAKES
+-- Questionnaire answers from /intake.html with the
+-- BMR/TDEE and macro targets computed at submission
+-- Body measurements are stored in metric
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS nutrition_intakes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    sex TEXT NOT NULL,                -- male | female | unspecified
+    age INTEGER NOT NULL,
+    height_cm REAL NOT NULL,
+    weight_kg REAL NOT NULL,
+    activity_level TEXT NOT NULL,     -- sedentary | light | moderate | active | athlete
+    goal TEXT NOT NULL,               -- lose | maintain | gain
+    restrictions TEXT NOT NULL,       -- JSON array of restriction keys
+    notes TEXT,
+    bmr INTEGER NOT NULL,             -- kcal/day
+    tdee INTEGER NOT NULL,            -- kcal/day
+    calories INTEGER NOT NULL,        -- daily target, kcal
+    protein_g INTEGER NOT NULL,
+    fat_g INTEGER NOT NULL,
+    carb_g INTEGER NOT NULL,
+    submitted_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_nutrition_intakes_submitted_at ON nutrition_intakes (submitted_at);
+CREATE INDEX IF NOT EXISTS idx_nutrition_intakes_email ON nutrition_intakes (email COLLATE NOCASE);
@@ -0,0 +1,18 @@
+-- ==========================================
+-- NEWSLETTER SUBSCRIBERS
+-- Footer signups with double opt-in: an address is
+-- only mailed after its confirmation link is clicked
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS newsletter_subscribers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    status TEXT NOT NULL DEFAULT 'pending',   -- pending | confirmed | unsubscribed
+    source TEXT,                              -- page the signup came from
+    created_at TEXT NOT NULL,
+    requested_at TEXT NOT NULL,               -- latest confirmation email
+    confirmed_at TEXT,
+    unsubscribed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_subscribers_status ON newsletter_subscribers (status);
@@ -0,0 +1,21 @@
+-- ==========================================
+-- TESTIMONIALS
+-- Member-submitted reviews shown on the home page
+-- once a coach approves them in the admin queue
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS testimonials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL REFERENCES members (id),
+    display_name TEXT NOT NULL,       -- as the member wants to be credited, e.g. "Sarah M."
+    headline TEXT,                    -- short result line, e.g. "Lost 30 lbs in 3 months"
+    quote TEXT NOT NULL,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    status TEXT NOT NULL DEFAULT 'pending',   -- pending | approved | rejected
+    review_note TEXT,                 -- coach's reason, kept private
+    submitted_at TEXT NOT NULL,
+    reviewed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_testimonials_status ON testimonials (status, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_testimonials_member ON testimonials (member_id, submitted_at);
@@ -0,0 +1,32 @@
+-- ==========================================
+-- PROMO CODES
+-- Seasonal discounts entered in the purchase modal,
+-- checked again by /api/checkout before Stripe sees a price
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,                          -- internal note, e.g. "Spring 2026 campaign"
+    percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+    amount_off INTEGER CHECK (amount_off > 0), -- cents off the monthly price
+    plan_ids TEXT,                             -- comma-separated plan ids, NULL = every plan
+    expires_at TEXT,                           -- ISO 8601, NULL = never
+    max_redemptions INTEGER,                   -- NULL = unlimited
+    redemption_count INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    deactivated_at TEXT,
+    CHECK ((percent_off IS NULL) <> (amount_off IS NULL))
+);
+
+-- One row per completed checkout - makes redemption counting idempotent
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    checkout_session_id TEXT PRIMARY KEY,      -- Stripe Checkout Session id (cs_...)
+    promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id),
+    plan_id TEXT,
+    email TEXT,
+    redeemed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions (promo_code_id, redeemed_at);
@@ -0,0 +1,28 @@
+-- ==========================================
+-- WEBHOOK DELIVERIES
+-- Delivery log for outgoing webhooks (functions/_lib/webhooks.js):
+-- one row per event and endpoint, retried with exponential
+-- backoff by the email-outbox Worker (workers/email-outbox)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL,                  -- evt_... sent as X-Webhook-Id
+    event_type TEXT NOT NULL,                -- e.g. contact.submitted
+    endpoint_id TEXT NOT NULL,               -- id from WEBHOOK_ENDPOINTS
+    url TEXT NOT NULL,
+    payload TEXT NOT NULL,                   -- the exact JSON body that is signed
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | delivered | dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,           -- ISO 8601
+    response_status INTEGER,                 -- HTTP status of the latest attempt
+    duration_ms INTEGER,                     -- latency of the latest attempt
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    delivered_at TEXT,
+    UNIQUE (event_id, endpoint_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries (event_type, created_at);
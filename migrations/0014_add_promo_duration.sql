@@ -0,0 +1,11 @@
+-- ==========================================
+-- PROMO CODE DURATION
+-- How many billing periods a code discounts, applied as a
+-- Stripe coupon so renewals go back to the plan price
+-- Existing codes were seasonal offers: they become 'once'
+-- ==========================================
+
+ALTER TABLE promo_codes ADD COLUMN duration TEXT NOT NULL DEFAULT 'once'
+    CHECK (duration IN ('once', 'repeating', 'forever'));
+ALTER TABLE promo_codes ADD COLUMN duration_in_months INTEGER;   -- only for 'repeating'
+ALTER TABLE promo_codes ADD COLUMN stripe_coupon_id TEXT;        -- created on first checkout
@@ -0,0 +1,398 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - ADMIN JAVASCRIPT
+   Lead inbox and testimonial queue backed by
+   /api/admin/* Functions
+   ========================================== */
+
+const ADMIN_TOKEN_KEY = 'philipFitnessAdminToken';
+
+const inboxState = {
+    page: 1,
+    pageSize: 25,
+    total: 0
+};
+
+const testimonialState = {
+    page: 1,
+    pageSize: 25,
+    total: 0
+};
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+document.addEventListener('DOMContentLoaded', function() {
+    initAdminLogin();
+    initInbox();
+    initTestimonialQueue();
+
+    if (getAdminToken()) {
+        showAdminArea();
+    }
+});
+
+// ==========================================
+// AUTHENTICATION
+// Bearer token checked by functions/_lib/auth.js
+// ==========================================
+function initAdminLogin() {
+    const loginForm = document.getElementById('adminLoginForm');
+    const logoutLink = document.getElementById('adminLogout');
+
+    loginForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+
+        const token = document.getElementById('adminToken').value.trim();
+        if (!token) return;
+
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+        loginForm.reset();
+        showAdminArea();
+    });
+
+    logoutLink.addEventListener('click', function(e) {
+        e.preventDefault();
+        signOut();
+    });
+}
+
+function getAdminToken() {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+}
+
+function showAdminArea() {
+    document.getElementById('adminLogin').hidden = true;
+    document.getElementById('adminInbox').hidden = false;
+    document.getElementById('adminTestimonials').hidden = false;
+    document.getElementById('adminLogout').hidden = false;
+
+    loadSubmissions();
+    loadTestimonials();
+}
+
+function signOut() {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+
+    document.getElementById('adminLogin').hidden = false;
+    document.getElementById('adminInbox').hidden = true;
+    document.getElementById('adminTestimonials').hidden = true;
+    document.getElementById('adminLogout').hidden = true;
+}
+
+// Fetch wrapper that adds the admin token and handles 401s
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${getAdminToken()}`
+        }
+    });
+
+    if (response.status === 401) {
+        signOut();
+        throw new Error('Your admin token was rejected. Please sign in again.');
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+        throw new Error(result.message || 'Request failed');
+    }
+
+    return result.data;
+}
+
+// ==========================================
+// LEAD INBOX
+// ==========================================
+function initInbox() {
+    const filters = document.getElementById('inboxFilters');
+
+    filters.addEventListener('submit', function(e) {
+        e.preventDefault();
+        inboxState.page = 1;
+        loadSubmissions();
+    });
+
+    // Filter immediately when a dropdown changes
+    filters.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', function() {
+            inboxState.page = 1;
+            loadSubmissions();
+        });
+    });
+
+    document.getElementById('inboxPrev').addEventListener('click', function() {
+        if (inboxState.page > 1) {
+            inboxState.page--;
+            loadSubmissions();
+        }
+    });
+
+    document.getElementById('inboxNext').addEventListener('click', function() {
+        if (inboxState.page * inboxState.pageSize < inboxState.total) {
+            inboxState.page++;
+            loadSubmissions();
+        }
+    });
+
+    // Delegated handler for the "handled" checkboxes
+    document.getElementById('inboxRows').addEventListener('change', function(e) {
+        if (e.target.matches('.handled-toggle')) {
+            toggleHandled(e.target);
+        }
+    });
+}
+
+async function loadSubmissions() {
+    const summary = document.getElementById('inboxSummary');
+    const params = new URLSearchParams({
+        search: document.getElementById('inboxSearch').value.trim(),
+        subject: document.getElementById('inboxSubject').value,
+        status: document.getElementById('inboxStatus').value,
+        page: inboxState.page,
+        pageSize: inboxState.pageSize
+    });
+
+    summary.textContent = 'Loading...';
+
+    try {
+        const data = await adminFetch(`/api/admin/submissions?${params}`);
+
+        inboxState.total = data.total;
+        renderSubmissions(data.submissions);
+
+        const lastPage = Math.max(Math.ceil(data.total / data.pageSize), 1);
+        summary.textContent = `${data.total} submission${data.total === 1 ? '' : 's'} • Page ${data.page} of ${lastPage}`;
+
+        document.getElementById('inboxPrev').disabled = data.page <= 1;
+        document.getElementById('inboxNext').disabled = data.page >= lastPage;
+
+    } catch (error) {
+        console.error('Failed to load submissions:', error);
+        summary.textContent = error.message;
+    }
+}
+
+function renderSubmissions(submissions) {
+    const tbody = document.getElementById('inboxRows');
+    tbody.replaceChildren();
+
+    submissions.forEach(submission => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid var(--border-color)';
+        if (submission.handled_at) {
+            row.style.opacity = '0.6';
+        }
+
+        const received = new Date(submission.submitted_at).toLocaleString('en-US');
+
+        row.append(
+            createCell(received),
+            createCell([submission.name, submission.email, submission.phone].filter(Boolean).join('\n')),
+            createCell(submission.subject || '—'),
+            createCell(submission.message, { whiteSpace: 'pre-wrap', maxWidth: '420px' }),
+            createCell(submission.email_status)
+        );
+
+        const toggleCell = document.createElement('td');
+        toggleCell.style.padding = '1rem';
+        toggleCell.style.textAlign = 'center';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'handled-toggle';
+        toggle.dataset.id = submission.id;
+        toggle.checked = Boolean(submission.handled_at);
+        toggle.setAttribute('aria-label', `Mark submission from ${submission.name} as handled`);
+
+        toggleCell.append(toggle);
+        row.append(toggleCell);
+        tbody.append(row);
+    });
+
+    if (submissions.length === 0) {
+        const row = document.createElement('tr');
+        const cell = createCell('No submissions match these filters.');
+        cell.colSpan = 6;
+        cell.style.textAlign = 'center';
+        row.append(cell);
+        tbody.append(row);
+    }
+}
+
+// Table cell with text content only - submissions are untrusted input
+function createCell(text, styles = {}) {
+    const cell = document.createElement('td');
+    cell.style.padding = '1rem';
+    cell.style.verticalAlign = 'top';
+    cell.style.whiteSpace = 'pre-line';
+    Object.assign(cell.style, styles);
+    cell.textContent = text;
+    return cell;
+}
+
+async function toggleHandled(checkbox) {
+    checkbox.disabled = true;
+
+    try {
+        await adminFetch(`/api/admin/submissions/${checkbox.dataset.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ handled: checkbox.checked })
+        });
+
+        loadSubmissions();
+
+    } catch (error) {
+        console.error('Failed to update submission:', error);
+        checkbox.checked = !checkbox.checked;
+        alert(error.message);
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+// ==========================================
+// TESTIMONIAL QUEUE
+// ==========================================
+function initTestimonialQueue() {
+    document.getElementById('testimonialStatusFilter').addEventListener('change', function() {
+        testimonialState.page = 1;
+        loadTestimonials();
+    });
+
+    document.getElementById('testimonialPrev').addEventListener('click', function() {
+        if (testimonialState.page > 1) {
+            testimonialState.page--;
+            loadTestimonials();
+        }
+    });
+
+    document.getElementById('testimonialNext').addEventListener('click', function() {
+        if (testimonialState.page * testimonialState.pageSize < testimonialState.total) {
+            testimonialState.page++;
+            loadTestimonials();
+        }
+    });
+
+    // Delegated handler for the approve/reject buttons
+    document.getElementById('testimonialRows').addEventListener('click', function(e) {
+        const button = e.target.closest('.review-button');
+        if (button) {
+            reviewTestimonial(button);
+        }
+    });
+}
+
+async function loadTestimonials() {
+    const summary = document.getElementById('testimonialSummary');
+    const params = new URLSearchParams({
+        status: document.getElementById('testimonialStatusFilter').value,
+        page: testimonialState.page,
+        pageSize: testimonialState.pageSize
+    });
+
+    summary.textContent = 'Loading...';
+
+    try {
+        const data = await adminFetch(`/api/admin/testimonials?${params}`);
+
+        testimonialState.total = data.total;
+        renderTestimonials(data.testimonials);
+
+        const lastPage = Math.max(Math.ceil(data.total / data.pageSize), 1);
+        summary.textContent = `${data.total} testimonial${data.total === 1 ? '' : 's'} • Page ${data.page} of ${lastPage}`;
+
+        document.getElementById('testimonialPrev').disabled = data.page <= 1;
+        document.getElementById('testimonialNext').disabled = data.page >= lastPage;
+
+    } catch (error) {
+        console.error('Failed to load testimonials:', error);
+        summary.textContent = error.message;
+    }
+}
+
+function renderTestimonials(testimonials) {
+    const tbody = document.getElementById('testimonialRows');
+    tbody.replaceChildren();
+
+    testimonials.forEach(testimonial => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid var(--border-color)';
+
+        const submitted = new Date(testimonial.submittedAt).toLocaleString('en-US');
+        const story = [testimonial.headline, testimonial.quote].filter(Boolean).join('\n\n');
+
+        row.append(
+            createCell(submitted),
+            createCell(`${testimonial.displayName}\n${testimonial.memberEmail}`),
+            createCell(`${testimonial.rating} / 5`),
+            createCell(story, { whiteSpace: 'pre-wrap', maxWidth: '420px' }),
+            createCell([testimonial.status, testimonial.reviewNote].filter(Boolean).join('\n'))
+        );
+
+        const actionCell = document.createElement('td');
+        actionCell.style.padding = '1rem';
+        actionCell.style.textAlign = 'center';
+        actionCell.style.whiteSpace = 'nowrap';
+
+        [['approved', 'Approve'], ['rejected', 'Reject']].forEach(([status, label]) => {
+            if (testimonial.status === status) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${status === 'approved' ? 'btn-primary' : 'btn-outline'} review-button`;
+            button.style.padding = '0.5rem 1rem';
+            button.style.margin = '0.25rem';
+            if (status === 'rejected') {
+                button.style.color = 'var(--text-dark)';
+                button.style.borderColor = 'var(--border-color)';
+            }
+            button.dataset.id = testimonial.id;
+            button.dataset.status = status;
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} testimonial from ${testimonial.displayName}`);
+            actionCell.append(button);
+        });
+
+        row.append(actionCell);
+        tbody.append(row);
+    });
+
+    if (testimonials.length === 0) {
+        const row = document.createElement('tr');
+        const cell = createCell('No testimonials with this status.');
+        cell.colSpan = 6;
+        cell.style.textAlign = 'center';
+        row.append(cell);
+        tbody.append(row);
+    }
+}
+
+async function reviewTestimonial(button) {
+    const status = button.dataset.status;
+    let note = '';
+
+    if (status === 'rejected') {
+        note = prompt('Reason for rejecting (private, optional):');
+        if (note === null) return;
+    }
+
+    button.disabled = true;
+
+    try {
+        await adminFetch(`/api/admin/testimonials/${button.dataset.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: status, note: note })
+        });
+
+        loadTestimonials();
+
+    } catch (error) {
+        console.error('Failed to review testimonial:', error);
+        button.disabled = false;
+        alert(error.message);
+    }
+}
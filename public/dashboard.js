@@ -0,0 +1,940 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - MEMBER DASHBOARD
+   Magic-link sign-in, account overview, today's program
+   session, progress tracking and testimonials backed by
+   /api/auth/*, /api/account, /api/program, /api/progress
+   and /api/testimonials
+   The session lives in an HttpOnly cookie - nothing is
+   stored in the browser by this script
+   Copy comes from i18n.js through main.js's t()
+   ========================================== */
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+document.addEventListener('DOMContentLoaded', function() {
+    initMemberLogin();
+    initMemberLogout();
+    initProgram();
+    initProgress();
+    initTestimonial();
+    showLoginResult();
+    loadAccount();
+});
+
+// ==========================================
+// SIGN IN
+// ==========================================
+function initMemberLogin() {
+    const loginForm = document.getElementById('memberLoginForm');
+
+    loginForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const submitButton = loginForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: document.getElementById('memberEmail').value.trim(), locale: currentLocale })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                loginForm.reset();
+                showLoginNotice(result.message, 'success');
+            } else {
+                showLoginNotice(result.errors ? result.errors.join(' ') : result.message, 'error');
+            }
+
+        } catch (error) {
+            console.error('Sign-in request failed:', error);
+            showLoginNotice(t('login.failed'), 'error');
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+// Explain why /api/auth/verify sent the visitor back here
+function showLoginResult() {
+    const params = new URLSearchParams(window.location.search);
+    const loginState = params.get('login');
+
+    if (!loginState) return;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (loginState === 'expired') {
+        showLoginNotice(t('dashboard.linkExpired'), 'error');
+    } else {
+        showLoginNotice(t('dashboard.signInError'), 'error');
+    }
+}
+
+// Status message above the sign-in form (text only)
+function showLoginNotice(message, type) {
+    const notice = document.getElementById('memberLoginNotice');
+    notice.replaceChildren();
+
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.style.cssText = `
+        background-color: ${type === 'success' ? '#00C9A7' : '#FF6B35'};
+        color: white;
+        padding: 1rem 1.5rem;
+        border-radius: 8px;
+        margin-bottom: 1.5rem;
+    `;
+    alertDiv.textContent = message;
+    notice.append(alertDiv);
+}
+
+// ==========================================
+// SIGN OUT
+// ==========================================
+function initMemberLogout() {
+    document.getElementById('memberLogout').addEventListener('click', function() {
+        signOut(false);
+    });
+
+    document.getElementById('memberLogoutAll').addEventListener('click', function() {
+        if (confirm(t('dashboard.confirmSignOutAll'))) {
+            signOut(true);
+        }
+    });
+}
+
+async function signOut(everywhere) {
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ all: everywhere })
+        });
+    } catch (error) {
+        console.error('Sign-out failed:', error);
+    }
+
+    showLogin();
+    showLoginNotice(t('member.signedOut'), 'success');
+}
+
+// ==========================================
+// ACCOUNT OVERVIEW
+// ==========================================
+async function loadAccount() {
+    try {
+        const response = await fetch(`/api/account?locale=${encodeURIComponent(currentLocale)}`, { cache: 'no-store' });
+
+        if (response.status === 401) {
+            showLogin();
+            return;
+        }
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        renderAccount(result.data);
+        document.getElementById('memberLogin').hidden = true;
+        document.getElementById('memberDashboard').hidden = false;
+
+        loadProgram();
+        loadProgress();
+        loadTestimonial();
+
+    } catch (error) {
+        console.error('Failed to load account:', error);
+        showLogin();
+        showLoginNotice(t('dashboard.loadFailed'), 'error');
+    }
+}
+
+function showLogin() {
+    document.getElementById('memberLogin').hidden = false;
+    document.getElementById('memberDashboard').hidden = true;
+}
+
+function renderAccount(account) {
+    document.getElementById('memberEmailLabel').textContent = t('dashboard.signedInAs', { email: account.member.email });
+
+    const plan = account.plan;
+    const billing = account.billing;
+
+    document.getElementById('dashboardPlan').textContent = plan ? plan.name : t('dashboard.noPlan');
+    document.getElementById('dashboardPlanPrice').textContent = plan
+        ? `${formatCurrency(plan.price, plan.currency.toUpperCase(), 0)} / ${t(`interval.${plan.interval}`)}`
+        : '';
+
+    document.getElementById('dashboardBilling').textContent = billing ? getBillingLabel(billing.status) : '—';
+    document.getElementById('dashboardBillingDetail').textContent = getBillingDetail(billing);
+
+    document.getElementById('dashboardCheckIn').textContent = account.nextCheckIn
+        ? formatDashboardDate(account.nextCheckIn)
+        : '—';
+    document.getElementById('dashboardCheckInDetail').textContent = account.nextCheckIn
+        ? t('dashboard.checkInDetail')
+        : t('dashboard.checkInPending');
+
+    document.getElementById('dashboardNoPlan').hidden = Boolean(plan);
+
+    const featureList = document.getElementById('dashboardFeatureList');
+    featureList.replaceChildren();
+    (plan ? plan.features : []).forEach(feature => {
+        const item = document.createElement('li');
+        item.textContent = feature;
+        featureList.append(item);
+    });
+    document.getElementById('dashboardFeatures').hidden = !plan;
+}
+
+function getBillingLabel(status) {
+    return ['active', 'canceled'].includes(status) ? t(`dashboard.billing.${status}`) : status;
+}
+
+function getBillingDetail(billing) {
+    if (!billing) return t('dashboard.noBilling');
+
+    if (billing.status === 'canceled' && billing.canceledAt) {
+        return t('dashboard.ended', { date: formatDashboardDate(billing.canceledAt) });
+    }
+
+    if (billing.currentPeriodEnd) {
+        return t('dashboard.renews', { date: formatDashboardDate(billing.currentPeriodEnd) });
+    }
+
+    return t('dashboard.renewsMonthly');
+}
+
+function formatDashboardDate(isoString) {
+    return new Date(isoString).toLocaleDateString(getLocaleTag(), {
+        weekday: 'short',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+// ==========================================
+// TODAY'S SESSION
+// Coach-assigned program from /api/program
+// ==========================================
+let programSession = null;
+
+function initProgram() {
+    // Delegated handler for the set buttons
+    document.getElementById('sessionExercises').addEventListener('click', function(e) {
+        const button = e.target.closest('.session-set');
+        if (button) {
+            toggleSet(button);
+        }
+    });
+}
+
+async function loadProgram() {
+    try {
+        const response = await fetch(`/api/program?date=${getLocalDateString(new Date())}`, { cache: 'no-store' });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        renderProgram(result.data);
+
+    } catch (error) {
+        console.error('Failed to load program:', error);
+    }
+}
+
+function renderProgram(data) {
+    const container = document.getElementById('memberProgram');
+    container.hidden = !data.program;
+    if (!data.program) return;
+
+    const { program, today, next } = data;
+    programSession = today;
+
+    document.getElementById('programTitle').textContent = today.weekIndex !== null
+        ? `${program.title} • ${t('dashboard.programWeek', { week: today.weekIndex + 1, weeks: program.weekCount })}`
+        : program.title;
+
+    const title = document.getElementById('sessionTitle');
+    const notes = document.getElementById('sessionNotes');
+    const list = document.getElementById('sessionExercises');
+    list.replaceChildren();
+
+    const nextText = next
+        ? t(next.title ? 'dashboard.nextSessionTitled' : 'dashboard.nextSession', { date: formatShortDate(next.date), title: next.title })
+        : '';
+
+    if (today.status !== 'training') {
+        const messages = {
+            upcoming: t('dashboard.programUpcoming', { date: formatShortDate(program.startDate) }),
+            rest: t('dashboard.restDay'),
+            finished: t('dashboard.programFinished')
+        };
+        title.textContent = messages[today.status];
+        notes.textContent = nextText;
+        return;
+    }
+
+    title.textContent = today.day.title || t('dashboard.trainingDay');
+    notes.textContent = [today.weekNotes, today.day.notes].filter(Boolean).join(' ');
+
+    today.day.exercises.forEach((exercise, exerciseIndex) => {
+        const item = document.createElement('li');
+
+        const name = document.createElement('strong');
+        name.textContent = exercise.name;
+
+        const details = document.createElement('div');
+        details.style.color = 'var(--text-light)';
+        details.textContent = [
+            `${exercise.sets} × ${exercise.reps}`,
+            exercise.load,
+            exercise.restSeconds !== null ? t('dashboard.rest', { time: formatRest(exercise.restSeconds) }) : null
+        ].filter(Boolean).join(' • ');
+
+        item.append(name, details);
+
+        if (exercise.notes) {
+            const exerciseNotes = document.createElement('div');
+            exerciseNotes.style.fontSize = '0.875rem';
+            exerciseNotes.textContent = exercise.notes;
+            item.append(exerciseNotes);
+        }
+
+        const completed = today.completed[exerciseIndex] || [];
+        const sets = document.createElement('div');
+        sets.className = 'session-sets';
+
+        for (let setNumber = 1; setNumber <= exercise.sets; setNumber++) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'session-set';
+            button.dataset.exercise = exerciseIndex;
+            button.dataset.set = setNumber;
+            button.textContent = t('dashboard.set', { number: setNumber });
+            button.setAttribute('aria-pressed', String(completed.includes(setNumber)));
+            button.setAttribute('aria-label', t('dashboard.setDone', { exercise: exercise.name, number: setNumber }));
+            sets.append(button);
+        }
+
+        item.append(sets);
+        list.append(item);
+    });
+}
+
+async function toggleSet(button) {
+    const completed = button.getAttribute('aria-pressed') !== 'true';
+
+    // Flip straight away and undo if the save fails
+    button.setAttribute('aria-pressed', String(completed));
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/program/sets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                weekIndex: programSession.weekIndex,
+                dayIndex: programSession.dayIndex,
+                exerciseIndex: Number(button.dataset.exercise),
+                setNumber: Number(button.dataset.set),
+                completed: completed,
+                locale: currentLocale
+            })
+        });
+
+        if (response.status === 401) {
+            showLogin();
+            return;
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+    } catch (error) {
+        console.error('Failed to save set:', error);
+        button.setAttribute('aria-pressed', String(!completed));
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function formatRest(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return remainder ? `${minutes}m ${remainder}s` : `${minutes} min`;
+}
+
+// ==========================================
+// PROGRESS TRACKING
+// Entries from /api/progress, charted as plain SVG
+// ==========================================
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let progressData = null;
+
+function initProgress() {
+    const today = getLocalDateString(new Date());
+    document.querySelectorAll('.progress-date').forEach(input => {
+        input.value = today;
+        input.max = today;
+    });
+
+    document.getElementById('progressRange').addEventListener('change', loadProgress);
+    document.getElementById('measurementField').addEventListener('change', renderProgressCharts);
+
+    document.querySelectorAll('.progress-form').forEach(form => {
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            saveProgressEntry(form);
+        });
+    });
+
+    // Delegated handler for the delete buttons in the history table
+    document.getElementById('progressRows').addEventListener('click', function(e) {
+        const button = e.target.closest('.progress-delete');
+        if (button) {
+            deleteProgressEntry(button);
+        }
+    });
+}
+
+// ?from= for the selected range (local dates, inclusive)
+function getProgressRangeQuery() {
+    const days = document.getElementById('progressRange').value;
+    if (days === 'all') return '';
+
+    const from = new Date();
+    from.setDate(from.getDate() - parseInt(days, 10));
+    return `from=${getLocalDateString(from)}`;
+}
+
+async function loadProgress() {
+    const query = getProgressRangeQuery();
+
+    // Exports follow the range that's on screen
+    document.querySelectorAll('.progress-export').forEach(link => {
+        link.href = `/api/progress/${link.dataset.kind}?format=csv${query ? `&${query}` : ''}`;
+    });
+
+    try {
+        const response = await fetch(`/api/progress${query ? `?${query}` : ''}`, { cache: 'no-store' });
+
+        if (response.status === 401) {
+            showLogin();
+            return;
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        progressData = result.data;
+        renderProgressCharts();
+        renderProgressHistory();
+
+    } catch (error) {
+        console.error('Failed to load progress:', error);
+        showProgressNotice(t('progress.loadFailed'), 'error');
+    }
+}
+
+async function saveProgressEntry(form) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const response = await fetch(`/api/progress/${form.dataset.kind}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...Object.fromEntries(new FormData(form)), locale: currentLocale })
+        });
+
+        if (response.status === 401) {
+            showLogin();
+            return;
+        }
+
+        const result = await response.json();
+
+        if (result.success) {
+            const date = form.querySelector('.progress-date').value;
+            const unit = form.querySelector('[name="unit"]');
+            const unitValue = unit ? unit.value : null;
+
+            form.reset();
+            form.querySelector('.progress-date').value = date;
+            if (unit) unit.value = unitValue;
+
+            showProgressNotice(result.message, 'success');
+            loadProgress();
+        } else {
+            showProgressNotice(result.errors ? result.errors.join(' ') : result.message, 'error');
+        }
+
+    } catch (error) {
+        console.error('Failed to save progress:', error);
+        showProgressNotice(t('dashboard.saveFailed'), 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+async function deleteProgressEntry(button) {
+    if (!confirm(t('dashboard.confirmDelete'))) return;
+
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`/api/progress/${button.dataset.kind}/${button.dataset.id}?locale=${encodeURIComponent(currentLocale)}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        loadProgress();
+
+    } catch (error) {
+        console.error('Failed to delete progress entry:', error);
+        button.disabled = false;
+        showProgressNotice(error.message, 'error');
+    }
+}
+
+function showProgressNotice(message, type) {
+    showSectionNotice(document.getElementById('progressNotice'), message, type);
+}
+
+// Alert inside a section's role="status" container (text only)
+function showSectionNotice(notice, message, type) {
+    notice.replaceChildren();
+
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.style.cssText = `
+        background-color: ${type === 'success' ? '#00C9A7' : '#FF6B35'};
+        color: white;
+        padding: 1rem 1.5rem;
+        border-radius: 8px;
+        margin-bottom: 1.5rem;
+    `;
+    alertDiv.textContent = message;
+    notice.append(alertDiv);
+
+    setTimeout(() => alertDiv.remove(), 5000);
+}
+
+function renderProgressCharts() {
+    if (!progressData) return;
+
+    // Mixed units are converted to the unit of the latest entry
+    const weights = progressData.weight;
+    const weightUnit = weights.length > 0 ? weights[weights.length - 1].unit : 'lb';
+    renderLineChart(
+        document.getElementById('weightChart'),
+        weights.map(entry => ({
+            date: entry.recorded_on,
+            value: convertUnit(entry.weight, entry.unit, weightUnit)
+        })),
+        weightUnit
+    );
+
+    const field = document.getElementById('measurementField').value;
+    const measurements = progressData.measurements.filter(entry => entry[field] !== null);
+    const lengthUnit = measurements.length > 0 ? measurements[measurements.length - 1].unit : 'in';
+    renderLineChart(
+        document.getElementById('measurementChart'),
+        measurements.map(entry => ({
+            date: entry.recorded_on,
+            value: field === 'body_fat_pct' ? entry[field] : convertUnit(entry[field], entry.unit, lengthUnit)
+        })),
+        field === 'body_fat_pct' ? '%' : lengthUnit
+    );
+
+    renderBarChart(document.getElementById('workoutChart'), countWorkoutsByWeek(progressData.workouts));
+}
+
+function renderProgressHistory() {
+    const tbody = document.getElementById('progressRows');
+    tbody.replaceChildren();
+
+    const rows = [
+        ...progressData.weight.map(entry => ({
+            kind: 'weight',
+            label: t('dashboard.kind.weight'),
+            entry: entry,
+            date: entry.recorded_on,
+            details: `${entry.weight} ${entry.unit}`
+        })),
+        ...progressData.measurements.map(entry => ({
+            kind: 'measurements',
+            label: t('dashboard.kind.measurements'),
+            entry: entry,
+            date: entry.recorded_on,
+            details: describeMeasurements(entry)
+        })),
+        ...progressData.workouts.map(entry => ({
+            kind: 'workouts',
+            label: t('dashboard.kind.workouts'),
+            entry: entry,
+            date: entry.completed_on,
+            details: [entry.workout, entry.duration_minutes ? t('dashboard.minutes', { count: entry.duration_minutes }) : null, entry.notes]
+                .filter(Boolean)
+                .join(' • ')
+        }))
+    ]
+        .sort((a, b) => b.date.localeCompare(a.date) || b.entry.created_at.localeCompare(a.entry.created_at))
+        .slice(0, 20);
+
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.style.borderBottom = '1px solid var(--border-color)';
+
+        const deleteCell = document.createElement('td');
+        deleteCell.style.padding = '1rem';
+        deleteCell.style.textAlign = 'center';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'progress-delete';
+        button.dataset.kind = row.kind;
+        button.dataset.id = row.entry.id;
+        button.textContent = '✕';
+        button.setAttribute('aria-label', t('dashboard.deleteEntry', { type: row.label.toLowerCase(), date: formatShortDate(row.date) }));
+        button.style.cssText = 'background: none; border: none; color: var(--text-light); cursor: pointer; font-size: 1rem;';
+        deleteCell.append(button);
+
+        tr.append(
+            createProgressCell(formatShortDate(row.date)),
+            createProgressCell(row.label),
+            createProgressCell(row.details),
+            deleteCell
+        );
+        tbody.append(tr);
+    });
+
+    if (rows.length === 0) {
+        const tr = document.createElement('tr');
+        const cell = createProgressCell(t('dashboard.noEntries'));
+        cell.colSpan = 4;
+        cell.style.textAlign = 'center';
+        tr.append(cell);
+        tbody.append(tr);
+    }
+}
+
+// Table cell with text content only
+function createProgressCell(text) {
+    const cell = document.createElement('td');
+    cell.style.padding = '1rem';
+    cell.style.verticalAlign = 'top';
+    cell.textContent = text;
+    return cell;
+}
+
+function describeMeasurements(entry) {
+    const parts = ['waist', 'chest', 'hips', 'arm', 'thigh']
+        .filter(field => entry[field] !== null)
+        .map(field => `${t(`progress.fields.${field}`)} ${entry[field]} ${entry.unit}`);
+
+    if (entry.body_fat_pct !== null) {
+        parts.push(t('dashboard.bodyFat', { value: entry.body_fat_pct }));
+    }
+    return parts.join(' • ');
+}
+
+function convertUnit(value, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return value;
+    if (fromUnit === 'kg' && toUnit === 'lb') return value / KG_PER_LB;
+    if (fromUnit === 'lb' && toUnit === 'kg') return value * KG_PER_LB;
+    if (fromUnit === 'cm' && toUnit === 'in') return value / CM_PER_IN;
+    if (fromUnit === 'in' && toUnit === 'cm') return value * CM_PER_IN;
+    return value;
+}
+
+// [{ week (Monday, YYYY-MM-DD), count }] oldest first
+function countWorkoutsByWeek(workouts) {
+    const counts = new Map();
+
+    workouts.forEach(entry => {
+        const date = parseLocalDate(entry.completed_on);
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        const week = getLocalDateString(date);
+        counts.set(week, (counts.get(week) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([week, count]) => ({ week, count }));
+}
+
+// ==========================================
+// SVG CHARTS
+// Small hand-rolled charts - no charting library needed
+// ==========================================
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 44 };
+
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+function createChartSvg(label) {
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        role: 'img',
+        'aria-label': label
+    });
+    return svg;
+}
+
+function createChartText(x, y, text, anchor = 'middle') {
+    const element = createSvgElement('text', { x, y, 'text-anchor': anchor, class: 'chart-label' });
+    element.textContent = text;
+    return element;
+}
+
+function showEmptyChart(container, message) {
+    const empty = document.createElement('p');
+    empty.style.margin = '0';
+    empty.style.paddingTop = '3rem';
+    empty.style.textAlign = 'center';
+    empty.textContent = message;
+    container.replaceChildren(empty);
+}
+
+// Line chart of [{ date, value }] with a time-scaled x axis
+function renderLineChart(container, points, unit) {
+    if (points.length === 0) {
+        showEmptyChart(container, t('dashboard.chartEmpty'));
+        return;
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const times = points.map(point => parseLocalDate(point.date).getTime());
+    const values = points.map(point => point.value);
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+
+    // Pad the value range so a flat line sits mid-chart
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    const spread = maxValue - minValue || Math.max(Math.abs(maxValue) * 0.05, 1);
+    minValue -= spread * 0.1;
+    maxValue += spread * 0.1;
+
+    const x = time => CHART_PADDING.left + (maxTime === minTime ? plotWidth / 2 : (time - minTime) / (maxTime - minTime) * plotWidth);
+    const y = value => CHART_PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const latest = values[values.length - 1];
+    const svg = createChartSvg(t('dashboard.chartLabel', { count: points.length, latest: latest.toFixed(1), unit: unit }));
+
+    // Three horizontal grid lines with value labels
+    [maxValue, (maxValue + minValue) / 2, minValue].forEach(value => {
+        svg.append(
+            createSvgElement('line', {
+                x1: CHART_PADDING.left,
+                x2: CHART_WIDTH - CHART_PADDING.right,
+                y1: y(value),
+                y2: y(value),
+                class: 'chart-grid'
+            }),
+            createChartText(CHART_PADDING.left - 6, y(value) + 4, value.toFixed(1), 'end')
+        );
+    });
+
+    svg.append(createSvgElement('polyline', {
+        points: points.map((point, index) => `${x(times[index])},${y(point.value)}`).join(' '),
+        class: 'chart-line'
+    }));
+
+    points.forEach((point, index) => {
+        const dot = createSvgElement('circle', { cx: x(times[index]), cy: y(point.value), r: 3.5, class: 'chart-point' });
+        const title = createSvgElement('title');
+        title.textContent = `${formatShortDate(point.date)}: ${point.value.toFixed(1)} ${unit}`;
+        dot.append(title);
+        svg.append(dot);
+    });
+
+    svg.append(
+        createChartText(x(minTime), CHART_HEIGHT - 8, formatShortDate(points[0].date), maxTime === minTime ? 'middle' : 'start'),
+        createChartText(CHART_WIDTH - CHART_PADDING.right, 12, `${unit}`, 'end')
+    );
+    if (maxTime !== minTime) {
+        svg.append(createChartText(x(maxTime), CHART_HEIGHT - 8, formatShortDate(points[points.length - 1].date), 'end'));
+    }
+
+    container.replaceChildren(svg);
+}
+
+// Bar chart of [{ week, count }]
+function renderBarChart(container, weeks) {
+    if (weeks.length === 0) {
+        showEmptyChart(container, t('dashboard.noWorkouts'));
+        return;
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxCount = Math.max(...weeks.map(week => week.count));
+    const slot = plotWidth / weeks.length;
+    const barWidth = Math.min(slot * 0.7, 40);
+
+    const total = weeks.reduce((sum, week) => sum + week.count, 0);
+    const svg = createChartSvg(t('dashboard.workoutChartLabel', { total: total, weeks: weeks.length }));
+
+    svg.append(createSvgElement('line', {
+        x1: CHART_PADDING.left,
+        x2: CHART_WIDTH - CHART_PADDING.right,
+        y1: CHART_PADDING.top + plotHeight,
+        y2: CHART_PADDING.top + plotHeight,
+        class: 'chart-grid'
+    }));
+    svg.append(createChartText(CHART_PADDING.left - 6, CHART_PADDING.top + 4, String(maxCount), 'end'));
+
+    weeks.forEach((week, index) => {
+        const height = week.count / maxCount * plotHeight;
+        const bar = createSvgElement('rect', {
+            x: CHART_PADDING.left + slot * index + (slot - barWidth) / 2,
+            y: CHART_PADDING.top + plotHeight - height,
+            width: barWidth,
+            height: height,
+            rx: 3,
+            class: 'chart-bar'
+        });
+        const title = createSvgElement('title');
+        title.textContent = t(week.count === 1 ? 'dashboard.weekWorkoutsOne' : 'dashboard.weekWorkoutsMany', {
+            date: formatShortDate(week.week),
+            count: week.count
+        });
+        bar.append(title);
+        svg.append(bar);
+    });
+
+    svg.append(createChartText(CHART_PADDING.left, CHART_HEIGHT - 8, formatShortDate(weeks[0].week), 'start'));
+    if (weeks.length > 1) {
+        svg.append(createChartText(CHART_WIDTH - CHART_PADDING.right, CHART_HEIGHT - 8, formatShortDate(weeks[weeks.length - 1].week), 'end'));
+    }
+
+    container.replaceChildren(svg);
+}
+
+// ==========================================
+// TESTIMONIAL
+// Submitted to /api/testimonials; a coach approves it
+// before it shows on the home page
+// ==========================================
+function initTestimonial() {
+    document.getElementById('testimonialForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitTestimonial(this);
+    });
+}
+
+async function loadTestimonial() {
+    try {
+        const response = await fetch('/api/testimonials/mine', { cache: 'no-store' });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        renderTestimonialStatus(result.data);
+
+    } catch (error) {
+        console.error('Failed to load testimonial:', error);
+    }
+}
+
+function renderTestimonialStatus(testimonial) {
+    if (!testimonial) return;
+
+    document.getElementById('testimonialStatus').textContent = t(`dashboard.story.${testimonial.status}`);
+    // One story waits for review at a time
+    document.getElementById('testimonialForm').hidden = testimonial.status === 'pending';
+}
+
+async function submitTestimonial(form) {
+    const notice = document.getElementById('testimonialNotice');
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const payload = Object.fromEntries(new FormData(form));
+        payload.consent = form.elements.consent.checked;
+        payload.locale = currentLocale;
+
+        const response = await fetch('/api/testimonials', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+
+        if (response.status === 401) {
+            showLogin();
+            return;
+        }
+
+        const result = await response.json();
+
+        if (result.success) {
+            form.reset();
+            renderTestimonialStatus(result.data);
+            showSectionNotice(notice, result.message, 'success');
+        } else {
+            showSectionNotice(notice, result.errors ? result.errors.join(' ') : result.message, 'error');
+        }
+
+    } catch (error) {
+        console.error('Failed to submit testimonial:', error);
+        showSectionNotice(notice, t('dashboard.storyFailed'), 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+// ==========================================
+// DATE HELPERS
+// Progress dates are calendar days (YYYY-MM-DD), not instants
+// ==========================================
+function getLocalDateString(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+function parseLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function formatShortDate(value) {
+    return parseLocalDate(value).toLocaleDateString(getLocaleTag(), { month: 'short', day: 'numeric' });
+}
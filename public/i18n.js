@@ -0,0 +1,1252 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - TRANSLATIONS
+   Message catalogs for the pages, main.js and the API,
+   shared by the browser and functions/_lib/i18n.js
+   UMD wrapper like validation.js: window.I18n in the page,
+   the Worker bundle imports it as a module
+   Page copy: English lives in the HTML, other locales
+   translate the elements tagged data-i18n="key"
+   Plan and questionnaire option text: English lives in
+   functions/_lib (plans.js, nutrition.js), other locales here
+   ========================================== */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    const LOCALES = ['en', 'es'];
+    const DEFAULT_LOCALE = 'en';
+
+    // Remembers the visitor's choice - read by main.js and the Functions
+    const LOCALE_COOKIE = 'pf_locale';
+
+    // BCP 47 tags for Intl number and date formatting (US clients in both languages)
+    const LOCALE_TAGS = {
+        en: 'en-US',
+        es: 'es-US'
+    };
+
+    /**
+     * Catalogs keyed by locale, then by message key
+     * {name} placeholders are filled by translate()
+     */
+    const MESSAGES = {
+        en: {
+            // Contact and booking form fields (validation.js CONTACT_SCHEMA, BOOKING_SCHEMA)
+            'fields.name': 'Name',
+            'fields.email': 'Email address',
+            'fields.phone': 'Phone number',
+            'fields.subject': 'Subject',
+            'fields.message': 'Message',
+            'fields.notes': 'Notes',
+
+            // validation.js error codes
+            'validation.required': '{label} is required',
+            'validation.too_short': '{label} must be at least {min} characters long',
+            'validation.too_long': '{label} must be {max} characters or fewer',
+            'validation.invalid_email': 'Please provide a valid email address',
+            'validation.invalid_phone': 'Please provide a valid phone number',
+            'validation.invalid_choice': 'Please choose a {lowerLabel} from the list',
+
+            // Shared API responses
+            'api.invalidSubmission': 'Invalid submission detected.',
+            'api.validationFailed': 'Validation failed',
+            'api.verificationFailed': 'Please complete the verification challenge and try again.',
+
+            'rateLimit.wait': 'Thanks for your enthusiasm! You\'ve sent several messages recently, so please wait about {wait} before trying again. For anything urgent, call us at (555) 123-4567.',
+            'rateLimit.oneMinute': 'a minute',
+            'rateLimit.minutes': '{count} minutes',
+
+            // Contact form
+            'contact.success': 'Thank you for your message! We\'ll get back to you within 24 hours.',
+            'contact.rateLimited': 'You\'ve sent several messages recently. Please wait a little while before trying again.',
+            'contact.sendFailed': 'An error occurred while sending your message. Please try again later or contact us directly.',
+            'contact.serverError': 'An error occurred while processing your request. Please try again later.',
+            'contact.sending': 'Sending...',
+            'contact.verifyFirst': 'Please complete the verification challenge before sending.',
+            'contact.networkError': 'An error occurred while sending your message. Please try again or contact us directly.',
+
+            // Contact messages queued offline (offline-queue.js)
+            'offline.sentOne': 'You\'re back online - the message you wrote offline has been sent.',
+            'offline.sentMany': 'You\'re back online - the {count} messages you wrote offline have been sent.',
+            'offline.rejected': 'A message you wrote offline couldn\'t be delivered. Please send it again or contact us directly.',
+            'offline.queuedOne': 'Message queued - it will send automatically when you\'re back online.',
+            'offline.queuedMany': '{count} messages queued - they will send automatically when you\'re back online.',
+            'offline.verify': 'The message you wrote offline is back in the form. Complete the verification and press Send to deliver it.',
+
+            // Consultation booking
+            'booking.timezone': 'Times are shown in your time zone ({zone}).',
+            'booking.loadFailedOption': 'Could not load available times',
+            'booking.loadFailed': 'We couldn\'t load available times. Please refresh the page or use the contact form above.',
+            'booking.noTimes': 'No times available - please use the contact form',
+            'booking.dateOption': '{date} ({count} open)',
+            'booking.noTimesOnDate': 'No open times on this date.',
+            'booking.chooseTime': 'Please choose a time for your consultation.',
+            'booking.booking': 'Booking...',
+            'booking.verifyFirst': 'Please complete the verification challenge before booking.',
+            'booking.seeYou': 'See you {when}.',
+            'booking.networkError': 'An error occurred while booking your consultation. Please try again or contact us directly.',
+            'booking.slotInvalid': 'That time is not available. Please choose another slot.',
+            'booking.slotTaken': 'Sorry, someone just booked that time. Please choose another slot.',
+            'booking.rateLimited': 'You\'ve made several bookings recently. Please wait a little while or contact us directly.',
+            'booking.success': 'Your free consultation is booked! A confirmation with a calendar invite is on its way to your inbox.',
+            'booking.serverError': 'An error occurred while booking your consultation. Please try again later or contact us directly.',
+            'booking.availabilityFailed': 'We could not load available times right now. Please try again later.',
+
+            // Newsletter signup
+            'newsletter.invalidEmail': 'Please enter a valid email address.',
+            'newsletter.subscribing': 'Subscribing...',
+            'newsletter.checkInbox': 'Almost there! Check your inbox and click the link to confirm your subscription.',
+            'newsletter.rateLimited': 'You\'ve signed up several times recently. Please check your inbox or try again later.',
+            'newsletter.failed': 'We couldn\'t sign you up right now. Please try again later.',
+            'newsletter.confirmed': 'You\'re subscribed! Watch your inbox for a welcome email.',
+            'newsletter.unsubscribed': 'You\'ve been unsubscribed and won\'t receive any more newsletter emails.',
+            'newsletter.expired': 'That confirmation link has expired or was already used. Please sign up again below.',
+            'newsletter.invalid': 'That link wasn\'t recognised. Please use the link from your most recent email.',
+            'newsletter.error': 'Something went wrong on our side. Please try again in a moment.',
+
+            // Newsletter unsubscribe page and one-click (api/newsletter/unsubscribe)
+            'unsubscribe.title': 'Unsubscribe',
+            'unsubscribe.confirm': 'Stop sending newsletter emails to this address?',
+            'unsubscribe.button': 'Unsubscribe',
+            'unsubscribe.keep': 'Keep me subscribed',
+            'unsubscribe.invalidTitle': 'Link not recognised',
+            'unsubscribe.invalidText': 'This unsubscribe link is incomplete or has been changed. Please use the link from your most recent email.',
+            'unsubscribe.errorTitle': 'Something went wrong',
+            'unsubscribe.errorText': 'We could not load this page right now. Please try again later.',
+            'unsubscribe.invalidLink': 'Invalid unsubscribe link.',
+            'unsubscribe.done': 'You have been unsubscribed.',
+            'unsubscribe.failed': 'We could not unsubscribe you right now. Please try again later.',
+            'unsubscribe.back': 'Back to Phil\'s Fitness',
+
+            // Pricing cards and purchase modal
+            'plans.loadFailed': 'We couldn\'t load our plans right now. Please refresh the page or {link} for pricing.',
+            'plans.contactLink': 'contact us',
+            'plans.features': 'Features',
+            'plans.invalidPlan': 'Please choose a valid plan.',
+            'interval.month': 'month',
+            'interval.year': 'year',
+            'purchase.promoPlaceholder': 'Promo code',
+            'purchase.apply': 'Apply',
+            'purchase.continue': 'Continue to Secure Checkout',
+
+            // Promo codes (_lib/promo.js error codes)
+            'promo.invalid': 'That promo code isn\'t valid.',
+            'promo.expired': 'That promo code has expired.',
+            'promo.exhausted': 'That promo code has already been fully redeemed.',
+            'promo.wrongPlan': 'That promo code can\'t be used with the {plan}.',
+            'promo.applied': '{code} applied - you save {amount} every {interval}.',
+            'promo.appliedOnce': '{code} applied - you save {amount} on your first {interval}, then pay {price} per {interval}.',
+            'promo.appliedRepeating': '{code} applied - you save {amount} every {interval} for {months} months, then pay {price} per {interval}.',
+            'promo.checkFailed': 'We couldn\'t check that code right now. Please try again.',
+            'promo.accepted': 'Promo code applied.',
+            'promo.rateLimited': 'Too many promo code attempts. Please try again later.',
+
+            // Stripe Checkout
+            'checkout.redirecting': 'Redirecting to secure checkout...',
+            'checkout.startFailed': 'We could not start checkout right now. Please try again later or contact us directly.',
+            'checkout.sessionRequired': 'A valid session_id is required.',
+            'checkout.confirmFailed': 'We could not confirm your payment. Please contact us if you were charged.',
+            'checkout.unavailableTitle': 'Checkout Unavailable',
+            'checkout.unavailableText': 'We couldn\'t start checkout right now. Please try again in a moment or contact us directly.',
+            'checkout.cancelledTitle': 'Checkout Cancelled',
+            'checkout.cancelledText': 'No payment was taken. You can choose a plan again whenever you\'re ready.',
+            'checkout.backToPlans': 'Back to Plans',
+            'checkout.confirming': 'Confirming your payment...',
+            'checkout.successTitle': 'Payment Successful!',
+            'checkout.subscribed': 'You have successfully subscribed to the {plan} plan.',
+            'checkout.selectedPlan': 'selected',
+            'checkout.amountCharged': 'Amount charged: {amount}',
+            'checkout.confirmationSent': 'A confirmation email is on its way to your inbox. Sign in to your dashboard with the same email address to see your plan.',
+            'checkout.toDashboard': 'Go to My Dashboard',
+            'checkout.receivedTitle': 'Payment Received',
+            'checkout.receivedText': 'We\'re still confirming your payment. You\'ll receive an email as soon as it\'s complete.',
+            'checkout.close': 'Close',
+
+            // Member sign-in (api/auth/login)
+            'login.rateLimited': 'Too many sign-in links requested. Please check your inbox or try again later.',
+            'login.linkSent': 'Check your inbox - we\'ve sent a sign-in link to {email}. It expires in {minutes} minutes.',
+            'login.failed': 'We could not send a sign-in link right now. Please try again later.',
+
+            // Member area (requireMember, api/auth/logout, api/account)
+            'member.signInRequired': 'Please sign in to continue.',
+            'member.signedOut': 'You have been signed out.',
+            'member.signOutFailed': 'We could not sign you out. Please try again.',
+            'member.accountFailed': 'We could not load your account right now. Please try again later.',
+
+            // Member dashboard (dashboard.js) - the page's own copy is in dashboard.html
+            'dashboard.linkExpired': 'That sign-in link has expired or was already used. Enter your email to get a new one.',
+            'dashboard.signInError': 'Something went wrong while signing you in. Please request a new link.',
+            'dashboard.confirmSignOutAll': 'Sign out on every device where you are signed in?',
+            'dashboard.loadFailed': 'We could not load your dashboard right now. Please try again later.',
+            'dashboard.signedInAs': 'Signed in as {email}',
+            'dashboard.noPlan': 'No plan yet',
+            'dashboard.billing.active': 'Active',
+            'dashboard.billing.canceled': 'Canceled',
+            'dashboard.noBilling': 'No billing history',
+            'dashboard.ended': 'Ended {date}',
+            'dashboard.renews': 'Renews {date}',
+            'dashboard.renewsMonthly': 'Renews monthly',
+            'dashboard.checkInDetail': 'Your coach will reach out with your progress check-in',
+            'dashboard.checkInPending': 'Check-ins start once your plan is active',
+            'dashboard.programWeek': 'Week {week} of {weeks}',
+            'dashboard.nextSession': 'Next session: {date}.',
+            'dashboard.nextSessionTitled': 'Next session: {date} - {title}.',
+            'dashboard.programUpcoming': 'Your program starts {date}.',
+            'dashboard.restDay': 'Rest day - recover well.',
+            'dashboard.programFinished': 'You\'ve finished this program. Your coach will set up what\'s next.',
+            'dashboard.trainingDay': 'Training day',
+            'dashboard.rest': 'Rest {time}',
+            'dashboard.set': 'Set {number}',
+            'dashboard.setDone': '{exercise}, set {number} done',
+            'dashboard.saveFailed': 'We could not save that entry. Please try again.',
+            'dashboard.confirmDelete': 'Delete this entry?',
+            'dashboard.kind.weight': 'Weight',
+            'dashboard.kind.measurements': 'Measurements',
+            'dashboard.kind.workouts': 'Workout',
+            'dashboard.minutes': '{count} min',
+            'dashboard.bodyFat': 'Body fat {value}%',
+            'dashboard.deleteEntry': 'Delete {type} entry from {date}',
+            'dashboard.noEntries': 'Nothing logged in this period yet - use the forms above to get started.',
+            'dashboard.chartEmpty': 'No entries in this period yet.',
+            'dashboard.chartLabel': 'Chart of {count} entries, latest {latest} {unit}',
+            'dashboard.noWorkouts': 'No workouts logged in this period yet.',
+            'dashboard.workoutChartLabel': '{total} workouts over {weeks} weeks',
+            'dashboard.weekWorkoutsOne': 'Week of {date}: {count} workout',
+            'dashboard.weekWorkoutsMany': 'Week of {date}: {count} workouts',
+            'dashboard.story.pending': 'Thanks for sharing! Your story is waiting for a coach to review it.',
+            'dashboard.story.approved': 'Your story is live on our home page - thank you! You can share an update any time.',
+            'dashboard.story.rejected': 'Your last story wasn\'t published this time. You\'re welcome to share another.',
+            'dashboard.storyFailed': 'We could not send your testimonial. Please try again.',
+
+            // Workout program (api/program, api/program/print)
+            'program.invalidDate': 'Date must be a valid YYYY-MM-DD date',
+            'program.loadFailed': 'We could not load your program right now. Please try again later.',
+            'program.notAssigned': 'You don\'t have a program assigned yet.',
+            'program.invalidSet': 'That set isn\'t part of your program',
+            'program.setFailed': 'We could not save that set right now. Please try again.',
+            'programPrint.noProgramTitle': 'No program yet',
+            'programPrint.noProgramText': 'Your coach hasn\'t assigned you a program yet.',
+            'programPrint.errorTitle': 'Something went wrong',
+            'programPrint.hint': 'Use your browser\'s Print option to print this program or save it as a PDF.',
+            'programPrint.week': 'Week {number}',
+            'programPrint.starts': 'Starts {date}',
+            'programPrint.weekOne': '{count} week',
+            'programPrint.weekMany': '{count} weeks',
+            'programPrint.exercise': 'Exercise',
+            'programPrint.setsReps': 'Sets × reps',
+            'programPrint.load': 'Load',
+            'programPrint.rest': 'Rest',
+            'programPrint.done': 'Done',
+
+            // Progress log (api/progress, _lib/progress.js) - field labels use validation.*
+            'progress.invalidDate': 'Date must be a valid YYYY-MM-DD date',
+            'progress.futureDate': 'Date can\'t be in the future',
+            'progress.notNumber': '{label} must be a number',
+            'progress.notWholeNumber': '{label} must be a whole number',
+            'progress.outOfRange': '{label} must be between {min} and {max}',
+            'progress.measurementRequired': 'Enter at least one measurement',
+            'progress.invalidUnit': 'Unit must be one of: {units}',
+            'progress.invalidFrom': 'The start date must be a valid YYYY-MM-DD date',
+            'progress.invalidTo': 'The end date must be a valid YYYY-MM-DD date',
+            'progress.invalidRange': 'The start date must be on or before the end date',
+            'progress.unknownKind': 'Unknown progress type. Use weight, measurements or workouts.',
+            'progress.loadFailed': 'We could not load your progress right now. Please try again later.',
+            'progress.saved': 'Progress saved.',
+            'progress.saveFailed': 'We could not save your progress right now. Please try again later.',
+            'progress.notFound': 'Entry not found.',
+            'progress.deleted': 'Entry deleted.',
+            'progress.deleteFailed': 'We could not delete that entry right now. Please try again later.',
+
+            // Progress fields (PROGRESS_KINDS labels, also used by dashboard.js)
+            'progress.fields.weight': 'Weight',
+            'progress.fields.waist': 'Waist',
+            'progress.fields.chest': 'Chest',
+            'progress.fields.hips': 'Hips',
+            'progress.fields.arm': 'Arm',
+            'progress.fields.thigh': 'Thigh',
+            'progress.fields.body_fat_pct': 'Body fat %',
+            'progress.fields.workout': 'Workout',
+            'progress.fields.duration_minutes': 'Duration',
+            'progress.fields.notes': 'Notes',
+
+            // Nutrition questionnaire (api/intake, _lib/nutrition.js)
+            'intake.invalidSex': 'Please choose an option for sex',
+            'intake.invalidAge': 'Age must be a whole number between 18 and 100',
+            'intake.invalidHeight': 'Height must be between 120 and 250 cm (3\'11" and 8\'2")',
+            'intake.invalidWeight': 'Weight must be between 30 and 300 kg (66 and 660 lb)',
+            'intake.invalidActivity': 'Please choose your activity level',
+            'intake.invalidGoal': 'Please choose a goal',
+            'intake.invalidRestriction': 'Unknown dietary restriction selected',
+            'intake.rateLimited': 'You\'ve sent several questionnaires recently. Please wait a little while or contact us directly.',
+            'intake.success': 'Thanks! Your starting targets are below, and a copy is on its way to your inbox. A coach will review your answers and follow up within 24 hours.',
+            'intake.serverError': 'An error occurred while sending your questionnaire. Please try again later or contact us directly.',
+            'intake.step': 'Step {step} of {total}: {title}',
+            'intake.invalidHeightImperial': 'Height must be between 3\'11" and 8\'2".',
+            'intake.calculating': 'Calculating...',
+            'intake.networkError': 'An error occurred while sending your questionnaire. Please try again or contact us directly.',
+            'intake.resultDetail': 'Your body burns about {bmr} calories a day at rest and roughly {tdee} with your usual activity.',
+
+            // Testimonials (api/testimonials, _lib/testimonials.js)
+            'testimonials.rating': 'Rated {rating} out of 5',
+            'testimonials.invalidName': 'Name must be between 2 and 60 characters',
+            'testimonials.invalidHeadline': 'Result must be 80 characters or fewer',
+            'testimonials.invalidQuote': 'Your story must be between 20 and 1000 characters',
+            'testimonials.invalidRating': 'Please choose a rating from 1 to 5 stars',
+            'testimonials.consentRequired': 'Please agree to your testimonial being published on our website',
+            'testimonials.pending': 'Thanks - your last story is still waiting for review. You can share another once it has been looked at.',
+            'testimonials.submitted': 'Thank you for sharing your story! It will appear on our site once a coach has reviewed it.',
+            'testimonials.saveFailed': 'We could not save your testimonial right now. Please try again later.',
+            'testimonials.loadFailed': 'Could not load testimonials.',
+            'testimonials.mineFailed': 'We could not load your testimonial right now. Please try again later.',
+
+            // Emails to visitors and members - team notifications stay in English
+            'email.signoff': 'Talk soon,',
+            'email.signature': 'The Phil\'s Fitness Team',
+            'email.bookConsultation': 'Book a Free Consultation',
+
+            // Contact auto-reply (_lib/auto-reply.js), worded by subject
+            'autoReply.consultation.subject': 'Let\'s book your free consultation',
+            'autoReply.consultation.intro': 'Thanks for requesting a free consultation with Phil\'s Fitness.',
+            'autoReply.consultation.body': 'The quickest way to lock in a time is to pick a slot below. The call takes about 30 minutes - we\'ll talk through your goals, your current routine and which plan fits you best.',
+            'autoReply.consultation.cta': 'Book Your Free Consultation',
+            'autoReply.training.subject': 'Thanks for your personal training inquiry',
+            'autoReply.training.intro': 'Thanks for your interest in personal training with Phil\'s Fitness.',
+            'autoReply.training.body': 'A coach will review your message and reply within 24 hours. If you\'d like to talk it through sooner, book a free consultation and we\'ll map out a program together.',
+            'autoReply.nutrition.subject': 'Thanks for your nutrition coaching inquiry',
+            'autoReply.nutrition.intro': 'Thanks for reaching out about nutrition coaching.',
+            'autoReply.nutrition.body': 'A coach will reply within 24 hours. In the meantime, a free consultation is the best way to get personalized guidance on your eating habits and goals.',
+            'autoReply.plans.subject': 'Thanks for your question about our plans',
+            'autoReply.plans.intro': 'Thanks for your question about our coaching plans.',
+            'autoReply.plans.body': 'We\'ll reply within 24 hours. You can compare every plan on our pricing page, or book a free consultation and we\'ll help you choose.',
+            'autoReply.default.subject': 'We received your message',
+            'autoReply.default.intro': 'Thanks for contacting Phil\'s Fitness.',
+            'autoReply.default.body': 'We\'ve received your message and will get back to you within 24 hours. Want to get started sooner? Book a free consultation below.',
+            'autoReply.reason': 'You\'re receiving this because this address was entered on the contact form at',
+            'autoReply.ignore': 'If that wasn\'t you, you can ignore this email - we won\'t contact you again.',
+
+            // Consultation confirmation and calendar invite (api/bookings)
+            'bookingEmail.summary': 'Free consultation with Phil\'s Fitness',
+            'bookingEmail.description': 'Your free consultation with a Phil\'s Fitness coach.',
+            'bookingEmail.subject': 'Your free consultation is confirmed - {when}',
+            'bookingEmail.heading': 'Your consultation is booked',
+            'bookingEmail.when': 'When',
+            'bookingEmail.length': 'Length',
+            'bookingEmail.minutes': '{count} minutes',
+            'bookingEmail.where': 'Where',
+            'bookingEmail.phoneCall': 'Phone call - a coach will call you at the scheduled time',
+            'bookingEmail.videoCall': 'Video call - we\'ll email you a link before the scheduled time',
+            'bookingEmail.invite': 'The attached invite adds the call to your calendar. Need to reschedule? Just reply to this email.',
+            'bookingEmail.reason': 'You\'re receiving this because this address was used to book a consultation at',
+            'bookingEmail.notYou': 'If that wasn\'t you, reply and let us know and we\'ll cancel it.',
+
+            // Newsletter double opt-in and welcome (api/newsletter)
+            'newsletterEmail.confirmSubject': 'Confirm your Phil\'s Fitness newsletter subscription',
+            'newsletterEmail.confirmHeading': 'One more step',
+            'newsletterEmail.confirmIntro': 'Confirm your email address to get training tips, recipes and member offers from Phil\'s Fitness.',
+            'newsletterEmail.confirmButton': 'Confirm Subscription',
+            'newsletterEmail.expires': 'The link expires in {hours} hours.',
+            'newsletterEmail.ignore': 'If you didn\'t sign up at {site}, ignore this email and you won\'t hear from us.',
+            'newsletterEmail.welcomeSubject': 'Welcome to the Phil\'s Fitness newsletter',
+            'newsletterEmail.welcomeHeading': 'You\'re on the list!',
+            'newsletterEmail.welcomeIntro': 'Thanks for confirming. You\'ll get training tips, simple recipes and member-only offers from our coaches - no more than a couple of emails a month.',
+            'newsletterEmail.welcomeBook': 'Ready to start sooner? Book a free consultation and we\'ll map out a plan together.',
+            'newsletterEmail.reason': 'You\'re receiving this because you subscribed at',
+            'newsletterEmail.unsubscribe': 'Unsubscribe at any time',
+
+            // Magic-link sign-in (api/auth/login)
+            'loginEmail.subject': 'Your Phil\'s Fitness sign-in link',
+            'loginEmail.heading': 'Sign in to your dashboard',
+            'loginEmail.intro': 'Sign in to your Phil\'s Fitness dashboard:',
+            'loginEmail.clickBelow': 'Click the button below to sign in.',
+            'loginEmail.expires': 'The link works once and expires in {minutes} minutes.',
+            'loginEmail.button': 'Sign In',
+            'loginEmail.ignore': 'If you didn\'t ask to sign in at {site}, you can safely ignore this email.',
+            'verifyPage.title': 'Sign in',
+            'verifyPage.intro': 'Continue to your member dashboard. This link can only be used once.',
+            'verifyPage.button': 'Sign in',
+            'verifyPage.back': 'Back to Phil\'s Fitness',
+
+            // Nutrition summary for the member (api/intake)
+            'intakeEmail.subject': 'Your starting nutrition targets from Phil\'s Fitness',
+            'intakeEmail.heading': 'Your starting nutrition targets',
+            'intakeEmail.intro': 'These are a starting point worked out from your answers. A coach will review your questionnaire and follow up within 24 hours to fine-tune them around your food preferences and schedule.',
+            'intakeEmail.answers': 'Your answers',
+            'intakeEmail.sex': 'Sex',
+            'intakeEmail.age': 'Age',
+            'intakeEmail.height': 'Height',
+            'intakeEmail.weight': 'Weight',
+            'intakeEmail.activity': 'Activity',
+            'intakeEmail.goal': 'Goal',
+            'intakeEmail.restrictions': 'Dietary restrictions',
+            'intakeEmail.none': 'None',
+            'intakeEmail.calories': 'Daily calories',
+            'intakeEmail.protein': 'Protein',
+            'intakeEmail.carbs': 'Carbohydrates',
+            'intakeEmail.fat': 'Fat',
+            'intakeEmail.bmr': 'BMR',
+            'intakeEmail.tdee': 'TDEE',
+            'intakeEmail.reason': 'You\'re receiving this because this address was used to fill in our nutrition questionnaire at',
+            'intakeEmail.ignore': 'If that wasn\'t you, you can ignore this email.',
+
+            // Stripe welcome and receipt (api/stripe-webhook), in the locale used at checkout
+            'welcomeEmail.subject': 'Welcome to Phil\'s Fitness - {plan} confirmed',
+            'welcomeEmail.subscription': 'Subscription',
+            'welcomeEmail.heading': 'Welcome aboard, {name}!',
+            'welcomeEmail.headingNoName': 'Welcome aboard!',
+            'welcomeEmail.thanks': 'Thank you for subscribing to the {plan}. Your coaching starts now.',
+            'welcomeEmail.thanksNoPlan': 'Thank you for subscribing. Your coaching starts now.',
+            'welcomeEmail.nextTitle': 'What happens next',
+            'welcomeEmail.step1': '1. Your coach will reach out within 24 hours to schedule your kickoff call.',
+            'welcomeEmail.step2': '2. We\'ll build your custom program around your goals and schedule.',
+            'welcomeEmail.step3': '3. You\'ll receive a receipt for every payment by email.',
+            'welcomeEmail.questions': 'Questions? Just reply to this email. You can cancel anytime - no contracts.',
+            'receiptEmail.subject': 'Your Phil\'s Fitness receipt',
+            'receiptEmail.subjectNumbered': 'Your Phil\'s Fitness receipt #{number}',
+            'receiptEmail.heading': 'Payment Receipt',
+            'receiptEmail.plan': 'Plan',
+            'receiptEmail.defaultPlan': 'Coaching subscription',
+            'receiptEmail.amount': 'Amount paid',
+            'receiptEmail.date': 'Date',
+            'receiptEmail.invoice': 'Invoice',
+            'receiptEmail.viewInvoice': 'View or download your invoice',
+            'receiptEmail.thanks': 'Thank you for training with Phil\'s Fitness.'
+        },
+
+        es: {
+            'fields.name': 'Nombre',
+            'fields.email': 'Correo electrónico',
+            'fields.phone': 'Teléfono',
+            'fields.subject': 'Asunto',
+            'fields.message': 'Mensaje',
+            'fields.notes': 'Notas',
+
+            'validation.required': '{label}: este campo es obligatorio',
+            'validation.too_short': '{label}: escribe al menos {min} caracteres',
+            'validation.too_long': '{label}: usa como máximo {max} caracteres',
+            'validation.invalid_email': 'Escribe un correo electrónico válido',
+            'validation.invalid_phone': 'Escribe un número de teléfono válido',
+            'validation.invalid_choice': '{label}: elige una opción de la lista',
+
+            'api.invalidSubmission': 'Detectamos un envío no válido.',
+            'api.validationFailed': 'Revisa los datos del formulario',
+            'api.verificationFailed': 'Completa la verificación e inténtalo de nuevo.',
+
+            'rateLimit.wait': '¡Gracias por tu entusiasmo! Enviaste varios mensajes hace poco, así que espera alrededor de {wait} antes de volver a intentarlo. Si es urgente, llámanos al (555) 123-4567.',
+            'rateLimit.oneMinute': 'un minuto',
+            'rateLimit.minutes': '{count} minutos',
+
+            'contact.success': '¡Gracias por tu mensaje! Te responderemos en menos de 24 horas.',
+            'contact.rateLimited': 'Enviaste varios mensajes hace poco. Espera un momento antes de volver a intentarlo.',
+            'contact.sendFailed': 'Ocurrió un error al enviar tu mensaje. Inténtalo más tarde o contáctanos directamente.',
+            'contact.serverError': 'Ocurrió un error al procesar tu solicitud. Inténtalo más tarde.',
+            'contact.sending': 'Enviando...',
+            'contact.verifyFirst': 'Completa la verificación antes de enviar.',
+            'contact.networkError': 'Ocurrió un error al enviar tu mensaje. Inténtalo de nuevo o contáctanos directamente.',
+
+            'offline.sentOne': 'Vuelves a tener conexión: el mensaje que escribiste sin conexión ya se envió.',
+            'offline.sentMany': 'Vuelves a tener conexión: ya se enviaron los {count} mensajes que escribiste sin conexión.',
+            'offline.rejected': 'No pudimos entregar un mensaje que escribiste sin conexión. Envíalo de nuevo o contáctanos directamente.',
+            'offline.queuedOne': 'Mensaje en cola: se enviará automáticamente cuando vuelvas a tener conexión.',
+            'offline.queuedMany': '{count} mensajes en cola: se enviarán automáticamente cuando vuelvas a tener conexión.',
+            'offline.verify': 'El mensaje que escribiste sin conexión está de vuelta en el formulario. Completa la verificación y pulsa Enviar para mandarlo.',
+
+            'booking.timezone': 'Los horarios se muestran en tu zona horaria ({zone}).',
+            'booking.loadFailedOption': 'No se pudieron cargar los horarios',
+            'booking.loadFailed': 'No pudimos cargar los horarios disponibles. Actualiza la página o usa el formulario de contacto de arriba.',
+            'booking.noTimes': 'No hay horarios disponibles: usa el formulario de contacto',
+            'booking.dateOption': '{date} ({count} libres)',
+            'booking.noTimesOnDate': 'No hay horarios libres en esta fecha.',
+            'booking.chooseTime': 'Elige un horario para tu consulta.',
+            'booking.booking': 'Reservando...',
+            'booking.verifyFirst': 'Completa la verificación antes de reservar.',
+            'booking.seeYou': 'Nos vemos el {when}.',
+            'booking.networkError': 'Ocurrió un error al reservar tu consulta. Inténtalo de nuevo o contáctanos directamente.',
+            'booking.slotInvalid': 'Ese horario no está disponible. Elige otro.',
+            'booking.slotTaken': 'Lo sentimos, alguien acaba de reservar ese horario. Elige otro.',
+            'booking.rateLimited': 'Hiciste varias reservas hace poco. Espera un momento o contáctanos directamente.',
+            'booking.success': '¡Tu consulta gratuita está reservada! Te enviamos una confirmación con una invitación de calendario.',
+            'booking.serverError': 'Ocurrió un error al reservar tu consulta. Inténtalo más tarde o contáctanos directamente.',
+            'booking.availabilityFailed': 'No pudimos cargar los horarios disponibles en este momento. Inténtalo más tarde.',
+
+            'newsletter.invalidEmail': 'Escribe un correo electrónico válido.',
+            'newsletter.subscribing': 'Suscribiendo...',
+            'newsletter.checkInbox': '¡Ya casi! Revisa tu correo y haz clic en el enlace para confirmar tu suscripción.',
+            'newsletter.rateLimited': 'Te suscribiste varias veces hace poco. Revisa tu correo o inténtalo más tarde.',
+            'newsletter.failed': 'No pudimos suscribirte en este momento. Inténtalo más tarde.',
+            'newsletter.confirmed': '¡Ya estás suscrito! Revisa tu correo: te enviamos un mensaje de bienvenida.',
+            'newsletter.unsubscribed': 'Cancelaste tu suscripción y ya no recibirás correos del boletín.',
+            'newsletter.expired': 'Ese enlace de confirmación venció o ya se usó. Vuelve a suscribirte abajo.',
+            'newsletter.invalid': 'No reconocimos ese enlace. Usa el enlace de tu correo más reciente.',
+            'newsletter.error': 'Algo salió mal de nuestro lado. Inténtalo de nuevo en un momento.',
+
+            'unsubscribe.title': 'Cancelar suscripción',
+            'unsubscribe.confirm': '¿Dejamos de enviar el boletín a esta dirección?',
+            'unsubscribe.button': 'Cancelar suscripción',
+            'unsubscribe.keep': 'Quiero seguir suscrito',
+            'unsubscribe.invalidTitle': 'Enlace no reconocido',
+            'unsubscribe.invalidText': 'Este enlace para cancelar la suscripción está incompleto o fue modificado. Usa el enlace de tu correo más reciente.',
+            'unsubscribe.errorTitle': 'Algo salió mal',
+            'unsubscribe.errorText': 'No pudimos cargar esta página en este momento. Inténtalo más tarde.',
+            'unsubscribe.invalidLink': 'El enlace para cancelar la suscripción no es válido.',
+            'unsubscribe.done': 'Cancelamos tu suscripción.',
+            'unsubscribe.failed': 'No pudimos cancelar tu suscripción en este momento. Inténtalo más tarde.',
+            'unsubscribe.back': 'Volver a Phil\'s Fitness',
+
+            'plans.loadFailed': 'No pudimos cargar nuestros planes en este momento. Actualiza la página o {link} para conocer los precios.',
+            'plans.contactLink': 'contáctanos',
+            'plans.features': 'Características',
+            'plans.invalidPlan': 'Elige un plan válido.',
+            'interval.month': 'mes',
+            'interval.year': 'año',
+            'purchase.promoPlaceholder': 'Código promocional',
+            'purchase.apply': 'Aplicar',
+            'purchase.continue': 'Continuar al pago seguro',
+
+            'promo.invalid': 'Ese código promocional no es válido.',
+            'promo.expired': 'Ese código promocional ya venció.',
+            'promo.exhausted': 'Ese código promocional ya se agotó.',
+            'promo.wrongPlan': 'Ese código promocional no se puede usar con el {plan}.',
+            'promo.applied': '{code} aplicado: ahorras {amount} cada {interval}.',
+            'promo.appliedOnce': '{code} aplicado: ahorras {amount} en tu primer {interval} y después pagas {price} por {interval}.',
+            'promo.appliedRepeating': '{code} aplicado: ahorras {amount} cada {interval} durante {months} meses y después pagas {price} por {interval}.',
+            'promo.checkFailed': 'No pudimos verificar ese código en este momento. Inténtalo de nuevo.',
+            'promo.accepted': 'Código promocional aplicado.',
+            'promo.rateLimited': 'Demasiados intentos con códigos promocionales. Inténtalo más tarde.',
+
+            'checkout.redirecting': 'Redirigiendo al pago seguro...',
+            'checkout.startFailed': 'No pudimos iniciar el pago en este momento. Inténtalo más tarde o contáctanos directamente.',
+            'checkout.sessionRequired': 'Se requiere un session_id válido.',
+            'checkout.confirmFailed': 'No pudimos confirmar tu pago. Contáctanos si se realizó el cobro.',
+            'checkout.unavailableTitle': 'Pago no disponible',
+            'checkout.unavailableText': 'No pudimos iniciar el pago en este momento. Inténtalo de nuevo en un momento o contáctanos directamente.',
+            'checkout.cancelledTitle': 'Pago cancelado',
+            'checkout.cancelledText': 'No se realizó ningún cobro. Puedes elegir un plan cuando quieras.',
+            'checkout.backToPlans': 'Volver a los planes',
+            'checkout.confirming': 'Confirmando tu pago...',
+            'checkout.successTitle': '¡Pago realizado!',
+            'checkout.subscribed': 'Te suscribiste correctamente al plan {plan}.',
+            'checkout.selectedPlan': 'elegido',
+            'checkout.amountCharged': 'Monto cobrado: {amount}',
+            'checkout.confirmationSent': 'Te enviamos un correo de confirmación. Inicia sesión en tu panel con el mismo correo para ver tu plan.',
+            'checkout.toDashboard': 'Ir a mi panel',
+            'checkout.receivedTitle': 'Pago recibido',
+            'checkout.receivedText': 'Todavía estamos confirmando tu pago. Recibirás un correo en cuanto se complete.',
+            'checkout.close': 'Cerrar',
+
+            'login.rateLimited': 'Pediste demasiados enlaces de inicio de sesión. Revisa tu correo o inténtalo más tarde.',
+            'login.linkSent': 'Revisa tu correo: te enviamos un enlace de inicio de sesión a {email}. Vence en {minutes} minutos.',
+            'login.failed': 'No pudimos enviarte un enlace de inicio de sesión en este momento. Inténtalo más tarde.',
+
+            'member.signInRequired': 'Inicia sesión para continuar.',
+            'member.signedOut': 'Cerraste sesión.',
+            'member.signOutFailed': 'No pudimos cerrar tu sesión. Inténtalo de nuevo.',
+            'member.accountFailed': 'No pudimos cargar tu cuenta en este momento. Inténtalo más tarde.',
+
+            'dashboard.linkExpired': 'Ese enlace de inicio de sesión venció o ya se usó. Escribe tu correo para recibir uno nuevo.',
+            'dashboard.signInError': 'Algo salió mal al iniciar tu sesión. Pide un enlace nuevo.',
+            'dashboard.confirmSignOutAll': '¿Cerrar sesión en todos los dispositivos donde la tienes abierta?',
+            'dashboard.loadFailed': 'No pudimos cargar tu panel en este momento. Inténtalo más tarde.',
+            'dashboard.signedInAs': 'Sesión iniciada como {email}',
+            'dashboard.noPlan': 'Todavía no tienes plan',
+            'dashboard.billing.active': 'Activo',
+            'dashboard.billing.canceled': 'Cancelado',
+            'dashboard.noBilling': 'Sin historial de facturación',
+            'dashboard.ended': 'Terminó el {date}',
+            'dashboard.renews': 'Se renueva el {date}',
+            'dashboard.renewsMonthly': 'Se renueva cada mes',
+            'dashboard.checkInDetail': 'Tu coach se pondrá en contacto para revisar tu progreso',
+            'dashboard.checkInPending': 'Los seguimientos empiezan cuando tu plan esté activo',
+            'dashboard.programWeek': 'Semana {week} de {weeks}',
+            'dashboard.nextSession': 'Próxima sesión: {date}.',
+            'dashboard.nextSessionTitled': 'Próxima sesión: {date} - {title}.',
+            'dashboard.programUpcoming': 'Tu programa empieza el {date}.',
+            'dashboard.restDay': 'Día de descanso: recupérate bien.',
+            'dashboard.programFinished': 'Terminaste este programa. Tu coach preparará lo que sigue.',
+            'dashboard.trainingDay': 'Día de entrenamiento',
+            'dashboard.rest': 'Descanso {time}',
+            'dashboard.set': 'Serie {number}',
+            'dashboard.setDone': '{exercise}, serie {number} hecha',
+            'dashboard.saveFailed': 'No pudimos guardar ese registro. Inténtalo de nuevo.',
+            'dashboard.confirmDelete': '¿Eliminar este registro?',
+            'dashboard.kind.weight': 'Peso',
+            'dashboard.kind.measurements': 'Medidas',
+            'dashboard.kind.workouts': 'Entrenamiento',
+            'dashboard.minutes': '{count} min',
+            'dashboard.bodyFat': 'Grasa corporal {value}%',
+            'dashboard.deleteEntry': 'Eliminar el registro de {type} del {date}',
+            'dashboard.noEntries': 'Todavía no registraste nada en este periodo. Usa los formularios de arriba para empezar.',
+            'dashboard.chartEmpty': 'Todavía no hay registros en este periodo.',
+            'dashboard.chartLabel': 'Gráfica de {count} registros, el último {latest} {unit}',
+            'dashboard.noWorkouts': 'Todavía no registraste entrenamientos en este periodo.',
+            'dashboard.workoutChartLabel': '{total} entrenamientos en {weeks} semanas',
+            'dashboard.weekWorkoutsOne': 'Semana del {date}: {count} entrenamiento',
+            'dashboard.weekWorkoutsMany': 'Semana del {date}: {count} entrenamientos',
+            'dashboard.story.pending': '¡Gracias por compartir! Tu historia está esperando la revisión de un coach.',
+            'dashboard.story.approved': 'Tu historia ya está en nuestra página de inicio. ¡Gracias! Puedes compartir una actualización cuando quieras.',
+            'dashboard.story.rejected': 'Esta vez no publicamos tu última historia. Puedes compartir otra cuando quieras.',
+            'dashboard.storyFailed': 'No pudimos enviar tu testimonio. Inténtalo de nuevo.',
+
+            'program.invalidDate': 'La fecha debe tener el formato AAAA-MM-DD',
+            'program.loadFailed': 'No pudimos cargar tu programa en este momento. Inténtalo más tarde.',
+            'program.notAssigned': 'Todavía no tienes un programa asignado.',
+            'program.invalidSet': 'Esa serie no forma parte de tu programa',
+            'program.setFailed': 'No pudimos guardar esa serie en este momento. Inténtalo de nuevo.',
+            'programPrint.noProgramTitle': 'Todavía no hay programa',
+            'programPrint.noProgramText': 'Tu coach todavía no te asignó un programa.',
+            'programPrint.errorTitle': 'Algo salió mal',
+            'programPrint.hint': 'Usa la opción Imprimir de tu navegador para imprimir este programa o guardarlo como PDF.',
+            'programPrint.week': 'Semana {number}',
+            'programPrint.starts': 'Empieza el {date}',
+            'programPrint.weekOne': '{count} semana',
+            'programPrint.weekMany': '{count} semanas',
+            'programPrint.exercise': 'Ejercicio',
+            'programPrint.setsReps': 'Series × repeticiones',
+            'programPrint.load': 'Carga',
+            'programPrint.rest': 'Descanso',
+            'programPrint.done': 'Hecho',
+
+            'progress.invalidDate': 'La fecha debe tener el formato AAAA-MM-DD',
+            'progress.futureDate': 'La fecha no puede ser futura',
+            'progress.notNumber': '{label}: escribe un número',
+            'progress.notWholeNumber': '{label}: escribe un número entero',
+            'progress.outOfRange': '{label}: escribe un valor entre {min} y {max}',
+            'progress.measurementRequired': 'Ingresa al menos una medida',
+            'progress.invalidUnit': 'La unidad debe ser una de estas: {units}',
+            'progress.invalidFrom': 'La fecha de inicio debe tener el formato AAAA-MM-DD',
+            'progress.invalidTo': 'La fecha de fin debe tener el formato AAAA-MM-DD',
+            'progress.invalidRange': 'La fecha de inicio debe ser igual o anterior a la fecha de fin',
+            'progress.unknownKind': 'Tipo de progreso desconocido. Usa weight, measurements o workouts.',
+            'progress.loadFailed': 'No pudimos cargar tu progreso en este momento. Inténtalo más tarde.',
+            'progress.saved': 'Progreso guardado.',
+            'progress.saveFailed': 'No pudimos guardar tu progreso en este momento. Inténtalo más tarde.',
+            'progress.notFound': 'No encontramos ese registro.',
+            'progress.deleted': 'Registro eliminado.',
+            'progress.deleteFailed': 'No pudimos eliminar ese registro en este momento. Inténtalo más tarde.',
+
+            'progress.fields.weight': 'Peso',
+            'progress.fields.waist': 'Cintura',
+            'progress.fields.chest': 'Pecho',
+            'progress.fields.hips': 'Cadera',
+            'progress.fields.arm': 'Brazo',
+            'progress.fields.thigh': 'Muslo',
+            'progress.fields.body_fat_pct': '% de grasa corporal',
+            'progress.fields.workout': 'Entrenamiento',
+            'progress.fields.duration_minutes': 'Duración',
+            'progress.fields.notes': 'Notas',
+
+            'intake.invalidSex': 'Elige una opción para el sexo',
+            'intake.invalidAge': 'La edad debe ser un número entero entre 18 y 100',
+            'intake.invalidHeight': 'La estatura debe estar entre 120 y 250 cm (3\'11" y 8\'2")',
+            'intake.invalidWeight': 'El peso debe estar entre 30 y 300 kg (66 y 660 lb)',
+            'intake.invalidActivity': 'Elige tu nivel de actividad',
+            'intake.invalidGoal': 'Elige una meta',
+            'intake.invalidRestriction': 'Seleccionaste una restricción alimentaria desconocida',
+            'intake.rateLimited': 'Enviaste varios cuestionarios hace poco. Espera un momento o contáctanos directamente.',
+            'intake.success': '¡Gracias! Abajo tienes tus metas iniciales y te enviamos una copia por correo. Un coach revisará tus respuestas y te contactará en menos de 24 horas.',
+            'intake.serverError': 'Ocurrió un error al enviar tu cuestionario. Inténtalo más tarde o contáctanos directamente.',
+            'intake.step': 'Paso {step} de {total}: {title}',
+            'intake.invalidHeightImperial': 'La estatura debe estar entre 3\'11" y 8\'2".',
+            'intake.calculating': 'Calculando...',
+            'intake.networkError': 'Ocurrió un error al enviar tu cuestionario. Inténtalo de nuevo o contáctanos directamente.',
+            'intake.resultDetail': 'Tu cuerpo quema unas {bmr} calorías al día en reposo y aproximadamente {tdee} con tu actividad habitual.',
+
+            'testimonials.rating': 'Calificación: {rating} de 5',
+            'testimonials.invalidName': 'El nombre debe tener entre 2 y 60 caracteres',
+            'testimonials.invalidHeadline': 'El resultado debe tener como máximo 80 caracteres',
+            'testimonials.invalidQuote': 'Tu historia debe tener entre 20 y 1000 caracteres',
+            'testimonials.invalidRating': 'Elige una calificación de 1 a 5 estrellas',
+            'testimonials.consentRequired': 'Acepta que publiquemos tu testimonio en nuestro sitio web',
+            'testimonials.pending': 'Gracias: tu última historia todavía está en revisión. Podrás compartir otra cuando la hayamos revisado.',
+            'testimonials.submitted': '¡Gracias por compartir tu historia! Aparecerá en nuestro sitio cuando un coach la haya revisado.',
+            'testimonials.saveFailed': 'No pudimos guardar tu testimonio en este momento. Inténtalo más tarde.',
+            'testimonials.loadFailed': 'No pudimos cargar los testimonios.',
+            'testimonials.mineFailed': 'No pudimos cargar tu testimonio en este momento. Inténtalo más tarde.',
+
+            'email.signoff': '¡Hablamos pronto!',
+            'email.signature': 'El equipo de Phil\'s Fitness',
+            'email.bookConsultation': 'Reserva una consulta gratuita',
+
+            'autoReply.consultation.subject': 'Agendemos tu consulta gratuita',
+            'autoReply.consultation.intro': 'Gracias por solicitar una consulta gratuita con Phil\'s Fitness.',
+            'autoReply.consultation.body': 'La forma más rápida de reservar es elegir un horario abajo. La llamada dura unos 30 minutos: hablaremos de tus metas, tu rutina actual y el plan que mejor se adapta a ti.',
+            'autoReply.consultation.cta': 'Reserva tu consulta gratuita',
+            'autoReply.training.subject': 'Gracias por tu consulta sobre entrenamiento personal',
+            'autoReply.training.intro': 'Gracias por tu interés en el entrenamiento personal con Phil\'s Fitness.',
+            'autoReply.training.body': 'Un coach revisará tu mensaje y te responderá en menos de 24 horas. Si prefieres hablarlo antes, reserva una consulta gratuita y armaremos un programa juntos.',
+            'autoReply.nutrition.subject': 'Gracias por tu consulta sobre coaching nutricional',
+            'autoReply.nutrition.intro': 'Gracias por escribirnos sobre el coaching nutricional.',
+            'autoReply.nutrition.body': 'Un coach te responderá en menos de 24 horas. Mientras tanto, una consulta gratuita es la mejor forma de recibir orientación personalizada sobre tu alimentación y tus metas.',
+            'autoReply.plans.subject': 'Gracias por tu pregunta sobre nuestros planes',
+            'autoReply.plans.intro': 'Gracias por tu pregunta sobre nuestros planes de coaching.',
+            'autoReply.plans.body': 'Te responderemos en menos de 24 horas. Puedes comparar todos los planes en nuestra página de precios o reservar una consulta gratuita y te ayudaremos a elegir.',
+            'autoReply.default.subject': 'Recibimos tu mensaje',
+            'autoReply.default.intro': 'Gracias por contactar a Phil\'s Fitness.',
+            'autoReply.default.body': 'Recibimos tu mensaje y te responderemos en menos de 24 horas. ¿Quieres empezar antes? Reserva una consulta gratuita abajo.',
+            'autoReply.reason': 'Recibes este correo porque esta dirección se ingresó en el formulario de contacto de',
+            'autoReply.ignore': 'Si no fuiste tú, puedes ignorar este correo; no volveremos a contactarte.',
+
+            'bookingEmail.summary': 'Consulta gratuita con Phil\'s Fitness',
+            'bookingEmail.description': 'Tu consulta gratuita con un coach de Phil\'s Fitness.',
+            'bookingEmail.subject': 'Tu consulta gratuita está confirmada: {when}',
+            'bookingEmail.heading': 'Tu consulta está reservada',
+            'bookingEmail.when': 'Cuándo',
+            'bookingEmail.length': 'Duración',
+            'bookingEmail.minutes': '{count} minutos',
+            'bookingEmail.where': 'Dónde',
+            'bookingEmail.phoneCall': 'Llamada telefónica: un coach te llamará a la hora acordada',
+            'bookingEmail.videoCall': 'Videollamada: te enviaremos un enlace por correo antes de la hora acordada',
+            'bookingEmail.invite': 'La invitación adjunta agrega la llamada a tu calendario. ¿Necesitas cambiar la hora? Solo responde a este correo.',
+            'bookingEmail.reason': 'Recibes este correo porque esta dirección se usó para reservar una consulta en',
+            'bookingEmail.notYou': 'Si no fuiste tú, responde para avisarnos y la cancelaremos.',
+
+            'newsletterEmail.confirmSubject': 'Confirma tu suscripción al boletín de Phil\'s Fitness',
+            'newsletterEmail.confirmHeading': 'Un paso más',
+            'newsletterEmail.confirmIntro': 'Confirma tu correo para recibir consejos de entrenamiento, recetas y ofertas para miembros de Phil\'s Fitness.',
+            'newsletterEmail.confirmButton': 'Confirmar suscripción',
+            'newsletterEmail.expires': 'El enlace vence en {hours} horas.',
+            'newsletterEmail.ignore': 'Si no te registraste en {site}, ignora este correo y no volverás a saber de nosotros.',
+            'newsletterEmail.welcomeSubject': 'Te damos la bienvenida al boletín de Phil\'s Fitness',
+            'newsletterEmail.welcomeHeading': '¡Ya estás en la lista!',
+            'newsletterEmail.welcomeIntro': 'Gracias por confirmar. Recibirás consejos de entrenamiento, recetas sencillas y ofertas exclusivas para miembros de parte de nuestros coaches: no más de un par de correos al mes.',
+            'newsletterEmail.welcomeBook': '¿Quieres empezar antes? Reserva una consulta gratuita y armaremos un plan juntos.',
+            'newsletterEmail.reason': 'Recibes este correo porque te suscribiste en',
+            'newsletterEmail.unsubscribe': 'Cancela tu suscripción cuando quieras',
+
+            'loginEmail.subject': 'Tu enlace de inicio de sesión de Phil\'s Fitness',
+            'loginEmail.heading': 'Inicia sesión en tu panel',
+            'loginEmail.intro': 'Inicia sesión en tu panel de Phil\'s Fitness:',
+            'loginEmail.clickBelow': 'Haz clic en el botón de abajo para iniciar sesión.',
+            'loginEmail.expires': 'El enlace funciona una sola vez y vence en {minutes} minutos.',
+            'loginEmail.button': 'Iniciar sesión',
+            'loginEmail.ignore': 'Si no pediste iniciar sesión en {site}, puedes ignorar este correo.',
+            'verifyPage.title': 'Iniciar sesión',
+            'verifyPage.intro': 'Continúa a tu panel de miembro. Este enlace solo se puede usar una vez.',
+            'verifyPage.button': 'Iniciar sesión',
+            'verifyPage.back': 'Volver a Phil\'s Fitness',
+
+            'intakeEmail.subject': 'Tus metas nutricionales iniciales de Phil\'s Fitness',
+            'intakeEmail.heading': 'Tus metas nutricionales iniciales',
+            'intakeEmail.intro': 'Son un punto de partida calculado a partir de tus respuestas. Un coach revisará tu cuestionario y te contactará en menos de 24 horas para ajustarlas a tus preferencias y tu horario.',
+            'intakeEmail.answers': 'Tus respuestas',
+            'intakeEmail.sex': 'Sexo',
+            'intakeEmail.age': 'Edad',
+            'intakeEmail.height': 'Estatura',
+            'intakeEmail.weight': 'Peso',
+            'intakeEmail.activity': 'Actividad',
+            'intakeEmail.goal': 'Meta',
+            'intakeEmail.restrictions': 'Restricciones alimentarias',
+            'intakeEmail.none': 'Ninguna',
+            'intakeEmail.calories': 'Calorías diarias',
+            'intakeEmail.protein': 'Proteína',
+            'intakeEmail.carbs': 'Carbohidratos',
+            'intakeEmail.fat': 'Grasa',
+            'intakeEmail.bmr': 'TMB',
+            'intakeEmail.tdee': 'GET',
+            'intakeEmail.reason': 'Recibes este correo porque esta dirección se usó para completar nuestro cuestionario de nutrición en',
+            'intakeEmail.ignore': 'Si no fuiste tú, puedes ignorar este correo.',
+
+            // Questionnaire options (_lib/nutrition.js) - English lives in its option tables
+            'nutrition.sex.male': 'Hombre',
+            'nutrition.sex.female': 'Mujer',
+            'nutrition.sex.unspecified': 'Prefiero no decirlo',
+            'nutrition.activity.sedentary': 'Sedentario (trabajo de escritorio, poco ejercicio)',
+            'nutrition.activity.light': 'Poco activo (ejercicio 1-3 días por semana)',
+            'nutrition.activity.moderate': 'Moderadamente activo (ejercicio 3-5 días por semana)',
+            'nutrition.activity.active': 'Muy activo (ejercicio intenso 6-7 días por semana)',
+            'nutrition.activity.athlete': 'Extremadamente activo (trabajo físico o entrenamiento dos veces al día)',
+            'nutrition.goal.lose': 'Perder grasa',
+            'nutrition.goal.maintain': 'Mantener y recomponer',
+            'nutrition.goal.gain': 'Ganar músculo',
+            'nutrition.restriction.vegetarian': 'Vegetariana',
+            'nutrition.restriction.vegan': 'Vegana',
+            'nutrition.restriction.pescatarian': 'Pescetariana',
+            'nutrition.restriction.gluten_free': 'Sin gluten',
+            'nutrition.restriction.dairy_free': 'Sin lácteos',
+            'nutrition.restriction.nut_allergy': 'Alergia a los frutos secos',
+            'nutrition.restriction.halal': 'Halal',
+            'nutrition.restriction.kosher': 'Kosher',
+
+            'welcomeEmail.subject': 'Te damos la bienvenida a Phil\'s Fitness: {plan} confirmado',
+            'welcomeEmail.subscription': 'Suscripción',
+            'welcomeEmail.heading': '¡Te damos la bienvenida, {name}!',
+            'welcomeEmail.headingNoName': '¡Te damos la bienvenida!',
+            'welcomeEmail.thanks': 'Gracias por suscribirte al {plan}. Tu coaching empieza ahora.',
+            'welcomeEmail.thanksNoPlan': 'Gracias por suscribirte. Tu coaching empieza ahora.',
+            'welcomeEmail.nextTitle': 'Próximos pasos',
+            'welcomeEmail.step1': '1. Tu coach te contactará en menos de 24 horas para agendar la llamada de inicio.',
+            'welcomeEmail.step2': '2. Armaremos tu programa personalizado según tus metas y tu horario.',
+            'welcomeEmail.step3': '3. Recibirás por correo un recibo de cada pago.',
+            'welcomeEmail.questions': '¿Tienes preguntas? Solo responde a este correo. Puedes cancelar cuando quieras, sin contratos.',
+            'receiptEmail.subject': 'Tu recibo de Phil\'s Fitness',
+            'receiptEmail.subjectNumbered': 'Tu recibo de Phil\'s Fitness n.º {number}',
+            'receiptEmail.heading': 'Recibo de pago',
+            'receiptEmail.plan': 'Plan',
+            'receiptEmail.defaultPlan': 'Suscripción de coaching',
+            'receiptEmail.amount': 'Monto pagado',
+            'receiptEmail.date': 'Fecha',
+            'receiptEmail.invoice': 'Factura',
+            'receiptEmail.viewInvoice': 'Ver o descargar tu factura',
+            'receiptEmail.thanks': 'Gracias por entrenar con Phil\'s Fitness.',
+
+            // Plan catalog (_lib/plans.js) - English lives in PLANS
+            'planCatalog.compare.workoutProgram': 'Programa de entrenamiento personalizado',
+            'planCatalog.compare.mealPlans': 'Planes de alimentación personalizados',
+            'planCatalog.compare.videoCalls': 'Videollamadas 1 a 1',
+            'planCatalog.compare.inPerson': 'Entrenamiento presencial',
+            'planCatalog.compare.supportResponse': 'Tiempo de respuesta del soporte',
+            'planCatalog.compare.progressTracking': 'Seguimiento del progreso',
+            'planCatalog.compare.community': 'Comunidad privada',
+
+            'planCatalog.starter.name': 'Plan Starter',
+            'planCatalog.starter.description': 'Ideal para principiantes que quieren construir una base sólida',
+            'planCatalog.starter.cta': 'Empezar',
+            'planCatalog.starter.note': 'Sin contratos • Cancela cuando quieras',
+            'planCatalog.starter.features.0': 'Programa de entrenamiento personalizado',
+            'planCatalog.starter.features.1': 'Pautas básicas de nutrición',
+            'planCatalog.starter.features.2': 'Revisiones mensuales del progreso',
+            'planCatalog.starter.features.3': 'Soporte por correo (respuesta en 48 h)',
+            'planCatalog.starter.features.4': 'Acceso a la videoteca de ejercicios',
+            'planCatalog.starter.features.5': 'Acceso a la app móvil',
+            'planCatalog.starter.compare.mealPlans': 'Básico',
+            'planCatalog.starter.compare.supportResponse': '48 h',
+            'planCatalog.starter.compare.progressTracking': 'Mensual',
+
+            'planCatalog.premium.name': 'Plan Premium',
+            'planCatalog.premium.description': 'Para quienes van en serio y están listos para transformarse',
+            'planCatalog.premium.badge': 'MÁS POPULAR',
+            'planCatalog.premium.cta': 'Empezar',
+            'planCatalog.premium.note': 'Sin contratos • Cancela cuando quieras',
+            'planCatalog.premium.features.0': 'Todo lo de Starter, más:',
+            'planCatalog.premium.features.1': 'Planes de alimentación personalizados',
+            'planCatalog.premium.features.2': 'Videollamadas 1 a 1 cada dos semanas',
+            'planCatalog.premium.features.3': 'Seguimiento semanal del progreso',
+            'planCatalog.premium.features.4': 'Soporte prioritario por correo (24 h)',
+            'planCatalog.premium.features.5': 'Recomendaciones de suplementos a tu medida',
+            'planCatalog.premium.features.6': 'Ajustes al entrenamiento cuando los necesites',
+            'planCatalog.premium.features.7': 'Acceso a la comunidad privada',
+            'planCatalog.premium.compare.videoCalls': 'Quincenal',
+            'planCatalog.premium.compare.supportResponse': '24 h',
+            'planCatalog.premium.compare.progressTracking': 'Semanal',
+
+            'planCatalog.elite.name': 'Plan Elite',
+            'planCatalog.elite.description': 'Resultados máximos con un servicio de acompañamiento completo',
+            'planCatalog.elite.cta': 'Empezar',
+            'planCatalog.elite.note': 'Sin contratos • Cancela cuando quieras',
+            'planCatalog.elite.features.0': 'Todo lo de Premium, más:',
+            'planCatalog.elite.features.1': 'Coaching semanal 1 a 1 por video',
+            'planCatalog.elite.features.2': 'Revisiones diarias y seguimiento de hábitos',
+            'planCatalog.elite.features.3': 'Seguimiento avanzado de composición corporal',
+            'planCatalog.elite.features.4': 'Acceso directo por WhatsApp/SMS',
+            'planCatalog.elite.features.5': 'Preparación para competencias (si lo deseas)',
+            'planCatalog.elite.features.6': 'Coaching de estilo de vida y mentalidad',
+            'planCatalog.elite.features.7': 'Soporte prioritario 24/7',
+            'planCatalog.elite.compare.videoCalls': 'Semanal',
+            'planCatalog.elite.compare.supportResponse': 'El mismo día',
+            'planCatalog.elite.compare.progressTracking': 'Diario',
+
+            'planCatalog.vip.name': 'Plan VIP Transformation',
+            'planCatalog.vip.title': 'VIP Transformation',
+            'planCatalog.vip.description': 'La transformación definitiva con entrenamiento presencial',
+            'planCatalog.vip.cta': 'Postúlate',
+            'planCatalog.vip.note': 'Cupos limitados • Requiere solicitud',
+            'planCatalog.vip.features.0': 'Todo lo de Elite, más:',
+            'planCatalog.vip.features.1': '4 sesiones de entrenamiento presencial al mes',
+            'planCatalog.vip.features.2': 'Mensajería ilimitada',
+            'planCatalog.vip.features.3': 'Protocolo de suplementos personalizado',
+            'planCatalog.vip.features.4': 'Equipamiento para entrenar en casa',
+            'planCatalog.vip.features.5': 'Evaluaciones corporales trimestrales',
+            'planCatalog.vip.features.6': 'Preparación para sesión de fotos (opcional)',
+            'planCatalog.vip.features.7': 'Acceso de por vida al programa',
+            'planCatalog.vip.compare.videoCalls': 'Semanal',
+            'planCatalog.vip.compare.inPerson': '4 al mes',
+            'planCatalog.vip.compare.supportResponse': 'Ilimitado',
+            'planCatalog.vip.compare.progressTracking': 'Diario+',
+
+            // Page copy (data-i18n attributes)
+            'nav.language': 'Idioma',
+            'nav.home': 'Inicio',
+            'nav.about': 'Nosotros',
+            'nav.plans': 'Planes',
+            'nav.contact': 'Contacto',
+            'nav.account': 'Mi cuenta',
+            'nav.toggle': 'Abrir o cerrar el menú',
+
+            'footer.tagline': 'Transforma tu cuerpo y tu mente con coaching fitness profesional. Nos dedicamos a ayudarte a alcanzar tus metas de salud y bienestar.',
+            'footer.quickLinks': 'Enlaces rápidos',
+            'footer.aboutUs': 'Sobre nosotros',
+            'footer.plansPricing': 'Planes y precios',
+            'footer.services': 'Servicios',
+            'footer.groupClasses': 'Clases grupales',
+            'footer.onlinePrograms': 'Programas en línea',
+            'footer.corporateWellness': 'Bienestar corporativo',
+            'footer.newsletterTitle': 'Consejos fitness en tu correo',
+            'footer.newsletterText': 'Consejos de entrenamiento, recetas sencillas y ofertas para miembros: un par de correos al mes.',
+            'footer.subscribe': 'Suscribirme',
+            'footer.rights': 'Todos los derechos reservados.',
+            'footer.privacy': 'Política de privacidad',
+            'footer.terms': 'Términos del servicio',
+            'footer.emailLabel': 'Correo electrónico',
+
+            'service.personalTraining': 'Entrenamiento personal',
+            'service.nutritionCoaching': 'Coaching nutricional',
+
+            'cta.contactUs': 'Contáctanos',
+            'cta.learnMore': 'Más información',
+            'cta.viewPlans': 'Ver planes',
+
+            'home.title': 'Phil\'s Fitness - Transforma tu cuerpo, transforma tu vida',
+            'home.heroTitle': 'Transforma tu cuerpo, transforma tu vida',
+            'home.heroText': 'Recibe coaching fitness personalizado que se adapta a tu estilo de vida. Programas de entrenamiento profesionales diseñados para ayudarte a alcanzar tus metas más rápido.',
+            'home.startJourney': 'Empieza tu camino',
+            'home.whyTitle': '¿Por qué elegir Phil\'s Fitness?',
+            'home.whyText': 'Todo lo que necesitas para alcanzar tus metas fitness en un solo lugar',
+            'home.personalizedTitle': 'Planes personalizados',
+            'home.personalizedText': 'Programas de entrenamiento hechos a la medida de tu nivel, tus metas y tu horario. Nada de soluciones genéricas.',
+            'home.mobileTitle': 'Pensado para el celular',
+            'home.mobileText': 'Accede a tus entrenamientos donde y cuando quieras. Sigue tu progreso desde cualquier lugar con nuestra plataforma optimizada para celulares.',
+            'home.expertTitle': 'Coaching experto',
+            'home.expertText': 'Recibe la guía de entrenadores certificados con años de experiencia ayudando a clientes a lograr resultados reales.',
+            'home.trackingTitle': 'Seguimiento del progreso',
+            'home.trackingText': 'Mide tus avances con análisis detallados, medidas corporales y métricas de rendimiento.',
+            'home.nutritionTitle': 'Orientación nutricional',
+            'home.nutritionText': 'Planes de alimentación y consejos nutricionales para darle energía a tus entrenamientos y optimizar tus resultados.',
+            'home.macroLink': 'Calcula tus macros →',
+            'home.supportTitle': 'Soporte 24/7',
+            'home.supportText': 'Mensajes directos con tu coach. Resuelve tus dudas y mantente motivado todos los días.',
+            'home.resultsTitle': 'Resultados que hablan por sí solos',
+            'home.resultsText': 'Únete a cientos de clientes que han transformado su vida',
+            'home.activeClients': 'Clientes activos',
+            'home.workoutsCompleted': 'Entrenamientos completados',
+            'home.successRate': 'Tasa de éxito',
+            'home.averageRating': 'Calificación promedio',
+            'home.testimonialsTitle': 'Lo que dicen nuestros clientes',
+            'home.testimonialsText': 'Transformaciones reales de personas reales',
+            'home.moreStories': 'Más historias',
+            'home.ctaTitle': '¿Listo para empezar tu transformación?',
+            'home.ctaText': 'Únete hoy a nuestra comunidad y accede a programas de entrenamiento personalizados',
+
+            'about.title': 'Sobre Phil - Coach fitness certificado | Phil\'s Fitness',
+            'about.heroTitle': 'Sobre Phil\'s Fitness',
+            'about.heroText': 'Ayudamos a cada persona a alcanzar su máximo potencial a través del fitness',
+            'about.photoPlaceholder': 'Foto del coach',
+            'about.coachTitle': 'Conoce a tu coach',
+            'about.coachIntro': '¡Hola, soy Phil! Con más de 10 años de experiencia en la industria del fitness, he dedicado mi carrera a ayudar a las personas a transformar su vida con coaching personalizado y cambios de hábitos sostenibles.',
+            'about.coachJourney': 'Mi camino en el fitness empezó cuando enfrenté mis propios problemas de salud. Con dedicación, estudio y la guía adecuada, transformé por completo mi cuerpo y mi mente. Esa experiencia me inspiró a convertirme en entrenador personal certificado y ayudar a otros a lograr sus metas.',
+            'about.coachBelief': 'Creo que el fitness no se trata solo de la transformación física: se trata de ganar confianza, disciplina y una relación más sana con tu cuerpo. Mi método combina entrenamiento basado en la ciencia con orientación nutricional personalizada para lograr resultados reales y duraderos.',
+            'about.workWithMe': 'Entrena conmigo',
+            'about.credentialsTitle': 'Certificaciones y credenciales',
+            'about.credentialsText': 'Respaldado por certificaciones líderes en la industria y formación continua',
+            'about.nasmTitle': 'Certificación NASM',
+            'about.nasmText': 'Entrenador personal certificado por la National Academy of Sports Medicine',
+            'about.strengthTitle': 'Especialista en fuerza',
+            'about.strengthText': 'Certificación avanzada en técnicas de fuerza y acondicionamiento',
+            'about.nutritionTitle': 'Coach de nutrición',
+            'about.nutritionText': 'Certificado en nutrición deportiva y planificación de comidas',
+            'about.functionalTitle': 'Entrenamiento funcional',
+            'about.functionalText': 'Especialista en movimiento funcional y prevención de lesiones',
+            'about.degreeTitle': 'Licenciatura en Ciencias del Ejercicio',
+            'about.degreeText': 'Licenciatura en Ciencias del Ejercicio y Kinesiología',
+            'about.experienceTitle': 'Más de 10 años de experiencia',
+            'about.experienceText': 'Más de una década transformando vidas con coaching fitness',
+            'about.philosophyTitle': 'Mi filosofía de coaching',
+            'about.philosophyText': 'Los principios que guían mi forma de entrenar',
+            'about.principle1Title': '1. Personalización, no plantillas',
+            'about.principle1Text': 'Cada persona es única, con metas, capacidades y estilos de vida diferentes. No creo en programas iguales para todos. En su lugar, creo planes de entrenamiento y nutrición hechos específicamente para tus necesidades y tu situación.',
+            'about.principle2Title': '2. Progreso sostenible',
+            'about.principle2Text': 'Las soluciones rápidas y las dietas extremas no funcionan a largo plazo. Me enfoco en crear hábitos sostenibles y mejoras graduales que duren toda la vida. Una transformación real lleva tiempo, y estoy aquí para apoyarte en cada paso.',
+            'about.principle3Title': '3. Educación y autonomía',
+            'about.principle3Text': 'No solo te digo qué hacer: te enseño por qué lo haces. Entender la ciencia detrás de tu entrenamiento te ayuda a tomar decisiones informadas y te da el conocimiento para mantener tus resultados por tu cuenta.',
+            'about.principle4Title': '4. Enfoque integral',
+            'about.principle4Text': 'El fitness no es solo entrenar: también es nutrición, recuperación, sueño, manejo del estrés y mentalidad. Trabajo con un enfoque integral que abarca todos los aspectos de la salud y el bienestar para optimizar tus resultados.',
+            'about.numbersTitle': 'En números',
+            'about.numbersText': 'Una trayectoria de resultados comprobados',
+            'about.clientsTransformed': 'Clientes transformados',
+            'about.yearsExperience': 'Años de experiencia',
+            'about.trainingSessions': 'Sesiones de entrenamiento',
+            'about.clientSatisfaction': 'Satisfacción de clientes',
+            'about.specialtiesTitle': 'Especialidades',
+            'about.specialtiesText': 'Áreas en las que puedo ayudarte a destacar',
+            'about.weightLossTitle': 'Pérdida de peso',
+            'about.weightLossText': 'Estrategias sostenibles para perder grasa que se adaptan a tu estilo de vida',
+            'about.muscleTitle': 'Ganancia muscular',
+            'about.muscleText': 'Entrenamiento de hipertrofia basado en la ciencia para ganar músculo magro',
+            'about.athleticTitle': 'Rendimiento deportivo',
+            'about.athleticText': 'Mejora tu velocidad, potencia y capacidad atlética en general',
+            'about.nutritionCoachingText': 'Planes de alimentación personalizados y estrategias de alimentación sostenibles',
+            'about.injuryTitle': 'Prevención de lesiones',
+            'about.injuryText': 'Ejercicios correctivos y trabajo de movilidad para mantenerte sano',
+            'about.lifestyleTitle': 'Transformación del estilo de vida',
+            'about.lifestyleText': 'Un cambio completo de salud que incluye mentalidad y hábitos',
+            'about.ctaTitle': '¿Listo para transformar tu vida?',
+            'about.ctaText': 'Trabajemos juntos para crear un plan fitness personalizado que se adapte a tus metas, tu horario y tu estilo de vida.',
+            'about.viewTrainingPlans': 'Ver planes de entrenamiento',
+            'about.scheduleConsultation': 'Agendar consulta',
+
+            'plans.title': 'Planes y precios - Invierte en tu salud | Phil\'s Fitness',
+            'plans.heroTitle': 'Elige tu plan',
+            'plans.heroText': 'Precios flexibles pensados para tus metas y tu presupuesto',
+            'plans.investTitle': 'Una inversión en tu salud',
+            'plans.investText': 'Todos los planes incluyen coaching personalizado, orientación nutricional y apoyo continuo',
+            'plans.loading': 'Cargando planes...',
+            'plans.guaranteeTitle': '💯 Garantía de devolución de 30 días',
+            'plans.guaranteeText': 'Estamos seguros de que te encantará entrenar con nosotros. Si no quedas completamente satisfecho en los primeros 30 días, te devolvemos todo tu dinero, sin preguntas.',
+            'plans.compareTitle': 'Compara los planes',
+            'plans.compareText': 'Encuentra el plan ideal para tu camino fitness',
+            'plans.faqTitle': 'Preguntas sobre precios',
+            'plans.faqText': 'Preguntas frecuentes sobre nuestros planes',
+            'plans.faqFeesQ': '¿Hay cargos ocultos?',
+            'plans.faqFeesA': '¡Ningún cargo oculto! Pagas el precio que ves. Sin cuotas de inscripción, sin cargos por cancelación, sin sorpresas.',
+            'plans.faqSwitchQ': '¿Puedo cambiar de plan después?',
+            'plans.faqSwitchA': '¡Claro! Puedes subir o bajar de plan cuando quieras. Los cambios se aplican en tu siguiente ciclo de facturación.',
+            'plans.faqPaymentQ': '¿Qué métodos de pago aceptan?',
+            'plans.faqPaymentA': 'Aceptamos las principales tarjetas de crédito, PayPal y Apple Pay para tu comodidad y seguridad.',
+            'plans.faqAnnualQ': '¿Hay descuento en los planes anuales?',
+            'plans.faqAnnualA': '¡Sí! Ahorra un 20% con un plan anual. Contáctanos para conocer las opciones de precio anual.',
+            'plans.questionsTitle': '¿Todavía tienes preguntas?',
+            'plans.questionsText': 'Agenda una consulta gratuita para ver qué plan es el indicado para ti',
+            'plans.purchaseTitle': 'Completa tu compra',
+            'plans.processing': 'Procesando...',
+            'plans.closeModal': 'Cerrar ventana',
+
+            'contact.title': 'Contacto - Reserva tu consulta gratuita | Phil\'s Fitness',
+            'contact.heroTitle': 'Hablemos',
+            'contact.heroText': '¿Tienes preguntas? Estamos aquí para ayudarte a empezar tu camino fitness',
+            'contact.formTitle': 'Envíanos un mensaje',
+            'contact.formText': 'Completa el formulario y te responderemos en menos de 24 horas. Para consultas urgentes, llámanos directamente.',
+            'contact.fullName': 'Nombre completo *',
+            'contact.emailAddress': 'Correo electrónico *',
+            'contact.phoneNumber': 'Teléfono',
+            'contact.subject': 'Asunto *',
+            'contact.subjectPrompt': 'Elige un asunto...',
+            'contact.subjectGeneral': 'Consulta general',
+            'contact.subjectPlans': 'Precios y planes',
+            'contact.subjectConsultation': 'Consulta gratuita',
+            'contact.subjectOther': 'Otro',
+            'contact.message': 'Mensaje *',
+            'contact.send': 'Enviar mensaje',
+            'contact.requiredFields': '* Campos obligatorios',
+            'contact.infoTitle': 'Información de contacto',
+            'contact.emailHeading': '📧 Correo',
+            'contact.emailResponse': 'Respondemos en menos de 24 horas',
+            'contact.phoneHeading': '📞 Teléfono',
+            'contact.phoneHours': 'Lun-Vie: 8am - 8pm EST',
+            'contact.locationHeading': '📍 Ubicación',
+            'contact.hoursTitle': 'Horario de atención',
+            'contact.weekdays': 'Lunes a viernes',
+            'contact.saturday': 'Sábado',
+            'contact.sunday': 'Domingo',
+            'contact.followTitle': 'Síguenos',
+            'contact.followText': 'Mantente en contacto y recibe consejos fitness, motivación y novedades cada día',
+            'contact.bookingTitle': 'Reserva tu consulta gratuita',
+            'contact.bookingText': 'Elige un horario para una llamada gratuita de 30 minutos con un coach, sin idas y vueltas por correo',
+            'contact.date': 'Fecha *',
+            'contact.loadingDates': 'Cargando fechas disponibles...',
+            'contact.time': 'Hora *',
+            'contact.chooseDate': 'Elige una fecha para ver los horarios libres.',
+            'contact.phoneHint': 'Deja un número y te llamaremos; si no, te enviaremos por correo un enlace para la videollamada.',
+            'contact.notes': '¿Algo que debamos saber?',
+            'contact.book': 'Reservar consulta',
+            'contact.faqTitle': 'Preguntas frecuentes',
+            'contact.faqText': 'Respuestas rápidas a las dudas más comunes',
+            'contact.faqResultsQ': '¿Qué tan rápido veré resultados?',
+            'contact.faqResultsA': 'Los resultados varían según la persona, pero la mayoría de los clientes nota cambios en 4 a 6 semanas de entrenamiento constante y buena alimentación. Los resultados sostenibles a largo plazo suelen consolidarse en 12 a 16 semanas.',
+            'contact.faqEquipmentQ': '¿Necesito equipo especial?',
+            'contact.faqEquipmentA': 'Depende del plan que elijas. Tenemos programas para entrenar en casa con muy poco equipo y también programas para el gimnasio. Adaptamos tu plan a los recursos que tengas.',
+            'contact.faqCancelQ': '¿Puedo cancelar mi suscripción cuando quiera?',
+            'contact.faqCancelA': '¡Sí! Todos nuestros planes son mes a mes, sin contratos a largo plazo. Puedes cancelar en cualquier momento antes de tu siguiente ciclo de facturación. Queremos ganarnos tu confianza cada mes.',
+            'contact.faqDifferentQ': '¿Qué hace diferente a su coaching?',
+            'contact.faqDifferentA': 'Nos enfocamos en la personalización, la educación y los resultados sostenibles. No solo recibes un plan de entrenamiento: recibes una solución fitness completa con acceso directo a tu coach, orientación nutricional y apoyo continuo.',
+            'contact.faqTrialQ': '¿Ofrecen una prueba o consulta gratuita?',
+            'contact.faqTrialA': '¡Sí! Ofrecemos una llamada de consulta gratuita de 30 minutos para hablar de tus metas, evaluar tu condición actual y definir qué programa te conviene. Sin compromiso.',
+            'contact.ctaTitle': '¿Listo para empezar?',
+            'contact.ctaText': 'Agenda hoy tu consulta gratuita y da el primer paso hacia tus metas fitness',
+            'contact.viewOurPlans': 'Ver nuestros planes',
+            'contact.messagePlaceholder': 'Cuéntanos tus metas fitness y cómo podemos ayudarte...',
+            'contact.notesPlaceholder': 'Tus metas, lesiones, horario...',
+
+            'dashboard.title': 'Mi panel | Phil\'s Fitness',
+            'dashboard.loginTitle': 'Acceso para miembros',
+            'dashboard.loginText': 'Escribe el correo que usaste al pagar y te enviaremos un enlace de inicio de sesión de un solo uso. No necesitas contraseña.',
+            'dashboard.emailLabel': 'Correo electrónico',
+            'dashboard.sendLink': 'Enviarme un enlace de inicio de sesión',
+            'dashboard.heading': 'Mi panel',
+            'dashboard.signOut': 'Cerrar sesión',
+            'dashboard.signOutAll': 'Cerrar sesión en todos lados',
+            'dashboard.activePlan': 'Plan activo',
+            'dashboard.billingStatus': 'Estado de facturación',
+            'dashboard.nextCheckIn': 'Próximo seguimiento',
+            'dashboard.noPlanText': 'No encontramos un plan de coaching para este correo.',
+            'dashboard.choosePlan': 'Elegir un plan',
+            'dashboard.included': 'Qué incluye',
+            'dashboard.todaySession': 'Sesión de hoy',
+            'dashboard.printProgram': 'Imprimir programa completo',
+            'dashboard.progressTitle': 'Mi progreso',
+            'dashboard.show': 'Mostrar',
+            'dashboard.last30': 'Últimos 30 días',
+            'dashboard.last90': 'Últimos 90 días',
+            'dashboard.last12Months': 'Últimos 12 meses',
+            'dashboard.allTime': 'Todo',
+            'dashboard.bodyWeight': 'Peso corporal',
+            'dashboard.measurements': 'Medidas',
+            'dashboard.workoutsPerWeek': 'Entrenamientos por semana',
+            'dashboard.exportCsv': 'Exportar CSV',
+            'dashboard.measurementToChart': 'Medida a graficar',
+            'dashboard.logWeight': 'Registrar peso',
+            'dashboard.saveWeight': 'Guardar peso',
+            'dashboard.logMeasurements': 'Registrar medidas',
+            'dashboard.saveMeasurements': 'Guardar medidas',
+            'dashboard.logWorkout': 'Registrar un entrenamiento',
+            'dashboard.saveWorkout': 'Guardar entrenamiento',
+            'dashboard.workoutPlaceholder': 'Fuerza de tren superior',
+            'dashboard.durationMinutes': 'Duración (minutos)',
+            'dashboard.date': 'Fecha',
+            'dashboard.unit': 'Unidad',
+            'dashboard.recentEntries': 'Registros recientes',
+            'dashboard.type': 'Tipo',
+            'dashboard.details': 'Detalles',
+            'dashboard.delete': 'Eliminar',
+            'dashboard.storyTitle': 'Comparte tu historia',
+            'dashboard.storyText': 'Cuéntales a los futuros miembros cómo te ha ido entrenando con nosotros. Un coach revisa cada historia antes de que aparezca en nuestra página de inicio.',
+            'dashboard.storyName': 'Nombre a mostrar *',
+            'dashboard.storyResult': 'Tu resultado',
+            'dashboard.storyResultPlaceholder': 'Bajé 14 kg en 3 meses',
+            'dashboard.rating': 'Calificación *',
+            'dashboard.rating5': '★★★★★ Excelente',
+            'dashboard.rating4': '★★★★☆ Muy bueno',
+            'dashboard.rating3': '★★★☆☆ Bueno',
+            'dashboard.rating2': '★★☆☆☆ Regular',
+            'dashboard.rating1': '★☆☆☆☆ Malo',
+            'dashboard.storyQuote': 'Tu historia *',
+            'dashboard.storyConsent': 'Acepto que este testimonio se publique en el sitio web de Phil\'s Fitness con el nombre de arriba.',
+            'dashboard.submitStory': 'Enviar para revisión',
+
+            'intake.title': 'Cuestionario de nutrición - Obtén tus metas de macros | Phil\'s Fitness',
+            'intake.heroTitle': 'Cuestionario de nutrición',
+            'intake.heroText': 'Responde unas preguntas y obtén tus metas iniciales de calorías y macros en minutos',
+            'intake.draftRestored': 'Recuperamos las respuestas que empezaste antes.',
+            'intake.startOver': 'Empezar de nuevo',
+            'intake.aboutYou': 'Sobre ti',
+            'intake.age': 'Edad *',
+            'intake.sex': 'Sexo *',
+            'intake.select': 'Selecciona...',
+            'intake.ageNote': 'La edad y el sexo solo se usan en la fórmula de calorías. El cuestionario es para adultos de 18 años o más.',
+            'intake.bodyTitle': 'Estatura y peso',
+            'intake.height': 'Estatura *',
+            'intake.feetInches': 'Pies y pulgadas',
+            'intake.centimeters': 'Centímetros',
+            'intake.heightFeet': 'Estatura, pies',
+            'intake.heightInches': 'Estatura, pulgadas',
+            'intake.heightCm': 'Estatura, centímetros',
+            'intake.currentWeight': 'Peso actual *',
+            'intake.weightUnit': 'Unidad de peso',
+            'intake.activityTitle': 'Actividad y meta',
+            'intake.activityLevel': 'Nivel de actividad *',
+            'intake.mainGoal': 'Meta principal *',
+            'intake.dietTitle': 'Necesidades alimentarias',
+            'intake.restrictions': 'Restricciones alimentarias',
+            'intake.anythingElse': '¿Algo más?',
+            'intake.notesPlaceholder': 'Alergias, comidas que te encantan o que no soportas, horarios de comida, condiciones médicas que tu coach deba conocer...',
+            'intake.back': 'Atrás',
+            'intake.next': 'Siguiente',
+            'intake.submit': 'Ver mis metas',
+            'intake.resultTitle': 'Tus metas iniciales',
+            'intake.caloriesPerDay': 'Calorías / día',
+            'intake.disclaimer': 'Calculado con la ecuación de Mifflin-St Jeor y tu nivel de actividad. Son estimaciones generales, no consejo médico: tu coach las ajustará contigo.'
+        }
+    };
+
+    /**
+     * Look up a message and fill its {placeholders}
+     * Falls back to English, then to the key itself
+     */
+    function translate(locale, key, params) {
+        const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+        const template = key in catalog ? catalog[key] : (MESSAGES[DEFAULT_LOCALE][key] || key);
+        return interpolate(template, params);
+    }
+
+    /**
+     * True when a locale has its own text for a key (no English fallback)
+     */
+    function has(locale, key) {
+        return Boolean(MESSAGES[locale]) && key in MESSAGES[locale];
+    }
+
+    /**
+     * Fill {placeholders}; unknown ones are left as they are
+     */
+    function interpolate(template, params) {
+        if (!params) return template;
+
+        return template.replace(/\{(\w+)\}/g, function(match, name) {
+            return name in params ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * "es-MX", "ES" or "es" -> "es"; null when the language isn't supported
+     */
+    function matchLocale(value) {
+        const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+        return LOCALES.includes(language) ? language : null;
+    }
+
+    /**
+     * Best supported locale for an Accept-Language header
+     * e.g. "es-MX,es;q=0.9,en;q=0.8" -> "es"
+     */
+    function negotiateLocale(acceptLanguage) {
+        const ranges = String(acceptLanguage || '')
+            .split(',')
+            .map(function(part, index) {
+                const pieces = part.trim().split(';q=');
+                const quality = pieces.length > 1 ? parseFloat(pieces[1]) : 1;
+                return { locale: matchLocale(pieces[0]), quality: isNaN(quality) ? 0 : quality, index: index };
+            })
+            .filter(function(range) { return range.locale && range.quality > 0; })
+            .sort(function(a, b) { return b.quality - a.quality || a.index - b.index; });
+
+        return ranges.length > 0 ? ranges[0].locale : DEFAULT_LOCALE;
+    }
+
+    function getLocaleTag(locale) {
+        return LOCALE_TAGS[locale] || LOCALE_TAGS[DEFAULT_LOCALE];
+    }
+
+    /**
+     * Messages for validation.js errors in a locale
+     * errors: { field: { code, message, params } } -> same shape, message translated
+     */
+    function localizeFieldErrors(locale, errors) {
+        const localized = {};
+
+        Object.keys(errors).forEach(function(field) {
+            const error = errors[field];
+            const label = translate(locale, 'fields.' + field);
+            const params = Object.assign({ label: label, lowerLabel: label.toLowerCase() }, error.params);
+
+            localized[field] = Object.assign({}, error, {
+                message: translate(locale, 'validation.' + error.code, params)
+            });
+        });
+
+        return localized;
+    }
+
+    return {
+        LOCALES: LOCALES,
+        DEFAULT_LOCALE: DEFAULT_LOCALE,
+        LOCALE_COOKIE: LOCALE_COOKIE,
+        translate: translate,
+        has: has,
+        interpolate: interpolate,
+        matchLocale: matchLocale,
+        negotiateLocale: negotiateLocale,
+        getLocaleTag: getLocaleTag,
+        localizeFieldErrors: localizeFieldErrors
+    };
+}));
@@ -0,0 +1,317 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - NUTRITION INTAKE
+   Multi-step questionnaire posted to /api/intake
+   Answers are kept as a draft in localStorage so a
+   visitor can leave and pick up where they stopped
+   Copy comes from i18n.js through main.js's t()
+   ========================================== */
+
+const INTAKE_DRAFT_KEY = 'philipFitnessIntakeDraft';
+
+// Fields never written to the draft
+const INTAKE_DRAFT_SKIP = ['website', 'cf-turnstile-response'];
+
+// Weight limits per unit - mirrors validateIntake() in functions/_lib/nutrition.js
+const INTAKE_WEIGHT_LIMITS = {
+    lb: { min: 66, max: 660 },
+    kg: { min: 30, max: 300 }
+};
+
+let intakeStep = 0;
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('intakeForm');
+    if (!form) return;
+
+    restoreIntakeDraft(form);
+    updateHeightUnit(form);
+    updateWeightUnit(form);
+    showIntakeStep(form, intakeStep);
+
+    document.getElementById('intakeNext').addEventListener('click', function() {
+        if (validateIntakeStep(getIntakeSteps(form)[intakeStep])) {
+            showIntakeStep(form, intakeStep + 1);
+            saveIntakeDraft(form);
+        }
+    });
+
+    document.getElementById('intakeBack').addEventListener('click', function() {
+        showIntakeStep(form, intakeStep - 1);
+        saveIntakeDraft(form);
+    });
+
+    document.getElementById('intakeStartOver').addEventListener('click', function() {
+        clearIntakeDraft();
+        form.reset();
+        form.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+        updateHeightUnit(form);
+        updateWeightUnit(form);
+        showIntakeStep(form, 0);
+        document.getElementById('intakeDraftNotice').hidden = true;
+    });
+
+    form.heightUnit.addEventListener('change', () => updateHeightUnit(form));
+    form.weightUnit.addEventListener('change', () => updateWeightUnit(form));
+
+    form.addEventListener('input', function(e) {
+        // Clear the error state as soon as the field is fixed
+        if (e.target.getAttribute('aria-invalid') === 'true' && e.target.checkValidity()) {
+            e.target.removeAttribute('aria-invalid');
+        }
+        saveIntakeDraft(form);
+    });
+    form.addEventListener('change', () => saveIntakeDraft(form));
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitIntake(form);
+    });
+});
+
+// ==========================================
+// STEPS
+// ==========================================
+function getIntakeSteps(form) {
+    return Array.from(form.querySelectorAll('.intake-step'));
+}
+
+function showIntakeStep(form, index) {
+    const steps = getIntakeSteps(form);
+    intakeStep = Math.min(Math.max(index, 0), steps.length - 1);
+
+    steps.forEach((step, i) => {
+        step.hidden = i !== intakeStep;
+    });
+
+    const isLast = intakeStep === steps.length - 1;
+    document.getElementById('intakeBack').hidden = intakeStep === 0;
+    document.getElementById('intakeNext').hidden = isLast;
+    document.getElementById('intakeSubmit').hidden = !isLast;
+
+    const title = steps[intakeStep].querySelector('legend').textContent;
+    document.getElementById('intakeStepLabel').textContent = t('intake.step', {
+        step: intakeStep + 1,
+        total: steps.length,
+        title: title
+    });
+    document.getElementById('intakeProgressBar').style.width = `${(intakeStep + 1) / steps.length * 100}%`;
+}
+
+/**
+ * Check the enabled fields in one step
+ * Marks invalid fields and, when report is set, shows the browser
+ * message for the first one
+ */
+function validateIntakeStep(step, report = true) {
+    const fields = Array.from(step.querySelectorAll('input, select, textarea'))
+        .filter(field => !field.disabled && field.type !== 'checkbox');
+
+    checkHeightRange(step.closest('form'));
+
+    let firstInvalid = null;
+    fields.forEach(field => {
+        const valid = field.checkValidity();
+        field.setAttribute('aria-invalid', String(!valid));
+        if (!valid && !firstInvalid) {
+            firstInvalid = field;
+        }
+    });
+
+    if (firstInvalid) {
+        if (report) {
+            firstInvalid.reportValidity();
+            firstInvalid.focus();
+        }
+        return false;
+    }
+    return true;
+}
+
+// ==========================================
+// UNITS
+// ==========================================
+function updateHeightUnit(form) {
+    const unit = form.heightUnit.value;
+
+    form.querySelectorAll('.intake-unit').forEach(group => {
+        const active = group.dataset.unit === unit;
+        group.hidden = !active;
+        group.querySelectorAll('input').forEach(input => {
+            input.disabled = !active;
+        });
+    });
+}
+
+function updateWeightUnit(form) {
+    const limits = INTAKE_WEIGHT_LIMITS[form.weightUnit.value];
+    form.weight.min = limits.min;
+    form.weight.max = limits.max;
+}
+
+// Feet + inches are checked together against the 120-250 cm range the API accepts
+function checkHeightRange(form) {
+    const inches = form.heightInches;
+    inches.setCustomValidity('');
+
+    if (form.heightUnit.value !== 'in' || !form.heightFeet.value || !inches.value) return;
+
+    const heightCm = (Number(form.heightFeet.value) * 12 + Number(inches.value)) * 2.54;
+    if (heightCm < 120 || heightCm > 250) {
+        inches.setCustomValidity(t('intake.invalidHeightImperial'));
+    }
+}
+
+// ==========================================
+// DRAFT AUTOSAVE
+// ==========================================
+function saveIntakeDraft(form) {
+    const values = {};
+
+    new FormData(form).forEach((value, key) => {
+        if (INTAKE_DRAFT_SKIP.includes(key)) return;
+
+        if (key === 'restrictions') {
+            (values[key] = values[key] || []).push(value);
+        } else {
+            values[key] = value;
+        }
+    });
+
+    try {
+        localStorage.setItem(INTAKE_DRAFT_KEY, JSON.stringify({ step: intakeStep, values: values }));
+    } catch (error) {
+        // Private browsing or a full quota - the form still works without a draft
+        console.warn('Could not save intake draft:', error);
+    }
+}
+
+function restoreIntakeDraft(form) {
+    let draft = null;
+
+    try {
+        draft = JSON.parse(localStorage.getItem(INTAKE_DRAFT_KEY));
+    } catch (error) {
+        console.warn('Could not read intake draft:', error);
+    }
+
+    if (!draft || !draft.values || typeof draft.values !== 'object') return;
+
+    Object.entries(draft.values).forEach(([key, value]) => {
+        if (key === 'restrictions') {
+            form.querySelectorAll('input[name="restrictions"]').forEach(checkbox => {
+                checkbox.checked = Array.isArray(value) && value.includes(checkbox.value);
+            });
+            return;
+        }
+
+        const field = form.elements[key];
+        if (field && !INTAKE_DRAFT_SKIP.includes(key)) {
+            field.value = value;
+        }
+    });
+
+    intakeStep = parseInt(draft.step, 10) || 0;
+    document.getElementById('intakeDraftNotice').hidden = false;
+}
+
+function clearIntakeDraft() {
+    try {
+        localStorage.removeItem(INTAKE_DRAFT_KEY);
+    } catch (error) {
+        console.warn('Could not clear intake draft:', error);
+    }
+}
+
+// ==========================================
+// SUBMISSION
+// ==========================================
+async function submitIntake(form) {
+    // Send the visitor back to the first step that still needs attention
+    const steps = getIntakeSteps(form);
+    const invalidStep = steps.findIndex(step => !validateIntakeStep(step, false));
+    if (invalidStep !== -1) {
+        showIntakeStep(form, invalidStep);
+        validateIntakeStep(steps[invalidStep]);
+        return;
+    }
+
+    const submitButton = document.getElementById('intakeSubmit');
+    const originalButtonText = submitButton.textContent;
+    submitButton.textContent = t('intake.calculating');
+    submitButton.disabled = true;
+    submitButton.classList.add('loading');
+
+    const turnstileWidget = form.querySelector('.cf-turnstile');
+
+    try {
+        const formData = new FormData(form);
+        const payload = Object.fromEntries(formData);
+        payload.restrictions = formData.getAll('restrictions');
+        payload.locale = currentLocale;
+
+        if (window.turnstile && turnstileWidget) {
+            const turnstileToken = turnstile.getResponse(turnstileWidget);
+
+            if (!turnstileToken) {
+                showFormError(t('contact.verifyFirst'), form);
+                return;
+            }
+
+            payload['cf-turnstile-response'] = turnstileToken;
+        }
+
+        const response = await fetch('/api/intake', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            clearIntakeDraft();
+            showIntakeResult(result);
+            form.reset();
+        } else {
+            showFormError(result.errors || result.message, form);
+            console.error('Intake submission failed:', result);
+        }
+
+    } catch (error) {
+        console.error('Intake submission error:', error);
+        showFormError(t('intake.networkError'), form);
+    } finally {
+        submitButton.textContent = originalButtonText;
+        submitButton.disabled = false;
+        submitButton.classList.remove('loading');
+
+        // Turnstile tokens are single-use - get a fresh one for the next attempt
+        if (window.turnstile && turnstileWidget) {
+            turnstile.reset(turnstileWidget);
+        }
+    }
+}
+
+function showIntakeResult(result) {
+    const targets = result.data;
+
+    document.getElementById('targetCalories').textContent = targets.calories.toLocaleString(getLocaleTag());
+    document.getElementById('targetProtein').textContent = `${targets.proteinGrams} g`;
+    document.getElementById('targetCarbs').textContent = `${targets.carbGrams} g`;
+    document.getElementById('targetFat').textContent = `${targets.fatGrams} g`;
+    document.getElementById('intakeResultDetail').textContent = `${t('intake.resultDetail', {
+        bmr: targets.bmr.toLocaleString(getLocaleTag()),
+        tdee: targets.tdee.toLocaleString(getLocaleTag())
+    })} ${result.message}`;
+
+    document.getElementById('intakeForm').hidden = true;
+    document.getElementById('intakeStepLabel').hidden = true;
+    document.querySelector('.intake-progress').hidden = true;
+    document.getElementById('intakeDraftNotice').hidden = true;
+
+    const resultPanel = document.getElementById('intakeResult');
+    resultPanel.hidden = false;
+    resultPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
@@ -8,9 +8,15 @@
 // INITIALIZATION
 // ==========================================
 document.addEventListener('DOMContentLoaded', function() {
+    initLanguage();
     initNavigation();
-    initPaymentSimulation();
+    initPlans();
+    initTestimonials();
+    initPayments();
     initContactForm();
+    initOfflineSupport();
+    initBookingPicker();
+    initNewsletterForms();
     initScrollEffects();
     setActiveNavLink();
 });
@@ -55,14 +61,69 @@ function setActiveNavLink() {
     const currentPage = window.location.pathname.split('/').pop() || 'index.html';
     const navLinks = document.querySelectorAll('.navbar-menu a');
     
+    // Pages serves /plans.html at /plans, so compare without the extension
+    const withoutExtension = page => page.replace(/\.html$/, '');
+    
     navLinks.forEach(link => {
         const href = link.getAttribute('href');
-        if (href === currentPage) {
+        if (withoutExtension(href) === withoutExtension(currentPage)) {
             link.classList.add('active');
         }
     });
 }
 
+// ==========================================
+// LANGUAGE
+// Catalogs live in i18n.js, shared with the Functions
+// English copy is in the HTML; other locales replace the
+// text of elements tagged data-i18n="key"
+// ==========================================
+let currentLocale = 'en';
+
+function initLanguage() {
+    if (!window.I18n) return;
+    
+    // A choice made with the switcher wins over the browser's language
+    currentLocale = I18n.matchLocale(getCookie(I18n.LOCALE_COOKIE))
+        || I18n.matchLocale(navigator.language)
+        || I18n.DEFAULT_LOCALE;
+    
+    document.documentElement.lang = currentLocale;
+    
+    if (currentLocale !== I18n.DEFAULT_LOCALE) {
+        applyTranslations(document);
+    }
+    
+    document.querySelectorAll('.language-switcher').forEach(select => {
+        select.value = currentLocale;
+        select.addEventListener('change', function() {
+            // Read by the Functions too, so API messages and emails follow the page
+            document.cookie = `${I18n.LOCALE_COOKIE}=${encodeURIComponent(this.value)}; Path=/; Max-Age=31536000; SameSite=Lax`;
+            window.location.reload();
+        });
+    });
+}
+
+// Swap tagged text and attributes for the current locale,
+// leaving the English copy wherever a key has no translation
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const key = element.getAttribute('data-i18n');
+        if (I18n.has(currentLocale, key)) {
+            element.textContent = I18n.translate(currentLocale, key);
+        }
+    });
+    
+    ['placeholder', 'aria-label'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            if (I18n.has(currentLocale, key)) {
+                element.setAttribute(attribute, I18n.translate(currentLocale, key));
+            }
+        });
+    });
+}
+
 // Navbar scroll effect
 window.addEventListener('scroll', function() {
     const navbar = document.querySelector('.navbar');
@@ -74,27 +135,268 @@ window.addEventListener('scroll', function() {
 });
 
 // ==========================================
-// PAYMENT SIMULATION
-// Placeholder for PayPal integration
-// Django: Will replace with actual payment backend
+// PLANS
+// Pricing cards and comparison table rendered from /api/plans
+// so prices live only in functions/_lib/plans.js
+// ==========================================
+async function initPlans() {
+    const pricingGrid = document.getElementById('pricingGrid');
+    
+    if (!pricingGrid) return;
+    
+    try {
+        const response = await fetch(`/api/plans?locale=${encodeURIComponent(currentLocale)}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.message || 'Plans could not be loaded');
+        }
+        
+        renderPricingCards(pricingGrid, result.data.plans);
+        renderCompareTable(result.data.plans, result.data.compareRows);
+        
+    } catch (error) {
+        console.error('Failed to load plans:', error);
+        
+        pricingGrid.innerHTML = `
+            <p class="pricing-status" style="grid-column: 1 / -1; text-align: center; color: var(--text-light);">
+                ${tHtml('plans.loadFailed', { link: `<a href="contact.html">${escapeHtml(t('plans.contactLink'))}</a>` })}
+            </p>
+        `;
+    }
+}
+
+// Render one .pricing-card per plan
+function renderPricingCards(container, plans) {
+    container.innerHTML = plans.map(plan => {
+        const badge = plan.badge
+            ? `<div class="pricing-badge"${plan.badge.variant === 'primary' ? ' style="background-color: var(--primary-color);"' : ''}>${escapeHtml(plan.badge.label)}</div>`
+            : '';
+        const features = plan.features
+            .map(feature => `<li>${escapeHtml(feature)}</li>`)
+            .join('');
+        
+        return `
+            <div class="pricing-card${plan.featured ? ' featured' : ''}">
+                ${badge}
+                <h3>${escapeHtml(plan.title)}</h3>
+                <p style="color: var(--text-light); min-height: 50px;">
+                    ${escapeHtml(plan.description)}
+                </p>
+                <div class="pricing-price">
+                    ${escapeHtml(formatCurrency(plan.price, plan.currency, 0))}<span>/${escapeHtml(t(`interval.${plan.interval}`))}</span>
+                </div>
+                
+                <ul class="pricing-features">${features}</ul>
+                
+                <button 
+                    class="btn btn-${plan.cta.style === 'secondary' ? 'secondary' : 'primary'} btn-block payment-btn" 
+                    data-plan-id="${escapeHtml(plan.id)}"
+                    data-plan="${escapeHtml(plan.name)}" 
+                    data-price="${escapeHtml(plan.price)}"
+                    data-currency="${escapeHtml(plan.currency)}"
+                    data-interval="${escapeHtml(plan.interval)}"
+                >
+                    ${escapeHtml(plan.cta.label)}
+                </button>
+                
+                <p style="margin-top: 1rem; font-size: 0.875rem; color: var(--text-light); text-align: center;">
+                    ${escapeHtml(plan.note)}
+                </p>
+            </div>
+        `;
+    }).join('');
+    
+    observeScrollEffects(container.querySelectorAll('.pricing-card'));
+}
+
+// Render the "Compare Plans" header and rows
+function renderCompareTable(plans, compareRows) {
+    const tableHead = document.getElementById('compareTableHead');
+    const tableBody = document.getElementById('compareTableBody');
+    
+    if (!tableHead || !tableBody) return;
+    
+    const headerCells = plans.map(plan => `
+        <th style="padding: 1.5rem; text-align: center; font-weight: 600;${plan.featured ? ' background-color: var(--primary-color);' : ''}">${escapeHtml(plan.shortName)}</th>
+    `).join('');
+    
+    tableHead.innerHTML = `
+        <tr style="background-color: var(--dark-bg); color: white;">
+            <th style="padding: 1.5rem; text-align: left; font-weight: 600;">${escapeHtml(t('plans.features'))}</th>
+            ${headerCells}
+        </tr>
+    `;
+    
+    tableBody.innerHTML = compareRows.map((row, index) => {
+        const isLast = index === compareRows.length - 1;
+        const valueCells = plans.map(plan => `
+            <td style="padding: 1rem; text-align: center;${plan.featured ? ' background-color: rgba(255,107,53,0.05);' : ''}">${escapeHtml(plan.compare[row.key] || '—')}</td>
+        `).join('');
+        
+        return `
+            <tr${isLast ? '' : ' style="border-bottom: 1px solid var(--border-color);"'}>
+                <td style="padding: 1rem 1.5rem; font-weight: 500;">${escapeHtml(row.label)}</td>
+                ${valueCells}
+            </tr>
+        `;
+    }).join('');
+}
+
+// ==========================================
+// TESTIMONIALS
+// Approved reviews from /api/testimonials
+// The static cards in index.html stay when the API is down or empty
+// ==========================================
+const testimonialsState = {
+    page: 0,
+    pageSize: 6,
+    total: 0
+};
+
+function initTestimonials() {
+    const grid = document.getElementById('testimonialsGrid');
+    if (!grid) return;
+    
+    document.getElementById('testimonialsMore').addEventListener('click', function() {
+        loadTestimonials(grid, testimonialsState.page + 1);
+    });
+    
+    loadTestimonials(grid, 1);
+}
+
+async function loadTestimonials(grid, page) {
+    const moreButton = document.getElementById('testimonialsMore');
+    moreButton.disabled = true;
+    
+    try {
+        const params = new URLSearchParams({ page: page, pageSize: testimonialsState.pageSize });
+        const response = await fetch(`/api/testimonials?${params}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.message || 'Testimonials could not be loaded');
+        }
+        
+        const testimonials = result.data.testimonials;
+        if (page === 1 && testimonials.length === 0) return;
+        
+        const cards = testimonials.map(createTestimonialCard);
+        if (page === 1) {
+            grid.replaceChildren(...cards);
+        } else {
+            grid.append(...cards);
+        }
+        observeScrollEffects(cards);
+        
+        testimonialsState.page = result.data.page;
+        testimonialsState.total = result.data.total;
+        moreButton.hidden = result.data.page * result.data.pageSize >= result.data.total;
+        
+    } catch (error) {
+        console.error('Failed to load testimonials:', error);
+    } finally {
+        moreButton.disabled = false;
+    }
+}
+
+// Same markup as the static cards; text nodes only - testimonials are member input
+function createTestimonialCard(testimonial) {
+    const card = document.createElement('div');
+    card.className = 'testimonial-card';
+    
+    const rating = document.createElement('p');
+    rating.className = 'testimonial-rating';
+    rating.textContent = '★'.repeat(testimonial.rating) + '☆'.repeat(5 - testimonial.rating);
+    rating.setAttribute('aria-label', t('testimonials.rating', { rating: testimonial.rating }));
+    
+    const text = document.createElement('p');
+    text.className = 'testimonial-text';
+    text.textContent = `"${testimonial.quote}"`;
+    
+    const avatar = document.createElement('div');
+    avatar.className = 'testimonial-avatar';
+    avatar.textContent = getInitials(testimonial.displayName);
+    avatar.setAttribute('aria-hidden', 'true');
+    
+    const name = document.createElement('h4');
+    name.textContent = testimonial.displayName;
+    
+    const info = document.createElement('div');
+    info.className = 'testimonial-info';
+    info.append(name);
+    
+    if (testimonial.headline) {
+        const headline = document.createElement('p');
+        headline.textContent = testimonial.headline;
+        info.append(headline);
+    }
+    
+    const author = document.createElement('div');
+    author.className = 'testimonial-author';
+    author.append(avatar, info);
+    
+    card.append(rating, text, author);
+    return card;
+}
+
+function getInitials(name) {
+    return name
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map(part => part.charAt(0).toUpperCase())
+        .join('');
+}
+
+// ==========================================
+// PAYMENTS
+// Stripe Checkout via /api/checkout
+// The server looks up the price - data-price is display only,
+// and promo codes previewed here are checked again at checkout
 // ==========================================
-function initPaymentSimulation() {
-    const paymentButtons = document.querySelectorAll('.payment-btn');
+const purchaseState = {
+    planId: null,
+    planName: null,
+    price: 0,
+    currency: 'usd',
+    interval: 'month',
+    promoCode: null
+};
+
+function initPayments() {
     const modal = document.getElementById('paymentModal');
     const closeModal = document.querySelector('.modal-close');
     
     if (!modal) return;
     
-    paymentButtons.forEach(button => {
-        button.addEventListener('click', function(e) {
+    // Delegated so buttons rendered later by initPlans() work too
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('.payment-btn');
+        if (!button) return;
+        
+        e.preventDefault();
+        
+        openPurchaseModal(button);
+    });
+    
+    // Buttons inside rendered modal content (no inline handlers - see the CSP in _lib/security.js)
+    modal.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-dismiss-modal]');
+        if (button) {
+            closePaymentModal(button.getAttribute('data-next-url'));
+        }
+        
+        if (e.target.closest('[data-start-checkout]')) {
+            startCheckout(purchaseState.planId, purchaseState.planName, purchaseState.promoCode);
+        }
+    });
+    
+    modal.addEventListener('submit', function(e) {
+        if (e.target.id === 'promoForm') {
             e.preventDefault();
-            
-            const planName = this.getAttribute('data-plan');
-            const planPrice = this.getAttribute('data-price');
-            
-            // Simulate payment processing
-            simulatePayment(planName, planPrice);
-        });
+            applyPromoCode(e.target);
+        }
     });
     
     // Close modal functionality
@@ -117,11 +419,122 @@ function initPaymentSimulation() {
             modal.classList.remove('active');
         }
     });
+    
+    // Returning from Stripe Checkout
+    handleCheckoutReturn();
 }
 
-// Simulate payment processing
-// Django: This will be replaced with actual Stripe/PayPal integration
-function simulatePayment(planName, planPrice) {
+// Show the plan, its price and the promo code field
+function openPurchaseModal(button) {
+    const modal = document.getElementById('paymentModal');
+    const modalBody = modal.querySelector('.modal-body');
+    
+    purchaseState.planId = button.getAttribute('data-plan-id');
+    purchaseState.planName = button.getAttribute('data-plan');
+    purchaseState.price = Number(button.getAttribute('data-price'));
+    purchaseState.currency = button.getAttribute('data-currency') || 'usd';
+    purchaseState.interval = button.getAttribute('data-interval') || 'month';
+    purchaseState.promoCode = null;
+    
+    modalBody.innerHTML = `
+        <h3 class="text-center">${escapeHtml(purchaseState.planName)}</h3>
+        <p class="purchase-price" id="purchasePrice"></p>
+        
+        <form id="promoForm" class="promo-form" novalidate>
+            <input type="text" id="promoCode" name="code" class="form-input" placeholder="${escapeHtml(t('purchase.promoPlaceholder'))}"
+                   aria-label="${escapeHtml(t('purchase.promoPlaceholder'))}" aria-describedby="promoMessage" autocomplete="off" maxlength="32">
+            <button type="submit" class="btn btn-outline">${escapeHtml(t('purchase.apply'))}</button>
+        </form>
+        <p id="promoMessage" class="promo-message" role="status"></p>
+        
+        <button type="button" class="btn btn-primary btn-block" data-start-checkout>${escapeHtml(t('purchase.continue'))}</button>
+    `;
+    
+    renderPurchasePrice(null);
+    modal.classList.add('active');
+}
+
+// Plan price, struck through next to the discounted price once a code applies
+function renderPurchasePrice(promo) {
+    const priceEl = document.getElementById('purchasePrice');
+    const interval = document.createElement('span');
+    interval.textContent = `/${t(`interval.${purchaseState.interval}`)}`;
+    
+    if (!promo) {
+        priceEl.replaceChildren(formatCurrency(purchaseState.price, purchaseState.currency), interval);
+        return;
+    }
+    
+    const original = document.createElement('del');
+    original.textContent = formatCurrency(promo.originalPrice, promo.currency);
+    priceEl.replaceChildren(original, formatCurrency(promo.price, promo.currency), interval);
+}
+
+// Preview a promo code's discounted price via /api/promo/validate
+async function applyPromoCode(form) {
+    const input = form.querySelector('#promoCode');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const message = document.getElementById('promoMessage');
+    const code = input.value.trim();
+    
+    purchaseState.promoCode = null;
+    renderPurchasePrice(null);
+    message.className = 'promo-message';
+    message.textContent = '';
+    input.removeAttribute('aria-invalid');
+    
+    if (!code) return;
+    
+    submitButton.disabled = true;
+    
+    try {
+        const response = await fetch('/api/promo/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: code, plan: purchaseState.planId, locale: currentLocale })
+        });
+        
+        const result = await response.json();
+        
+        if (!result.success) {
+            message.classList.add('is-invalid');
+            message.textContent = result.message || t('promo.invalid');
+            input.setAttribute('aria-invalid', 'true');
+            return;
+        }
+        
+        const promo = result.data;
+        renderPurchasePrice(promo);
+        
+        purchaseState.promoCode = promo.code;
+        message.classList.add('is-applied');
+        message.textContent = t(getPromoMessageKey(promo), {
+            code: promo.code,
+            amount: formatCurrency(promo.discount, promo.currency),
+            price: formatCurrency(promo.originalPrice, promo.currency),
+            interval: t(`interval.${promo.interval}`),
+            months: promo.durationInMonths
+        });
+        
+    } catch (error) {
+        console.error('Promo code error:', error);
+        message.classList.add('is-invalid');
+        message.textContent = t('promo.checkFailed');
+        
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+// The discount only lasts as long as the code's duration - say so
+function getPromoMessageKey(promo) {
+    if (promo.duration === 'once') return 'promo.appliedOnce';
+    if (promo.duration === 'repeating') return 'promo.appliedRepeating';
+    return 'promo.applied';
+}
+
+// Create a Checkout Session and redirect to Stripe
+async function startCheckout(planId, planName, promoCode) {
     const modal = document.getElementById('paymentModal');
     const modalBody = modal.querySelector('.modal-body');
     
@@ -129,43 +542,121 @@ function simulatePayment(planName, planPrice) {
     modalBody.innerHTML = `
         <div class="text-center">
             <div class="spinner"></div>
-            <p class="mt-md">Processing your payment...</p>
+            <p class="mt-md">${escapeHtml(t('checkout.redirecting'))}</p>
         </div>
     `;
     
     modal.classList.add('active');
     
-    // Simulate API call delay
-    setTimeout(function() {
-        // Show success message
+    try {
+        const response = await fetch('/api/checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ plan: planId, promoCode: promoCode, locale: currentLocale })
+        });
+        
+        const result = await response.json();
+        
+        if (!result.success || !result.data || !result.data.url) {
+            throw new Error(result.message || 'Checkout could not be started');
+        }
+        
+        window.location.href = result.data.url;
+        
+    } catch (error) {
+        console.error('Checkout error:', { planName, error });
+        
+        modalBody.innerHTML = `
+            <div class="text-center">
+                <h3>${escapeHtml(t('checkout.unavailableTitle'))}</h3>
+                <p>${escapeHtml(t('checkout.unavailableText'))}</p>
+                <button class="btn btn-primary mt-md" data-dismiss-modal>${escapeHtml(t('checkout.close'))}</button>
+            </div>
+        `;
+    }
+}
+
+// Show the result when Stripe redirects back to plans.html
+async function handleCheckoutReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const checkoutState = params.get('checkout');
+    
+    if (!checkoutState) return;
+    
+    const modal = document.getElementById('paymentModal');
+    const modalBody = modal.querySelector('.modal-body');
+    
+    // Remove the query string so a refresh doesn't reopen the modal
+    window.history.replaceState({}, document.title, window.location.pathname);
+    
+    if (checkoutState === 'cancelled') {
+        modalBody.innerHTML = `
+            <div class="text-center">
+                <h3>${escapeHtml(t('checkout.cancelledTitle'))}</h3>
+                <p>${escapeHtml(t('checkout.cancelledText'))}</p>
+                <button class="btn btn-primary mt-md" data-dismiss-modal>${escapeHtml(t('checkout.backToPlans'))}</button>
+            </div>
+        `;
+        modal.classList.add('active');
+        return;
+    }
+    
+    if (checkoutState !== 'success') return;
+    
+    modalBody.innerHTML = `
+        <div class="text-center">
+            <div class="spinner"></div>
+            <p class="mt-md">${escapeHtml(t('checkout.confirming'))}</p>
+        </div>
+    `;
+    modal.classList.add('active');
+    
+    try {
+        const sessionId = params.get('session_id') || '';
+        const response = await fetch(`/api/checkout?session_id=${encodeURIComponent(sessionId)}&locale=${encodeURIComponent(currentLocale)}`);
+        const result = await response.json();
+        
+        if (!result.success || result.data.status !== 'complete') {
+            throw new Error(result.message || 'Checkout session is not complete');
+        }
+        
+        const planName = result.data.planName || t('checkout.selectedPlan');
+        const amount = result.data.amountTotal !== null
+            ? formatCurrency(result.data.amountTotal)
+            : null;
+        
         modalBody.innerHTML = `
             <div class="text-center">
                 <div class="success-icon">✓</div>
-                <h3>Payment Successful!</h3>
-                <p>You have successfully subscribed to the <strong>${planName}</strong> plan.</p>
-                <p>Amount charged: <strong>$${planPrice}</strong></p>
-                <p class="mt-md">A confirmation email has been sent to your inbox.</p>
-                <button class="btn btn-primary mt-md" onclick="closePaymentModal()">Get Started</button>
+                <h3>${escapeHtml(t('checkout.successTitle'))}</h3>
+                <p>${tHtml('checkout.subscribed', { plan: `<strong>${escapeHtml(planName)}</strong>` })}</p>
+                ${amount ? `<p>${tHtml('checkout.amountCharged', { amount: `<strong>${escapeHtml(amount)}</strong>` })}</p>` : ''}
+                <p class="mt-md">${escapeHtml(t('checkout.confirmationSent'))}</p>
+                <button class="btn btn-primary mt-md" data-dismiss-modal data-next-url="/dashboard">${escapeHtml(t('checkout.toDashboard'))}</button>
             </div>
         `;
         
-        // Django: Here you would:
-        // 1. Create a subscription record in the database
-        // 2. Send confirmation email
-        // 3. Redirect to dashboard or onboarding
-        // 4. Update user's subscription status
+    } catch (error) {
+        console.error('Checkout confirmation error:', error);
         
-        console.log('Payment simulated:', { planName, planPrice });
-    }, 2000);
+        modalBody.innerHTML = `
+            <div class="text-center">
+                <h3>${escapeHtml(t('checkout.receivedTitle'))}</h3>
+                <p>${escapeHtml(t('checkout.receivedText'))}</p>
+                <button class="btn btn-primary mt-md" data-dismiss-modal>${escapeHtml(t('checkout.close'))}</button>
+            </div>
+        `;
+    }
 }
 
-// Close payment modal
-function closePaymentModal() {
+// Close payment modal, optionally moving on to another page
+function closePaymentModal(nextUrl) {
     const modal = document.getElementById('paymentModal');
     modal.classList.remove('active');
     
-    // Django: Redirect to dashboard or next step
-    // window.location.href = '/dashboard/';
+    if (nextUrl) {
+        window.location.href = nextUrl;
+    }
 }
 
 // ==========================================
@@ -178,19 +669,51 @@ function initContactForm() {
     
     if (!contactForm) return;
     
+    // Preselect the subject from links like contact.html?subject=consultation
+    const requestedSubject = new URLSearchParams(window.location.search).get('subject');
+    const subjectSelect = contactForm.querySelector('#subject');
+    if (requestedSubject && subjectSelect && subjectSelect.querySelector(`option[value="${CSS.escape(requestedSubject)}"]`)) {
+        subjectSelect.value = requestedSubject;
+    }
+    
+    initLiveValidation(contactForm, CONTACT_SCHEMA);
+    
     contactForm.addEventListener('submit', async function(e) {
         e.preventDefault();
         
+        // Check every field first - the server runs the same schema
+        if (!validateFormFields(contactForm, CONTACT_SCHEMA)) {
+            return;
+        }
+        
         // Show loading state
         const submitButton = contactForm.querySelector('button[type="submit"]');
         const originalButtonText = submitButton.textContent;
-        submitButton.textContent = 'Sending...';
+        submitButton.textContent = t('contact.sending');
         submitButton.disabled = true;
         submitButton.classList.add('loading');
         
+        // Create FormData object from the form
+        const formData = new FormData(contactForm);
+        formData.set('locale', currentLocale);
+        
         try {
-            // Create FormData object from the form
-            const formData = new FormData(contactForm);
+            // Turnstile token - verified server-side before anything is sent
+            // (the page has two widgets, so always address this form's one)
+            // Offline the challenge can't run, so the message is queued without one
+            const turnstileWidget = contactForm.querySelector('.cf-turnstile');
+            if (window.turnstile && turnstileWidget) {
+                const turnstileToken = turnstile.getResponse(turnstileWidget);
+                
+                if (!turnstileToken && navigator.onLine) {
+                    showFormError(t('contact.verifyFirst'));
+                    return;
+                }
+                
+                if (turnstileToken) {
+                    formData.set('cf-turnstile-response', turnstileToken);
+                }
+            }
             
             // Submit to Cloudflare Worker endpoint
             const response = await fetch('/api/contact', {
@@ -201,34 +724,55 @@ function initContactForm() {
             // Parse JSON response
             const result = await response.json();
             
-            if (result.success) {
+            if (response.status === 429) {
+                // Rate limited - tell the visitor when they can try again
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || result.retryAfter;
+                showFormError(getRateLimitMessage(retryAfter));
+                console.warn('Form submission rate limited:', { retryAfter });
+            } else if (result.success) {
                 // Show success message
                 showFormSuccess(result.message);
                 
                 // Reset form
                 contactForm.reset();
+                clearFieldErrors(contactForm);
+                await releaseQueuedMessage(contactForm);
                 
                 // Log success (for debugging)
                 console.log('Form submitted successfully:', result.data);
+            } else if (result.fieldErrors) {
+                // Field problems go next to their inputs
+                showFieldErrors(contactForm, result.fieldErrors);
+                console.error('Form submission failed validation:', result.fieldErrors);
             } else {
                 // Show error message(s)
-                const errorMessage = result.errors 
-                    ? result.errors.join('<br>') 
-                    : result.message;
+                const errorMessage = result.errors || result.message;
                 showFormError(errorMessage);
                 
                 console.error('Form submission failed:', result);
             }
             
         } catch (error) {
-            // Network error or other exception
-            console.error('Form submission error:', error);
-            showFormError('An error occurred while sending your message. Please try again or contact us directly.');
+            // fetch() rejects with a TypeError when there's no connection -
+            // keep the message and send it once the visitor is back online
+            if (error instanceof TypeError && await queueContactMessage(contactForm, formData)) {
+                console.warn('Contact form offline - message queued:', error.message);
+            } else {
+                // Network error or other exception
+                console.error('Form submission error:', error);
+                showFormError(t('contact.networkError'));
+            }
         } finally {
             // Reset button state
             submitButton.textContent = originalButtonText;
             submitButton.disabled = false;
             submitButton.classList.remove('loading');
+            
+            // Turnstile tokens are single-use - get a fresh one for the next attempt
+            const turnstileWidget = contactForm.querySelector('.cf-turnstile');
+            if (window.turnstile && turnstileWidget) {
+                turnstile.reset(turnstileWidget);
+            }
         }
         
         // Django Integration Note:
@@ -244,51 +788,312 @@ function initContactForm() {
     });
 }
 
-// Email validation helper (kept for future use)
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+// ==========================================
+// OFFLINE SUPPORT
+// sw.js precaches the pages so they open without a connection;
+// contact messages sent offline wait in IndexedDB (offline-queue.js)
+// and are replayed by Background Sync, or on the next visit
+// in browsers without it
+// ==========================================
+function initOfflineSupport() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('/sw.js').catch(function(error) {
+        console.error('Service worker registration failed:', error);
+    });
+    
+    // The worker replayed the queue in the background
+    navigator.serviceWorker.addEventListener('message', function(event) {
+        if (event.data && event.data.type === 'contact-queue') {
+            showQueueOutcome(event.data.summary);
+        }
+    });
+    
+    if (!window.OfflineQueue) return;
+    
+    replayOfflineQueue();
+    window.addEventListener('online', replayOfflineQueue);
 }
 
-// Show form success message
-function showFormSuccess(message) {
-    const alertDiv = document.createElement('div');
-    alertDiv.className = 'alert alert-success';
-    alertDiv.style.cssText = `
-        background-color: #00C9A7;
-        color: white;
-        padding: 1rem 1.5rem;
-        border-radius: 8px;
-        margin-bottom: 1.5rem;
-        animation: fadeInUp 0.3s ease;
-    `;
-    alertDiv.innerHTML = message;
+// Hand the queue to Background Sync where there is one, otherwise replay
+// it from the page (never both - the message would be sent twice)
+async function replayOfflineQueue() {
+    try {
+        await renderQueueStatus();
+        
+        if (!navigator.onLine || await requestQueueSync()) return;
+        
+        showQueueOutcome(await OfflineQueue.replay());
+    } catch (error) {
+        console.error('Offline queue replay failed:', error);
+    }
+}
+
+// Returns false when the browser has no Background Sync
+// or the worker isn't installed yet
+async function requestQueueSync() {
+    if (!('SyncManager' in window)) return false;
     
-    const form = document.getElementById('contactForm');
-    form.parentNode.insertBefore(alertDiv, form);
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.sync) return false;
     
-    // Remove after 5 seconds
-    setTimeout(() => {
-        alertDiv.style.animation = 'fadeOut 0.3s ease';
-        setTimeout(() => alertDiv.remove(), 300);
-    }, 5000);
+    await registration.sync.register(OfflineQueue.SYNC_TAG);
+    return true;
+}
+
+// Store a message that couldn't be sent and ask for a Background Sync
+// Returns false if it couldn't be stored (private browsing, no IndexedDB)
+async function queueContactMessage(form, formData) {
+    if (!window.OfflineQueue || !window.indexedDB) return false;
+    
+    try {
+        await OfflineQueue.enqueue(Object.fromEntries(formData.entries()), formData.get('cf-turnstile-response'));
+        await releaseQueuedMessage(form);
+        
+    } catch (error) {
+        console.error('Could not queue contact message:', error);
+        return false;
+    }
+    
+    if ('serviceWorker' in navigator) {
+        requestQueueSync().catch(function(error) {
+            console.warn('Background Sync unavailable - queue will be sent on the next visit:', error);
+        });
+    }
+    
+    form.reset();
+    clearFieldErrors(form);
+    await renderQueueStatus();
+    return true;
+}
+
+// A queued message that was put back in the form has now
+// been sent (or re-queued), so drop the stored copy
+async function releaseQueuedMessage(form) {
+    const queuedId = Number(form.dataset.queuedId);
+    if (!queuedId || !window.OfflineQueue) return;
+    
+    delete form.dataset.queuedId;
+    await OfflineQueue.remove(queuedId);
+    await renderQueueStatus();
+}
+
+// Tell the visitor what happened to messages they sent offline
+function showQueueOutcome(summary) {
+    const contactForm = document.getElementById('contactForm');
+    if (!contactForm || !summary) return;
+    
+    if (summary.sent > 0) {
+        showFormSuccess(summary.sent === 1
+            ? t('offline.sentOne')
+            : t('offline.sentMany', { count: summary.sent }), contactForm);
+    }
+    
+    if (summary.rejected > 0) {
+        showFormError(t('offline.rejected'), contactForm);
+    }
+    
+    renderQueueStatus().catch(function(error) {
+        console.error('Offline queue status failed:', error);
+    });
+}
+
+// Persistent notice above the contact form while anything is queued
+// A message that needs a fresh verification challenge is put back in the form
+async function renderQueueStatus() {
+    const contactForm = document.getElementById('contactForm');
+    if (!contactForm || !window.OfflineQueue) return;
+    
+    const entries = await OfflineQueue.getAll();
+    const waiting = entries.filter(entry => !entry.needsVerification);
+    const unverified = entries.find(entry => entry.needsVerification);
+    
+    let status = contactForm.parentNode.querySelector('.queue-status');
+    
+    if (entries.length === 0) {
+        if (status) status.remove();
+        return;
+    }
+    
+    if (!status) {
+        status = document.createElement('div');
+        status.className = 'queue-status';
+        status.setAttribute('role', 'status');
+        contactForm.parentNode.insertBefore(status, contactForm);
+    }
+    
+    if (unverified && !contactForm.dataset.queuedId) {
+        Object.keys(unverified.fields).forEach(function(field) {
+            const input = contactForm.elements[field];
+            if (input && !input.value) input.value = unverified.fields[field];
+        });
+        contactForm.dataset.queuedId = unverified.id;
+    }
+    
+    if (waiting.length > 0) {
+        status.textContent = waiting.length === 1
+            ? t('offline.queuedOne')
+            : t('offline.queuedMany', { count: waiting.length });
+    } else {
+        status.textContent = t('offline.verify');
+    }
+}
+
+// ==========================================
+// FIELD VALIDATION
+// Schemas and rules live in validation.js, shared with the Worker
+// ==========================================
+const CONTACT_SCHEMA = window.FormValidation ? FormValidation.CONTACT_SCHEMA : {};
+const BOOKING_SCHEMA = window.FormValidation ? FormValidation.BOOKING_SCHEMA : {};
+
+// Validate a field when the visitor leaves it, and re-check
+// flagged fields on every keystroke so errors clear as soon as they're fixed
+function initLiveValidation(form, schema) {
+    form.addEventListener('focusout', function(e) {
+        const field = e.target.name;
+        if (schema[field] && e.target.value.trim()) {
+            validateFormField(form, schema, field);
+        }
+    });
+    
+    form.addEventListener('input', function(e) {
+        const field = e.target.name;
+        if (schema[field] && e.target.getAttribute('aria-invalid') === 'true') {
+            validateFormField(form, schema, field);
+        }
+    });
+    
+    form.addEventListener('change', function(e) {
+        if (e.target.tagName === 'SELECT' && schema[e.target.name]) {
+            validateFormField(form, schema, e.target.name);
+        }
+    });
+}
+
+function validateFormField(form, schema, field) {
+    const input = form.elements[field];
+    const error = FormValidation.validateField(schema[field], input.value);
+    
+    if (error) {
+        showFieldError(input, localizeFieldErrors({ [field]: error })[field].message);
+    } else {
+        clearFieldError(input);
+    }
+    return !error;
+}
+
+// Validate every field in the schema and focus the first problem
+function validateFormFields(form, schema) {
+    if (!window.FormValidation) return true;
+    
+    const data = {};
+    Object.keys(schema).forEach(field => {
+        data[field] = form.elements[field] ? form.elements[field].value : '';
+    });
+    
+    const result = FormValidation.validateForm(schema, data);
+    clearFieldErrors(form);
+    showFieldErrors(form, localizeFieldErrors(result.errors));
+    return result.valid;
+}
+
+// errors: { field: { code, message } } from validation.js or the API's fieldErrors
+function showFieldErrors(form, errors) {
+    let firstInvalid = null;
+    
+    Object.entries(errors).forEach(([field, error]) => {
+        const input = form.elements[field];
+        if (!input) return;
+        
+        showFieldError(input, error.message);
+        firstInvalid = firstInvalid || input;
+    });
+    
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+}
+
+// Inline message under an input, linked with aria-describedby
+function showFieldError(input, message) {
+    const errorId = `${input.id}-error`;
+    let errorElement = document.getElementById(errorId);
+    
+    if (!errorElement) {
+        errorElement = document.createElement('p');
+        errorElement.id = errorId;
+        errorElement.className = 'field-error';
+        input.insertAdjacentElement('afterend', errorElement);
+    }
+    
+    errorElement.textContent = message;
+    errorElement.hidden = false;
+    input.setAttribute('aria-invalid', 'true');
+    
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+        input.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+    }
+}
+
+function clearFieldError(input) {
+    const errorElement = document.getElementById(`${input.id}-error`);
+    if (errorElement) {
+        errorElement.hidden = true;
+        errorElement.textContent = '';
+    }
+    input.removeAttribute('aria-invalid');
+}
+
+function clearFieldErrors(form) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+}
+
+// validation.js errors in the current locale (its own messages are English)
+function localizeFieldErrors(errors) {
+    return window.I18n ? I18n.localizeFieldErrors(currentLocale, errors) : errors;
+}
+
+// Friendly message for a 429 response
+function getRateLimitMessage(retryAfterSeconds) {
+    const minutes = Math.ceil((retryAfterSeconds || 60) / 60);
+    const wait = minutes <= 1 ? t('rateLimit.oneMinute') : t('rateLimit.minutes', { count: minutes });
+    
+    return t('rateLimit.wait', { wait: wait });
+}
+
+// Show form success message
+// message: a string, or an array of lines
+function showFormSuccess(message, form = document.getElementById('contactForm')) {
+    showFormAlert('alert-success', '#00C9A7', message, form);
 }
 
 // Show form error message
-function showFormError(message) {
+// message: a string, or an array of lines
+function showFormError(message, form = document.getElementById('contactForm')) {
+    showFormAlert('alert-error', '#FF6B35', message, form);
+}
+
+// Alert above a form - every line is a text node, so server
+// messages that echo visitor input can never become markup
+function showFormAlert(type, backgroundColor, message, form) {
     const alertDiv = document.createElement('div');
-    alertDiv.className = 'alert alert-error';
+    alertDiv.className = `alert ${type}`;
+    alertDiv.setAttribute('role', type === 'alert-error' ? 'alert' : 'status');
     alertDiv.style.cssText = `
-        background-color: #FF6B35;
+        background-color: ${backgroundColor};
         color: white;
         padding: 1rem 1.5rem;
         border-radius: 8px;
         margin-bottom: 1.5rem;
         animation: fadeInUp 0.3s ease;
     `;
-    alertDiv.innerHTML = message;
     
-    const form = document.getElementById('contactForm');
+    [].concat(message).forEach((line, index) => {
+        if (index > 0) alertDiv.appendChild(document.createElement('br'));
+        alertDiv.appendChild(document.createTextNode(String(line)));
+    });
+    
     form.parentNode.insertBefore(alertDiv, form);
     
     // Remove after 5 seconds
@@ -298,21 +1103,327 @@ function showFormError(message) {
     }, 5000);
 }
 
+// ==========================================
+// CONSULTATION BOOKING
+// Slots from /api/availability, reserved via /api/bookings
+// Times are shown in the visitor's own time zone
+// ==========================================
+function initBookingPicker() {
+    const bookingForm = document.getElementById('bookingForm');
+    
+    if (!bookingForm) return;
+    
+    const dateSelect = document.getElementById('bookingDate');
+    let slotsByDate = new Map();
+    
+    dateSelect.addEventListener('change', function() {
+        renderBookingTimes(slotsByDate.get(dateSelect.value) || []);
+    });
+    
+    async function loadAvailability() {
+        dateSelect.disabled = true;
+        
+        try {
+            const response = await fetch('/api/availability');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            
+            slotsByDate = groupSlotsByLocalDate(result.data.slots);
+            renderBookingDates(dateSelect, slotsByDate);
+            renderBookingTimes(slotsByDate.get(dateSelect.value) || []);
+            
+            const visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            document.getElementById('bookingTimezone').textContent = t('booking.timezone', { zone: visitorZone });
+            
+        } catch (error) {
+            console.error('Failed to load availability:', error);
+            dateSelect.replaceChildren(new Option(t('booking.loadFailedOption'), ''));
+            showFormError(t('booking.loadFailed'), bookingForm);
+        }
+    }
+    
+    initLiveValidation(bookingForm, BOOKING_SCHEMA);
+    
+    bookingForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(bookingForm);
+        formData.set('locale', currentLocale);
+        
+        if (!formData.get('start')) {
+            showFormError(t('booking.chooseTime'), bookingForm);
+            return;
+        }
+        
+        // The server runs the same schema
+        if (!validateFormFields(bookingForm, BOOKING_SCHEMA)) {
+            return;
+        }
+        
+        const submitButton = bookingForm.querySelector('button[type="submit"]');
+        const originalButtonText = submitButton.textContent;
+        submitButton.textContent = t('booking.booking');
+        submitButton.disabled = true;
+        submitButton.classList.add('loading');
+        
+        const turnstileWidget = bookingForm.querySelector('.cf-turnstile');
+        
+        try {
+            if (window.turnstile && turnstileWidget) {
+                const turnstileToken = turnstile.getResponse(turnstileWidget);
+                
+                if (!turnstileToken) {
+                    showFormError(t('booking.verifyFirst'), bookingForm);
+                    return;
+                }
+                
+                formData.set('cf-turnstile-response', turnstileToken);
+            }
+            
+            const response = await fetch('/api/bookings', {
+                method: 'POST',
+                body: formData
+            });
+            
+            const result = await response.json();
+            
+            if (response.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || result.retryAfter;
+                showFormError(getRateLimitMessage(retryAfter), bookingForm);
+            } else if (result.success) {
+                const when = new Date(result.data.start).toLocaleString(getLocaleTag(), {
+                    weekday: 'long',
+                    month: 'long',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: '2-digit'
+                });
+                showFormSuccess([result.message, t('booking.seeYou', { when: when })], bookingForm);
+                bookingForm.reset();
+                clearFieldErrors(bookingForm);
+                loadAvailability();
+            } else if (result.fieldErrors && Object.keys(result.fieldErrors).length > 0) {
+                showFieldErrors(bookingForm, result.fieldErrors);
+            } else {
+                const errorMessage = result.errors || result.message;
+                showFormError(errorMessage, bookingForm);
+                
+                // The slot was taken or no longer offered - show what's left
+                if (result.code === 'slot_taken' || result.code === 'slot_invalid') {
+                    loadAvailability();
+                }
+            }
+            
+        } catch (error) {
+            console.error('Booking error:', error);
+            showFormError(t('booking.networkError'), bookingForm);
+        } finally {
+            submitButton.textContent = originalButtonText;
+            submitButton.disabled = false;
+            submitButton.classList.remove('loading');
+            
+            if (window.turnstile && turnstileWidget) {
+                turnstile.reset(turnstileWidget);
+            }
+        }
+    });
+    
+    loadAvailability();
+}
+
+// Group slots by the visitor's local calendar date (YYYY-MM-DD keys, in order)
+function groupSlotsByLocalDate(slots) {
+    const groups = new Map();
+    
+    slots.forEach(slot => {
+        const start = new Date(slot.start);
+        const key = [
+            start.getFullYear(),
+            String(start.getMonth() + 1).padStart(2, '0'),
+            String(start.getDate()).padStart(2, '0')
+        ].join('-');
+        
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(slot);
+    });
+    
+    return groups;
+}
+
+function renderBookingDates(dateSelect, slotsByDate) {
+    dateSelect.replaceChildren();
+    
+    if (slotsByDate.size === 0) {
+        dateSelect.append(new Option(t('booking.noTimes'), ''));
+        return;
+    }
+    
+    slotsByDate.forEach((slots, key) => {
+        const label = new Date(slots[0].start).toLocaleDateString(getLocaleTag(), {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric'
+        });
+        dateSelect.append(new Option(t('booking.dateOption', { date: label, count: slots.length }), key));
+    });
+    
+    dateSelect.disabled = false;
+}
+
+function renderBookingTimes(slots) {
+    const container = document.getElementById('bookingTimes');
+    container.replaceChildren();
+    
+    if (slots.length === 0) {
+        const empty = document.createElement('p');
+        empty.style.margin = '0';
+        empty.style.color = 'var(--text-light)';
+        empty.textContent = t('booking.noTimesOnDate');
+        container.append(empty);
+        return;
+    }
+    
+    slots.forEach(slot => {
+        const label = document.createElement('label');
+        label.className = 'booking-slot';
+        
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'start';
+        input.value = slot.start;
+        input.required = true;
+        
+        const text = document.createElement('span');
+        text.textContent = new Date(slot.start).toLocaleTimeString(getLocaleTag(), {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        
+        label.append(input, text);
+        container.append(label);
+    });
+}
+
+// ==========================================
+// NEWSLETTER SIGNUP
+// Footer form on every page, posts to /api/newsletter/subscribe
+// The confirm/unsubscribe links come back as ?newsletter=...
+// ==========================================
+// Outcome -> whether it's good news; the text is newsletter.<outcome> in i18n.js
+const NEWSLETTER_RETURN_MESSAGES = {
+    confirmed: { success: true },
+    unsubscribed: { success: true },
+    expired: { success: false },
+    invalid: { success: false },
+    error: { success: false }
+};
+
+function initNewsletterForms() {
+    const forms = document.querySelectorAll('.newsletter-form');
+    
+    forms.forEach(form => {
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            submitNewsletterForm(form);
+        });
+    });
+    
+    if (forms.length > 0) {
+        handleNewsletterReturn(forms[0]);
+    }
+}
+
+async function submitNewsletterForm(form) {
+    const emailInput = form.querySelector('input[name="email"]');
+    const email = emailInput.value.trim();
+    
+    // Same rule as /api/newsletter/subscribe (validation.js)
+    if (!FormValidation.isValidEmail(email)) {
+        emailInput.setAttribute('aria-invalid', 'true');
+        showFormError(t('newsletter.invalidEmail'), form);
+        emailInput.focus();
+        return;
+    }
+    emailInput.removeAttribute('aria-invalid');
+    
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalButtonText = submitButton.textContent;
+    submitButton.textContent = t('newsletter.subscribing');
+    submitButton.disabled = true;
+    
+    try {
+        const response = await fetch('/api/newsletter/subscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: email,
+                website: form.querySelector('input[name="website"]').value,
+                source: window.location.pathname,
+                locale: currentLocale
+            })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            showFormSuccess(result.message, form);
+            form.reset();
+        } else {
+            showFormError(result.errors || result.message, form);
+            console.error('Newsletter signup failed:', result);
+        }
+        
+    } catch (error) {
+        console.error('Newsletter signup error:', error);
+        showFormError(t('newsletter.failed'), form);
+    } finally {
+        submitButton.textContent = originalButtonText;
+        submitButton.disabled = false;
+    }
+}
+
+// Show the outcome after a confirm/unsubscribe link redirects back here
+function handleNewsletterReturn(form) {
+    const params = new URLSearchParams(window.location.search);
+    const outcomeKey = params.get('newsletter');
+    const outcome = Object.prototype.hasOwnProperty.call(NEWSLETTER_RETURN_MESSAGES, outcomeKey)
+        ? NEWSLETTER_RETURN_MESSAGES[outcomeKey]
+        : null;
+    
+    if (!outcome) return;
+    
+    // Remove the query string so a refresh doesn't show it again
+    window.history.replaceState({}, document.title, window.location.pathname);
+    
+    if (outcome.success) {
+        showFormSuccess(t(`newsletter.${outcomeKey}`), form);
+    } else {
+        showFormError(t(`newsletter.${outcomeKey}`), form);
+    }
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
 // ==========================================
 // SCROLL EFFECTS
 // Fade in elements on scroll
 // ==========================================
+let scrollObserver = null;
+
 function initScrollEffects() {
     const observerOptions = {
         threshold: 0.1,
         rootMargin: '0px 0px -100px 0px'
     };
     
-    const observer = new IntersectionObserver(function(entries) {
+    scrollObserver = new IntersectionObserver(function(entries) {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 entry.target.classList.add('fade-in-up');
-                observer.unobserve(entry.target);
+                scrollObserver.unobserve(entry.target);
             }
         });
     }, observerOptions);
@@ -322,8 +1433,15 @@ function initScrollEffects() {
         '.feature-card, .pricing-card, .testimonial-card'
     );
     
-    animatedElements.forEach(element => {
-        observer.observe(element);
+    observeScrollEffects(animatedElements);
+}
+
+// Fade in elements rendered after page load
+function observeScrollEffects(elements) {
+    if (!scrollObserver) return;
+    
+    elements.forEach(element => {
+        scrollObserver.observe(element);
     });
 }
 
@@ -370,14 +1488,43 @@ function getCookie(name) {
     return cookieValue;
 }
 
-// Format currency
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
+// Message from i18n.js in the current locale
+// Falls back to the key if i18n.js didn't load
+function t(key, params) {
+    return window.I18n ? I18n.translate(currentLocale, key, params) : key;
+}
+
+// Same, for HTML templates: the message is escaped, params are
+// markup the caller has already escaped
+function tHtml(key, htmlParams) {
+    return window.I18n ? I18n.interpolate(escapeHtml(I18n.translate(currentLocale, key)), htmlParams) : key;
+}
+
+// BCP 47 tag for dates and numbers, e.g. "es-US"
+function getLocaleTag() {
+    return window.I18n ? I18n.getLocaleTag(currentLocale) : 'en-US';
+}
+
+// Format currency in the current locale
+function formatCurrency(amount, currency = 'USD', fractionDigits) {
+    return new Intl.NumberFormat(getLocaleTag(), {
         style: 'currency',
-        currency: 'USD'
+        currency: currency.toUpperCase(),
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
     }).format(amount);
 }
 
+// Escape text before interpolating it into an HTML template
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // ==========================================
 // CONSOLE LOG
 // ==========================================
@@ -385,5 +1532,4 @@ console.log('Philip Fitness Website initialized');
 console.log('Django integration ready for:');
 console.log('- Payment processing');
 console.log('- Contact form submission');
-console.log('- User authentication');
 console.log('- Dynamic content loading');
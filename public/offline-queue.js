@@ -0,0 +1,191 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - OFFLINE CONTACT QUEUE
+   Contact messages sent without a connection are kept
+   in IndexedDB and replayed to /api/contact later
+   Used by main.js on the page and by sw.js (Background Sync)
+   UMD wrapper like validation.js: window.OfflineQueue in the
+   page, self.OfflineQueue in the service worker
+   ========================================== */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OfflineQueue = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    const DB_NAME = 'philip-fitness';
+    const DB_VERSION = 1;
+    const STORE = 'contact-queue';
+
+    // Tag registered with the Background Sync API
+    const SYNC_TAG = 'contact-queue';
+
+    const ENDPOINT = '/api/contact';
+
+    // Contact form fields worth keeping - the honeypot never is
+    const FIELDS = ['name', 'email', 'phone', 'subject', 'message'];
+
+    function openDatabase() {
+        return new Promise(function(resolve, reject) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+    }
+
+    // Run one request against the store and resolve with its result
+    function withStore(mode, callback) {
+        return openDatabase().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                const transaction = db.transaction(STORE, mode);
+                const request = callback(transaction.objectStore(STORE));
+
+                transaction.oncomplete = function() {
+                    db.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = function() {
+                    db.close();
+                    reject(transaction.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Queue a message
+     * fields: the contact form values, turnstileToken: the widget's token if there was one
+     * Resolves with the new entry's id
+     */
+    function enqueue(fields, turnstileToken) {
+        const entry = {
+            fields: {},
+            turnstileToken: turnstileToken || '',
+            needsVerification: false,
+            queuedAt: new Date().toISOString()
+        };
+
+        FIELDS.forEach(function(field) {
+            entry.fields[field] = String(fields[field] || '');
+        });
+
+        return withStore('readwrite', function(store) {
+            return store.add(entry);
+        });
+    }
+
+    /**
+     * Every queued message, oldest first
+     */
+    function getAll() {
+        return withStore('readonly', function(store) {
+            return store.getAll();
+        });
+    }
+
+    function remove(id) {
+        return withStore('readwrite', function(store) {
+            return store.delete(id);
+        });
+    }
+
+    function update(entry) {
+        return withStore('readwrite', function(store) {
+            return store.put(entry);
+        });
+    }
+
+    /**
+     * Send one entry
+     * Returns 'sent', 'rejected' (the server refused it for good),
+     * 'verify' (needs a fresh Turnstile token) or 'retry'
+     */
+    function send(entry, turnstileToken) {
+        const formData = new FormData();
+
+        FIELDS.forEach(function(field) {
+            formData.set(field, entry.fields[field] || '');
+        });
+
+        const token = turnstileToken || entry.turnstileToken;
+        if (token) {
+            formData.set('cf-turnstile-response', token);
+        }
+
+        return fetch(ENDPOINT, { method: 'POST', body: formData }).then(function(response) {
+            return response.json().catch(function() { return {}; }).then(function(result) {
+                if (response.ok && result.success) return 'sent';
+
+                // Turnstile tokens are single-use and expire after five minutes,
+                // so older messages wait for the visitor to pass a new challenge
+                if (result.code === 'turnstile_invalid' || result.code === 'turnstile_missing') return 'verify';
+
+                if (response.status === 429 || response.status >= 500) return 'retry';
+
+                return 'rejected';
+            });
+        }, function() {
+            return 'retry';
+        });
+    }
+
+    /**
+     * Replay every queued message that doesn't need a new challenge
+     * Stops at the first network or server failure
+     * Resolves with { sent, rejected, verify, pending } counts
+     */
+    function replay() {
+        const summary = { sent: 0, rejected: 0, verify: 0, pending: 0 };
+
+        return getAll().then(function(entries) {
+            let stopped = false;
+
+            return entries.reduce(function(previous, entry) {
+                return previous.then(function() {
+                    if (entry.needsVerification) {
+                        summary.verify++;
+                        return;
+                    }
+                    if (stopped) {
+                        summary.pending++;
+                        return;
+                    }
+
+                    return send(entry).then(function(outcome) {
+                        if (outcome === 'sent' || outcome === 'rejected') {
+                            summary[outcome]++;
+                            return remove(entry.id);
+                        }
+
+                        if (outcome === 'verify') {
+                            summary.verify++;
+                            entry.needsVerification = true;
+                            entry.turnstileToken = '';
+                            return update(entry);
+                        }
+
+                        stopped = true;
+                        summary.pending++;
+                    });
+                });
+            }, Promise.resolve());
+        }).then(function() {
+            return summary;
+        });
+    }
+
+    return {
+        SYNC_TAG: SYNC_TAG,
+        FIELDS: FIELDS,
+        enqueue: enqueue,
+        getAll: getAll,
+        remove: remove,
+        send: send,
+        replay: replay
+    };
+}));
@@ -0,0 +1,129 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - SERVICE WORKER
+   Precaches the public pages so they open offline and
+   replays contact messages queued while offline
+   (Background Sync, see offline-queue.js)
+   Bump CACHE_VERSION whenever a precached file changes shape
+   ========================================== */
+
+importScripts('/offline-queue.js');
+
+const CACHE_VERSION = 'v8';
+const CACHE_NAME = `philip-fitness-${CACHE_VERSION}`;
+
+// Pages use Cloudflare Pages' extensionless URLs - about.html redirects to /about
+const PRECACHE_URLS = [
+    '/',
+    '/about',
+    '/plans',
+    '/contact',
+    '/styles.css',
+    '/main.js',
+    '/validation.js',
+    '/i18n.js',
+    '/offline-queue.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('philip-fitness-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // API calls, other origins (fonts, Turnstile, Stripe) and non-GETs go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, url));
+    } else if (PRECACHE_URLS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+self.addEventListener('sync', function(event) {
+    if (event.tag !== OfflineQueue.SYNC_TAG) return;
+
+    event.waitUntil(OfflineQueue.replay().then(function(summary) {
+        notifyClients(summary);
+
+        // Rejecting asks the browser to fire the sync again later
+        if (summary.pending > 0) {
+            throw new Error('Contact queue still has messages waiting for a connection');
+        }
+    }));
+});
+
+/**
+ * Pages: always try the network so content stays fresh,
+ * fall back to the cached copy when offline
+ */
+async function networkFirst(request, url) {
+    const cacheKey = getPageCacheKey(url.pathname);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok && cacheKey && !response.redirected) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(cacheKey, response.clone());
+        }
+
+        return response;
+    } catch (error) {
+        const cached = cacheKey ? await caches.match(cacheKey) : null;
+        return cached || caches.match('/');
+    }
+}
+
+/**
+ * Styles and scripts: answer from the cache, refresh it in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || refresh;
+}
+
+/**
+ * "/about.html" and "/about" share one cache entry
+ * Returns null for pages that aren't precached (dashboard, admin, ...)
+ */
+function getPageCacheKey(pathname) {
+    const key = pathname.replace(/(index)?\.html$/, '').replace(/(.)\/$/, '$1') || '/';
+    return PRECACHE_URLS.includes(key) ? key : null;
+}
+
+// Let open pages update their "queued" notice
+async function notifyClients(summary) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'contact-queue', summary }));
+}
@@ -0,0 +1,156 @@
+/* ==========================================
+   PHILIP FITNESS WEBSITE - SHARED FORM VALIDATION
+   Schemas for the contact and booking forms, used by
+   main.js in the browser and by functions/api/contact.js
+   and bookings.js, plus the email rule every other form
+   and Function shares
+   UMD wrapper: a plain <script> exposes window.FormValidation,
+   the Worker bundle imports it as a module
+   ========================================== */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FormValidation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const MAX_EMAIL_LENGTH = 254;
+
+    // Digits plus the usual separators, 7-15 digits in total (E.164 max)
+    const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+    /**
+     * Contact form fields
+     * rule keys: required, minLength, maxLength, format ('email' | 'phone'), choices
+     */
+    const CONTACT_SCHEMA = {
+        name: {
+            label: 'Name',
+            required: true,
+            minLength: 2,
+            maxLength: 100
+        },
+        email: {
+            label: 'Email address',
+            required: true,
+            maxLength: MAX_EMAIL_LENGTH,
+            format: 'email'
+        },
+        phone: {
+            label: 'Phone number',
+            maxLength: 30,
+            format: 'phone'
+        },
+        subject: {
+            label: 'Subject',
+            required: true,
+            choices: ['general', 'training', 'nutrition', 'plans', 'consultation', 'other']
+        },
+        message: {
+            label: 'Message',
+            required: true,
+            minLength: 10,
+            maxLength: 5000
+        }
+    };
+
+    /**
+     * Consultation booking fields (the slot itself is checked against the schedule)
+     */
+    const BOOKING_SCHEMA = {
+        name: CONTACT_SCHEMA.name,
+        email: CONTACT_SCHEMA.email,
+        phone: CONTACT_SCHEMA.phone,
+        notes: {
+            label: 'Notes',
+            maxLength: 2000
+        }
+    };
+
+    /**
+     * Check one value against its rules
+     * Returns { code, message, params? } or null when the value is fine
+     * Codes: required, too_short, too_long, invalid_email, invalid_phone, invalid_choice
+     * message is English; i18n.js translates by code and params
+     */
+    function validateField(rules, rawValue) {
+        const value = String(rawValue == null ? '' : rawValue).trim();
+
+        if (!value) {
+            return rules.required
+                ? { code: 'required', message: `${rules.label} is required` }
+                : null;
+        }
+
+        if (rules.minLength && value.length < rules.minLength) {
+            return {
+                code: 'too_short',
+                message: `${rules.label} must be at least ${rules.minLength} characters long`,
+                params: { min: rules.minLength }
+            };
+        }
+
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return {
+                code: 'too_long',
+                message: `${rules.label} must be ${rules.maxLength} characters or fewer`,
+                params: { max: rules.maxLength }
+            };
+        }
+
+        if (rules.format === 'email' && !isValidEmail(value)) {
+            return { code: 'invalid_email', message: 'Please provide a valid email address' };
+        }
+
+        if (rules.format === 'phone') {
+            const digits = value.replace(/\D/g, '').length;
+            if (!PHONE_PATTERN.test(value) || digits < 7 || digits > 15) {
+                return { code: 'invalid_phone', message: 'Please provide a valid phone number' };
+            }
+        }
+
+        if (rules.choices && !rules.choices.includes(value)) {
+            return { code: 'invalid_choice', message: `Please choose a ${rules.label.toLowerCase()} from the list` };
+        }
+
+        return null;
+    }
+
+    /**
+     * The one email check for the site: newsletter, sign-in,
+     * bookings, intake and program assignments use it too
+     * Surrounding whitespace is ignored; 254 characters at most (RFC 5321)
+     */
+    function isValidEmail(value) {
+        const email = String(value == null ? '' : value).trim();
+        return email.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(email);
+    }
+
+    /**
+     * Check every field in a schema
+     * Returns { valid, errors } where errors is keyed by field name:
+     * { email: { code: 'invalid_email', message: '...' } }
+     */
+    function validateForm(schema, data) {
+        const errors = {};
+
+        Object.keys(schema).forEach(function(field) {
+            const error = validateField(schema[field], data[field]);
+            if (error) {
+                errors[field] = error;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors: errors };
+    }
+
+    return {
+        CONTACT_SCHEMA: CONTACT_SCHEMA,
+        BOOKING_SCHEMA: BOOKING_SCHEMA,
+        isValidEmail: isValidEmail,
+        validateField: validateField,
+        validateForm: validateForm
+    };
+}));
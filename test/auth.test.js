@@ -0,0 +1,65 @@
+/* ==========================================
+   MAGIC LINKS - PREFETCH-SAFE SIGN-IN
+   Opening the link only shows a button: a mail scanner
+   fetching it leaves the token for the member's POST
+   ========================================== */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/d1.js';
+import { createContext, TEST_SITE } from './helpers/context.js';
+import { createLoginLink } from '../functions/_lib/member-auth.js';
+import {
+    onRequestGet as getVerify,
+    onRequestPost as postVerify
+} from '../functions/api/auth/verify.js';
+
+describe('magic link verification', () => {
+    let database;
+    let env;
+
+    before(async () => {
+        database = await createTestDatabase();
+        env = { DB: database.db, AUTH_SECRET: 'test-secret' };
+    });
+
+    after(() => database.dispose());
+
+    it('GET shows a sign-in form and leaves the token unused', async () => {
+        const link = await createLoginLink(env, 'ana@example.com', TEST_SITE);
+        const token = new URL(link.url).searchParams.get('token');
+        const path = `/api/auth/verify?token=${token}`;
+
+        const first = await getVerify(createContext(env, path));
+        const second = await getVerify(createContext(env, path));
+        const page = await second.text();
+
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('set-cookie'), null);
+        assert.match(page, /<form method="POST" action="\/api\/auth\/verify">/);
+        assert.ok(page.includes(`name="token" value="${token}"`));
+
+        const signIn = await postVerify(createContext(env, '/api/auth/verify', { body: { token } }));
+
+        assert.equal(signIn.status, 303);
+        assert.equal(signIn.headers.get('location'), `${TEST_SITE}/dashboard`);
+        assert.match(signIn.headers.get('set-cookie'), /^pf_session=\w+/);
+    });
+
+    it('POST redeems a token only once', async () => {
+        const link = await createLoginLink(env, 'bob@example.com', TEST_SITE);
+        const token = new URL(link.url).searchParams.get('token');
+
+        await postVerify(createContext(env, '/api/auth/verify', { body: { token } }));
+        const replay = await postVerify(createContext(env, '/api/auth/verify', { body: { token } }));
+
+        assert.equal(replay.headers.get('location'), `${TEST_SITE}/dashboard?login=expired`);
+        assert.equal(replay.headers.get('set-cookie'), null);
+    });
+
+    it('GET sends a forged link straight to the expired notice', async () => {
+        const response = await getVerify(createContext(env, '/api/auth/verify?token=abc.def'));
+
+        assert.equal(response.headers.get('location'), `${TEST_SITE}/dashboard?login=expired`);
+    });
+});
@@ -0,0 +1,33 @@
+/* ==========================================
+   TEST REQUESTS
+   The context object Cloudflare Pages hands an
+   onRequest* handler, built around a real Request
+   ========================================== */
+
+export const TEST_SITE = 'https://philipfitness.test';
+
+/**
+ * Pages Functions context for a request to path on TEST_SITE
+ * Options: { method, headers, body, params } - a non-string body is sent as JSON
+ */
+export function createContext(env, path, options = {}) {
+    const headers = { ...options.headers };
+    let body = options.body;
+
+    if (body !== undefined && typeof body !== 'string') {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+
+    return {
+        request: new Request(`${TEST_SITE}${path}`, {
+            method: options.method || (body === undefined ? 'GET' : 'POST'),
+            headers: headers,
+            body: body
+        }),
+        env: env,
+        params: options.params || {},
+        data: {},
+        waitUntil: () => {}
+    };
+}
@@ -0,0 +1,35 @@
+/* ==========================================
+   TEST DATABASE
+   A throwaway local D1 (Miniflare, which ships with
+   wrangler) with every migration in ./migrations applied
+   ========================================== */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { Miniflare } from 'miniflare';
+
+const MIGRATIONS_DIR = new URL('../../migrations/', import.meta.url);
+
+/**
+ * Start an in-memory D1 database
+ * Returns { db, dispose } - call dispose() when the tests are done
+ */
+export async function createTestDatabase() {
+    const mf = new Miniflare({
+        modules: true,
+        script: 'export default { fetch() { return new Response(null, { status: 404 }); } }',
+        d1Databases: { DB: 'test' }
+    });
+    const db = await mf.getD1Database('DB');
+
+    for (const file of readdirSync(MIGRATIONS_DIR).sort()) {
+        const statements = readFileSync(new URL(file, MIGRATIONS_DIR), 'utf8')
+            .replace(/--.*$/gm, '')
+            .split(';')
+            .map(statement => statement.trim())
+            .filter(Boolean);
+
+        await db.batch(statements.map(statement => db.prepare(statement)));
+    }
+
+    return { db, dispose: () => mf.dispose() };
+}
@@ -0,0 +1,112 @@
+/* ==========================================
+   TRANSLATIONS - ONE CATALOG FOR THE API
+   Every message the API and its emails send comes
+   from public/i18n.js, in the locale resolved for
+   the request
+   ========================================== */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import I18n from '../public/i18n.js';
+import { createTestDatabase } from './helpers/d1.js';
+import { createContext, TEST_SITE } from './helpers/context.js';
+import { startSession } from '../functions/_lib/member-auth.js';
+import { onRequestPost as postLogin } from '../functions/api/auth/login.js';
+import { onRequestPost as postIntake } from '../functions/api/intake.js';
+import { onRequestPost as postCheckout } from '../functions/api/checkout.js';
+import {
+    onRequestGet as getProgress,
+    onRequestPost as postProgress
+} from '../functions/api/progress/[kind].js';
+
+describe('localized endpoints', () => {
+    let database;
+    let env;
+    let sent;
+    let originalFetch;
+
+    before(async () => {
+        database = await createTestDatabase();
+        env = { DB: database.db, ENVIRONMENT: 'production', AUTH_SECRET: 'test-secret', RESEND_API_KEY: 're_test', STRIPE_SECRET_KEY: 'sk_test_123' };
+    });
+
+    after(() => database.dispose());
+
+    beforeEach(() => {
+        sent = [];
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (input, init) => {
+            sent.push({ url: String(input), body: init.body });
+
+            const body = String(input).includes('stripe.com')
+                ? { id: 'cs_test_123', url: 'https://checkout.stripe.com/c/pay/cs_test_123' }
+                : { id: `email_${sent.length}` };
+
+            return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('sends the sign-in link email in Spanish', async () => {
+        const response = await postLogin(createContext(env, '/api/auth/login', { body: { email: 'ana@example.com', locale: 'es' } }));
+        const body = await response.json();
+        const email = JSON.parse(sent[0].body);
+
+        assert.equal(response.status, 200);
+        assert.equal(body.message, I18n.translate('es', 'login.linkSent', { email: 'ana@example.com', minutes: 15 }));
+        assert.equal(email.subject, I18n.translate('es', 'loginEmail.subject'));
+        assert.match(email.html, new RegExp(I18n.translate('es', 'loginEmail.button')));
+    });
+
+    it('answers intake validation errors in the Accept-Language locale', async () => {
+        const context = createContext(env, '/api/intake', {
+            body: { name: 'Ana', email: 'ana@example.com', sex: 'x' },
+            headers: { 'Accept-Language': 'es-MX,es;q=0.9' }
+        });
+        const body = await (await postIntake(context)).json();
+
+        assert.equal(body.message, I18n.translate('es', 'api.validationFailed'));
+        assert.ok(body.errors.includes(I18n.translate('es', 'intake.invalidSex')));
+    });
+
+    it('keeps the checkout locale for the webhook emails', async () => {
+        await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'starter', locale: 'es' } }));
+        const params = new URLSearchParams(sent[0].body);
+
+        assert.equal(params.get('metadata[locale]'), 'es');
+        assert.equal(params.get('subscription_data[metadata][locale]'), 'es');
+    });
+
+    it('asks a signed-out member to sign in, in Spanish', async () => {
+        const context = createContext(env, '/api/progress/weight', {
+            headers: { 'Accept-Language': 'es' },
+            params: { kind: 'weight' }
+        });
+        const response = await getProgress(context);
+
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).message, I18n.translate('es', 'member.signInRequired'));
+    });
+
+    it('answers progress validation errors in the member\'s locale', async () => {
+        const request = new Request(`${TEST_SITE}/api/auth/verify`);
+        const { cookie } = await startSession(request, env, 'ana@example.com');
+
+        const response = await postProgress(createContext(env, '/api/progress/weight', {
+            body: { weight: 'mucho', unit: 'stone', locale: 'es' },
+            headers: { Cookie: cookie.split(';')[0] },
+            params: { kind: 'weight' }
+        }));
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.message, I18n.translate('es', 'api.validationFailed'));
+        assert.deepEqual(body.errors, [
+            I18n.translate('es', 'progress.notNumber', { label: 'Peso' }),
+            I18n.translate('es', 'progress.invalidUnit', { units: 'lb, kg' })
+        ]);
+    });
+});
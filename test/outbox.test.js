@@ -0,0 +1,109 @@
+/* ==========================================
+   EMAIL OUTBOX - SANDBOXED RETRIES
+   A preview email is stored already sandboxed, so its
+   retry goes to the sandbox inbox whatever the
+   sweeper's own settings
+   ========================================== */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/d1.js';
+import { enqueueEmail, deliverOutbox } from '../functions/_lib/outbox.js';
+
+const MESSAGE = {
+    to: 'visitor@example.com',
+    cc: 'coach@example.com',
+    subject: 'Your booking',
+    html: '<p>See you Monday</p>'
+};
+
+describe('email outbox', () => {
+    let database;
+    let preview;
+    let production;
+    let sent;
+    let originalFetch;
+
+    before(async () => {
+        database = await createTestDatabase();
+        preview = { DB: database.db, ENVIRONMENT: 'preview', EMAIL_SANDBOX_TO: 'sandbox@philipfitness.test', RESEND_API_KEY: 're_test' };
+        production = { DB: database.db, ENVIRONMENT: 'production', RESEND_API_KEY: 're_test' };
+    });
+
+    after(() => database.dispose());
+
+    beforeEach(async () => {
+        await database.db.prepare('DELETE FROM email_outbox').run();
+
+        sent = [];
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (input, init) => {
+            sent.push(JSON.parse(init.body));
+            return new Response(JSON.stringify({ id: `email_${sent.length}` }), { status: 200 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('stores a preview email already redirected to the sandbox inbox', async () => {
+        await enqueueEmail(preview, 'booking_confirmation', MESSAGE, { attempts: 0 });
+
+        const payload = JSON.parse((await database.db.prepare('SELECT payload FROM email_outbox').first()).payload);
+        assert.deepEqual(payload.to, ['sandbox@philipfitness.test']);
+        assert.deepEqual(payload.cc, []);
+        assert.equal(payload.subject, '[Sandbox] Your booking');
+        assert.equal(payload.headers['X-Sandbox-Original-To'], 'visitor@example.com, coach@example.com');
+    });
+
+    it('the preview sweeper delivers a preview email to the sandbox inbox only', async () => {
+        await enqueueEmail(preview, 'booking_confirmation', MESSAGE, { attempts: 0 });
+
+        await makeDue(database.db);
+        const summary = await deliverOutbox(preview);
+
+        assert.equal(summary.sent, 1);
+        assert.equal(sent.length, 1);
+        assert.deepEqual(sent[0].to, ['sandbox@philipfitness.test']);
+        assert.equal(sent[0].cc, undefined);
+        assert.equal(sent[0].subject, '[Sandbox] Your booking');
+    });
+
+    it('queues nothing when the preview has no sandbox inbox', async () => {
+        const id = await enqueueEmail({ ...preview, EMAIL_SANDBOX_TO: '' }, 'booking_confirmation', MESSAGE, { attempts: 0 });
+        const { count } = await database.db.prepare('SELECT COUNT(*) AS count FROM email_outbox').first();
+
+        assert.equal(id, null);
+        assert.equal(count, 0);
+    });
+
+    it('a sandboxed sweeper does not sandbox a queued email twice', async () => {
+        await enqueueEmail(preview, 'booking_confirmation', MESSAGE, { attempts: 0 });
+
+        await makeDue(database.db);
+        await deliverOutbox({ ...preview, EMAIL_SANDBOX_TO: 'other@philipfitness.test' });
+
+        assert.deepEqual(sent[0].to, ['sandbox@philipfitness.test']);
+        assert.equal(sent[0].subject, '[Sandbox] Your booking');
+        assert.equal(sent[0].headers['X-Sandbox-Original-To'], 'visitor@example.com, coach@example.com');
+    });
+
+    it('production emails keep their recipients', async () => {
+        await enqueueEmail(production, 'booking_confirmation', MESSAGE, { attempts: 0 });
+
+        await makeDue(database.db);
+        await deliverOutbox(production);
+
+        assert.deepEqual(sent[0].to, ['visitor@example.com']);
+        assert.deepEqual(sent[0].cc, ['coach@example.com']);
+        assert.equal(sent[0].subject, 'Your booking');
+    });
+});
+
+/**
+ * Bring every queued email's retry time forward to now
+ */
+async function makeDue(db) {
+    await db.prepare('UPDATE email_outbox SET next_attempt_at = ?').bind(new Date(0).toISOString()).run();
+}
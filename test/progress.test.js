@@ -0,0 +1,198 @@
+/* ==========================================
+   MEMBER PROGRESS - ISOLATION BETWEEN MEMBERS
+   Two signed-in members against one database: neither
+   can list, export or delete the other's entries
+   ========================================== */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/d1.js';
+import { createContext, TEST_SITE } from './helpers/context.js';
+import { startSession } from '../functions/_lib/member-auth.js';
+import {
+    getProgressKind,
+    getProgressColumns,
+    insertProgressEntry,
+    listProgressEntries,
+    listAllProgressEntries,
+    deleteProgressEntry,
+    toCsv,
+    toCsvStream
+} from '../functions/_lib/progress.js';
+import { onRequestGet as getProgress } from '../functions/api/progress/[kind].js';
+import { onRequestDelete as deleteProgress } from '../functions/api/progress/[kind]/[id].js';
+
+describe('member progress', () => {
+    let database;
+    let env;
+    let alice;
+    let bob;
+    let aliceWorkoutId;
+
+    before(async () => {
+        database = await createTestDatabase();
+        env = { DB: database.db };
+        alice = await signIn(env, 'alice@example.com');
+        bob = await signIn(env, 'bob@example.com');
+
+        const workouts = getProgressKind('workouts');
+        aliceWorkoutId = await insertProgressEntry(env.DB, alice.id, workouts, {
+            completed_on: '2026-01-05',
+            workout: 'Lower body A',
+            duration_minutes: 45,
+            notes: 'Felt strong'
+        });
+        await insertProgressEntry(env.DB, alice.id, workouts, {
+            completed_on: '2026-01-07',
+            workout: '=HYPERLINK("https://evil.example","Open")',
+            duration_minutes: 30,
+            notes: '@SUM(A1:A9), "quoted"'
+        });
+        await insertProgressEntry(env.DB, bob.id, workouts, {
+            completed_on: '2026-01-06',
+            workout: 'Upper body B',
+            duration_minutes: 50,
+            notes: null
+        });
+    });
+
+    after(() => database.dispose());
+
+    describe('listProgressEntries', () => {
+        it('returns only the requesting member\'s rows', async () => {
+            const kind = getProgressKind('workouts');
+
+            const aliceRows = await listProgressEntries(env.DB, alice.id, kind);
+            const bobRows = await listProgressEntries(env.DB, bob.id, kind);
+
+            assert.deepEqual(aliceRows.map(row => row.workout), ['Lower body A', '=HYPERLINK("https://evil.example","Open")']);
+            assert.deepEqual(bobRows.map(row => row.workout), ['Upper body B']);
+        });
+
+        it('keeps the member filter when a date range is given', async () => {
+            const rows = await listProgressEntries(env.DB, bob.id, getProgressKind('workouts'), {
+                from: '2026-01-01',
+                to: '2026-01-31'
+            });
+
+            assert.deepEqual(rows.map(row => row.workout), ['Upper body B']);
+        });
+
+        it('keeps the newest entries when there are more than the limit', async () => {
+            const rows = await listProgressEntries(env.DB, alice.id, getProgressKind('workouts'), { limit: 1 });
+
+            assert.deepEqual(rows.map(row => row.completed_on), ['2026-01-07']);
+        });
+
+        it('GET /api/progress/workouts only shows the session\'s member', async () => {
+            const response = await getProgress(createContext(env, '/api/progress/workouts', { headers: bob.headers, params: { kind: 'workouts' } }));
+            const body = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(body.data.entries.map(entry => entry.workout), ['Upper body B']);
+        });
+
+        it('GET without a session is rejected', async () => {
+            const context = createContext(env, '/api/progress/workouts', { params: { kind: 'workouts' } });
+            const response = await getProgress(context);
+
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('deleteProgressEntry', () => {
+        it('refuses to delete another member\'s entry', async () => {
+            const deleted = await deleteProgressEntry(env.DB, bob.id, getProgressKind('workouts'), aliceWorkoutId);
+            const aliceRows = await listProgressEntries(env.DB, alice.id, getProgressKind('workouts'));
+
+            assert.equal(deleted, false);
+            assert.ok(aliceRows.some(row => row.id === aliceWorkoutId));
+        });
+
+        it('DELETE answers 404 for another member\'s entry, as if it did not exist', async () => {
+            const params = { kind: 'workouts', id: String(aliceWorkoutId) };
+            const response = await deleteProgress(createContext(env, `/api/progress/workouts/${aliceWorkoutId}`, { method: 'DELETE', headers: bob.headers, params: params }));
+            const missing = await deleteProgress(createContext(env, '/api/progress/workouts/999999', { method: 'DELETE', headers: bob.headers, params: { kind: 'workouts', id: '999999' } }));
+
+            assert.equal(response.status, 404);
+            assert.deepEqual(await response.json(), await missing.json());
+            assert.equal((await listProgressEntries(env.DB, alice.id, getProgressKind('workouts'))).length, 2);
+        });
+
+        it('lets the owner delete their own entry', async () => {
+            const kind = getProgressKind('weight');
+            const id = await insertProgressEntry(env.DB, alice.id, kind, { recorded_on: '2026-01-05', weight: 180, unit: 'lb' });
+
+            const response = await deleteProgress(createContext(env, `/api/progress/weight/${id}`, { method: 'DELETE', headers: alice.headers, params: { kind: 'weight', id: String(id) } }));
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(await listProgressEntries(env.DB, alice.id, kind), []);
+        });
+    });
+
+    describe('CSV export', () => {
+        it('exports only the session\'s member', async () => {
+            const response = await getProgress(createContext(env, '/api/progress/workouts?format=csv', { headers: bob.headers, params: { kind: 'workouts' } }));
+            const csv = await response.text();
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /^text\/csv/);
+            assert.match(csv, /Upper body B/);
+            assert.doesNotMatch(csv, /Lower body A|HYPERLINK/);
+        });
+
+        it('neutralizes spreadsheet formulas and quotes embedded quotes', async () => {
+            const response = await getProgress(createContext(env, '/api/progress/workouts?format=csv', { headers: alice.headers, params: { kind: 'workouts' } }));
+            const lines = (await response.text()).trimEnd().split('\r\n');
+
+            assert.equal(lines[0], 'id,completed_on,workout,duration_minutes,notes,created_at');
+            assert.match(lines[2], /,"'=HYPERLINK\(""https:\/\/evil\.example"",""Open""\)",30,"'@SUM\(A1:A9\), ""quoted""",/);
+        });
+
+        it('pages through every entry, oldest first', async () => {
+            const kind = getProgressKind('weight');
+            const member = await signIn(env, 'carol@example.com');
+
+            for (const day of ['2026-02-03', '2026-02-01', '2026-02-02', '2026-02-02', '2026-02-04']) {
+                await insertProgressEntry(env.DB, member.id, kind, { recorded_on: day, weight: 150, unit: 'lb' });
+            }
+
+            const pages = [];
+            for await (const page of listAllProgressEntries(env.DB, member.id, kind, {}, 2)) {
+                pages.push(page.map(row => row.recorded_on));
+            }
+
+            assert.deepEqual(pages, [['2026-02-01', '2026-02-02'], ['2026-02-02', '2026-02-03'], ['2026-02-04']]);
+
+            const csv = await new Response(toCsvStream(listAllProgressEntries(env.DB, member.id, kind, {}, 2), ['recorded_on'])).text();
+            assert.equal(csv, 'recorded_on\r\n2026-02-01\r\n2026-02-02\r\n2026-02-02\r\n2026-02-03\r\n2026-02-04\r\n');
+        });
+
+        it('prefixes every formula trigger character', () => {
+            const columns = ['value'];
+            const csv = toCsv(['=1+1', '+1', '-1', '@A1', '\tcmd', 'plain'].map(value => ({ value })), columns);
+
+            assert.equal(csv, 'value\r\n\'=1+1\r\n\'+1\r\n\'-1\r\n\'@A1\r\n\'\tcmd\r\nplain\r\n');
+        });
+
+        it('leaves numbers alone, including negative ones', () => {
+            const csv = toCsv([{ weight: -1 }, { weight: 180.5 }], ['weight']);
+
+            assert.equal(csv, 'weight\r\n-1\r\n180.5\r\n');
+        });
+
+        it('uses the kind\'s column order', () => {
+            assert.deepEqual(getProgressColumns(getProgressKind('weight')), ['id', 'recorded_on', 'weight', 'unit', 'created_at']);
+        });
+    });
+});
+
+/**
+ * Start a real session and keep its cookie for later requests
+ */
+async function signIn(env, email) {
+    const request = new Request(`${TEST_SITE}/api/auth/verify`);
+    const { member, cookie } = await startSession(request, env, email);
+
+    return { id: member.id, headers: { Cookie: cookie.split(';')[0] } };
+}
@@ -0,0 +1,145 @@
+/* ==========================================
+   PROMO CODES - DISCOUNT DURATION
+   Checkout keeps the plan price on the subscription
+   and sends the code as a Stripe coupon, so renewals
+   go back to full price once the coupon runs out
+   ========================================== */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/d1.js';
+import { createContext } from './helpers/context.js';
+import { getPlan, getPlanAmount } from '../functions/_lib/plans.js';
+import { validatePromoInput, insertPromoCode, getPromoCode } from '../functions/_lib/promo.js';
+import { onRequestPost as postCheckout } from '../functions/api/checkout.js';
+
+describe('validatePromoInput', () => {
+    it('defaults to a one-off discount', () => {
+        const { promo, errors } = validatePromoInput({ code: 'spring', percentOff: 20 });
+
+        assert.deepEqual(errors, []);
+        assert.equal(promo.duration, 'once');
+        assert.equal(promo.durationInMonths, null);
+    });
+
+    it('requires a month count for a repeating code', () => {
+        assert.equal(validatePromoInput({ code: 'SPRING', percentOff: 20, duration: 'repeating' }).errors.length, 1);
+        assert.equal(validatePromoInput({ code: 'SPRING', percentOff: 20, duration: 'repeating', durationInMonths: 37 }).errors.length, 1);
+
+        const { promo, errors } = validatePromoInput({ code: 'SPRING', percentOff: 20, duration: 'repeating', durationInMonths: 3 });
+        assert.deepEqual(errors, []);
+        assert.equal(promo.durationInMonths, 3);
+    });
+
+    it('rejects unknown durations and stray month counts', () => {
+        assert.equal(validatePromoInput({ code: 'SPRING', percentOff: 20, duration: 'weekly' }).errors.length, 1);
+        assert.equal(validatePromoInput({ code: 'SPRING', percentOff: 20, duration: 'once', durationInMonths: 3 }).errors.length, 1);
+    });
+});
+
+describe('checkout with a promo code', () => {
+    let database;
+    let env;
+    let stripeCalls;
+    let originalFetch;
+    let springId;
+
+    before(async () => {
+        database = await createTestDatabase();
+        env = { DB: database.db, STRIPE_SECRET_KEY: 'sk_test_123' };
+
+        springId = await insertPromoCode(env.DB, validatePromoInput({ code: 'SPRING20', percentOff: 20 }).promo);
+        await insertPromoCode(env.DB, validatePromoInput({
+            code: 'LAUNCH',
+            percentOff: 50,
+            maxRedemptions: 3,
+            expiresAt: '2099-01-01T00:00:00Z'
+        }).promo);
+        await insertPromoCode(env.DB, validatePromoInput({
+            code: 'TENOFF',
+            amountOff: 10,
+            duration: 'repeating',
+            durationInMonths: 3
+        }).promo);
+    });
+
+    after(() => database.dispose());
+
+    beforeEach(() => {
+        stripeCalls = [];
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (input, init) => {
+            const path = new URL(input).pathname;
+            stripeCalls.push({ path, params: new URLSearchParams(init.body) });
+
+            const body = path === '/v1/coupons'
+                ? { id: `coupon_${stripeCalls.length}` }
+                : { id: 'cs_test_123', url: 'https://checkout.stripe.com/c/pay/cs_test_123' };
+
+            return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('bills the full plan price and discounts the first payment only', async () => {
+        const plan = getPlan('premium');
+        const response = await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'premium', promoCode: 'spring20' } }));
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(stripeCalls.map(call => call.path), ['/v1/coupons', '/v1/checkout/sessions']);
+
+        const [coupon, session] = stripeCalls.map(call => call.params);
+        assert.equal(coupon.get('percent_off'), '20');
+        assert.equal(coupon.get('duration'), 'once');
+        assert.equal(coupon.has('duration_in_months'), false);
+        assert.equal(coupon.has('max_redemptions'), false);
+        assert.equal(coupon.has('redeem_by'), false);
+
+        assert.equal(session.get('line_items[0][price_data][unit_amount]'), String(getPlanAmount(plan)));
+        assert.equal(session.get('line_items[0][price_data][recurring][interval]'), plan.interval);
+        assert.equal(session.get('discounts[0][coupon]'), 'coupon_1');
+        assert.equal(session.get('metadata[promo_code]'), 'SPRING20');
+    });
+
+    it('reuses the stored coupon on the next checkout', async () => {
+        const response = await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'starter', promoCode: 'SPRING20' } }));
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(stripeCalls.map(call => call.path), ['/v1/checkout/sessions']);
+        assert.equal(stripeCalls[0].params.get('discounts[0][coupon]'), 'coupon_1');
+        assert.equal((await getPromoCode(env.DB, springId)).stripeCouponId, 'coupon_1');
+    });
+
+    it('sends amount-off codes in cents with their month count', async () => {
+        const plan = getPlan('elite');
+        await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'elite', promoCode: 'TENOFF' } }));
+
+        const [coupon, session] = stripeCalls.map(call => call.params);
+        assert.equal(coupon.get('amount_off'), '1000');
+        assert.equal(coupon.get('currency'), plan.currency);
+        assert.equal(coupon.get('duration'), 'repeating');
+        assert.equal(coupon.get('duration_in_months'), '3');
+        assert.equal(session.get('line_items[0][price_data][unit_amount]'), String(getPlanAmount(plan)));
+    });
+
+    it('puts the remaining redemptions and the expiry on the coupon', async () => {
+        await database.db.prepare('UPDATE promo_codes SET redemption_count = 1 WHERE code = ?').bind('LAUNCH').run();
+        await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'starter', promoCode: 'LAUNCH' } }));
+
+        const [coupon] = stripeCalls.map(call => call.params);
+        assert.equal(coupon.get('max_redemptions'), '2');
+        assert.equal(coupon.get('redeem_by'), String(Date.UTC(2099, 0, 1) / 1000));
+    });
+
+    it('sends no discount without a code', async () => {
+        const plan = getPlan('vip');
+        await postCheckout(createContext(env, '/api/checkout', { body: { plan: 'vip' } }));
+
+        const [session] = stripeCalls.map(call => call.params);
+        assert.equal(session.get('line_items[0][price_data][unit_amount]'), String(getPlanAmount(plan)));
+        assert.equal([...session.keys()].some(key => key.startsWith('discounts')), false);
+    });
+});
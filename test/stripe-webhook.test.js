@@ -0,0 +1,190 @@
+/* ==========================================
+   STRIPE WEBHOOK - SIGNATURES, REPLAYS AND ORDERING
+   Signed events POSTed to /api/stripe-webhook against a
+   real D1: a replayed event is acknowledged without being
+   applied twice, a late event cannot undo a cancellation,
+   and unsigned or stale ones are refused
+   ========================================== */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/d1.js';
+import { createContext } from './helpers/context.js';
+import { hmacSha256Hex } from '../functions/_lib/crypto.js';
+import { onRequestPost as postWebhook } from '../functions/api/stripe-webhook.js';
+
+const SECRET = 'whsec_test';
+
+const CHECKOUT_COMPLETED = {
+    id: 'evt_checkout_1',
+    type: 'checkout.session.completed',
+    data: {
+        object: {
+            id: 'cs_test_1',
+            mode: 'subscription',
+            subscription: 'sub_1',
+            customer: 'cus_1',
+            customer_details: { email: 'ana@example.com', name: 'Ana Diaz' },
+            metadata: { plan_id: 'premium', locale: 'en' }
+        }
+    }
+};
+
+describe('stripe webhook', () => {
+    let database;
+    let env;
+    let sent;
+    let originalFetch;
+
+    before(async () => {
+        database = await createTestDatabase();
+        env = { DB: database.db, ENVIRONMENT: 'production', RESEND_API_KEY: 're_test', STRIPE_WEBHOOK_SECRET: SECRET };
+    });
+
+    after(() => database.dispose());
+
+    beforeEach(async () => {
+        await database.db.batch([
+            database.db.prepare('DELETE FROM stripe_events'),
+            database.db.prepare('DELETE FROM subscriptions')
+        ]);
+
+        sent = [];
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (input, init) => {
+            sent.push(JSON.parse(init.body));
+            return new Response(JSON.stringify({ id: `email_${sent.length}` }), { status: 200 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('applies a replayed event once and acknowledges both deliveries', async () => {
+        const payload = JSON.stringify(CHECKOUT_COMPLETED);
+        const signature = await sign(payload);
+
+        const first = await postWebhook(webhookContext(env, payload, signature));
+        const stored = await database.db.prepare('SELECT * FROM subscriptions').all();
+
+        const replay = await postWebhook(webhookContext(env, payload, signature));
+        const afterReplay = await database.db.prepare('SELECT * FROM subscriptions').all();
+        const events = await database.db.prepare('SELECT id FROM stripe_events').all();
+
+        assert.equal(first.status, 200);
+        assert.equal(replay.status, 200);
+        assert.equal((await replay.json()).duplicate, true);
+
+        assert.deepEqual(events.results.map(row => row.id), ['evt_checkout_1']);
+        assert.equal(stored.results.length, 1);
+        assert.deepEqual(afterReplay.results, stored.results);
+        assert.equal(sent.length, 1);
+    });
+
+    it('a late invoice.paid does not reactivate a canceled subscription', async () => {
+        await deliver(env, CHECKOUT_COMPLETED);
+        await deliver(env, subscriptionDeleted('evt_deleted_1'));
+        await deliver(env, invoicePaid('evt_invoice_1'));
+
+        const row = await database.db.prepare('SELECT status, current_period_end FROM subscriptions WHERE id = ?').bind('sub_1').first();
+
+        assert.equal(row.status, 'canceled');
+        assert.equal(row.current_period_end, '2026-02-01T00:00:00.000Z');
+    });
+
+    it('keeps a subscription canceled when the deletion is the first event seen', async () => {
+        await deliver(env, subscriptionDeleted('evt_deleted_2'));
+        await deliver(env, invoicePaid('evt_invoice_2'));
+        await deliver(env, { ...CHECKOUT_COMPLETED, id: 'evt_checkout_2' });
+
+        const row = await database.db.prepare('SELECT status FROM subscriptions WHERE id = ?').bind('sub_1').first();
+
+        assert.equal(row.status, 'canceled');
+    });
+
+    it('stores a subscription first seen through invoice.paid as active', async () => {
+        await deliver(env, invoicePaid('evt_invoice_3'));
+
+        const row = await database.db.prepare('SELECT status FROM subscriptions WHERE id = ?').bind('sub_1').first();
+
+        assert.equal(row.status, 'active');
+    });
+
+    it('rejects a bad signature without recording the event', async () => {
+        const payload = JSON.stringify(CHECKOUT_COMPLETED);
+        const response = await postWebhook(webhookContext(env, payload, await sign(payload, { secret: 'whsec_other' })));
+
+        assert.equal(response.status, 400);
+        assert.equal(await countRows(database.db, 'stripe_events'), 0);
+        assert.equal(await countRows(database.db, 'subscriptions'), 0);
+    });
+
+    it('rejects a signature outside the 300 second window', async () => {
+        const payload = JSON.stringify(CHECKOUT_COMPLETED);
+        const stale = await sign(payload, { timestamp: Math.floor(Date.now() / 1000) - 301 });
+        const future = await sign(payload, { timestamp: Math.floor(Date.now() / 1000) + 301 });
+
+        assert.equal((await postWebhook(webhookContext(env, payload, stale))).status, 400);
+        assert.equal((await postWebhook(webhookContext(env, payload, future))).status, 400);
+        assert.equal(await countRows(database.db, 'stripe_events'), 0);
+    });
+});
+
+/**
+ * customer.subscription.deleted for sub_1
+ */
+function subscriptionDeleted(id) {
+    return { id: id, type: 'customer.subscription.deleted', data: { object: { id: 'sub_1', status: 'canceled' } } };
+}
+
+/**
+ * invoice.paid for sub_1, billing through 2026-02-01
+ */
+function invoicePaid(id) {
+    return {
+        id: id,
+        type: 'invoice.paid',
+        data: {
+            object: {
+                id: 'in_1',
+                customer: 'cus_1',
+                customer_email: 'ana@example.com',
+                amount_paid: 0,
+                parent: { subscription_details: { subscription: 'sub_1', metadata: { plan_id: 'premium' } } },
+                lines: { data: [{ period: { end: Date.UTC(2026, 1, 1) / 1000 } }] }
+            }
+        }
+    };
+}
+
+/**
+ * Sign and POST an event; fails the test unless it was accepted
+ */
+async function deliver(env, event) {
+    const payload = JSON.stringify(event);
+    const response = await postWebhook(webhookContext(env, payload, await sign(payload)));
+
+    assert.equal(response.status, 200);
+}
+
+/**
+ * Stripe-Signature header for a payload, as Stripe computes it
+ */
+async function sign(payload, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    return `t=${timestamp},v1=${await hmacSha256Hex(secret, `${timestamp}.${payload}`)}`;
+}
+
+/**
+ * Context for a webhook delivery with its raw body
+ */
+function webhookContext(env, payload, signature) {
+    return createContext(env, '/api/stripe-webhook', {
+        body: payload,
+        headers: { 'Stripe-Signature': signature }
+    });
+}
+
+async function countRows(db, table) {
+    return (await db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).first()).count;
+}
@@ -0,0 +1,168 @@
+/* ==========================================
+   HTML TEMPLATING - INJECTION PAYLOADS
+   Visitor input in every context the email and
+   print templates use: text, attributes, links,
+   mailto: links and the derived plain-text part
+   ========================================== */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, escapeHtml, attr, url, mailto, raw, toPlainText } from '../functions/_lib/template.js';
+
+const SCRIPT = '<script>alert(1)</script>';
+
+describe('escapeHtml', () => {
+    it('escapes script tags', () => {
+        assert.equal(escapeHtml(SCRIPT), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+
+    it('escapes both quote styles and ampersands', () => {
+        assert.equal(escapeHtml(`"'&`), '&quot;&#39;&amp;');
+    });
+
+    it('keeps a quoted attribute closed', () => {
+        const markup = `<td title="${escapeHtml('" onmouseover="alert(1)')}">`;
+
+        assert.equal(markup, '<td title="&quot; onmouseover=&quot;alert(1)">');
+    });
+
+    it('renders null and undefined as empty text', () => {
+        assert.equal(escapeHtml(null), '');
+        assert.equal(escapeHtml(undefined), '');
+    });
+});
+
+describe('html', () => {
+    it('escapes interpolated values', () => {
+        assert.equal(String(html`<p>${SCRIPT}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('does not escape nested templates twice', () => {
+        const inner = html`<b>${'Tom & Jerry'}</b>`;
+
+        assert.equal(String(html`<p>${inner}</p>`), '<p><b>Tom &amp; Jerry</b></p>');
+    });
+
+    it('escapes every item of an array', () => {
+        assert.equal(String(html`<ul>${['<li>', html`<li>${'<'}</li>`]}</ul>`), '<ul>&lt;li&gt;<li>&lt;</li></ul>');
+    });
+
+    it('renders null, undefined and false as nothing, but keeps 0', () => {
+        assert.equal(String(html`${null}${undefined}${false}${0}`), '0');
+    });
+
+    it('only trusts raw() for markup', () => {
+        assert.equal(String(html`${raw('&mdash;')}${'&mdash;'}`), '&mdash;&amp;mdash;');
+    });
+
+    it('serializes as escaped markup for the outbox', () => {
+        assert.equal(JSON.stringify({ html: html`<b>${SCRIPT}</b>` }), '{"html":"<b>&lt;script&gt;alert(1)&lt;/script&gt;</b>"}');
+    });
+});
+
+describe('attr', () => {
+    it('cannot close a double-quoted attribute', () => {
+        const markup = String(html`<td title="${attr('" onmouseover="alert(1)')}">`);
+
+        assert.equal(markup, '<td title="&#x22;&#x20;onmouseover&#x3D;&#x22;alert&#x28;1&#x29;">');
+    });
+
+    it('cannot break out of an unquoted attribute', () => {
+        const markup = String(html`<td title=${attr('x onmouseover=alert(1)')}>`);
+
+        assert.doesNotMatch(markup, /[\s=]onmouseover/);
+        assert.doesNotMatch(markup.slice('<td title='.length, -1), /[\s"'`=<>]/);
+    });
+
+    it('encodes single quotes, backticks and line breaks', () => {
+        assert.equal(String(attr('\'`\r\n')), '&#x27;&#x60;&#xD;&#xA;');
+    });
+
+    it('encodes angle brackets', () => {
+        assert.doesNotMatch(String(attr(SCRIPT)), /[<>]/);
+    });
+});
+
+describe('url', () => {
+    const blocked = [
+        'javascript:alert(1)',
+        ' JaVaScRiPt:alert(1)',
+        'java\tscript:alert(1)',
+        'java\r\nscript:alert(1)',
+        '\u0000javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        '/relative/path',
+        ''
+    ];
+
+    blocked.forEach(payload => {
+        it(`replaces ${JSON.stringify(payload)} with #`, () => {
+            assert.equal(String(url(payload)), '&#x23;');
+        });
+    });
+
+    it('keeps http, https, mailto and tel links', () => {
+        assert.equal(String(url('https://philipfitness.com/plans')), 'https://philipfitness.com/plans');
+        assert.equal(String(url('http://localhost:8788/')), 'http://localhost:8788/');
+        assert.equal(String(url('mailto:info@philipfitness.com')), 'mailto:info@philipfitness.com');
+        assert.equal(String(url('tel:+15555550100')), 'tel:&#x2B;15555550100');
+    });
+
+    it('cannot close the href attribute', () => {
+        const markup = String(html`<a href="${url('https://example.com/?a="><script>alert(1)</script>')}">`);
+
+        assert.doesNotMatch(markup, /<script|"><|onerror/);
+        assert.match(markup, /^<a href="https:\/\/example\.com\/[^"]*">$/);
+    });
+
+    it('percent-encodes CRLF inside a link', () => {
+        assert.doesNotMatch(String(url('https://example.com/a\r\nb')), /[\r\n]/);
+    });
+});
+
+describe('mailto', () => {
+    it('cannot add header fields with ? or &', () => {
+        assert.equal(String(mailto('a@example.com?bcc=evil@example.net&body=hi')), 'mailto:a@example.com%3Fbcc%3Devil@example.net%26body%3Dhi');
+    });
+
+    it('percent-encodes CRLF so no Bcc line can be added', () => {
+        const link = String(mailto('a@example.com\r\nBcc: evil@example.net'));
+
+        assert.equal(link, 'mailto:a@example.com%0D%0ABcc%3A%20evil@example.net');
+        assert.doesNotMatch(link, /[\r\n]/);
+    });
+
+    it('cannot close the href attribute', () => {
+        const markup = String(html`<a href="${mailto('"><script>alert(1)</script>@example.com')}">`);
+
+        assert.equal(markup, '<a href="mailto:%22%3E%3Cscript%3Ealert&#x28;1&#x29;%3C%2Fscript%3E@example.com">');
+    });
+
+    it('keeps ordinary addresses readable', () => {
+        assert.equal(String(mailto('jane.doe+coach@example.com')), 'mailto:jane.doe%2Bcoach@example.com');
+    });
+});
+
+describe('toPlainText', () => {
+    it('turns escaped markup back into the text the visitor typed', () => {
+        const text = toPlainText(String(html`<p>${SCRIPT}</p><p>${'Tom & "Jerry" O\'Neil'}</p>`));
+
+        assert.equal(text, '<script>alert(1)</script>\nTom & "Jerry" O\'Neil');
+    });
+
+    it('drops tags, including ones with attribute payloads', () => {
+        assert.equal(toPlainText('<p>Hi<img src=x onerror="alert(1)"></p>'), 'Hi');
+    });
+
+    it('normalizes CRLF and lone CR to \\n', () => {
+        const text = toPlainText(String(html`<p>${'line one \r\nBcc: evil@example.net\rline three'}</p>`));
+
+        assert.equal(text, 'line one\nBcc: evil@example.net\nline three');
+        assert.doesNotMatch(text, /\r/);
+    });
+
+    it('collapses runs of blank lines', () => {
+        assert.equal(toPlainText('<p>one</p>\r\n\r\n\r\n<p>two</p>'), 'one\n\ntwo');
+    });
+});
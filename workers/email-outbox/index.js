@@ -0,0 +1,47 @@
+/* ==========================================
+   CLOUDFLARE WORKER - EMAIL OUTBOX SWEEPER
+   Pages Functions can't run Cron Triggers, so this
+   companion Worker retries queued emails and webhook
+   deliveries on a schedule
+   Uses the email code in /functions and the same
+   environment's D1 database as the Pages project
+   ========================================== */
+
+import { deliverOutbox } from '../../functions/_lib/outbox.js';
+import { deliverWebhooks } from '../../functions/_lib/webhooks.js';
+import { log, withRequestContext } from '../../functions/_lib/logger.js';
+
+export default {
+    /**
+     * Cron Trigger entry point (see wrangler.toml [triggers])
+     */
+    async scheduled(event, env, ctx) {
+        // Every line from one run shares a sweepId, like requestId in the Pages Functions
+        ctx.waitUntil(withRequestContext({ sweepId: crypto.randomUUID(), cron: event.cron }, () => sweep(env)));
+    }
+};
+
+/**
+ * Retry every due outbox email and webhook delivery and log the outcome
+ */
+async function sweep(env) {
+    try {
+        const summary = await deliverOutbox(env);
+
+        if (summary.sent || summary.retried || summary.dead) {
+            log.info('Email outbox sweep', summary);
+        }
+    } catch (error) {
+        log.error('Email outbox sweep failed', { error });
+    }
+
+    try {
+        const summary = await deliverWebhooks(env);
+
+        if (summary.delivered || summary.retried || summary.dead) {
+            log.info('Webhook delivery sweep', summary);
+        }
+    } catch (error) {
+        log.error('Webhook delivery sweep failed', { error });
+    }
+}
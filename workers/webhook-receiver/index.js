@@ -0,0 +1,37 @@
+/* ==========================================
+   CLOUDFLARE WORKER - LOCAL WEBHOOK RECEIVER
+   Stand-in for the CRM / Django backend while developing
+   outgoing webhooks (functions/_lib/webhooks.js)
+   Verifies the signature and logs the ID and type of every
+   event it receives - the payload carries lead PII
+   ========================================== */
+
+import { verifyWebhookSignature } from '../../functions/_lib/webhooks.js';
+import { log } from '../../functions/_lib/logger.js';
+
+export default {
+    async fetch(request, env) {
+        if (request.method !== 'POST') {
+            return new Response('Webhook receiver - POST signed events here\n', { status: 405 });
+        }
+
+        const payload = await request.text();
+        const signature = request.headers.get('x-webhook-signature');
+
+        if (!(await verifyWebhookSignature(payload, signature, env.WEBHOOK_SECRET))) {
+            log.warn('Webhook rejected - bad signature', { id: request.headers.get('x-webhook-id') });
+            return new Response('Invalid signature\n', { status: 401 });
+        }
+
+        const event = JSON.parse(payload);
+        log.info('Webhook received', { id: event.id, type: event.type, version: event.version });
+
+        // Simulate an outage to exercise retries, e.g. RESPOND_WITH_STATUS = "503"
+        const status = parseInt(env.RESPOND_WITH_STATUS, 10) || 200;
+
+        return new Response(JSON.stringify({ received: true }), {
+            status: status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+};